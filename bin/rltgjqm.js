@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const path = require('path');
@@ -20,11 +20,396 @@ const promptTemplate = require('../lib/promptTemplate');
 const executor = require('../lib/executor');
 const config = require('../lib/config');
 const usageTracker = require('../lib/usageTracker');
+const providers = require('../lib/providers');
+const spinner = require('../lib/spinner');
+const responseCache = require('../lib/responseCache');
+const { diffPlans } = require('../lib/planDiff');
+const gitContext = require('../lib/gitContext');
+const projectConfig = require('../lib/projectConfig');
+const snapshot = require('../lib/snapshot');
+const riskAnalyzer = require('../lib/riskAnalyzer');
+const i18n = require('../lib/i18n');
+const { t } = i18n;
+
+// 응답에서 명령어를 찾지 못했을 때 형식을 다시 요청하는 최대 횟수
+const FORMAT_RETRY_LIMIT = 2;
+// 대화 모드에서 AI가 되물을 수 있는 최대 횟수
+const CLARIFY_LIMIT = 3;
+// 단계별 위험도 표시
+const RISK_LABELS = {
+  medium: chalk.yellow(t(' [주의]')),
+  high: chalk.red(t(' [위험]'))
+};
+
+/**
+ * 스트리밍 중 완성된 명령어를 바로 표시하는 함수 생성
+ * JSON 계획은 완성된 "command" 값을, 텍스트 응답은 완성된 git/gh 줄을 표시
+ * @returns {Function} onText(text) 콜백
+ */
+function createCommandPreview() {
+  let received = '';
+  let lineStart = 0;
+  let jsonIndex = 0;
+  const shown = new Set();
+
+  const show = (command) => {
+    if ((command.startsWith('git ') || command.startsWith('gh ')) && !shown.has(command)) {
+      shown.add(command);
+      spinner.log(chalk.gray(`  › ${command}`));
+    }
+  };
+
+  return (text) => {
+    received += text;
+
+    const pattern = /"command"\s*:\s*("(?:[^"\\]|\\.)*")/g;
+    pattern.lastIndex = jsonIndex;
+    let match;
+    while ((match = pattern.exec(received)) !== null) {
+      jsonIndex = pattern.lastIndex;
+      try {
+        show(JSON.parse(match[1]).trim());
+      } catch (error) {
+        // 잘못된 이스케이프는 무시 (최종 파싱에서 처리)
+      }
+    }
+
+    const end = received.lastIndexOf('\n');
+    if (end >= lineStart) {
+      received.slice(lineStart, end).split('\n').forEach(line => {
+        show(line.trim().replace(/^`+|`+$/g, ''));
+      });
+      lineStart = end + 1;
+    }
+  };
+}
+
+/**
+ * 생성 중 Ctrl+C 처리 - 요청을 취소하고 터미널 상태(커서, raw 모드) 복구
+ * @param {AbortController} controller - 요청 취소용 컨트롤러
+ * @returns {Function} 핸들러 해제 함수
+ */
+function handleGenerationInterrupt(controller) {
+  const onSigint = () => {
+    controller.abort();
+    spinner.stop();
+    if (process.stdin.isTTY && process.stdin.isRaw) {
+      process.stdin.setRawMode(false);
+    }
+  };
+  process.on('SIGINT', onSigint);
+  return () => process.removeListener('SIGINT', onSigint);
+}
+
+/**
+ * AI 응답 요청 (터미널에서는 스트리밍으로 받으면서 명령어를 바로 표시, Ctrl+C로 취소)
+ * @param {string|Array<Object>} prompt - 프롬프트 또는 대화 메시지 배열
+ * @param {Object} options - CLI 옵션 (model, stream)
+ * @param {Object} extra - generateCommand에 추가로 전달할 옵션 (provider, fallback 등)
+ */
+async function requestPlan(prompt, options, extra = {}) {
+  const streaming = options.stream !== false && spinner.isEnabled();
+  const controller = new AbortController();
+  const releaseInterrupt = handleGenerationInterrupt(controller);
+  try {
+    return await aiService.generateCommand(prompt, {
+      model: options.model,
+      stream: streaming,
+      onText: streaming ? createCommandPreview() : null,
+      signal: controller.signal,
+      responseSchema: promptTemplate.planSchema,
+      ...extra
+    });
+  } finally {
+    releaseInterrupt();
+    spinner.stop();
+  }
+}
+
+/**
+ * 추가 컨텍스트 수집 (--context 옵션 또는 설정에서 켠 경우만)
+ * 기본 프롬프트를 뺀 나머지 토큰 예산 안에서만 포함
+ * @param {string} basePrompt - 추가 컨텍스트 없이 만든 프롬프트
+ * @param {Object} gitStatus - executor.getGitStatus() 결과
+ * @param {Object} options - CLI 옵션
+ * @returns {Promise<Array<Object>>} buildPrompt()에 넘길 sections
+ */
+async function collectExtraContext(basePrompt, gitStatus, options) {
+  let ids = config.getContextProviders();
+  if (options.context === true) {
+    ids = gitContext.ids();
+  } else if (Array.isArray(options.context)) {
+    ids = options.context;
+  }
+  if (ids.length === 0 || !gitStatus.isGitRepository) {
+    return [];
+  }
+
+  const budget = config.getPromptTokenBudget();
+  const baseTokens = gitContext.estimateTokens(basePrompt);
+  const collected = await gitContext.collect(ids, { cwd: gitStatus.currentDir, budget: budget - baseTokens });
+
+  if (collected.sections.length > 0 && config.getOutputMode() === 'detail') {
+    console.log(chalk.white(t('📎 추가 컨텍스트: {ids}', { ids: collected.sections.map(section => section.id).join(', ') })));
+  }
+  if (config.getDebugMode()) {
+    console.log(chalk.magenta(t('\n🔍 [DEBUG] 추가 컨텍스트 (약 {baseTokens} / {budget} 토큰):', { baseTokens: (baseTokens + collected.tokens).toLocaleString(), budget: budget.toLocaleString() })));
+    collected.sections.forEach(section => {
+      const note = section.truncated ? t(' (예산에 맞춰 잘림)') : '';
+      console.log(chalk.magenta(t('   {icon} {name} - 약 {tokens} 토큰{note}', { icon: section.truncated ? '✂️ ' : '✅', name: section.name, tokens: section.tokens.toLocaleString(), note })));
+    });
+    collected.skipped.forEach(item => {
+      console.log(chalk.gray(t('   ⏭️  {name} - 제외: {reason}', { name: item.name, reason: item.reason })));
+    });
+  }
+  return collected.sections;
+}
+
+/**
+ * AI의 확인 질문을 선택 목록으로 표시
+ * @param {Object} question - { text, choices }
+ * @returns {Promise<string|null>} 사용자의 답 (취소하면 null)
+ */
+async function askClarifyingQuestion(question) {
+  console.log(chalk.cyan(`\n❓ ${question.text}`));
+
+  const choices = question.choices.map(choice => ({ name: choice, value: { answer: choice } }));
+  choices.push(
+    { name: t('✏️  직접 입력'), value: { action: 'input' } },
+    { name: t('❌ 취소'), value: { action: 'cancel' } }
+  );
+
+  const { selection } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'selection',
+      message: t('답을 선택하세요:'),
+      choices,
+      prefix: '',
+      suffix: ''
+    }
+  ]);
+
+  if (selection.action === 'cancel') {
+    return null;
+  }
+  if (selection.action === 'input') {
+    const { answer } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'answer',
+        message: t('답을 입력하세요:'),
+        validate: (input) => input.trim() ? true : t('답을 입력해주세요.'),
+        filter: (input) => input.trim(),
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+    return answer;
+  }
+  return selection.answer;
+}
+
+/**
+ * 명령어가 나올 때까지 같은 대화를 이어감 (질문에는 사용자의 답을, 형식 오류에는 형식 안내를 전달)
+ * 대화 기록은 응답한 플랫폼에 user/assistant 메시지로 그대로 전달됨
+ * @param {Object} conversation - { messages, result, plan, schema, clarify, outputMode, questionCount }
+ *                                진행하면서 messages, result, plan, questionCount가 갱신됨
+ * @param {Object} options - CLI 옵션
+ * @returns {Promise<boolean>} 사용자가 질문을 취소하면 false
+ */
+async function continuePlan(conversation, options) {
+  let formatRetryCount = 0;
+
+  while (conversation.plan.steps.length === 0) {
+    const { plan } = conversation;
+    let followUp;
+    if (plan.question) {
+      if (conversation.questionCount >= CLARIFY_LIMIT || !process.stdin.isTTY) {
+        break;
+      }
+      conversation.questionCount++;
+      const answer = await askClarifyingQuestion(plan.question);
+      if (answer === null) {
+        return false;
+      }
+      followUp = promptTemplate.buildAnswerPrompt(answer);
+    } else {
+      if (formatRetryCount >= FORMAT_RETRY_LIMIT) {
+        break;
+      }
+      formatRetryCount++;
+      console.log(chalk.yellow(t('🔁 응답에서 명령어를 찾지 못해 형식을 다시 요청합니다... ({formatRetryCount}/{FORMAT_RETRY_LIMIT})', { formatRetryCount, FORMAT_RETRY_LIMIT })));
+      if (conversation.outputMode === 'detail' && plan.errors.length > 0) {
+        plan.errors.slice(0, 3).forEach(error => console.log(chalk.gray(`   ${error}`)));
+      }
+      followUp = promptTemplate.buildCorrectionPrompt(plan.errors, { allowQuestions: conversation.clarify });
+    }
+
+    await sendFollowUp(conversation, followUp, options);
+  }
+  return true;
+}
+
+/**
+ * 이전 응답과 다음 요청을 대화에 추가하고 같은 플랫폼/모델에 다시 요청
+ * @param {Object} conversation - continuePlan()과 같은 대화 상태
+ * @param {string} followUp - 다음 대화 턴에 보낼 프롬프트
+ * @param {Object} options - CLI 옵션
+ */
+async function sendFollowUp(conversation, followUp, options) {
+  const { result, schema } = conversation;
+  conversation.messages.push(
+    { role: 'assistant', content: result.response },
+    { role: 'user', content: followUp }
+  );
+  conversation.result = await requestPlan(conversation.messages, options, {
+    provider: result.provider,
+    model: result.model,
+    fallback: false,
+    responseSchema: schema
+  });
+  conversation.plan = promptTemplate.parsePlan(conversation.result.response, {
+    structured: conversation.result.structured,
+    schema
+  });
+}
+
+/**
+ * 단계의 위험도 표시 (명령어 분류가 원격 변경 이상이면 그 분류, 아니면 AI가 준 위험도)
+ */
+function riskLabel(step) {
+  const level = riskAnalyzer.classify(step.command);
+  if (level && riskAnalyzer.rank(level) >= riskAnalyzer.rank('affects-remote')) {
+    return riskAnalyzer.label(level);
+  }
+  return RISK_LABELS[step.risk] || '';
+}
+
+/**
+ * 생성된 명령어 목록 출력
+ */
+function displaySteps(steps, outputMode) {
+  steps.forEach((step, index) => {
+    console.log(chalk.cyan(`${index + 1}. ${step.command}`) + riskLabel(step));
+    if (outputMode === 'detail') {
+      executor.displayStepDetails(step);
+    }
+  });
+}
+
+/**
+ * 이전 계획과 수정된 계획의 차이 출력
+ */
+function displayPlanDiff(oldSteps, newSteps, outputMode) {
+  const changes = diffPlans(oldSteps, newSteps);
+
+  console.log(chalk.green(t('\n✅ 수정된 명령어:')));
+  if (changes.every(change => change.type === 'same')) {
+    displaySteps(newSteps, outputMode);
+    console.log(chalk.gray(t('(이전 계획과 같습니다)')));
+    return;
+  }
+
+  changes.forEach(change => {
+    const label = riskLabel(change.step);
+    if (change.type === 'removed') {
+      console.log(chalk.red(`- ${change.index}. ${change.step.command}`));
+    } else if (change.type === 'added') {
+      console.log(chalk.green(`+ ${change.index}. ${change.step.command}`) + label);
+      if (outputMode === 'detail') {
+        executor.displayStepDetails(change.step);
+      }
+    } else {
+      console.log(chalk.gray(`  ${change.index}. ${change.step.command}`) + label);
+    }
+  });
+}
+
+/**
+ * 실행 전 검사 (위험할 수 있는 명령어, Git/gh 명령어가 아닌 항목)
+ * 걸린 단계는 실행 전에 한 번 더 확인하도록 위험도를 high로 올림
+ * @param {Array<Object>} steps - 명령어 단계
+ * @returns {Array<Object>} 위험도가 반영된 단계
+ */
+function reviewSteps(steps) {
+  const validation = promptTemplate.validateCommands(steps.map(step => step.command));
+  if (validation.flagged.length === 0) {
+    return steps;
+  }
+
+  console.log(chalk.yellow(t('\n⚠️  실행 전 확인이 필요한 명령어가 있습니다:')));
+  validation.issues.forEach(issue => console.log(chalk.red(`   ❌ ${issue}`)));
+  validation.warnings.forEach(warning => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+
+  return steps.map((step, index) => validation.flagged.includes(index) ? { ...step, risk: 'high' } : step);
+}
+
+/**
+ * 생성된 계획에 수정 요청을 이어서 보내는 루프 ("merge 대신 rebase로", "아직 push하지 마" 등)
+ * 처음 요청, Git 상태, 이전 계획이 담긴 같은 대화에 이어서 보내고, 바뀐 부분을 보여준 뒤 다시 확인
+ * @param {Object} conversation - continuePlan()과 같은 대화 상태
+ * @param {Object} options - CLI 옵션
+ * @returns {Promise<Array<Object>>} 최종 명령어 단계
+ */
+async function refinePlan(conversation, options) {
+  while (true) {
+    const { feedback } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'feedback',
+        message: t('✏️  수정할 내용 (Enter: 이대로 진행):'),
+        filter: (input) => input.trim(),
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+    if (!feedback) {
+      return conversation.plan.steps;
+    }
+
+    // 수정에 실패하면 대화와 계획을 수정 전으로 되돌림
+    const previous = {
+      messageCount: conversation.messages.length,
+      result: conversation.result,
+      plan: conversation.plan
+    };
+    const rollback = () => {
+      console.log(chalk.yellow(t('⚠️  수정된 명령어를 만들지 못해 이전 계획을 유지합니다.')));
+      conversation.messages.length = previous.messageCount;
+      conversation.result = previous.result;
+      conversation.plan = previous.plan;
+    };
+
+    // 네트워크 오류, API 오류, Ctrl+C로 요청이 실패해도 이미 만든 계획은 버리지 않음
+    let completed;
+    try {
+      await sendFollowUp(conversation, promptTemplate.buildRefinePrompt(feedback), options);
+      completed = await continuePlan(conversation, options);
+    } catch (error) {
+      if (!aiService.isCanceled(error)) {
+        console.log(chalk.gray(error.message));
+      }
+      rollback();
+      continue;
+    }
+
+    if (!completed || conversation.plan.steps.length === 0) {
+      rollback();
+      continue;
+    }
+
+    displayPlanDiff(previous.plan.steps, conversation.plan.steps, conversation.outputMode);
+  }
+}
 
 /**
  * 메인 Git 명령어 생성 및 실행 함수
  */
 async function executeGitCommand(promptArg, options) {
+  // AI 호출 실패 시 입력한 요청을 다시 사용하기 위해 보관
+  let userPrompt;
+  let generated = false;
   try {
     // 출력 모드 확인
     const outputMode = config.getOutputMode();
@@ -35,7 +420,7 @@ async function executeGitCommand(promptArg, options) {
     
     if (outputMode === 'detail') {
       console.log(chalk.white('─────────────────────────────────────────────'));
-      console.log(chalk.white('🚀 rltgjqm CLI 시작'));
+      console.log(chalk.white(t('🚀 rltgjqm CLI 시작')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       
       // 현재 Git 상태 확인 및 표시
@@ -48,7 +433,7 @@ async function executeGitCommand(promptArg, options) {
     // API 키 자동 확인 및 설정
     const apiKey = await config.ensureApiKey();
     if (!apiKey) {
-      console.log(chalk.yellow('⚠️  API 키 설정이 완료되지 않았습니다. 프로그램을 종료합니다.'));
+      console.log(chalk.yellow(t('⚠️  API 키 설정이 완료되지 않았습니다. 프로그램을 종료합니다.')));
       return false;
     }
 
@@ -62,7 +447,6 @@ async function executeGitCommand(promptArg, options) {
     if (options.dryRun) mode = 'dry';
 
     // 프롬프트 입력 받기
-    let userPrompt;
     if (promptArg) {
       userPrompt = promptArg;
     } else {
@@ -70,15 +454,15 @@ async function executeGitCommand(promptArg, options) {
         {
           type: 'input',
           name: 'userInput',
-          message: '어떤 Git 작업을 하고 싶으신가요?',
+          message: t('어떤 Git 작업을 하고 싶으신가요?'),
           validate: (input) => {
             // 한글 입력 최적화: 입력 완료 후에만 검증
             if (input === '') {
-              return '프롬프트를 입력해주세요.';
+              return t('프롬프트를 입력해주세요.');
             }
             const trimmed = input.trim();
             if (trimmed.length === 0) {
-              return '프롬프트를 입력해주세요.';
+              return t('프롬프트를 입력해주세요.');
             }
             return true;
           },
@@ -93,78 +477,193 @@ async function executeGitCommand(promptArg, options) {
     }
 
     if (outputMode === 'detail') {
-      console.log(chalk.white('\n📝 명령어 생성 중...'));
-      console.log(chalk.white(`모드: ${mode}`));
+      console.log(chalk.white(t('\n📝 명령어 생성 중...')));
+      console.log(chalk.white(t('모드: {mode}', { mode })));
+      if (options.model) {
+        console.log(chalk.white(t('모델 (이번만): {model}', { model: options.model })));
+      }
     } else {
-      console.log(chalk.white('📝 생성 중...'));
+      console.log(chalk.white(t('📝 생성 중...')));
     }
 
     // 현재 Git 상태 확인 (simple 모드에서도 필요하지만 표시하지 않음)
     const gitStatus = await executor.getGitStatus();
 
-    // 프롬프트 템플릿 생성
-    const fullPrompt = promptTemplate.buildPrompt(userPrompt, mode, gitStatus);
+    // 대화 모드: 모호한 요청이면 AI가 먼저 질문 (--ask 또는 설정)
+    const clarify = !!options.ask || config.getClarifyMode();
+    const schema = clarify ? promptTemplate.dialogueSchema : promptTemplate.planSchema;
+
+    // 사용자 템플릿과 프로젝트 규칙 (~/.rltgjqm/templates/, .rltgjqm.json, .rltgjqm.md)
+    const project = projectConfig.load(gitStatus.repoRoot);
+    if (project.sources.length > 0) {
+      if (outputMode === 'detail') {
+        console.log(chalk.white(t('📐 프롬프트 설정: {files}', { files: project.sources.map(source => path.basename(source)).join(', ') })));
+      }
+      if (config.getDebugMode()) {
+        console.log(chalk.magenta(t('\n🔍 [DEBUG] 프롬프트 설정 파일:')));
+        project.sources.forEach(source => console.log(chalk.gray(`   - ${source}`)));
+      }
+    }
+
+    // 프롬프트 템플릿 생성 (추가 컨텍스트는 남은 토큰 예산만큼)
+    const promptOptions = { allowQuestions: clarify, project };
+    const basePrompt = promptTemplate.buildPrompt(userPrompt, mode, gitStatus, promptOptions);
+    const extraContext = await collectExtraContext(basePrompt, gitStatus, options);
+    const fullPrompt = extraContext.length > 0
+      ? promptTemplate.buildPrompt(userPrompt, mode, gitStatus, { ...promptOptions, context: extraContext })
+      : basePrompt;
     
-    // AI API 호출
-    const result = await aiService.generateCommand(fullPrompt);
-    const response = result.response;
-    const usageInfo = result.usageInfo;
+    // 같은 요청 + 같은 저장소 상태면 캐시된 응답 사용 (--no-cache로 건너뜀)
+    const aiConfig = aiService.getConfig();
+    const cacheKey = options.cache !== false && responseCache.getSettings().enabled
+      ? responseCache.buildKey({
+        prompt: userPrompt,
+        mode: clarify ? `${mode}:ask` : mode,
+        provider: aiConfig.provider,
+        model: options.model || aiService.getModelName(aiConfig.provider, aiConfig),
+        gitStatus,
+        context: [projectConfig.signature(project), ...extraContext.map(section => section.text)].join('\n'),
+        language: i18n.getLanguage()
+      })
+      : null;
+    let result = cacheKey ? responseCache.get(cacheKey) : null;
+
+    if (result) {
+      const minutes = Math.floor((Date.now() - new Date(result.createdAt).getTime()) / 60000);
+      console.log(chalk.cyan(t('💾 캐시된 응답 사용 ({age}, {name})', { age: minutes > 0 ? t('{minutes}분 전', { minutes }) : t('방금 전'), name: providers.getName(result.provider) })));
+      if (outputMode === 'detail') {
+        console.log(chalk.white(t('새로 생성하려면 --no-cache 옵션을 사용하세요.')));
+      }
+      usageTracker.recordCacheHit(result.usageInfo);
+    } else {
+      result = await requestPlan(fullPrompt, options, { responseSchema: schema });
+      if (cacheKey) {
+        usageTracker.recordCacheMiss();
+      }
+    }
     
-    // 응답에서 명령어 추출
-    const commands = promptTemplate.parseCommands(response);
+    // 응답에서 명령어 계획 추출 (스키마를 강제한 응답은 JSON 검증만, 나머지는 텍스트 추출로 대체)
+    const conversation = {
+      messages: [{ role: 'user', content: fullPrompt }],
+      result,
+      plan: promptTemplate.parsePlan(result.response, { structured: result.structured, schema }),
+      schema,
+      clarify,
+      outputMode,
+      questionCount: 0
+    };
+    if (!(await continuePlan(conversation, options))) {
+      console.log(chalk.yellow(t('🛑 명령어 생성을 중단했습니다.')));
+      return false;
+    }
+    generated = true;
+    result = conversation.result;
+    const plan = conversation.plan;
+    let steps = plan.steps;
     
-    if (commands.length === 0) {
-      console.log(chalk.yellow('⚠️  명령어를 생성할 수 없습니다.'));
-      console.log(chalk.white('다른 방식으로 설명해보세요.'));
+    // 질문이 끝나지 않은 경우 (터미널이 아니거나 질문 횟수 초과)
+    if (steps.length === 0 && plan.question) {
+      console.log(chalk.yellow(t('\n❓ AI 질문: {text}', { text: plan.question.text })));
+      plan.question.choices.forEach(choice => console.log(chalk.white(`   - ${choice}`)));
+      console.log(chalk.white(t('답을 포함해서 다시 요청해보세요.')));
       return false;
     }
 
+    if (steps.length === 0) {
+      console.log(chalk.yellow(t('⚠️  명령어를 생성할 수 없습니다.')));
+      if (plan.errors.length > 0 && (outputMode === 'detail' || config.getDebugMode())) {
+        console.log(chalk.white(t('응답 형식 오류:')));
+        plan.errors.slice(0, 5).forEach(error => console.log(chalk.gray(`   ${error}`)));
+      }
+
+      // AI가 되물은 경우(어느 브랜치인지 등)를 확인할 수 있도록 마지막 응답 원문 표시
+      console.log(chalk.white(t('\n💬 AI 응답 원문:')));
+      console.log(chalk.gray('─'.repeat(50)));
+      console.log((result.response || '').trim() || chalk.gray(t('(빈 응답)')));
+      console.log(chalk.gray('─'.repeat(50)));
+      console.log(chalk.white(t('AI가 질문을 했다면 답을 포함해서 다시 요청해보세요.')));
+      return false;
+    }
+
+    // 명령어를 얻은 응답만 저장 (캐시에서 가져온 응답은 유지 시간을 늘리지 않음, 질문에 답한 결과는 저장하지 않음)
+    if (cacheKey && !result.createdAt && conversation.questionCount === 0) {
+      responseCache.set(cacheKey, result);
+    }
+
     // 명령어 출력
     if (outputMode === 'simple') {
-      console.log(chalk.green('✅ 생성된 명령어:'));
+      console.log(chalk.green(t('✅ 생성된 명령어:')));
     } else {
-      console.log(chalk.green('\n✅ 생성된 명령어:'));
+      console.log(chalk.green(t('\n✅ 생성된 명령어:')));
+    }
+    displaySteps(steps, outputMode);
+
+    // 실행 전에 수정 요청 받기 (자동 실행 모드, 터미널이 아닌 환경, --no-refine은 제외)
+    if (mode !== 'auto' && options.refine !== false && process.stdin.isTTY) {
+      steps = await refinePlan(conversation, options);
     }
-    commands.forEach((cmd, index) => {
-      console.log(chalk.cyan(`${index + 1}. ${cmd}`));
-    });
+
+    steps = reviewSteps(steps);
 
     // 실행 모드에 따른 처리
     if (mode === 'dry') {
       if (outputMode === 'simple') {
-        console.log(chalk.yellow('🧪 미리보기 모드 (실행되지 않음)'));
+        console.log(chalk.yellow(t('🧪 미리보기 모드 (실행되지 않음)')));
       } else {
-        console.log(chalk.yellow('\n🧪 드라이런 모드: 명령어를 실행하지 않습니다.'));
-        console.log(chalk.white('실행하려면 --auto 또는 --interactive 옵션을 사용하세요.'));
+        console.log(chalk.yellow(t('\n🧪 드라이런 모드: 명령어를 실행하지 않습니다.')));
+        console.log(chalk.white(t('실행하려면 --auto 또는 --interactive 옵션을 사용하세요.')));
       }
     } else if (mode === 'auto') {
       if (outputMode === 'detail') {
-        console.log(chalk.white('\n🔄 자동 실행 모드: 모든 명령어를 순서대로 실행합니다.'));
+        console.log(chalk.white(t('\n🔄 자동 실행 모드: 모든 명령어를 순서대로 실행합니다.')));
       }
-      const results = await executor.executeMultipleCommands(commands, { mode: 'auto' });
+      const results = await executor.executeMultipleCommands(steps, { mode: 'auto' });
       executor.printExecutionSummary(results);
     } else if (mode === 'interactive') {
       if (outputMode === 'detail') {
-        console.log(chalk.white('\n🔍 인터랙티브 모드: 각 명령어를 개별적으로 확인합니다.'));
+        console.log(chalk.white(t('\n🔍 인터랙티브 모드: 각 명령어를 개별적으로 확인합니다.')));
       }
-      const results = await executor.executeMultipleCommands(commands, { mode: 'interactive' });
+      const results = await executor.executeMultipleCommands(steps, { mode: 'interactive' });
       executor.printExecutionSummary(results);
     }
     
     if (outputMode === 'detail') {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.green('🎉 완료!'));
+      console.log(chalk.green(t('🎉 완료!')));
       console.log(chalk.white('─────────────────────────────────────────────'));
     }
     return true;
     
   } catch (error) {
+    if (aiService.isCanceled(error)) {
+      console.log(chalk.yellow(t('\n⏹️  명령어 생성을 취소했습니다.')));
+      return false;
+    }
+
     console.log(chalk.white('\n─────────────────────────────────────────────'));
-    console.error(chalk.red('❌ 오류 발생:'), error.message);
+    console.error(chalk.red(t('❌ 오류 발생:')), error.message);
     if (error.response) {
-      console.error(chalk.red('API 응답:'), error.response.data);
+      console.error(chalk.red(t('API 응답:')), error.response.data);
     }
     console.log(chalk.white('─────────────────────────────────────────────'));
+
+    // AI 호출 단계에서 실패한 경우 입력한 요청을 그대로 다시 시도
+    if (userPrompt && !generated && process.stdin.isTTY) {
+      console.log(chalk.white(t('💬 입력한 요청: {userPrompt}', { userPrompt })));
+      const { retry } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'retry',
+          message: t('같은 요청으로 다시 시도하시겠습니까?'),
+          default: true,
+          prefix: '',
+          suffix: ''
+        }
+      ]);
+      if (retry) {
+        return await executeGitCommand(userPrompt, options);
+      }
+    }
     return false;
   }
 }
@@ -185,16 +684,16 @@ async function showMainMenu() {
     return await showMainMenu();
   }
   
-  const platformNames = {
-    'chatgpt': 'ChatGPT',
-    'gemini': 'Gemini'
-  };
+  const platformNames = {};
+  providers.list().forEach(provider => {
+    platformNames[provider.id] = provider.shortName;
+  });
 
   while (true) {
     // 메뉴 표시 전 화면 클리어 및 상태 재표시
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('🚀 rltgjqm - Git 명령어 생성 도구'));
+    console.log(chalk.white(t('🚀 rltgjqm - Git 명령어 생성 도구')));
     console.log(chalk.white('─────────────────────────────────────────────'));
 
     // 현재 Git 상태 확인 및 표시
@@ -205,7 +704,7 @@ async function showMainMenu() {
     
     // 현재 AI 플랫폼 정보 표시
     const currentConfigStatus = config.checkConfigStatus();
-    console.log(chalk.green(`✅ AI 플랫폼: ${platformNames[currentConfigStatus.provider] || currentConfigStatus.provider}`));
+    console.log(chalk.green(t('✅ AI 플랫폼: {platform}', { platform: platformNames[currentConfigStatus.provider] || currentConfigStatus.provider })));
     
     // 사용량 정보 표시
     const currentUsageBrief = usageTracker.displayUsageBrief(currentConfigStatus.provider);
@@ -214,10 +713,10 @@ async function showMainMenu() {
     }
 
     const choices = [
-      { name: '⚙️  Run 방식 설정하기', value: 'executionMode' },
-      { name: '🔧 설정 관리', value: 'config' },
-      { name: '📖 도움말', value: 'help' },
-      { name: '❌ 종료', value: 'exit' }
+      { name: t('⚙️  Run 방식 설정하기'), value: 'executionMode' },
+      { name: t('🔧 설정 관리'), value: 'config' },
+      { name: t('📖 도움말'), value: 'help' },
+      { name: t('❌ 종료'), value: 'exit' }
     ];
 
     const { selection: action } = await inquirer.prompt([
@@ -245,7 +744,7 @@ async function showMainMenu() {
         break;
       case 'exit':
         console.log(chalk.white('─────────────────────────────────────────────'));
-        console.log(chalk.white('👋 안녕히 가세요!'));
+        console.log(chalk.white(t('👋 안녕히 가세요!')));
         console.log(chalk.white('─────────────────────────────────────────────'));
         process.exit(0);
     }
@@ -258,7 +757,7 @@ async function showMainMenu() {
 async function showGenerateMenu() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.white('🚀 Git 명령어 생성 모드'));
+  console.log(chalk.white(t('🚀 Git 명령어 생성 모드')));
   console.log(chalk.white('─────────────────────────────────────────────'));
 
   // 현재 Git 상태 확인 및 표시
@@ -268,17 +767,17 @@ async function showGenerateMenu() {
   console.log(chalk.white('─────────────────────────────────────────────'));
 
   const choices = [
-    { name: '🚀 바로 실행 모드', value: 'auto' },
-    { name: '🔍 단계별 확인 모드', value: 'interactive' },
-    { name: '👀 미리보기 모드 (실행 안함)', value: 'dry' },
-    { name: '↩️  메인 메뉴로', value: 'back' }
+    { name: t('🚀 바로 실행 모드'), value: 'auto' },
+    { name: t('🔍 단계별 확인 모드'), value: 'interactive' },
+    { name: t('👀 미리보기 모드 (실행 안함)'), value: 'dry' },
+    { name: t('↩️  메인 메뉴로'), value: 'back' }
   ];
 
   const { selection: mode } = await inquirer.prompt([
     {
       type: 'list',
       name: 'selection',
-      message: '실행 모드를 선택하세요:',
+      message: t('실행 모드를 선택하세요:'),
       choices,
       prefix: '',
       suffix: ''
@@ -310,6 +809,116 @@ async function showConfigMenuWrapper() {
   }
 }
 
+/**
+ * 스냅샷 복원 시 바뀌는 브랜치/태그/HEAD 표시
+ * @param {Array<Object>} changes - snapshot.compare() 결과
+ */
+function displaySnapshotChanges(changes) {
+  const short = (value) => value.startsWith('refs/heads/') ? value.slice('refs/heads/'.length) : value.slice(0, 7);
+  const labels = { branch: t('브랜치'), tag: t('태그') };
+
+  changes.forEach(change => {
+    if (change.type === 'head') {
+      console.log(chalk.white(`   📍 HEAD: ${short(change.from || '')} → ${short(change.to)}`));
+    } else if (!change.to) {
+      console.log(chalk.red(t('   🗑️  {type} {name} 삭제 (스냅샷 이후에 생김)', { type: labels[change.type], name: change.name })));
+    } else if (!change.from) {
+      console.log(chalk.green(t('   ➕ {type} {name} 복원 ({to})', { type: labels[change.type], name: change.name, to: short(change.to) })));
+    } else {
+      console.log(chalk.yellow(`   🔀 ${labels[change.type]} ${change.name}: ${short(change.from)} → ${short(change.to)}`));
+    }
+  });
+  console.log(chalk.white(t('   📝 인덱스와 작업 트리를 스냅샷 시점으로 되돌림')));
+}
+
+/**
+ * 실행 전 스냅샷으로 되돌리기 (rltgjqm undo)
+ * @param {string} id - 스냅샷 ID (없으면 가장 최근 스냅샷)
+ * @param {Object} options - { list: 목록에서 선택 }
+ */
+async function undoSnapshot(id, options = {}) {
+  let snapshots;
+  try {
+    snapshots = await snapshot.list();
+  } catch (error) {
+    console.error(chalk.red(t('❌ Git 저장소가 아닙니다.')));
+    return;
+  }
+
+  if (snapshots.length === 0) {
+    console.log(chalk.yellow(t('⚠️  저장된 스냅샷이 없습니다.')));
+    console.log(chalk.white(t('자동 실행이나 단계별 확인 모드로 명령어를 실행하면 실행 전 상태가 저장됩니다.')));
+    return;
+  }
+
+  let target = snapshots[0];
+  if (id) {
+    target = snapshots.find(item => item.id === id);
+    if (!target) {
+      console.error(chalk.red(t('❌ 스냅샷을 찾을 수 없습니다: {id}', { id })));
+      console.log(chalk.white(t('rltgjqm undo --list 로 저장된 스냅샷을 확인하세요.')));
+      return;
+    }
+  } else if (options.list) {
+    const { selected } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'selected',
+        message: t('되돌릴 시점을 선택하세요:'),
+        choices: [
+          ...snapshots.map(item => ({ name: snapshot.describe(item), value: item })),
+          { name: t('❌ 취소'), value: null }
+        ],
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+    if (!selected) {
+      return;
+    }
+    target = selected;
+  }
+
+  // rebase/merge 등이 진행 중이면 HEAD와 인덱스를 바꾸면 안 됨
+  const inProgress = executor.detectInProgressOperation(await snapshot.gitDir());
+  if (inProgress) {
+    const operation = promptTemplate.getInProgressOperation(inProgress.type);
+    console.error(chalk.red(t('❌ 진행 중인 {name} 작업이 있습니다. 먼저 끝내거나 {abort} 명령어로 중단하세요.', { name: operation.name, abort: operation.abort })));
+    return;
+  }
+
+  console.log(chalk.white('\n─────────────────────────────────────────────'));
+  console.log(chalk.white(t('⏪ 되돌릴 시점: {snapshot}', { snapshot: snapshot.describe(target) })));
+  (target.commands || []).forEach(command => console.log(chalk.gray(`   - ${command}`)));
+  console.log(chalk.white('─────────────────────────────────────────────'));
+  displaySnapshotChanges(await snapshot.compare(target));
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: t('이 시점으로 되돌리시겠습니까? (지금 상태도 스냅샷으로 저장됩니다)'),
+      default: false,
+      prefix: '',
+      suffix: ''
+    }
+  ]);
+  if (!confirm) {
+    console.log(chalk.yellow(t('취소되었습니다.')));
+    return;
+  }
+
+  try {
+    const backup = await snapshot.restore(target);
+    console.log(chalk.green(t('✅ {id} 시점으로 되돌렸습니다.', { id: target.id })));
+    if (backup) {
+      console.log(chalk.gray(t('되돌리기 전 상태: {backup} (rltgjqm undo {backup} 로 다시 복원)', { backup })));
+    }
+  } catch (error) {
+    console.error(chalk.red(t('❌ 되돌리기 실패:')), error.message);
+  }
+}
+
 /**
  * 도움말 표시
  */
@@ -317,35 +926,46 @@ async function showHelp() {
   // 완전히 새로운 화면으로 도움말 표시
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.white('📖 rltgjqm 사용법'));
+  console.log(chalk.white(t('📖 rltgjqm 사용법')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
-  console.log(chalk.yellow('\n명령행에서 직접 사용:'));
-  console.log(chalk.cyan('  rltgjqm "새 브랜치 만들어줘"       # 기본 모드로 실행'));
-  console.log(chalk.cyan('  rltgjqm "커밋하고 푸시해줘" --auto # 이번만 자동 실행'));
-  console.log(chalk.cyan('  rltgjqm "변경사항 되돌려줘" -i    # 이번만 단계별 확인'));
-  console.log(chalk.cyan('  깃허브 "새 브랜치 만들어줘"       # 한글 명령어'));
-  
-  console.log(chalk.yellow('\n설정 관리:'));
-  console.log(chalk.cyan('  rltgjqm config                   # 설정 메뉴'));
-  console.log(chalk.cyan('  rltgjqm -a                       # 기본 모드: 자동 실행'));
-  console.log(chalk.cyan('  rltgjqm -i                       # 기본 모드: 단계별 확인'));
-  console.log(chalk.cyan('  rltgjqm --dry                    # 기본 모드: 미리보기'));
-  console.log(chalk.cyan('  rltgjqm -d                       # 출력 모드: 상세'));
-  console.log(chalk.cyan('  rltgjqm -s                       # 출력 모드: 간단'));
-  console.log(chalk.cyan('  rltgjqm --debug                  # 프롬프트 디버그 모드 전환'));
-  
-  console.log(chalk.yellow('\n옵션 (일회성):'));
-  console.log(chalk.white('  -a, --auto         이번만 자동으로 실행'));
-  console.log(chalk.cyan('                     예: rltgjqm "커밋하고 푸시" --auto'));
-  console.log(chalk.white('  -i, --interactive  이번만 단계별 확인'));
-  console.log(chalk.cyan('                     예: rltgjqm "브랜치 삭제" -i'));
-  console.log(chalk.white('  --dry-run          이번만 미리보기'));
-  console.log(chalk.cyan('                     예: rltgjqm "새 브랜치 만들어" --dry-run'));
-  console.log(chalk.white('  -h, --help         도움말 출력'));
-
-  console.log(chalk.yellow('\n💡 설정된 기본 모드가 사용되며, 옵션으로 일회성 변경 가능'));
-  console.log(chalk.white('지원되는 AI 플랫폼: ChatGPT, Gemini'));
+  console.log(chalk.yellow(t('\n명령행에서 직접 사용:')));
+  console.log(chalk.cyan(t('  rltgjqm "새 브랜치 만들어줘"       # 기본 모드로 실행')));
+  console.log(chalk.cyan(t('  rltgjqm "커밋하고 푸시해줘" --auto # 이번만 자동 실행')));
+  console.log(chalk.cyan(t('  rltgjqm "변경사항 되돌려줘" -i    # 이번만 단계별 확인')));
+  console.log(chalk.cyan(t('  깃허브 "새 브랜치 만들어줘"       # 한글 명령어')));
+  console.log(chalk.cyan(t('  rltgjqm undo                     # 마지막 실행 전 상태로 되돌리기')));
+  console.log(chalk.cyan(t('  rltgjqm undo --list              # 저장된 스냅샷에서 골라 되돌리기')));
+  
+  console.log(chalk.yellow(t('\n설정 관리:')));
+  console.log(chalk.cyan(t('  rltgjqm config                   # 설정 메뉴')));
+  console.log(chalk.cyan(t('  rltgjqm -a                       # 기본 모드: 자동 실행')));
+  console.log(chalk.cyan(t('  rltgjqm -i                       # 기본 모드: 단계별 확인')));
+  console.log(chalk.cyan(t('  rltgjqm --dry                    # 기본 모드: 미리보기')));
+  console.log(chalk.cyan(t('  rltgjqm -d                       # 출력 모드: 상세')));
+  console.log(chalk.cyan(t('  rltgjqm -s                       # 출력 모드: 간단')));
+  console.log(chalk.cyan(t('  rltgjqm --debug                  # 프롬프트 디버그 모드 전환')));
+  
+  console.log(chalk.yellow(t('\n옵션 (일회성):')));
+  console.log(chalk.white(t('  -a, --auto         이번만 자동으로 실행')));
+  console.log(chalk.cyan(t('                     예: rltgjqm "커밋하고 푸시" --auto')));
+  console.log(chalk.white(t('  -i, --interactive  이번만 단계별 확인')));
+  console.log(chalk.cyan(t('                     예: rltgjqm "브랜치 삭제" -i')));
+  console.log(chalk.white(t('  --dry-run          이번만 미리보기')));
+  console.log(chalk.cyan(t('                     예: rltgjqm "새 브랜치 만들어" --dry-run')));
+  console.log(chalk.white(t('  -m, --model <모델> 이번만 다른 모델 사용')));
+  console.log(chalk.cyan(t('                     예: rltgjqm "리베이스 해줘" -m gpt-4o')));
+  console.log(chalk.white(t('  --no-stream        스트리밍 없이 전체 응답 받기')));
+  console.log(chalk.white(t('  --no-cache         캐시된 응답 대신 새로 생성')));
+  console.log(chalk.white(t('  --ask              모호하면 AI가 먼저 질문')));
+  console.log(chalk.cyan(t('                     예: rltgjqm "브랜치 정리해줘" --ask')));
+  console.log(chalk.white(t('  --no-refine        생성 후 수정 요청 단계 건너뛰기')));
+  console.log(chalk.white(t('  --context [목록]   diff 요약/최근 커밋/스테이징된 diff 포함')));
+  console.log(chalk.cyan(t('                     예: rltgjqm "방금 고친 거 커밋해줘" --context stat,diff')));
+  console.log(chalk.white(t('  -h, --help         도움말 출력')));
+
+  console.log(chalk.yellow(t('\n💡 설정된 기본 모드가 사용되며, 옵션으로 일회성 변경 가능')));
+  console.log(chalk.white(t('지원되는 AI 플랫폼: {names}', { names: providers.list().map(provider => t(provider.name)).join(', ') })));
   
   console.log(chalk.white('\n─────────────────────────────────────────────'));
   
@@ -354,7 +974,7 @@ async function showHelp() {
     {
       type: 'input',
       name: 'continue',
-      message: '메인 메뉴로 돌아가려면 Enter를 누르세요...',
+      message: t('메인 메뉴로 돌아가려면 Enter를 누르세요...'),
       prefix: '',
       suffix: ''
     }
@@ -369,185 +989,186 @@ async function showHelp() {
 async function testColors() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('🎨 UI/UX 색상 테스트 - 실제 사용 중인 모든 UI'));
+  console.log(chalk.magenta(t('🎨 UI/UX 색상 테스트 - 실제 사용 중인 모든 UI')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   // 구분선들
-  console.log(chalk.white('\n📏 구분선 스타일:'));
+  console.log(chalk.white(t('\n📏 구분선 스타일:')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   console.log(chalk.white('─────────────────────────────────────────────'));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   // 헤더/타이틀 메시지들
-  console.log(chalk.white('\n📋 헤더 및 타이틀:'));
-  console.log(chalk.white('🚀 rltgjqm CLI 시작'));
-  console.log(chalk.white('🚀 rltgjqm - Git 명령어 생성 도구'));
-  console.log(chalk.white('🚀 Git 명령어 생성 모드'));
-  console.log(chalk.white('📖 rltgjqm 사용법'));
-  console.log(chalk.white('           🤖 AI 플랫폼 선택 및 설정'));
-  console.log(chalk.white('            🔑 ChatGPT (OpenAI) API 키 설정'));
-  console.log(chalk.white('            🔑 Gemini API 키 설정'));
-  console.log(chalk.magenta('🐛 디버깅 메뉴 (개발용)'));
-  console.log(chalk.magenta('📊 시스템 상태 확인'));
+  console.log(chalk.white(t('\n📋 헤더 및 타이틀:')));
+  console.log(chalk.white(t('🚀 rltgjqm CLI 시작')));
+  console.log(chalk.white(t('🚀 rltgjqm - Git 명령어 생성 도구')));
+  console.log(chalk.white(t('🚀 Git 명령어 생성 모드')));
+  console.log(chalk.white(t('📖 rltgjqm 사용법')));
+  console.log(chalk.white(t('           🤖 AI 플랫폼 선택 및 설정')));
+  console.log(chalk.white(t('            🔑 ChatGPT (OpenAI) API 키 설정')));
+  console.log(chalk.white(t('            🔑 Gemini API 키 설정')));
+  console.log(chalk.magenta(t('🐛 디버깅 메뉴 (개발용)')));
+  console.log(chalk.magenta(t('📊 시스템 상태 확인')));
   
   // 진행 상태 메시지들
-  console.log(chalk.white('\n⏳ 진행 상태 메시지:'));
-  console.log(chalk.white('🤖 AI 명령어 생성 중...'));
-  console.log(chalk.white('🤖 Gemini API 호출 중...'));
-  console.log(chalk.white('🔑 ChatGPT (OpenAI) API 키 유효성 검사 중...'));
-  console.log(chalk.white('🔑 Gemini (Google) API 키 유효성 검사 중...'));
-  console.log(chalk.white('\n🔍 API 키 유효성 검사 중...'));
-  console.log(chalk.white('📝 명령어 생성 중...'));
-  console.log(chalk.white('🔄 명령어 실행 중...'));
-  console.log(chalk.white('\n🚀 자동 실행 모드 시작'));
-  console.log(chalk.white('\n🔍 인터랙티브 모드 시작'));
-  console.log(chalk.white('🔍 연결 테스트 중...'));
+  console.log(chalk.white(t('\n⏳ 진행 상태 메시지:')));
+  console.log(chalk.white(t('🤖 AI 명령어 생성 중...')));
+  console.log(chalk.white(t('🤖 Gemini API 호출 중...')));
+  console.log(chalk.white(t('🔑 ChatGPT (OpenAI) API 키 유효성 검사 중...')));
+  console.log(chalk.white(t('🔑 Gemini (Google) API 키 유효성 검사 중...')));
+  console.log(chalk.white(t('\n🔍 API 키 유효성 검사 중...')));
+  console.log(chalk.white(t('📝 명령어 생성 중...')));
+  console.log(chalk.white(t('🔄 명령어 실행 중...')));
+  console.log(chalk.white(t('\n🚀 자동 실행 모드 시작')));
+  console.log(chalk.white(t('\n🔍 인터랙티브 모드 시작')));
+  console.log(chalk.white(t('🔍 연결 테스트 중...')));
   
   // 성공 메시지들
-  console.log(chalk.white('\n✅ 성공 메시지:'));
-  console.log(chalk.green('✅ ChatGPT (OpenAI) API 키가 유효합니다.'));
-  console.log(chalk.green('✅ Gemini (Google) API 키가 유효합니다.'));
-  console.log(chalk.green('✅ API 응답 받음'));
-  console.log(chalk.green('✅ ChatGPT 응답 받음'));
-  console.log(chalk.green('✅ Gemini 응답 받음'));
-  console.log(chalk.green('✅ 명령어가 성공적으로 실행되었습니다.'));
-  console.log(chalk.green('✅ AI 설정이 저장되었습니다: ~/.rltgjqm/config.json'));
-  console.log(chalk.green('✅ API 키가 저장되었습니다: ~/.rltgjqm/.env'));
-  console.log(chalk.green('✅ ChatGPT (OpenAI) 설정이 완료되었습니다!'));
-  console.log(chalk.green('✅ Git 레포지토리: rltgjqm'));
-  console.log(chalk.green('✅ AI 플랫폼: ChatGPT'));
-  console.log(chalk.green('\n✅ 생성된 명령어:'));
-  console.log(chalk.green('🎉 완료!'));
+  console.log(chalk.white(t('\n✅ 성공 메시지:')));
+  console.log(chalk.green(t('✅ ChatGPT (OpenAI) API 키가 유효합니다.')));
+  console.log(chalk.green(t('✅ Gemini (Google) API 키가 유효합니다.')));
+  console.log(chalk.green(t('✅ API 응답 받음')));
+  console.log(chalk.green(t('✅ ChatGPT 응답 받음')));
+  console.log(chalk.green(t('✅ Gemini 응답 받음')));
+  console.log(chalk.green(t('✅ 명령어가 성공적으로 실행되었습니다.')));
+  console.log(chalk.green(t('✅ AI 설정이 저장되었습니다: ~/.rltgjqm/config.json')));
+  console.log(chalk.green(t('✅ API 키가 저장되었습니다: ~/.rltgjqm/.env')));
+  console.log(chalk.green(t('✅ ChatGPT (OpenAI) 설정이 완료되었습니다!')));
+  console.log(chalk.green(t('✅ Git 레포지토리: rltgjqm')));
+  console.log(chalk.green(t('✅ AI 플랫폼: ChatGPT')));
+  console.log(chalk.green(t('\n✅ 생성된 명령어:')));
+  console.log(chalk.green(t('🎉 완료!')));
   
   // 오류 메시지들
-  console.log(chalk.white('\n❌ 오류 메시지:'));
-  console.log(chalk.red('❌ ChatGPT (OpenAI) API 키가 유효하지 않습니다.'));
-  console.log(chalk.red('❌ Gemini (Google) API 키가 유효하지 않습니다.'));
-  console.log(chalk.red('\n❌ API 키 유효성 검사에 실패했습니다.'));
-  console.log(chalk.red('❌ 명령어 실행 실패. 남은 명령어 3개를 건너뜁니다.'));
-  console.log(chalk.red('❌ 사용자가 실행을 중단했습니다.'));
-  console.log(chalk.red('❌ Git 레포지토리가 아닙니다'));
-  console.log(chalk.red('❌ 실패: 2개'));
-  console.log(chalk.red('❌ API 키 설정 저장 실패: permission denied'));
+  console.log(chalk.white(t('\n❌ 오류 메시지:')));
+  console.log(chalk.red(t('❌ ChatGPT (OpenAI) API 키가 유효하지 않습니다.')));
+  console.log(chalk.red(t('❌ Gemini (Google) API 키가 유효하지 않습니다.')));
+  console.log(chalk.red(t('\n❌ API 키 유효성 검사에 실패했습니다.')));
+  console.log(chalk.red(t('❌ 명령어 실행 실패. 남은 명령어 3개를 건너뜁니다.')));
+  console.log(chalk.red(t('❌ 사용자가 실행을 중단했습니다.')));
+  console.log(chalk.red(t('❌ Git 레포지토리가 아닙니다')));
+  console.log(chalk.red(t('❌ 실패: 2개')));
+  console.log(chalk.red(t('❌ API 키 설정 저장 실패: permission denied')));
   
   // 경고 메시지들
-  console.log(chalk.white('\n⚠️ 경고 메시지:'));
-  console.log(chalk.yellow('⚠️  이 메뉴는 개발 및 테스트 목적으로만 사용됩니다.'));
-  console.log(chalk.yellow('⚠️  API 키 설정이 완료되지 않았습니다. 프로그램을 종료합니다.'));
-  console.log(chalk.yellow('⚠️  명령어를 생성할 수 없습니다.'));
-  console.log(chalk.yellow('⚠️  실행이 취소되었습니다.'));
-  console.log(chalk.yellow('⚠️  명령어 실행이 취소되었습니다. 남은 명령어 2개를 건너뜁니다.'));
-  console.log(chalk.yellow('⚠️  Git 저장소가 아닙니다.'));
-  console.log(chalk.yellow('⚠️  설정된 API 키가 없습니다.'));
-  console.log(chalk.yellow('⚠️  현재 위치: /Users/user/project'));
-  console.log(chalk.yellow('\n⚠️  주의: 이 명령어는 위험할 수 있습니다.'));
-  console.log(chalk.yellow('🧪 드라이런 모드: 명령어를 실행하지 않습니다.'));
-  console.log(chalk.yellow('🧪 드라이런 모드: 실제로 실행되지 않습니다.'));
-  console.log(chalk.yellow('🧪 드라이런 모드가 활성화되었습니다.'));
-  console.log(chalk.yellow('🛑 사용자가 실행을 중단했습니다.'));
-  console.log(chalk.yellow('⏭️  명령어를 건너뜁니다.'));
-  console.log(chalk.yellow('📋 실행된 명령어가 없습니다.'));
-  console.log(chalk.yellow('다시 시도하시겠습니까?'));
-  console.log(chalk.yellow('설정이 취소되었습니다.'));
-  console.log(chalk.yellow('취소되었습니다.'));
-  console.log(chalk.yellow('�� 설정을 완료한 후 다시 시도해주세요.'));
+  console.log(chalk.white(t('\n⚠️ 경고 메시지:')));
+  console.log(chalk.yellow(t('⚠️  이 메뉴는 개발 및 테스트 목적으로만 사용됩니다.')));
+  console.log(chalk.yellow(t('⚠️  API 키 설정이 완료되지 않았습니다. 프로그램을 종료합니다.')));
+  console.log(chalk.yellow(t('⚠️  명령어를 생성할 수 없습니다.')));
+  console.log(chalk.yellow(t('⚠️  실행이 취소되었습니다.')));
+  console.log(chalk.yellow(t('⚠️  명령어 실행이 취소되었습니다. 남은 명령어 2개를 건너뜁니다.')));
+  console.log(chalk.yellow(t('⚠️  Git 저장소가 아닙니다.')));
+  console.log(chalk.yellow(t('⚠️  설정된 API 키가 없습니다.')));
+  console.log(chalk.yellow(t('⚠️  현재 위치: /Users/user/project')));
+  console.log(chalk.yellow(t('\n⚠️  주의: 이 명령어는 위험할 수 있습니다.')));
+  console.log(chalk.yellow(t('🧪 드라이런 모드: 명령어를 실행하지 않습니다.')));
+  console.log(chalk.yellow(t('🧪 드라이런 모드: 실제로 실행되지 않습니다.')));
+  console.log(chalk.yellow(t('🧪 드라이런 모드가 활성화되었습니다.')));
+  console.log(chalk.yellow(t('🛑 사용자가 실행을 중단했습니다.')));
+  console.log(chalk.yellow(t('⏭️  명령어를 건너뜁니다.')));
+  console.log(chalk.yellow(t('📋 실행된 명령어가 없습니다.')));
+  console.log(chalk.yellow(t('다시 시도하시겠습니까?')));
+  console.log(chalk.yellow(t('설정이 취소되었습니다.')));
+  console.log(chalk.yellow(t('취소되었습니다.')));
+  console.log(chalk.yellow(t('�� 설정을 완료한 후 다시 시도해주세요.')));
   
   // 정보/안내 메시지들
-  console.log(chalk.white('\n📄 정보 및 안내 메시지:'));
-  console.log(chalk.white('플랫폼: ChatGPT (OpenAI)'));
-  console.log(chalk.white('모델: gpt-4o-mini'));
-  console.log(chalk.white('모델: gemini-1.5-flash'));
-  console.log(chalk.white('모드: interactive'));
-  console.log(chalk.white('다른 방식으로 설명해보세요.'));
-  console.log(chalk.white('실행하려면 --auto 또는 --interactive 옵션을 사용하세요.'));
-  console.log(chalk.white('📍 현재 브랜치: main'));
-  console.log(chalk.white('📝 커밋되지 않은 변경사항이 있습니다.'));
-  console.log(chalk.white('📤 푸시되지 않은 커밋이 있습니다.'));
-  console.log(chalk.white('📊 총 커밋 수: 25개'));
-  console.log(chalk.white('📋 상태: 2 staged, 3 modified'));
-  console.log(chalk.white('🔗 원격 저장소: 로컬 전용'));
-  console.log(chalk.white('📁 레포지토리 루트: /Users/user/project'));
-  console.log(chalk.white('   키 소스: 환경변수'));
-  console.log(chalk.white('   OPENAI_API_KEY: ✅ 설정됨'));
-  console.log(chalk.white('   GEMINI_API_KEY: ❌ 없음'));
-  console.log(chalk.white('💡 "git init"으로 레포지토리를 초기화하거나'));
-  console.log(chalk.white('   Git 레포지토리 폴더에서 명령어를 실행하세요'));
+  console.log(chalk.white(t('\n📄 정보 및 안내 메시지:')));
+  console.log(chalk.white(t('플랫폼: ChatGPT (OpenAI)')));
+  console.log(chalk.white(t('모델: gpt-4o-mini')));
+  console.log(chalk.white(t('모델: gemini-1.5-flash')));
+  console.log(chalk.white(t('모드: interactive')));
+  console.log(chalk.white(t('다른 방식으로 설명해보세요.')));
+  console.log(chalk.white(t('실행하려면 --auto 또는 --interactive 옵션을 사용하세요.')));
+  console.log(chalk.white(t('📍 현재 브랜치: main')));
+  console.log(chalk.white(t('📝 커밋되지 않은 변경사항이 있습니다.')));
+  console.log(chalk.white(t('📤 푸시되지 않은 커밋이 있습니다.')));
+  console.log(chalk.white(t('📊 총 커밋 수: 25개')));
+  console.log(chalk.white(t('📋 상태: 2 staged, 3 modified')));
+  console.log(chalk.white(t('🔗 원격 저장소: 로컬 전용')));
+  console.log(chalk.white(t('📁 레포지토리 루트: /Users/user/project')));
+  console.log(chalk.white(t('   키 소스: 환경변수')));
+  console.log(chalk.white(t('   OPENAI_API_KEY: ✅ 설정됨')));
+  console.log(chalk.white(t('   GEMINI_API_KEY: ❌ 없음')));
+  console.log(chalk.white(t('💡 "git init"으로 레포지토리를 초기화하거나')));
+  console.log(chalk.white(t('   Git 레포지토리 폴더에서 명령어를 실행하세요')));
   
   // 사용자 상호작용 메시지들
-  console.log(chalk.white('\n💬 사용자 상호작용:'));
-  console.log(chalk.white('rltgjqm은 다음 AI 플랫폼을 지원합니다:'));
-  console.log(chalk.white('API 키는 https://platform.openai.com/api-keys 에서 발급받을 수 있습니다.'));
-  console.log(chalk.white('API 키는 https://ai.google.dev/ 에서 발급받을 수 있습니다.'));
-  console.log(chalk.white('저장 위치:'), chalk.greenBright('~/.rltgjqm/config.json'));
-  console.log(chalk.white('취소하려면 "cancel" 또는 "exit"를 입력하세요.'));
+  console.log(chalk.white(t('\n💬 사용자 상호작용:')));
+  console.log(chalk.white(t('rltgjqm은 다음 AI 플랫폼을 지원합니다:')));
+  console.log(chalk.white(t('API 키는 https://platform.openai.com/api-keys 에서 발급받을 수 있습니다.')));
+  console.log(chalk.white(t('API 키는 https://ai.google.dev/ 에서 발급받을 수 있습니다.')));
+  console.log(chalk.white(t('저장 위치:')), chalk.greenBright('~/.rltgjqm/config.json'));
+  console.log(chalk.white(t('취소하려면 "cancel" 또는 "exit"를 입력하세요.')));
   
   // 플랫폼 정보
-  console.log(chalk.white('\n📌 플랫폼 정보:'));
+  console.log(chalk.white(t('\n📌 플랫폼 정보:')));
   console.log(chalk.cyan('📌 ChatGPT (OpenAI)'));
-  console.log(chalk.white('   • 모델: gpt-4o-mini'));
-  console.log(chalk.white('   • API 키: https://platform.openai.com/api-keys'));
+  console.log(chalk.white(t('   • 모델: gpt-4o-mini')));
+  console.log(chalk.white(t('   • API 키: https://platform.openai.com/api-keys')));
   console.log(chalk.cyan('📌 Gemini (Google)'));
-  console.log(chalk.white('   • 모델: gemini-1.5-flash'));
-  console.log(chalk.white('   • API 키: https://ai.google.dev/'));
+  console.log(chalk.white(t('   • 모델: gemini-1.5-flash')));
+  console.log(chalk.white(t('   • API 키: https://ai.google.dev/')));
   
   // 명령어 관련 메시지들
-  console.log(chalk.white('\n💻 명령어 관련:'));
-  console.log(chalk.cyan('💻 명령어: git add .'));
+  console.log(chalk.white(t('\n💻 명령어 관련:')));
+  console.log(chalk.cyan(t('💻 명령어: git add .')));
   console.log(chalk.cyan('💻 git status'));
   console.log(chalk.cyan('1. git add .'));
   console.log(chalk.cyan('2. git commit -m "initial commit"'));
   console.log(chalk.cyan('3. git push origin main'));
-  console.log(chalk.cyan('🔗 링크/명령어'));
+  console.log(chalk.cyan(t('🔗 링크/명령어')));
   console.log(chalk.cyan('📋 1/3: git add .'));
-  console.log(chalk.red('🔥 명령어: rm -rf /'));
-  console.log(chalk.white('👀 명령어 미리보기:'));
-  console.log(chalk.white('🔄 실제 실행 모드로 변경되었습니다.'));
-  console.log(chalk.white('📍 현재 위치 정보:'));
+  console.log(chalk.red(t('🔥 명령어: rm -rf /')));
+  console.log(chalk.white(t('👀 명령어 미리보기:')));
+  console.log(chalk.white(t('🔄 실제 실행 모드로 변경되었습니다.')));
+  console.log(chalk.white(t('📍 현재 위치 정보:')));
   
   // 브랜치 및 Git 상태
-  console.log(chalk.white('\n🌿 Git 상태:'));
-  console.log(chalk.cyan('🌿 현재 브랜치: main'));
-  console.log(chalk.green('🌿 현재 브랜치: develop'));
-  console.log(chalk.white('🔗 원격 저장소: github.com/user/repo'));
+  console.log(chalk.white(t('\n🌿 Git 상태:')));
+  console.log(chalk.cyan(t('🌿 현재 브랜치: main')));
+  console.log(chalk.green(t('🌿 현재 브랜치: develop')));
+  console.log(chalk.white(t('🔗 원격 저장소: github.com/user/repo')));
   
   // 카테고리 섹션들
-  console.log(chalk.white('\n📊 카테고리 표시:'));
-  console.log(chalk.cyan('\n🔧 Node.js 환경:'));
-  console.log(chalk.cyan('\n📦 패키지 정보:'));
-  console.log(chalk.cyan('\n🌍 환경변수:'));
-  console.log(chalk.cyan('\n💾 메모리 사용량:'));
-  console.log(chalk.cyan('\n⚙️  설정 상태:'));
-  console.log(chalk.cyan('\n📋 지원되는 AI 플랫폼:'));
-  console.log(chalk.cyan('\n📁 설정 디렉터리 정보:'));
-  console.log(chalk.cyan('\n📄 설정 파일들:'));
-  console.log(chalk.cyan('\n⚙️  현재 활성 설정:'));
-  console.log(chalk.cyan('\n📊 현재 Git 저장소 상태:'));
-  console.log(chalk.cyan('\n🎨 포맷된 Git 상태 표시:'));
-  console.log(chalk.cyan('\n🔍 엔드포인트 연결 테스트:'));
-  console.log(chalk.cyan('\n🔍 DNS 해석 테스트:'));
-  console.log(chalk.cyan('\n📊 임시 디렉터리:'));
-  console.log(chalk.cyan('\n🏠 사용자 홈 디렉터리:'));
-  console.log(chalk.cyan('\n💾 rltgjqm 관련 파일들:'));
-  console.log(chalk.cyan('\n📈 프로세스 정보:'));
-  console.log(chalk.cyan('\n🔧 환경 정보:'));
+  console.log(chalk.white(t('\n📊 카테고리 표시:')));
+  console.log(chalk.cyan(t('\n🔧 Node.js 환경:')));
+  console.log(chalk.cyan(t('\n📦 패키지 정보:')));
+  console.log(chalk.cyan(t('\n🌍 환경변수:')));
+  console.log(chalk.cyan(t('\n💾 메모리 사용량:')));
+  console.log(chalk.cyan(t('\n⚙️  설정 상태:')));
+  console.log(chalk.cyan(t('\n📋 지원되는 AI 플랫폼:')));
+  console.log(chalk.cyan(t('\n📁 설정 디렉터리 정보:')));
+  console.log(chalk.cyan(t('\n📄 설정 파일들:')));
+  console.log(chalk.cyan(t('\n⚙️  현재 활성 설정:')));
+  console.log(chalk.cyan(t('\n📊 현재 Git 저장소 상태:')));
+  console.log(chalk.cyan(t('\n🎨 포맷된 Git 상태 표시:')));
+  console.log(chalk.cyan(t('\n🔍 엔드포인트 연결 테스트:')));
+  console.log(chalk.cyan(t('\n🔍 DNS 해석 테스트:')));
+  console.log(chalk.cyan(t('\n📊 임시 디렉터리:')));
+  console.log(chalk.cyan(t('\n🏠 사용자 홈 디렉터리:')));
+  console.log(chalk.cyan(t('\n💾 rltgjqm 관련 파일들:')));
+  console.log(chalk.cyan(t('\n📈 프로세스 정보:')));
+  console.log(chalk.cyan(t('\n🔧 환경 정보:')));
   
   // 도움말 스타일
-  console.log(chalk.white('\n📖 도움말 스타일:'));
-  console.log(chalk.yellow('\n명령행에서 직접 사용:'));
-  console.log(chalk.cyan('  rltgjqm "새 브랜치 만들어줘"'));
-  console.log(chalk.cyan('  rltgjqm "커밋하고 푸시해줘" --auto'));
-  console.log(chalk.cyan('  rltgjqm "변경사항 되돌려줘" --interactive'));
-  console.log(chalk.yellow('\n설정 관리:'));
-  console.log(chalk.cyan('  rltgjqm config     # 설정 메뉴'));
-  console.log(chalk.yellow('\n옵션:'));
-  console.log(chalk.white('  -a, --auto         생성된 명령어를 자동으로 실행'));
-  console.log(chalk.white('  -i, --interactive  각 명령어마다 실행 여부를 확인'));
-  console.log(chalk.white('  --dry-run          명령어만 출력 (기본값)'));
-  console.log(chalk.white('  -h, --help         도움말 출력'));
-  console.log(chalk.white('\n지원되는 AI 플랫폼: ChatGPT, Gemini'));
-  console.log(chalk.white('자연어로 Git 명령어를 생성하고 실행합니다.'));
+  console.log(chalk.white(t('\n📖 도움말 스타일:')));
+  console.log(chalk.yellow(t('\n명령행에서 직접 사용:')));
+  console.log(chalk.cyan(t('  rltgjqm "새 브랜치 만들어줘"')));
+  console.log(chalk.cyan(t('  rltgjqm "커밋하고 푸시해줘" --auto')));
+  console.log(chalk.cyan(t('  rltgjqm "변경사항 되돌려줘" --interactive')));
+  console.log(chalk.cyan(t('  rltgjqm undo')));
+  console.log(chalk.yellow(t('\n설정 관리:')));
+  console.log(chalk.cyan(t('  rltgjqm config     # 설정 메뉴')));
+  console.log(chalk.yellow(t('\n옵션:')));
+  console.log(chalk.white(t('  -a, --auto         생성된 명령어를 자동으로 실행')));
+  console.log(chalk.white(t('  -i, --interactive  각 명령어마다 실행 여부를 확인')));
+  console.log(chalk.white(t('  --dry-run          명령어만 출력 (기본값)')));
+  console.log(chalk.white(t('  -h, --help         도움말 출력')));
+  console.log(chalk.white(t('\n지원되는 AI 플랫폼: ChatGPT, Gemini')));
+  console.log(chalk.white(t('자연어로 Git 명령어를 생성하고 실행합니다.')));
   console.log(chalk.white('\n─────────────────────────────────────────────'));
-  console.log(chalk.magenta('위의 모든 메시지들은 현재 코드에서 실제로 사용되는 UI들입니다!'));
+  console.log(chalk.magenta(t('위의 모든 메시지들은 현재 코드에서 실제로 사용되는 UI들입니다!')));
   console.log(chalk.white('─────────────────────────────────────────────'));
 }
 
@@ -557,30 +1178,31 @@ async function testColors() {
 async function showSystemStatus() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('📊 시스템 상태 확인'));
+  console.log(chalk.magenta(t('📊 시스템 상태 확인')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   // Node.js 정보
-  console.log(chalk.cyan('\n🔧 Node.js 환경:'));
-  console.log(chalk.white(`   버전: ${process.version}`));
-  console.log(chalk.white(`   플랫폼: ${process.platform}`));
-  console.log(chalk.white(`   아키텍처: ${process.arch}`));
-  console.log(chalk.white(`   작업 디렉터리: ${process.cwd()}`));
+  console.log(chalk.cyan(t('\n🔧 Node.js 환경:')));
+  console.log(chalk.white(t('   버전: {version}', { version: process.version })));
+  console.log(chalk.white(t('   플랫폼: {platform}', { platform: process.platform })));
+  console.log(chalk.white(t('   아키텍처: {arch}', { arch: process.arch })));
+  console.log(chalk.white(t('   작업 디렉터리: {cwd}', { cwd: process.cwd() })));
   
   // 패키지 정보
-  console.log(chalk.cyan('\n📦 패키지 정보:'));
-  console.log(chalk.white(`   rltgjqm 버전: ${packageJson.version}`));
-  console.log(chalk.white(`   설명: ${packageJson.description}`));
+  console.log(chalk.cyan(t('\n📦 패키지 정보:')));
+  console.log(chalk.white(t('   rltgjqm 버전: {version}', { version: packageJson.version })));
+  console.log(chalk.white(t('   설명: {description}', { description: packageJson.description })));
   
   // 환경변수 확인
-  console.log(chalk.cyan('\n🌍 환경변수:'));
-  console.log(chalk.white(`   OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? '✅ 설정됨' : '❌ 없음'}`));
-  console.log(chalk.white(`   GEMINI_API_KEY: ${process.env.GEMINI_API_KEY ? '✅ 설정됨' : '❌ 없음'}`));
-  console.log(chalk.white(`   NODE_ENV: ${process.env.NODE_ENV || '설정 안됨'}`));
+  console.log(chalk.cyan(t('\n🌍 환경변수:')));
+  providers.list().filter(provider => provider.envKey).forEach(provider => {
+    console.log(chalk.white(`   ${provider.envKey}: ${process.env[provider.envKey] ? t('✅ 설정됨') : t('❌ 없음')}`));
+  });
+  console.log(chalk.white(`   NODE_ENV: ${process.env.NODE_ENV || t('설정 안됨')}`));
   
   // 메모리 사용량
   const memUsage = process.memoryUsage();
-  console.log(chalk.cyan('\n💾 메모리 사용량:'));
+  console.log(chalk.cyan(t('\n💾 메모리 사용량:')));
   console.log(chalk.white(`   RSS: ${(memUsage.rss / 1024 / 1024).toFixed(2)} MB`));
   console.log(chalk.white(`   Heap Used: ${(memUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`));
   console.log(chalk.white(`   Heap Total: ${(memUsage.heapTotal / 1024 / 1024).toFixed(2)} MB`));
@@ -588,24 +1210,22 @@ async function showSystemStatus() {
   
   // 설정 상태
   const configStatus = config.checkConfigStatus();
-  console.log(chalk.cyan('\n⚙️  설정 상태:'));
-  console.log(chalk.white(`   API 키: ${configStatus.hasApiKey ? '✅ 설정됨' : '❌ 없음'}`));
-  console.log(chalk.white(`   AI 플랫폼: ${configStatus.provider || '설정 안됨'}`));
-  console.log(chalk.white(`   키 소스: ${configStatus.keySource || '없음'}`));
-  console.log(chalk.white(`   설정 파일: ${configStatus.configExists ? '✅ 존재' : '❌ 없음'}`));
+  console.log(chalk.cyan(t('\n⚙️  설정 상태:')));
+  console.log(chalk.white(t('   API 키: {status}', { status: configStatus.hasApiKey ? t('✅ 설정됨') : t('❌ 없음') })));
+  console.log(chalk.white(t('   AI 플랫폼: {provider}', { provider: configStatus.provider || t('설정 안됨') })));
+  console.log(chalk.white(t('   키 소스: {keySource}', { keySource: configStatus.keySource || t('없음') })));
+  console.log(chalk.white(t('   설정 파일: {status}', { status: configStatus.configExists ? t('✅ 존재') : t('❌ 없음') })));
   
   // API 사용량 정보
   if (configStatus.hasApiKey && configStatus.provider) {
-    console.log(chalk.cyan('\n📊 오늘의 API 사용량:'));
+    console.log(chalk.cyan(t('\n📊 오늘의 API 사용량:')));
     const usage = usageTracker.getCurrentUsage();
     const usageBrief = usageTracker.displayUsageBrief(configStatus.provider);
     
-    if (configStatus.provider === 'chatgpt') {
-      console.log(chalk.white(`   총 토큰: ${usage.chatgpt.totalTokens.toLocaleString()}`));
-      console.log(chalk.white(`   요청 수: ${usage.chatgpt.requests}회`));
-    } else if (configStatus.provider === 'gemini') {
-      console.log(chalk.white(`   추정 토큰: ${usage.gemini.estimatedTokens.toLocaleString()}`));
-      console.log(chalk.white(`   요청 수: ${usage.gemini.requests}회`));
+    const providerUsage = usage[configStatus.provider];
+    if (providerUsage) {
+      console.log(chalk.white(t('   총 토큰: {usedTokens}', { usedTokens: usageTracker.getUsedTokens(providerUsage).toLocaleString() })));
+      console.log(chalk.white(t('   요청 수: {requests}회', { requests: providerUsage.requests })));
     }
     
     if (usageBrief) {
@@ -620,36 +1240,37 @@ async function showSystemStatus() {
 async function testAIConnection() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('🔗 AI 서비스 연결 테스트'));
+  console.log(chalk.magenta(t('🔗 AI 서비스 연결 테스트')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   const supportedProviders = aiService.getSupportedProviders();
   
-  console.log(chalk.cyan('\n📋 지원되는 AI 플랫폼:'));
+  console.log(chalk.cyan(t('\n📋 지원되는 AI 플랫폼:')));
   for (const [key, provider] of Object.entries(supportedProviders)) {
-    console.log(chalk.white(`   ${provider.name}: ${provider.modelName}`));
-    console.log(chalk.white(`   엔드포인트: ${provider.endpoint}`));
+    console.log(chalk.white(`   ${t(provider.name)}: ${provider.defaultModel}`));
+    console.log(chalk.white(t('   엔드포인트: {endpoint}', { endpoint: provider.endpoint })));
   }
   
-  const { provider, apiKey } = aiService.getConfig();
+  const aiConfig = aiService.getConfig();
+  const { provider, apiKey } = aiConfig;
   
-  if (!provider || !apiKey) {
-    console.log(chalk.red('\n❌ AI 플랫폼이 설정되지 않았습니다.'));
+  if (!config.isPlatformReady(provider, apiKey)) {
+    console.log(chalk.red(t('\n❌ AI 플랫폼이 설정되지 않았습니다.')));
     return;
   }
   
-  console.log(chalk.cyan(`\n🤖 현재 설정: ${supportedProviders[provider].name}`));
-      console.log(chalk.white('🔍 연결 테스트 중...'));
+  console.log(chalk.cyan(t('\n🤖 현재 설정: {name}', { name: supportedProviders[provider].name })));
+      console.log(chalk.white(t('🔍 연결 테스트 중...')));
   
   try {
-    const testResult = await aiService.validateApiKey(provider, apiKey);
+    const testResult = await aiService.validateApiKey(provider, apiKey, aiConfig);
     if (testResult) {
-      console.log(chalk.green('✅ AI 서비스 연결 성공!'));
+      console.log(chalk.green(t('✅ AI 서비스 연결 성공!')));
     } else {
-      console.log(chalk.red('❌ AI 서비스 연결 실패!'));
+      console.log(chalk.red(t('❌ AI 서비스 연결 실패!')));
     }
   } catch (error) {
-    console.log(chalk.red(`❌ 연결 테스트 오류: ${error.message}`));
+    console.log(chalk.red(t('❌ 연결 테스트 오류: {message}', { message: error.message })));
   }
 }
 
@@ -659,7 +1280,7 @@ async function testAIConnection() {
 async function debugConfig() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('📄 설정 파일 디버깅'));
+  console.log(chalk.magenta(t('📄 설정 파일 디버깅')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   const fs = require('fs');
@@ -670,44 +1291,44 @@ async function debugConfig() {
   const configFile = path.join(configDir, 'config.json');
   const envFile = path.join(configDir, '.env');
   
-  console.log(chalk.cyan('\n📁 설정 디렉터리 정보:'));
-  console.log(chalk.white(`   디렉터리: ${configDir}`));
-  console.log(chalk.white(`   존재 여부: ${fs.existsSync(configDir) ? '✅' : '❌'}`));
+  console.log(chalk.cyan(t('\n📁 설정 디렉터리 정보:')));
+  console.log(chalk.white(t('   디렉터리: {configDir}', { configDir })));
+  console.log(chalk.white(t('   존재 여부: {status}', { status: fs.existsSync(configDir) ? '✅' : '❌' })));
   
-  console.log(chalk.cyan('\n📄 설정 파일들:'));
+  console.log(chalk.cyan(t('\n📄 설정 파일들:')));
   
   // JSON 설정 파일
-  console.log(chalk.white(`   config.json: ${fs.existsSync(configFile) ? '✅ 존재' : '❌ 없음'}`));
+  console.log(chalk.white(`   config.json: ${fs.existsSync(configFile) ? t('✅ 존재') : t('❌ 없음')}`));
   if (fs.existsSync(configFile)) {
     try {
       const content = fs.readFileSync(configFile, 'utf-8');
       const config = JSON.parse(content);
-      console.log(chalk.white('   내용:'));
-      console.log(chalk.white(`     AI 플랫폼: ${config.aiProvider || '없음'}`));
-      console.log(chalk.white(`     API 키: ${config.apiKey ? '설정됨 (숨김)' : '없음'}`));
-      console.log(chalk.white(`     마지막 업데이트: ${config.lastUpdated || '없음'}`));
+      console.log(chalk.white(t('   내용:')));
+      console.log(chalk.white(t('     AI 플랫폼: {aiProvider}', { aiProvider: config.aiProvider || t('없음') })));
+      console.log(chalk.white(t('     API 키: {status}', { status: config.apiKey ? t('설정됨 (숨김)') : t('없음') })));
+      console.log(chalk.white(t('     마지막 업데이트: {lastUpdated}', { lastUpdated: config.lastUpdated || t('없음') })));
     } catch (error) {
-      console.log(chalk.red(`     오류: ${error.message}`));
+      console.log(chalk.red(t('     오류: {message}', { message: error.message })));
     }
   }
   
   // .env 파일 (레거시)
-  console.log(chalk.white(`   .env: ${fs.existsSync(envFile) ? '✅ 존재 (레거시)' : '❌ 없음'}`));
+  console.log(chalk.white(`   .env: ${fs.existsSync(envFile) ? t('✅ 존재 (레거시)') : t('❌ 없음')}`));
   if (fs.existsSync(envFile)) {
     try {
       const content = fs.readFileSync(envFile, 'utf-8');
-      console.log(chalk.white('   내용 (레거시):'));
-      console.log(chalk.white(`     GEMINI_API_KEY: ${content.includes('GEMINI_API_KEY') ? '설정됨' : '없음'}`));
+      console.log(chalk.white(t('   내용 (레거시):')));
+      console.log(chalk.white(`     GEMINI_API_KEY: ${content.includes('GEMINI_API_KEY') ? t('설정됨') : t('없음')}`));
     } catch (error) {
-      console.log(chalk.red(`     오류: ${error.message}`));
+      console.log(chalk.red(t('     오류: {message}', { message: error.message })));
     }
   }
   
   // 현재 설정 상태
   const currentConfig = config.getAIConfig();
-  console.log(chalk.cyan('\n⚙️  현재 활성 설정:'));
-  console.log(chalk.white(`   AI 플랫폼: ${currentConfig.provider || '없음'}`));
-  console.log(chalk.white(`   API 키: ${currentConfig.apiKey ? '설정됨' : '없음'}`));
+  console.log(chalk.cyan(t('\n⚙️  현재 활성 설정:')));
+  console.log(chalk.white(t('   AI 플랫폼: {provider}', { provider: currentConfig.provider || t('없음') })));
+  console.log(chalk.white(t('   API 키: {status}', { status: currentConfig.apiKey ? t('설정됨') : t('없음') })));
 }
 
 /**
@@ -716,23 +1337,23 @@ async function debugConfig() {
 async function testGitDisplay() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('🏗️  Git 상태 디스플레이 테스트'));
+  console.log(chalk.magenta(t('🏗️  Git 상태 디스플레이 테스트')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   try {
-    console.log(chalk.cyan('\n📊 현재 Git 저장소 상태:'));
+    console.log(chalk.cyan(t('\n📊 현재 Git 저장소 상태:')));
     const gitStatus = await executor.getGitStatus();
     
-    console.log(chalk.white('\n원시 Git 상태 데이터:'));
+    console.log(chalk.white(t('\n원시 Git 상태 데이터:')));
     console.log(chalk.white(JSON.stringify(gitStatus, null, 2)));
     
-    console.log(chalk.cyan('\n🎨 포맷된 Git 상태 표시:'));
+    console.log(chalk.cyan(t('\n🎨 포맷된 Git 상태 표시:')));
     console.log(chalk.white('─────────────────────────────────────────────'));
     executor.displayGitStatus(gitStatus);
     console.log(chalk.white('─────────────────────────────────────────────'));
     
   } catch (error) {
-    console.log(chalk.red(`❌ Git 상태 확인 오류: ${error.message}`));
+    console.log(chalk.red(t('❌ Git 상태 확인 오류: {message}', { message: error.message })));
   }
 }
 
@@ -742,7 +1363,7 @@ async function testGitDisplay() {
 async function testNetwork() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('🌐 네트워크 연결 테스트'));
+  console.log(chalk.magenta(t('🌐 네트워크 연결 테스트')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   const axios = require('axios');
@@ -754,18 +1375,18 @@ async function testNetwork() {
     { name: 'GitHub', url: 'https://api.github.com' }
   ];
   
-  console.log(chalk.cyan('\n🔍 엔드포인트 연결 테스트:'));
+  console.log(chalk.cyan(t('\n🔍 엔드포인트 연결 테스트:')));
   
   for (const endpoint of endpoints) {
     try {
-      console.log(chalk.white(`   ${endpoint.name} 테스트 중...`));
+      console.log(chalk.white(t('   {name} 테스트 중...', { name: endpoint.name })));
       const startTime = Date.now();
       await axios.get(endpoint.url, { timeout: 5000 });
       const responseTime = Date.now() - startTime;
       console.log(chalk.green(`   ✅ ${endpoint.name}: ${responseTime}ms`));
     } catch (error) {
       if (error.code === 'ECONNABORTED') {
-        console.log(chalk.red(`   ❌ ${endpoint.name}: 연결 시간 초과`));
+        console.log(chalk.red(t('   ❌ {name}: 연결 시간 초과', { name: endpoint.name })));
       } else if (error.response) {
         console.log(chalk.yellow(`   ⚠️  ${endpoint.name}: HTTP ${error.response.status}`));
       } else {
@@ -775,7 +1396,7 @@ async function testNetwork() {
   }
   
   // DNS 해석 테스트
-  console.log(chalk.cyan('\n🔍 DNS 해석 테스트:'));
+  console.log(chalk.cyan(t('\n🔍 DNS 해석 테스트:')));
   const dns = require('dns').promises;
   const domains = ['google.com', 'openai.com', 'github.com'];
   
@@ -795,20 +1416,20 @@ async function testNetwork() {
 async function showLogsInfo() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('💾 로그 및 캐시 정보'));
+  console.log(chalk.magenta(t('💾 로그 및 캐시 정보')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   const fs = require('fs');
   const os = require('os');
   const path = require('path');
   
-  console.log(chalk.cyan('\n📊 임시 디렉터리:'));
-  console.log(chalk.white(`   시스템 임시 디렉터리: ${os.tmpdir()}`));
+  console.log(chalk.cyan(t('\n📊 임시 디렉터리:')));
+  console.log(chalk.white(t('   시스템 임시 디렉터리: {tmpdir}', { tmpdir: os.tmpdir() })));
   
-  console.log(chalk.cyan('\n🏠 사용자 홈 디렉터리:'));
-  console.log(chalk.white(`   홈 디렉터리: ${os.homedir()}`));
+  console.log(chalk.cyan(t('\n🏠 사용자 홈 디렉터리:')));
+  console.log(chalk.white(t('   홈 디렉터리: {homedir}', { homedir: os.homedir() })));
   
-  console.log(chalk.cyan('\n💾 rltgjqm 관련 파일들:'));
+  console.log(chalk.cyan(t('\n💾 rltgjqm 관련 파일들:')));
   const configDir = path.join(os.homedir(), '.rltgjqm');
   
   if (fs.existsSync(configDir)) {
@@ -817,24 +1438,24 @@ async function showLogsInfo() {
       files.forEach(file => {
         const filePath = path.join(configDir, file);
         const stats = fs.statSync(filePath);
-        console.log(chalk.white(`   ${file}: ${stats.size} bytes, 수정: ${stats.mtime.toLocaleString()}`));
+        console.log(chalk.white(t('   {file}: {size} bytes, 수정: {mtime}', { file, size: stats.size, mtime: stats.mtime.toLocaleString() })));
       });
     } catch (error) {
-      console.log(chalk.red(`   디렉터리 읽기 오류: ${error.message}`));
+      console.log(chalk.red(t('   디렉터리 읽기 오류: {message}', { message: error.message })));
     }
   } else {
-    console.log(chalk.white('   rltgjqm 설정 디렉터리가 없습니다.'));
+    console.log(chalk.white(t('   rltgjqm 설정 디렉터리가 없습니다.')));
   }
   
-  console.log(chalk.cyan('\n📈 프로세스 정보:'));
-  console.log(chalk.white(`   프로세스 ID: ${process.pid}`));
-  console.log(chalk.white(`   실행 시간: ${Math.floor(process.uptime())}초`));
-  console.log(chalk.white(`   명령줄 인수: ${process.argv.join(' ')}`));
+  console.log(chalk.cyan(t('\n📈 프로세스 정보:')));
+  console.log(chalk.white(t('   프로세스 ID: {pid}', { pid: process.pid })));
+  console.log(chalk.white(t('   실행 시간: {seconds}초', { seconds: Math.floor(process.uptime()) })));
+  console.log(chalk.white(t('   명령줄 인수: {argv}', { argv: process.argv.join(' ') })));
   
-  console.log(chalk.cyan('\n🔧 환경 정보:'));
-  console.log(chalk.white(`   셸: ${process.env.SHELL || '알 수 없음'}`));
-  console.log(chalk.white(`   터미널: ${process.env.TERM || '알 수 없음'}`));
-  console.log(chalk.white(`   사용자: ${process.env.USER || process.env.USERNAME || '알 수 없음'}`));
+  console.log(chalk.cyan(t('\n🔧 환경 정보:')));
+  console.log(chalk.white(t('   셸: {SHELL}', { SHELL: process.env.SHELL || t('알 수 없음') })));
+  console.log(chalk.white(t('   터미널: {TERM}', { TERM: process.env.TERM || t('알 수 없음') })));
+  console.log(chalk.white(t('   사용자: {USER}', { USER: process.env.USER || process.env.USERNAME || t('알 수 없음') })));
 }
 
 /**
@@ -843,64 +1464,60 @@ async function showLogsInfo() {
 async function showUsageStats() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('📈 API 사용량 통계'));
+  console.log(chalk.magenta(t('📈 API 사용량 통계')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   const stats = usageTracker.getUsageStats();
   const currentUsage = usageTracker.getCurrentUsage();
   
-  console.log(chalk.cyan(`\n📅 날짜: ${stats.date}`));
+  console.log(chalk.cyan(t('\n📅 날짜: {date}', { date: stats.date })));
   
-  // ChatGPT 통계
-  console.log(chalk.cyan('\n🤖 ChatGPT (OpenAI) 통계:'));
-  if (stats.chatgpt.requests > 0) {
-    console.log(chalk.white(`   총 사용 토큰: ${stats.chatgpt.totalTokens.toLocaleString()}`));
-    console.log(chalk.white(`   총 요청 수: ${stats.chatgpt.requests.toLocaleString()}회`));
-    console.log(chalk.white(`   평균 토큰/요청: ${stats.chatgpt.averageTokensPerRequest.toLocaleString()}`));
-    console.log(chalk.white(`   프롬프트 토큰: ${currentUsage.chatgpt.promptTokens.toLocaleString()}`));
-    console.log(chalk.white(`   응답 토큰: ${currentUsage.chatgpt.completionTokens.toLocaleString()}`));
-    
-    usageTracker.displayUsageInfo('chatgpt');
-  } else {
-    console.log(chalk.white('   오늘 사용 기록이 없습니다.'));
-  }
-  
-  // Gemini 통계
-  console.log(chalk.cyan('\n🧠 Gemini (Google) 통계:'));
-  if (stats.gemini.requests > 0) {
-    console.log(chalk.white(`   총 추정 토큰: ${stats.gemini.estimatedTokens.toLocaleString()}`));
-    console.log(chalk.white(`   총 요청 수: ${stats.gemini.requests.toLocaleString()}회`));
-    console.log(chalk.white(`   평균 토큰/요청: ${stats.gemini.averageTokensPerRequest.toLocaleString()}`));
-    
-    usageTracker.displayUsageInfo('gemini');
-  } else {
-    console.log(chalk.white('   오늘 사용 기록이 없습니다.'));
-  }
+  let totalRequests = 0;
+  providers.list().forEach(provider => {
+    const providerStats = stats[provider.id];
+    const providerUsage = currentUsage[provider.id] || {};
+    totalRequests += providerStats.requests;
+
+    console.log(chalk.cyan(t('\n{icon} {name} 통계:', { icon: provider.icon, name: t(provider.name) })));
+    if (providerStats.requests > 0) {
+      console.log(chalk.white(t('   총 사용 토큰: {totalTokens}', { totalTokens: providerStats.totalTokens.toLocaleString() })));
+      console.log(chalk.white(t('   총 요청 수: {requests}회', { requests: providerStats.requests.toLocaleString() })));
+      console.log(chalk.white(t('   평균 토큰/요청: {averageTokensPerRequest}', { averageTokensPerRequest: providerStats.averageTokensPerRequest.toLocaleString() })));
+      if (providerUsage.promptTokens) {
+        console.log(chalk.white(t('   프롬프트 토큰: {promptTokens}', { promptTokens: providerUsage.promptTokens.toLocaleString() })));
+        console.log(chalk.white(t('   응답 토큰: {completionTokens}', { completionTokens: (providerUsage.completionTokens || 0).toLocaleString() })));
+      }
+      
+      usageTracker.displayUsageInfo(provider.id);
+    } else {
+      console.log(chalk.white(t('   오늘 사용 기록이 없습니다.')));
+    }
+  });
   
   // 전체 통계
-  const totalRequests = stats.chatgpt.requests + stats.gemini.requests;
-  console.log(chalk.cyan('\n📊 전체 통계:'));
-  console.log(chalk.white(`   총 요청 수: ${totalRequests.toLocaleString()}회`));
+  console.log(chalk.cyan(t('\n📊 전체 통계:')));
+  console.log(chalk.white(t('   총 요청 수: {totalRequests}회', { totalRequests: totalRequests.toLocaleString() })));
   
   if (totalRequests > 0) {
-    const chatgptPercentage = ((stats.chatgpt.requests / totalRequests) * 100).toFixed(1);
-    const geminiPercentage = ((stats.gemini.requests / totalRequests) * 100).toFixed(1);
-    
-    console.log(chalk.white(`   ChatGPT 사용 비율: ${chatgptPercentage}%`));
-    console.log(chalk.white(`   Gemini 사용 비율: ${geminiPercentage}%`));
+    providers.list().forEach(provider => {
+      const percentage = ((stats[provider.id].requests / totalRequests) * 100).toFixed(1);
+      console.log(chalk.white(t('   {shortName} 사용 비율: {percentage}%', { shortName: provider.shortName, percentage })));
+    });
   }
+
+  usageTracker.displayCacheStats();
   
   // 사용량 파일 정보
-  console.log(chalk.cyan('\n📄 사용량 파일:'));
-  console.log(chalk.white(`   경로: ${usageTracker.usageFile}`));
+  console.log(chalk.cyan(t('\n📄 사용량 파일:')));
+  console.log(chalk.white(t('   경로: {usageFile}', { usageFile: usageTracker.usageFile })));
   
   try {
     const fs = require('fs');
     const stats = fs.statSync(usageTracker.usageFile);
-    console.log(chalk.white(`   크기: ${stats.size} bytes`));
-    console.log(chalk.white(`   수정일: ${stats.mtime.toLocaleString()}`));
+    console.log(chalk.white(t('   크기: {size} bytes', { size: stats.size })));
+    console.log(chalk.white(t('   수정일: {mtime}', { mtime: stats.mtime.toLocaleString() })));
   } catch (error) {
-    console.log(chalk.red('   파일 정보를 읽을 수 없습니다.'));
+    console.log(chalk.red(t('   파일 정보를 읽을 수 없습니다.')));
   }
 }
 
@@ -910,20 +1527,22 @@ async function showUsageStats() {
 async function resetUsageStats() {
   console.clear();
   console.log(chalk.white('─────────────────────────────────────────────'));
-  console.log(chalk.magenta('🔄 사용량 초기화'));
+  console.log(chalk.magenta(t('🔄 사용량 초기화')));
   console.log(chalk.white('─────────────────────────────────────────────'));
   
   const stats = usageTracker.getUsageStats();
   
-  console.log(chalk.yellow('\n⚠️  현재 사용량:'));
-  console.log(chalk.white(`   ChatGPT: ${stats.chatgpt.totalTokens.toLocaleString()} 토큰, ${stats.chatgpt.requests}회`));
-  console.log(chalk.white(`   Gemini: ${stats.gemini.estimatedTokens.toLocaleString()} 토큰 (추정), ${stats.gemini.requests}회`));
+  console.log(chalk.yellow(t('\n⚠️  현재 사용량:')));
+  providers.list().forEach(provider => {
+    const providerStats = stats[provider.id];
+    console.log(chalk.white(t('   {shortName}: {totalTokens} 토큰, {requests}회', { shortName: provider.shortName, totalTokens: providerStats.totalTokens.toLocaleString(), requests: providerStats.requests })));
+  });
   
   const { confirm } = await inquirer.prompt([
     {
       type: 'confirm',
       name: 'confirm',
-      message: '정말로 모든 사용량 데이터를 초기화하시겠습니까?',
+      message: t('정말로 모든 사용량 데이터를 초기화하시겠습니까?'),
       default: false,
       prefix: '',
       suffix: ''
@@ -933,11 +1552,11 @@ async function resetUsageStats() {
   if (confirm) {
     usageTracker.resetUsage();
     console.log(chalk.white('\n─────────────────────────────────────────────'));
-    console.log(chalk.green('✅ 사용량 데이터가 초기화되었습니다!'));
+    console.log(chalk.green(t('✅ 사용량 데이터가 초기화되었습니다!')));
     console.log(chalk.white('─────────────────────────────────────────────'));
   } else {
     console.log(chalk.white('\n─────────────────────────────────────────────'));
-    console.log(chalk.yellow('취소되었습니다.'));
+    console.log(chalk.yellow(t('취소되었습니다.')));
     console.log(chalk.white('─────────────────────────────────────────────'));
   }
 }
@@ -945,19 +1564,31 @@ async function resetUsageStats() {
 // CLI 프로그램 설정
 program
   .name('rltgjqm')
-  .description('Gemini API를 사용한 Git 명령어 생성 CLI')
+  .description(t('Gemini API를 사용한 Git 명령어 생성 CLI'))
   .version(packageJson.version);
 
 // 메인 명령어 (프롬프트 직접 입력)
 program
-  .argument('[prompt]', '자연어로 Git 작업을 설명하세요')
-  .option('-a, --auto', '생성된 명령어를 자동으로 실행')
-  .option('-i, --interactive', '각 명령어마다 실행 여부를 확인')
-  .option('--dry-run', '명령어만 출력 (실행하지 않음)')
-  .option('--dry', '기본 실행 모드를 미리보기로 변경')
-  .option('-d, --detail', '상세 출력 모드로 변경')
-  .option('-s, --simple', '간단 출력 모드로 변경')
-  .option('--debug', '프롬프트 디버그 모드 전환')
+  .argument('[prompt]', t('자연어로 Git 작업을 설명하세요'))
+  .option('-a, --auto', t('생성된 명령어를 자동으로 실행'))
+  .option('-i, --interactive', t('각 명령어마다 실행 여부를 확인'))
+  .option('--dry-run', t('명령어만 출력 (실행하지 않음)'))
+  .option('-m, --model <model>', t('이번 실행에만 사용할 모델 (예: gpt-4o, gemini-2.0-flash)'))
+  .option('--no-stream', t('스트리밍 없이 전체 응답을 받은 뒤 표시'))
+  .option('--no-cache', t('캐시된 응답을 사용하지 않고 새로 생성'))
+  .option('--ask', t('모호한 요청이면 AI가 먼저 질문 (대화 모드)'))
+  .option('--no-refine', t('생성된 명령어를 수정 요청 없이 바로 진행'))
+  .option('--context [list]', t('이번 실행에 diff/커밋 컨텍스트 포함 (stat, log, diff 중 쉼표로 선택, 생략하면 전체)'), (value) => {
+    try {
+      return gitContext.parseSelection(value);
+    } catch (error) {
+      throw new InvalidArgumentError(error.message);
+    }
+  })
+  .option('--dry', t('기본 실행 모드를 미리보기로 변경'))
+  .option('-d, --detail', t('상세 출력 모드로 변경'))
+  .option('-s, --simple', t('간단 출력 모드로 변경'))
+  .option('--debug', t('프롬프트 디버그 모드 전환'))
   .action(async (promptArg, options) => {
     // 프롬프트 없이 옵션만 주어진 경우 설정 변경
     if (!promptArg && (options.auto || options.interactive || options.dryRun || options.dry || options.detail || options.simple || options.debug)) {
@@ -999,16 +1630,25 @@ program
 // 설정 관리 명령어
 program
   .command('config')
-  .description('설정 관리 (API 키, 기본 동작 등)')
+  .description(t('설정 관리 (API 키, 기본 동작 등)'))
   .action(async () => {
     await showConfigMenuWrapper();
   });
 
+// 실행 전 상태로 되돌리기
+program
+  .command('undo [snapshot]')
+  .description(t('자동/단계별 실행 전 상태로 되돌리기 (스냅샷 ID를 주면 그 시점으로)'))
+  .option('-l, --list', t('저장된 스냅샷 목록에서 골라 되돌리기'))
+  .action(async (id, options) => {
+    await undoSnapshot(id, options);
+  });
+
 // 프로그램 실행
 if (process.argv.length <= 2) {
   // 명령어가 없을 경우 인터랙티브 메뉴 표시
   showMainMenu().catch(error => {
-    console.error(chalk.red('❌ 오류 발생:'), error.message);
+    console.error(chalk.red(t('❌ 오류 발생:')), error.message);
     process.exit(1);
   });
 } else {
@@ -1,24 +1,33 @@
-const axios = require('axios');
 const chalk = require('chalk');
+const axios = require('axios');
+const httpClient = require('./httpClient');
+const spinner = require('./spinner');
 const usageTracker = require('./usageTracker');
+const redactor = require('./redactor');
+const providers = require('./providers');
+const { flattenMessages } = require('./providers/messages');
+const { localizeSchema } = require('./planSchema');
+const { t } = require('./i18n');
 
 /**
- * 통합 AI 서비스 클래스 - ChatGPT와 Gemini 지원
+ * 통합 AI 서비스 클래스 - 프로바이더 레지스트리(lib/providers)에 등록된 플랫폼 지원
  */
 class AIService {
-  constructor() {
-    this.supportedProviders = {
-      'chatgpt': {
-        name: 'ChatGPT (OpenAI)',
-        modelName: 'gpt-4o-mini',
-        endpoint: 'https://api.openai.com/v1/chat/completions'
-      },
-      'gemini': {
-        name: 'Gemini (Google)',
-        modelName: 'gemini-1.5-flash',
-        endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent'
-      }
-    };
+  /**
+   * 플랫폼에 API 키가 필요한지 확인
+   * @param {string} provider - AI 플랫폼
+   * @returns {boolean} API 키 필요 여부
+   */
+  requiresApiKey(provider) {
+    return providers.requiresApiKey(provider);
+  }
+
+  /**
+   * 플랫폼에서 실제로 사용하는 모델명
+   */
+  getModelName(provider, settings = {}) {
+    const info = providers.get(provider);
+    return settings.model || (info ? info.defaultModel : null);
   }
 
   /**
@@ -30,7 +39,7 @@ class AIService {
       if (this.tempConfig) {
         return this.tempConfig;
       }
-      
+
       const config = require('./config');
       return config.getAIConfig();
     } catch (error) {
@@ -40,14 +49,32 @@ class AIService {
 
   /**
    * AI 플랫폼별 Git 명령어 생성
-   * @param {string} prompt - 완성된 프롬프트
-   * @returns {Promise<{response: string, usageInfo: object}>} 생성된 응답 텍스트와 사용량 정보
+   * @param {string|Array<Object>} prompt - 완성된 프롬프트 또는 대화 메시지 배열 ([{ role: 'user' | 'assistant', content }])
+   * @param {Object} options - 일회성 설정 ({ model }: --model 옵션, { fallback: false }: 대체 플랫폼 사용 안 함,
+   *                           { provider }: 현재 플랫폼 대신 사용할 플랫폼 (이어지는 대화를 같은 플랫폼에 보낼 때),
+   *                           { stream, onText(text), signal }: 스트리밍 수신, 받은 텍스트 전달, 취소 신호,
+   *                           { responseSchema }: 지원하는 플랫폼에서 JSON 응답 형식 강제)
+   * @returns {Promise<{response: string, usageInfo: object, provider: string, model: string, structured: boolean}>}
+   *          생성된 응답 텍스트, 사용량 정보, 실제 응답한 플랫폼과 모델, 응답 스키마 강제 여부
    */
-  async generateCommand(prompt) {
-    const { provider, apiKey } = this.getConfig();
-    
-    if (!provider || !apiKey) {
-      throw new Error('AI 플랫폼이 설정되지 않았습니다.');
+  async generateCommand(prompt, options = {}) {
+    let settings = { ...this.getConfig() };
+    if (options.provider && options.provider !== settings.provider && !this.tempConfig) {
+      try {
+        const config = require('./config');
+        settings = config.getPlatformSettings(options.provider) || settings;
+      } catch (error) {
+        // config 로딩 실패시 현재 플랫폼 사용
+      }
+    }
+    if (options.model) {
+      settings.model = options.model;
+    }
+    const { provider, apiKey } = settings;
+    const info = providers.get(provider);
+
+    if (!info || (!apiKey && this.requiresApiKey(provider))) {
+      throw new Error(t('AI 플랫폼이 설정되지 않았습니다.'));
     }
 
     let outputMode = 'detail'; // 기본값
@@ -61,106 +88,100 @@ class AIService {
     }
 
     if (outputMode === 'detail') {
-      console.log(chalk.white('🤖 AI 명령어 생성 중...'));
-      console.log(chalk.white(`플랫폼: ${this.supportedProviders[provider].name}`));
-      console.log(chalk.white(`모델: ${this.supportedProviders[provider].modelName}`));
+      console.log(chalk.white(t('🤖 AI 명령어 생성 중...')));
+      console.log(chalk.white(t('플랫폼: {name}', { name: t(info.name) })));
+      console.log(chalk.white(t('모델: {modelName}', { modelName: this.getModelName(provider, settings) })));
+    }
+
+    // 외부로 나가기 전에 인증 정보와 토큰 가리기 (대체 플랫폼에도 같은 프롬프트 사용)
+    const redacted = redactor.redactPrompt(prompt);
+    prompt = redacted.prompt;
+    if (debugMode && redacted.findings.length > 0) {
+      redactor.displayFindings(redacted.findings);
     }
 
     // 디버그 모드에서 전달되는 프롬프트 표시
     if (debugMode) {
-      console.log(chalk.magenta('\n🔍 [DEBUG] 전달되는 프롬프트:'));
+      console.log(chalk.magenta(t('\n🔍 [DEBUG] 전달되는 프롬프트:')));
       console.log(chalk.gray('─'.repeat(50)));
-      console.log(chalk.gray(prompt));
+      console.log(chalk.gray(Array.isArray(prompt)
+        ? prompt.map(message => `[${message.role}]\n${message.content}`).join('\n\n')
+        : prompt));
       console.log(chalk.gray('─'.repeat(50)));
     }
 
-    try {
-      switch (provider) {
-        case 'chatgpt':
-          return await this.callChatGPT(prompt, apiKey);
-        case 'gemini':
-          return await this.callGemini(prompt, apiKey);
-        default:
-          throw new Error(`지원하지 않는 AI 플랫폼: ${provider}`);
+    // 호출 순서: 현재 플랫폼 → 설정된 대체 플랫폼 (임시 설정으로 키를 검사할 때는 사용 안 함)
+    let chain = [settings];
+    if (options.fallback !== false && !this.tempConfig) {
+      try {
+        const config = require('./config');
+        chain = config.getProviderChain(settings);
+      } catch (error) {
+        // config 로딩 실패시 현재 플랫폼만 사용
       }
-    } catch (error) {
-      console.error(chalk.red('❌ AI API 호출 실패:'));
-      throw error;
     }
-  }
 
-  /**
-   * ChatGPT API 호출
-   */
-  async callChatGPT(prompt, apiKey) {
-    let outputMode = 'detail'; // 기본값
-    let debugMode = false; // 기본값
-    try {
-      const config = require('./config');
-      outputMode = config.getOutputMode();
-      debugMode = config.getDebugMode();
-    } catch (error) {
-      // config 로딩 실패시 기본값 사용
-    }
+    for (let i = 0; i < chain.length; i++) {
+      const current = chain[i];
+      const currentInfo = providers.get(current.provider);
 
-    try {
-      const response = await axios.post(
-        this.supportedProviders.chatgpt.endpoint,
-        {
-          model: this.supportedProviders.chatgpt.modelName,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.1,
-          max_tokens: 2048
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
+      if (i > 0) {
+        console.log(chalk.yellow(t('🔁 {name}(으)로 다시 시도합니다...', { name: t(currentInfo.name) })));
+        if (outputMode === 'detail') {
+          console.log(chalk.white(t('모델: {modelName}', { modelName: this.getModelName(current.provider, current) })));
         }
-      );
-
-      if (response.data && response.data.choices && response.data.choices.length > 0) {
-        const generatedText = response.data.choices[0].message.content;
-        const usageInfo = response.data.usage;
-        
-        console.log(chalk.green('✅ ChatGPT 응답 받음'));
-        
-        // 디버그 모드에서 받은 응답 표시
-        if (outputMode === 'detail' && debugMode) {
-          console.log(chalk.magenta('\n🔍 [DEBUG] 받은 응답:'));
-          console.log(chalk.gray('─'.repeat(50)));
-          console.log(chalk.gray(generatedText));
-          console.log(chalk.gray('─'.repeat(50)));
+      }
+
+      try {
+        const result = await this.callProvider(currentInfo, prompt, current, options);
+        if (i > 0 && outputMode === 'detail') {
+          console.log(chalk.cyan(t('🔁 응답 제공: {name} (대체 플랫폼)', { name: t(currentInfo.name) })));
         }
-        
-        // 사용량 기록
-        const recordedUsage = usageTracker.recordChatGPTUsage(usageInfo);
-        
         return {
-          response: generatedText,
-          usageInfo: usageInfo
+          ...result,
+          provider: currentInfo.id,
+          model: this.getModelName(current.provider, current)
         };
-      } else {
-        throw new Error('ChatGPT API 응답 형식이 올바르지 않습니다.');
+      } catch (error) {
+        if (this.isCanceled(error)) {
+          throw error;
+        }
+        if (i < chain.length - 1 && this.isFallbackError(error)) {
+          continue;
+        }
+        console.error(chalk.red(t('❌ AI API 호출 실패:')));
+        throw error;
       }
+    }
+  }
 
-    } catch (error) {
-      this.handleChatGPTError(error);
-      throw error;
+  /**
+   * 사용자가 취소한 요청인지 확인 (Ctrl+C)
+   */
+  isCanceled(error) {
+    return axios.isCancel(error) || (error && error.name === 'CanceledError');
+  }
+
+  /**
+   * 다른 플랫폼으로 넘어가도 되는 오류인지 확인
+   * 한도 초과, 서버 오류, 시간 초과, 연결 실패만 해당 (키 오류, 잘못된 요청은 그대로 실패)
+   */
+  isFallbackError(error) {
+    if (error.response) {
+      const status = error.response.status;
+      return status === 408 || status === 429 || status >= 500;
     }
+    return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
   }
 
   /**
-   * Gemini API 호출
+   * 프로바이더 API 호출 (요청 생성 → 전송 → 응답 파싱 → 사용량 기록)
+   * @param {Object} provider - 레지스트리의 프로바이더 모듈
+   * @param {string|Array<Object>} prompt - 완성된 프롬프트 또는 대화 메시지 배열
+   * @param {Object} settings - getConfig() 결과 (apiKey, baseUrl, model)
+   * @param {Object} options - { stream, onText, signal, responseSchema } (generateCommand 옵션)
    */
-  async callGemini(prompt, apiKey) {
+  async callProvider(provider, prompt, settings = {}, options = {}) {
     let outputMode = 'detail'; // 기본값
     let debugMode = false; // 기본값
     try {
@@ -171,176 +192,188 @@ class AIService {
       // config 로딩 실패시 기본값 사용
     }
 
+    // 응답 스키마는 structuredOutput을 지원하는 프로바이더에만 전달 (나머지는 프롬프트로만 요청)
+    const structured = !!(options.responseSchema && provider.structuredOutput);
+    const requestSettings = {
+      ...settings,
+      model: this.getModelName(provider.id, settings),
+      responseSchema: structured ? localizeSchema(options.responseSchema) : null
+    };
+
+    // 대화 배열을 받지 못하는 프로바이더에는 하나의 프롬프트로 합쳐서 전달
+    if (!provider.multiTurn) {
+      prompt = flattenMessages(prompt);
+    }
+
+    const streaming = options.stream && typeof provider.buildStreamRequest === 'function';
+    spinner.start(t('{shortName} 응답 생성 중...', { shortName: provider.shortName }));
+
     try {
-      const requestData = {
-        contents: [
-          {
-            parts: [
-              {
-                text: prompt
-              }
-            ]
-          }
-        ],
-        generationConfig: {
-          temperature: 0.1,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 2048,
-          stopSequences: []
-        },
-        safetySettings: [
-          {
-            category: "HARM_CATEGORY_HARASSMENT",
-            threshold: "BLOCK_NONE"
-          },
-          {
-            category: "HARM_CATEGORY_HATE_SPEECH", 
-            threshold: "BLOCK_NONE"
-          },
-          {
-            category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-            threshold: "BLOCK_NONE"
-          },
-          {
-            category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-            threshold: "BLOCK_NONE"
-          }
-        ]
+      // 일시적인 오류(429, 5xx, 연결 끊김)는 httpClient에서 재시도
+      const { text: generatedText, usage } = streaming
+        ? await this.streamProvider(provider, prompt, requestSettings, options)
+        : await this.requestProvider(provider, prompt, requestSettings, options);
+
+      spinner.stop();
+      console.log(chalk.green(t('✅ {shortName} 응답 받음', { shortName: provider.shortName })));
+      if (outputMode === 'detail' && usage && usage.total_tokens) {
+        console.log(chalk.white(t('📊 실제 사용량: {prompt_tokens} → {completion_tokens} (총 {total_tokens} 토큰)', { prompt_tokens: usage.prompt_tokens, completion_tokens: usage.completion_tokens, total_tokens: usage.total_tokens })));
+      }
+
+      // 디버그 모드에서 받은 응답 표시
+      if (outputMode === 'detail' && debugMode) {
+        console.log(chalk.magenta(t('\n🔍 [DEBUG] 받은 응답:')));
+        console.log(chalk.gray('─'.repeat(50)));
+        console.log(chalk.gray(generatedText));
+        console.log(chalk.gray('─'.repeat(50)));
+      }
+
+      // 사용량 기록 (usage를 제공하지 않는 서버는 요청 수만 기록)
+      usageTracker.recordUsage(provider.id, usage);
+
+      return {
+        response: generatedText,
+        usageInfo: usage,
+        structured
       };
 
-      const response = await axios.post(
-        `${this.supportedProviders.gemini.endpoint}?key=${apiKey}`,
-        requestData,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          timeout: 30000
-        }
-      );
+    } catch (error) {
+      spinner.stop();
+      if (!this.isCanceled(error)) {
+        this.handleProviderError(provider, error, requestSettings);
+      }
+      throw error;
+    }
+  }
 
-      if (response.data && response.data.candidates && response.data.candidates.length > 0) {
-        const candidate = response.data.candidates[0];
-        
-        if (candidate.finishReason === 'SAFETY') {
-          throw new Error('안전성 필터로 인해 응답이 차단되었습니다. 다른 방식으로 질문해보세요.');
-        }
-        
-        if (candidate.finishReason === 'RECITATION') {
-          throw new Error('저작권 문제로 응답이 차단되었습니다. 다른 방식으로 질문해보세요.');
-        }
-        
-        if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-          throw new Error('빈 응답을 받았습니다. 다시 시도해보세요.');
-        }
-        
-        const generatedText = candidate.content.parts[0].text;
-        
-        // 정확한 사용량 정보 추출 (Gemini API는 usageMetadata 제공)
-        const usageMetadata = response.data.usageMetadata || {};
-        const actualUsage = {
-          prompt_tokens: usageMetadata.promptTokenCount || 0,
-          completion_tokens: usageMetadata.candidatesTokenCount || 0,
-          total_tokens: usageMetadata.totalTokenCount || 0
-        };
-        
-        console.log(chalk.green('✅ Gemini 응답 받음'));
-        if (outputMode === 'detail') {
-          console.log(chalk.white(`📊 실제 사용량: ${actualUsage.prompt_tokens} → ${actualUsage.completion_tokens} (총 ${actualUsage.total_tokens} 토큰)`));
+  /**
+   * 일반 요청 (응답 전체를 한 번에 받음)
+   */
+  async requestProvider(provider, prompt, settings, options) {
+    const request = provider.buildRequest(prompt, settings);
+    const response = await httpClient.post(request.url, request.body, {
+      headers: request.headers,
+      timeout: request.timeout,
+      label: provider.shortName,
+      signal: options.signal,
+      onRetry: () => spinner.clear()
+    });
+    return provider.parseResponse(response.data, settings);
+  }
+
+  /**
+   * 스트리밍 요청 (받은 텍스트를 options.onText로 바로 전달)
+   */
+  async streamProvider(provider, prompt, settings, options) {
+    const request = provider.buildStreamRequest(prompt, settings);
+    let text = '';
+    let usage = null;
+
+    await httpClient.stream(request.url, request.body, {
+      headers: request.headers,
+      timeout: request.timeout,
+      label: provider.shortName,
+      signal: options.signal,
+      onRetry: () => spinner.clear(),
+      onEvent: (data, event) => {
+        const chunk = provider.parseStreamEvent(data, event, settings);
+        if (chunk.usage) {
+          usage = { ...usage, ...chunk.usage };
         }
-        
-        // 디버그 모드에서 받은 응답 표시
-        if (outputMode === 'detail' && debugMode) {
-          console.log(chalk.magenta('\n🔍 [DEBUG] 받은 응답:'));
-          console.log(chalk.gray('─'.repeat(50)));
-          console.log(chalk.gray(generatedText));
-          console.log(chalk.gray('─'.repeat(50)));
+        if (chunk.text) {
+          text += chunk.text;
+          spinner.update(t('{shortName} 응답 수신 중... ({count}자)', { shortName: provider.shortName, count: text.length }));
+          if (options.onText) {
+            options.onText(chunk.text);
+          }
         }
-        
-        // 정확한 사용량 정보로 기록
-        const usageInfo = usageTracker.recordGeminiUsageWithActualData(actualUsage);
-        
-        return {
-          response: generatedText,
-          usageInfo: usageInfo
-        };
-      } else {
-        throw new Error('Gemini API 응답 형식이 올바르지 않습니다.');
       }
+    });
 
-    } catch (error) {
-      this.handleGeminiError(error);
-      throw error;
+    if (!text.trim()) {
+      throw new Error(t('{shortName} 응답이 비어있습니다.', { shortName: provider.shortName }));
     }
+
+    // 입력/출력 토큰이 따로 온 경우 (Claude) 합계 계산
+    if (usage && !usage.total_tokens) {
+      usage.prompt_tokens = usage.prompt_tokens || 0;
+      usage.completion_tokens = usage.completion_tokens || 0;
+      usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    }
+
+    return { text: text.trim(), usage };
   }
 
   /**
-   * ChatGPT 에러 처리
+   * 프로바이더 에러 처리 (프로바이더의 mapError 우선, 없으면 공통 처리)
    */
-  handleChatGPTError(error) {
-    if (error.response) {
-      const status = error.response.status;
-      const data = error.response.data;
-      
-      if (status === 401) {
-        console.error(chalk.red('ChatGPT API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.'));
-      } else if (status === 429) {
-        console.error(chalk.red('ChatGPT API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.'));
-      } else if (status === 500) {
-        console.error(chalk.red('ChatGPT API 서버 오류입니다. 잠시 후 다시 시도하세요.'));
-      } else {
-        console.error(chalk.red(`ChatGPT HTTP ${status}: ${error.message}`));
+  handleProviderError(provider, error, settings) {
+    const mapped = typeof provider.mapError === 'function' ? provider.mapError(error, settings) : null;
+
+    if (mapped) {
+      console.error(chalk.red(mapped.message));
+      if (mapped.detail) {
+        console.error(chalk.red(mapped.detail));
+      }
+      if (mapped.hint) {
+        console.error(chalk.yellow(mapped.hint));
       }
+    } else if (error.response) {
+      console.error(chalk.red(`${provider.shortName} HTTP ${error.response.status}: ${error.message}`));
     } else if (error.code === 'ECONNABORTED') {
-      console.error(chalk.red('요청 시간 초과. 인터넷 연결을 확인하세요.'));
+      console.error(chalk.red(t('요청 시간 초과. 인터넷 연결을 확인하세요.')));
     } else if (error.code === 'ENOTFOUND') {
-      console.error(chalk.red('인터넷 연결을 확인하세요.'));
+      console.error(chalk.red(t('인터넷 연결을 확인하세요.')));
     } else {
       console.error(chalk.red(error.message));
     }
   }
 
   /**
-   * Gemini 에러 처리
+   * 프로바이더의 모델 목록 가져오기 (listModels를 제공하는 프로바이더만)
+   * @param {string} provider - AI 플랫폼
+   * @param {Object} settings - { apiKey, baseUrl }
+   * @returns {Promise<Array<string>>} 모델 ID 목록
    */
-  handleGeminiError(error) {
-    if (error.response) {
-      const status = error.response.status;
-      const data = error.response.data;
-      
-      if (status === 400) {
-        console.error(chalk.red('Gemini 요청 형식이 올바르지 않습니다.'));
-        if (data.error && data.error.message) {
-          console.error(chalk.red(`상세: ${data.error.message}`));
-        }
-      } else if (status === 401) {
-        console.error(chalk.red('Gemini API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.'));
-      } else if (status === 403) {
-        console.error(chalk.red('Gemini API 접근 권한이 없습니다. API 키 권한을 확인하세요.'));
-      } else if (status === 404) {
-        console.error(chalk.red(`Gemini 모델을 찾을 수 없습니다. 현재 모델: ${this.supportedProviders.gemini.modelName}`));
-      } else if (status === 429) {
-        console.error(chalk.red('Gemini API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.'));
-      } else if (status === 500) {
-        console.error(chalk.red('Gemini API 서버 오류입니다. 잠시 후 다시 시도하세요.'));
-      } else {
-        console.error(chalk.red(`Gemini HTTP ${status}: ${error.message}`));
+  async listModels(provider, settings = {}) {
+    const info = providers.get(provider);
+    if (!info || typeof info.listModels !== 'function') {
+      return [];
+    }
+    return await info.listModels(settings);
+  }
+
+  /**
+   * 모델 선택 메뉴에 보여줄 목록 (조회 실패 시 프로바이더의 오프라인 목록 사용)
+   * @param {string} provider - AI 플랫폼
+   * @param {Object} settings - { apiKey, baseUrl }
+   * @returns {Promise<{models: Array<string>, source: string, error: string|null}>} source: 'live' | 'fallback'
+   */
+  async getModelChoices(provider, settings = {}) {
+    const info = providers.get(provider);
+    let error = null;
+
+    try {
+      const models = await this.listModels(provider, settings);
+      if (models.length > 0) {
+        return { models, source: 'live', error: null };
       }
-    } else if (error.code === 'ECONNABORTED') {
-      console.error(chalk.red('요청 시간 초과. 인터넷 연결을 확인하세요.'));
-    } else if (error.code === 'ENOTFOUND') {
-      console.error(chalk.red('인터넷 연결을 확인하세요.'));
-    } else {
-      console.error(chalk.red(error.message));
+    } catch (listError) {
+      error = listError.message;
     }
+
+    return {
+      models: (info && info.fallbackModels) || [],
+      source: 'fallback',
+      error
+    };
   }
 
   /**
    * 임시 AI 설정 (테스트용)
    */
-  setTempConfig(provider, apiKey) {
-    this.tempConfig = { provider, apiKey };
+  setTempConfig(provider, apiKey, options = {}) {
+    this.tempConfig = { ...options, provider, apiKey };
   }
 
   /**
@@ -352,43 +385,44 @@ class AIService {
 
   /**
    * AI 플랫폼별 API 키 유효성 검사
-   * @param {string} provider - AI 플랫폼 ('chatgpt' | 'gemini')
+   * @param {string} provider - 레지스트리에 등록된 플랫폼 ID
    * @param {string} apiKey - API 키
+   * @param {Object} options - 추가 설정 (서버형 프로바이더의 baseUrl, model 등)
    * @returns {Promise<boolean>} API 키 유효성 여부
    */
-  async validateApiKey(provider, apiKey) {
+  async validateApiKey(provider, apiKey, options = {}) {
+    const name = providers.getName(provider);
     try {
-      console.log(chalk.white(`🔑 ${this.supportedProviders[provider].name} API 키 유효성 검사 중...`));
-      
-      const testPrompt = `간단한 테스트입니다. "git status" 명령어만 출력해주세요.`;
+      console.log(chalk.white(t('🔑 {name} API 키 유효성 검사 중...', { name })));
+
+      const testPrompt = t('간단한 테스트입니다. "git status" 명령어만 출력해주세요.');
 
-      // 임시로 설정하여 테스트
-      const originalConfig = this.getConfig();
-      
       // 테스트를 위해 임시 설정
-      this.setTempConfig(provider, apiKey);
-      
-      const result = await this.generateCommand(testPrompt);
-      
-      // 원래 설정 복구
-      this.setTempConfig(originalConfig.provider, originalConfig.apiKey);
-      
-      console.log(chalk.green(`✅ ${this.supportedProviders[provider].name} API 키가 유효합니다.`));
+      this.setTempConfig(provider, apiKey, options);
+
+      await this.generateCommand(testPrompt);
+
+      console.log(chalk.green(t('✅ {name} API 키가 유효합니다.', { name })));
       return true;
     } catch (error) {
-      console.log(chalk.red(`❌ ${this.supportedProviders[provider].name} API 키가 유효하지 않습니다.`));
-      // 임시 설정 초기화
-      this.clearTempConfig();
+      console.log(chalk.red(t('❌ {name} API 키가 유효하지 않습니다.', { name })));
       return false;
+    } finally {
+      // 성공해도 임시 설정을 남기지 않음 (남아 있으면 대체 플랫폼과 provider 옵션이 계속 꺼진 상태가 됨)
+      this.clearTempConfig();
     }
   }
 
   /**
-   * 지원하는 AI 플랫폼 목록 반환
+   * 지원하는 AI 플랫폼 목록 반환 (ID → 프로바이더 모듈)
    */
   getSupportedProviders() {
-    return this.supportedProviders;
+    const result = {};
+    providers.list().forEach(provider => {
+      result[provider.id] = provider;
+    });
+    return result;
   }
 }
 
-module.exports = new AIService(); 
\ No newline at end of file
+module.exports = new AIService();
@@ -3,6 +3,8 @@ const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const os = require('os');
+const providers = require('./providers');
+const { t } = require('./i18n');
 
 /**
  * 설정 관리 클래스
@@ -30,23 +32,28 @@ class ConfigManager {
    * AI 설정 가져오기 (플랫폼과 API 키)
    */
   getAIConfig() {
-    // 1. 환경변수에서 확인 (기존 방식 호환)
-    if (process.env.GEMINI_API_KEY) {
-      return {
-        provider: 'gemini',
-        apiKey: process.env.GEMINI_API_KEY
-      };
+    // 1. 사용자 설정 파일에서 선택한 플랫폼 (셸에 다른 플랫폼의 키가 있어도 바꾸지 않음, 키가 없으면 그 플랫폼의 환경변수)
+    const fileConfig = this.readConfigFile();
+    if (fileConfig.provider) {
+      const info = providers.get(fileConfig.provider);
+      if (!fileConfig.apiKey && info && info.envKey && process.env[info.envKey]) {
+        return { ...fileConfig, apiKey: process.env[info.envKey] };
+      }
+      return fileConfig;
     }
-    
-    if (process.env.OPENAI_API_KEY) {
+
+    // 2. 선택한 플랫폼이 없을 때만 환경변수에서 확인 (기존 방식 호환)
+    const envProvider = providers.list().find(provider => provider.envKey && process.env[provider.envKey]);
+    if (envProvider) {
       return {
-        provider: 'chatgpt', 
-        apiKey: process.env.OPENAI_API_KEY
+        provider: envProvider.id,
+        apiKey: process.env[envProvider.envKey],
+        // 모델은 환경변수로 키를 쓰는 경우에도 설정 파일 값을 사용
+        model: this.getPlatformModel(envProvider.id)
       };
     }
 
-    // 2. 사용자 설정 파일에서 확인
-    return this.readConfigFile();
+    return fileConfig;
   }
 
   /**
@@ -60,9 +67,12 @@ class ConfigManager {
         
         // 새로운 멀티 플랫폼 형태 확인
         if (config.platforms) {
+          const current = config.platforms[config.currentProvider] || {};
           return {
             provider: config.currentProvider || null,
-            apiKey: config.platforms[config.currentProvider]?.apiKey || null,
+            apiKey: current.apiKey || null,
+            baseUrl: current.baseUrl || null,
+            model: current.model || null,
             platforms: config.platforms
           };
         }
@@ -120,7 +130,7 @@ class ConfigManager {
         return config;
       }
     } catch (error) {
-      console.error('설정 파일 읽기 오류:', error.message);
+      console.error(t('설정 파일 읽기 오류:'), error.message);
     }
 
     return {
@@ -138,22 +148,28 @@ class ConfigManager {
       fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2), 'utf-8');
       return true;
     } catch (error) {
-      console.error(chalk.red(`❌ 설정 저장 실패: ${error.message}`));
+      console.error(chalk.red(t('❌ 설정 저장 실패: {message}', { message: error.message })));
       return false;
     }
   }
 
   /**
    * 특정 플랫폼의 API 키 설정
+   * @param {string} provider - AI 플랫폼
+   * @param {string} apiKey - API 키 (로컬 서버는 빈 값 허용)
+   * @param {Object} extra - 플랫폼별 추가 설정 (baseUrl, model 등)
    */
-  async setPlatformApiKey(provider, apiKey) {
+  async setPlatformApiKey(provider, apiKey, extra = {}) {
     const config = this.readFullConfig();
     
     if (!config.platforms) {
       config.platforms = {};
     }
     
+    // 기존 플랫폼 설정(서버 주소, 모델 등)은 유지
     config.platforms[provider] = {
+      ...config.platforms[provider],
+      ...extra,
       apiKey: apiKey,
       lastUpdated: new Date().toISOString()
     };
@@ -167,18 +183,59 @@ class ConfigManager {
     
     const success = this.saveFullConfig(config);
     if (success) {
-      console.log(chalk.green(`✅ ${this.getPlatformName(provider)} API 키가 저장되었습니다.`));
+      console.log(chalk.green(t('✅ {platformName} API 키가 저장되었습니다.', { platformName: this.getPlatformName(provider) })));
       
       // 기존 .env 파일이 있으면 삭제 (마이그레이션)
       if (fs.existsSync(this.envFile)) {
         fs.unlinkSync(this.envFile);
-        console.log(chalk.yellow('📄 기존 .env 파일을 새로운 설정 파일로 마이그레이션했습니다.'));
+        console.log(chalk.yellow(t('📄 기존 .env 파일을 새로운 설정 파일로 마이그레이션했습니다.')));
       }
     }
     
     return success;
   }
 
+  /**
+   * 플랫폼별 모델 설정 가져오기
+   * @param {string} provider - AI 플랫폼
+   * @returns {string|null} 설정된 모델 (없으면 null → 프로바이더 기본 모델 사용)
+   */
+  getPlatformModel(provider) {
+    const config = this.readFullConfig();
+    const platform = (config.platforms || {})[provider];
+    return (platform && platform.model) || null;
+  }
+
+  /**
+   * 플랫폼별 모델 설정
+   * @param {string} provider - AI 플랫폼
+   * @param {string|null} model - 모델 ID (null이면 기본 모델로 되돌림)
+   */
+  async setPlatformModel(provider, model) {
+    const config = this.readFullConfig();
+    
+    if (!config.platforms || !config.platforms[provider]) {
+      console.log(chalk.red(t('❌ {platformName} 설정이 없습니다. 먼저 API 키를 등록하세요.', { platformName: this.getPlatformName(provider) })));
+      return false;
+    }
+    
+    if (model) {
+      config.platforms[provider].model = model;
+    } else {
+      delete config.platforms[provider].model;
+    }
+    config.platforms[provider].lastUpdated = new Date().toISOString();
+    config.lastUpdated = new Date().toISOString();
+    
+    const success = this.saveFullConfig(config);
+    if (success) {
+      const defaultModel = providers.get(provider).defaultModel;
+      console.log(chalk.green(t('✅ {platformName} 모델: {model}', { platformName: this.getPlatformName(provider), model: model || t('{defaultModel} (기본값)', { defaultModel }) })));
+    }
+    
+    return success;
+  }
+
   /**
    * 특정 플랫폼의 API 키 삭제
    */
@@ -186,7 +243,7 @@ class ConfigManager {
     const config = this.readFullConfig();
     
     if (!config.platforms || !config.platforms[provider]) {
-      console.log(chalk.yellow(`⚠️  ${this.getPlatformName(provider)} API 키가 설정되어 있지 않습니다.`));
+      console.log(chalk.yellow(t('⚠️  {platformName} API 키가 설정되어 있지 않습니다.', { platformName: this.getPlatformName(provider) })));
       return false;
     }
     
@@ -202,7 +259,7 @@ class ConfigManager {
     
     const success = this.saveFullConfig(config);
     if (success) {
-      console.log(chalk.green(`✅ ${this.getPlatformName(provider)} API 키가 삭제되었습니다.`));
+      console.log(chalk.green(t('✅ {platformName} API 키가 삭제되었습니다.', { platformName: this.getPlatformName(provider) })));
     }
     
     return success;
@@ -215,7 +272,7 @@ class ConfigManager {
     const config = this.readFullConfig();
     
     if (!config.platforms || !config.platforms[provider]) {
-      console.log(chalk.red(`❌ ${this.getPlatformName(provider)} API 키가 설정되어 있지 않습니다.`));
+      console.log(chalk.red(t('❌ {platformName} API 키가 설정되어 있지 않습니다.', { platformName: this.getPlatformName(provider) })));
       return false;
     }
     
@@ -224,7 +281,7 @@ class ConfigManager {
     
     const success = this.saveFullConfig(config);
     if (success) {
-      console.log(chalk.green(`✅ 활성 AI 플랫폼이 ${this.getPlatformName(provider)}으로 변경되었습니다.`));
+      console.log(chalk.green(t('✅ 활성 AI 플랫폼이 {platformName}으로 변경되었습니다.', { platformName: this.getPlatformName(provider) })));
     }
     
     return success;
@@ -234,11 +291,25 @@ class ConfigManager {
    * 플랫폼명 반환
    */
   getPlatformName(provider) {
-    const platformNames = {
-      'chatgpt': 'ChatGPT (OpenAI)',
-      'gemini': 'Gemini (Google)'
-    };
-    return platformNames[provider] || provider;
+    return providers.getName(provider);
+  }
+
+  /**
+   * 플랫폼을 바로 사용할 수 있는지 확인 (API 키가 필요 없는 프로바이더는 키 없이 사용 가능)
+   */
+  isPlatformReady(provider, apiKey) {
+    if (!provider || !providers.has(provider)) {
+      return false;
+    }
+    return !!apiKey || !providers.requiresApiKey(provider);
+  }
+
+  /**
+   * 서버 주소를 직접 입력받는 프로바이더인지 확인 (로컬 OpenAI 호환 서버 등)
+   */
+  isServerProvider(provider) {
+    const info = providers.get(provider);
+    return !!(info && info.defaultBaseUrl);
   }
 
   /**
@@ -253,17 +324,17 @@ class ConfigManager {
 
     try {
       fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2), 'utf-8');
-      console.log(chalk.green(`✅ AI 설정이 저장되었습니다: ${this.configFile}`));
+      console.log(chalk.green(t('✅ AI 설정이 저장되었습니다: {configFile}', { configFile: this.configFile })));
       
       // 기존 .env 파일이 있으면 삭제 (마이그레이션)
       if (fs.existsSync(this.envFile)) {
         fs.unlinkSync(this.envFile);
-        console.log(chalk.yellow('📄 기존 .env 파일을 새로운 설정 파일로 마이그레이션했습니다.'));
+        console.log(chalk.yellow(t('📄 기존 .env 파일을 새로운 설정 파일로 마이그레이션했습니다.')));
       }
       
       return true;
     } catch (error) {
-      console.error(chalk.red(`❌ AI 설정 저장 실패: ${error.message}`));
+      console.error(chalk.red(t('❌ AI 설정 저장 실패: {message}', { message: error.message })));
       return false;
     }
   }
@@ -274,53 +345,66 @@ class ConfigManager {
   async showPlatformMenu(provider) {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white(`⚙️ ${this.getPlatformName(provider)} 설정`));
+    console.log(chalk.white(t('⚙️ {platformName} 설정', { platformName: this.getPlatformName(provider) })));
     console.log(chalk.white('─────────────────────────────────────────────'));
     
     const config = this.readFullConfig();
     const hasApiKey = config.platforms && config.platforms[provider];
     const isCurrentProvider = config.currentProvider === provider;
     
-    console.log(chalk.white('📋 현재 상태:'));
-    if (hasApiKey) {
-      console.log(chalk.green(`✅ API 키: 설정됨`));
-      console.log(chalk.white(`   마지막 업데이트: ${config.platforms[provider].lastUpdated.split('T')[0]}`));
+    console.log(chalk.white(t('📋 현재 상태:')));
+    const isServer = this.isServerProvider(provider);
+    if (hasApiKey && isServer) {
+      const localConfig = config.platforms[provider];
+      console.log(chalk.green(t('✅ 서버 주소: {baseUrl}', { baseUrl: localConfig.baseUrl })));
+      console.log(chalk.white(t('   모델: {model}', { model: localConfig.model })));
+      console.log(chalk.white(t('   API 키: {status}', { status: localConfig.apiKey ? t('설정됨') : t('사용 안함') })));
+      console.log(chalk.white(t('   마지막 업데이트: {date}', { date: localConfig.lastUpdated.split('T')[0] })));
+      if (isCurrentProvider) {
+        console.log(chalk.green(t('✅ 현재 활성 플랫폼')));
+      } else {
+        console.log(chalk.white(t('   현재 비활성 상태')));
+      }
+    } else if (hasApiKey) {
+      const defaultModel = providers.get(provider).defaultModel;
+      console.log(chalk.green(t('✅ API 키: 설정됨')));
+      console.log(chalk.white(t('   모델: {model}', { model: config.platforms[provider].model || t('{defaultModel} (기본값)', { defaultModel }) })));
+      console.log(chalk.white(t('   마지막 업데이트: {date}', { date: config.platforms[provider].lastUpdated.split('T')[0] })));
       if (isCurrentProvider) {
-        console.log(chalk.green('✅ 현재 활성 플랫폼'));
+        console.log(chalk.green(t('✅ 현재 활성 플랫폼')));
       } else {
-        console.log(chalk.white('   현재 비활성 상태'));
+        console.log(chalk.white(t('   현재 비활성 상태')));
       }
     } else {
-      console.log(chalk.red('❌ API 키: 설정되지 않음'));
+      console.log(chalk.red(t('❌ API 키: 설정되지 않음')));
     }
     
-    const apiUrls = {
-      'chatgpt': 'https://platform.openai.com/api-keys',
-      'gemini': 'https://ai.google.dev/'
-    };
-    
-    console.log(chalk.white(`\n🔗 API 키 발급: ${apiUrls[provider]}`));
+    const info = providers.get(provider);
+    if (info && info.apiKeyUrl) {
+      console.log(chalk.white(t('\n🔗 API 키 발급: {apiKeyUrl}', { apiKeyUrl: info.apiKeyUrl })));
+    }
     
     // 메뉴 선택지 구성
     const choices = [];
     
     if (hasApiKey) {
-      choices.push({ name: '✏️  API 키 수정', value: 'modify' });
+      choices.push({ name: isServer ? t('✏️  서버 설정 수정') : t('✏️  API 키 수정'), value: 'modify' });
+      choices.push({ name: t('🧩 모델 변경'), value: 'model' });
       if (!isCurrentProvider) {
-        choices.push({ name: '🎯 이 플랫폼으로 전환', value: 'activate' });
+        choices.push({ name: t('🎯 이 플랫폼으로 전환'), value: 'activate' });
       }
-      choices.push({ name: '🗑️  API 키 삭제', value: 'delete' });
+      choices.push({ name: isServer ? t('🗑️  서버 설정 삭제') : t('🗑️  API 키 삭제'), value: 'delete' });
     } else {
-      choices.push({ name: '➕ API 키 추가', value: 'add' });
+      choices.push({ name: isServer ? t('➕ 서버 설정 추가') : t('➕ API 키 추가'), value: 'add' });
     }
     
-    choices.push({ name: '↩️  이전 메뉴로', value: 'back' });
+    choices.push({ name: t('↩️  이전 메뉴로'), value: 'back' });
 
     const { action } = await inquirer.prompt([
       {
         type: 'list',
         name: 'action',
-        message: '\n무엇을 하시겠습니까?',
+        message: t('\n무엇을 하시겠습니까?'),
         choices,
         prefix: '',
         suffix: ''
@@ -330,11 +414,18 @@ class ConfigManager {
     switch (action) {
       case 'add':
       case 'modify':
-        await this.promptForPlatformApiKey(provider);
+        if (isServer) {
+          await this.promptForServerSetup(provider);
+        } else {
+          await this.promptForPlatformApiKey(provider);
+        }
         break;
       case 'delete':
         await this.confirmDeletePlatformApiKey(provider);
         break;
+      case 'model':
+        await this.promptForModelSelection(provider);
+        break;
       case 'activate':
         await this.setCurrentProvider(provider);
         await this.showPlatformMenu(provider); // 상태 업데이트 후 다시 표시
@@ -344,48 +435,55 @@ class ConfigManager {
     }
 
     // 작업 완료 후 메뉴 다시 표시
-    console.log(chalk.white('\n계속하려면 Enter를 누르세요...'));
+    console.log(chalk.white(t('\n계속하려면 Enter를 누르세요...')));
     await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     await this.showPlatformMenu(provider);
   }
 
+  /**
+   * API 키 입력값 검사 (프로바이더의 validateKey가 있으면 함께 사용)
+   */
+  validateApiKeyInput(provider, input) {
+    // 입력 최적화: 빈 값일 때만 즉시 체크
+    if (input === '') {
+      return t('API 키를 입력해주세요.');
+    }
+    if (input.toLowerCase() === 'cancel' || input.toLowerCase() === 'exit') {
+      return true;
+    }
+    if (input.length > 0 && input.length < 10) {
+      return t('API 키가 너무 짧습니다. 올바른 API 키를 입력하세요.');
+    }
+    const info = providers.get(provider);
+    if (info && typeof info.validateKey === 'function') {
+      return info.validateKey(input);
+    }
+    return true;
+  }
+
   /**
    * 플랫폼별 API 키 입력
    */
   async promptForPlatformApiKey(provider) {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white(`🔑 ${this.getPlatformName(provider)} API 키 설정`));
+    console.log(chalk.white(t('🔑 {platformName} API 키 설정', { platformName: this.getPlatformName(provider) })));
     console.log(chalk.white('─────────────────────────────────────────────'));
     
-    const apiUrls = {
-      'chatgpt': 'https://platform.openai.com/api-keys',
-      'gemini': 'https://ai.google.dev/'
-    };
-    
-    console.log(chalk.white(`API 키는 ${apiUrls[provider]} 에서 발급받을 수 있습니다.`));
-    console.log(chalk.white('저장 위치:'), chalk.greenBright(`${this.configFile}\n`));
-    console.log(chalk.white('취소하려면 "cancel" 또는 "exit"를 입력하세요.'));
+    const info = providers.get(provider);
+    if (info && info.apiKeyUrl) {
+      console.log(chalk.white(t('API 키는 {apiKeyUrl} 에서 발급받을 수 있습니다.', { apiKeyUrl: info.apiKeyUrl })));
+    }
+    console.log(chalk.white(t('저장 위치:')), chalk.greenBright(`${this.configFile}\n`));
+    console.log(chalk.white(t('취소하려면 "cancel" 또는 "exit"를 입력하세요.')));
 
     const { apiKey } = await inquirer.prompt([
       {
         type: 'password',
         name: 'apiKey',
-        message: `${this.getPlatformName(provider)} API 키를 입력하세요:`,
+        message: t('{platformName} API 키를 입력하세요:', { platformName: this.getPlatformName(provider) }),
         mask: '*',
-        validate: (input) => {
-          // 입력 최적화: 빈 값일 때만 즉시 체크
-          if (input === '') {
-            return 'API 키를 입력해주세요.';
-          }
-          if (input.toLowerCase() === 'cancel' || input.toLowerCase() === 'exit') {
-            return true;
-          }
-          if (input.length > 0 && input.length < 10) {
-            return 'API 키가 너무 짧습니다. 올바른 API 키를 입력하세요.';
-          }
-          return true;
-        },
+        validate: (input) => this.validateApiKeyInput(provider, input),
         prefix: '',
         suffix: ''
       }
@@ -394,26 +492,26 @@ class ConfigManager {
     // 취소 확인
     if (apiKey.toLowerCase() === 'cancel' || apiKey.toLowerCase() === 'exit') {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.yellow('설정이 취소되었습니다.'));
+      console.log(chalk.yellow(t('설정이 취소되었습니다.')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       return false;
     }
 
     // API 키 유효성 검사
-    console.log(chalk.white('\n🔍 API 키 유효성 검사 중...'));
+    console.log(chalk.white(t('\n🔍 API 키 유효성 검사 중...')));
     
     const aiService = require('./aiService');
     const isValid = await aiService.validateApiKey(provider, apiKey);
     
     if (!isValid) {
-      console.log(chalk.red('\n❌ API 키 유효성 검사에 실패했습니다.'));
-      console.log(chalk.yellow('다시 시도하시겠습니까?'));
+      console.log(chalk.red(t('\n❌ API 키 유효성 검사에 실패했습니다.')));
+      console.log(chalk.yellow(t('다시 시도하시겠습니까?')));
       
       const { retry } = await inquirer.prompt([
         {
           type: 'confirm',
           name: 'retry',
-          message: '다시 시도하시겠습니까?',
+          message: t('다시 시도하시겠습니까?'),
           default: true,
           prefix: '',
           suffix: ''
@@ -432,27 +530,234 @@ class ConfigManager {
     
     if (success) {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.green(`✅ ${this.getPlatformName(provider)} 설정이 완료되었습니다!`));
+      console.log(chalk.green(t('✅ {platformName} 설정이 완료되었습니다!', { platformName: this.getPlatformName(provider) })));
       console.log(chalk.white('─────────────────────────────────────────────'));
     }
     
     return success;
   }
 
+  /**
+   * 서버형 프로바이더 설정 (서버 주소, 선택적 API 키, 모델)
+   * @param {string} provider - defaultBaseUrl을 가진 프로바이더 ID (기본값: local)
+   */
+  async promptForServerSetup(provider = 'local') {
+    const defaults = providers.get(provider);
+
+    console.clear();
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('{icon} {platformName} 서버 설정', { icon: defaults.icon, platformName: this.getPlatformName(provider) })));
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('OpenAI 호환 /v1/chat/completions 엔드포인트를 제공하는 서버를 사용합니다.')));
+    if (defaults.description) {
+      console.log(chalk.white(t('예: {description}', { description: defaults.description })));
+    }
+    console.log(chalk.white(t('저장 위치:')), chalk.greenBright(`${this.configFile}\n`));
+
+    const aiService = require('./aiService');
+    const current = (this.readFullConfig().platforms || {})[provider] || {};
+
+    const { baseUrl, apiKey } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'baseUrl',
+        message: t('서버 주소 (/v1 까지 포함):'),
+        default: current.baseUrl || defaults.defaultBaseUrl,
+        validate: (input) => {
+          if (!/^https?:\/\/.+/i.test(input.trim())) {
+            return t('http:// 또는 https:// 로 시작하는 주소를 입력하세요.');
+          }
+          return true;
+        },
+        filter: (input) => input.trim().replace(/\/+$/, ''),
+        prefix: '',
+        suffix: ''
+      },
+      {
+        type: 'password',
+        name: 'apiKey',
+        message: t('API 키 (필요 없으면 Enter):'),
+        mask: '*',
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    // 서버에서 모델 목록 가져오기
+    console.log(chalk.white(t('\n🔍 모델 목록 조회 중...')));
+    let models = [];
+    try {
+      models = await aiService.listModels(provider, { baseUrl, apiKey });
+    } catch (error) {
+      console.log(chalk.yellow(t('⚠️  모델 목록을 가져올 수 없습니다: {message}', { message: error.message })));
+    }
+
+    let model;
+    if (models.length > 0) {
+      const choices = models.map(id => ({ name: id, value: id }));
+      choices.push({ name: t('✏️  직접 입력'), value: '__manual__' });
+      const answer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'model',
+          message: t('사용할 모델을 선택하세요:'),
+          choices,
+          default: models.includes(current.model) ? current.model : models[0],
+          prefix: '',
+          suffix: ''
+        }
+      ]);
+      model = answer.model;
+    }
+
+    if (!model || model === '__manual__') {
+      const answer = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'model',
+          message: t('모델 이름을 입력하세요:'),
+          default: current.model || defaults.defaultModel,
+          validate: (input) => input.trim() ? true : t('모델 이름을 입력해주세요.'),
+          filter: (input) => input.trim(),
+          prefix: '',
+          suffix: ''
+        }
+      ]);
+      model = answer.model;
+    }
+
+    // 연결 확인
+    console.log(chalk.white(t('\n🔍 서버 연결 확인 중...')));
+    const isValid = await aiService.validateApiKey(provider, apiKey, { baseUrl, model });
+
+    if (!isValid) {
+      console.log(chalk.red(t('\n❌ 서버 연결 확인에 실패했습니다.')));
+
+      const { retry } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'retry',
+          message: t('다시 시도하시겠습니까?'),
+          default: true,
+          prefix: '',
+          suffix: ''
+        }
+      ]);
+
+      if (retry) {
+        return await this.promptForServerSetup(provider);
+      } else {
+        return false;
+      }
+    }
+
+    const success = await this.setPlatformApiKey(provider, apiKey || '', { baseUrl, model });
+
+    if (success) {
+      console.log(chalk.white('\n─────────────────────────────────────────────'));
+      console.log(chalk.green(t('✅ {platformName} 설정이 완료되었습니다!', { platformName: this.getPlatformName(provider) })));
+      console.log(chalk.white('─────────────────────────────────────────────'));
+    }
+
+    return success;
+  }
+
+  /**
+   * 플랫폼별 모델 선택 (models 엔드포인트 조회, 실패 시 오프라인 목록)
+   */
+  async promptForModelSelection(provider) {
+    console.clear();
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('🧩 {platformName} 모델 선택', { platformName: this.getPlatformName(provider) })));
+    console.log(chalk.white('─────────────────────────────────────────────'));
+
+    const aiService = require('./aiService');
+    const info = providers.get(provider);
+    const platform = (this.readFullConfig().platforms || {})[provider] || {};
+    const currentModel = platform.model || info.defaultModel;
+
+    console.log(chalk.white(t('현재 모델: {currentModel}{suffix}', { currentModel, suffix: platform.model ? '' : t(' (기본값)') })));
+    console.log(chalk.white(t('\n🔍 모델 목록 조회 중...')));
+
+    const { models, source, error } = await aiService.getModelChoices(provider, {
+      apiKey: platform.apiKey,
+      baseUrl: platform.baseUrl
+    });
+
+    if (source === 'fallback') {
+      if (error) {
+        console.log(chalk.yellow(t('⚠️  모델 목록을 가져올 수 없습니다: {error}', { error })));
+      }
+      if (models.length > 0) {
+        console.log(chalk.yellow(t('💡 오프라인 기본 목록을 표시합니다.')));
+      }
+    } else {
+      console.log(chalk.green(t('✅ {count}개 모델을 찾았습니다.', { count: models.length })));
+    }
+
+    const choices = models.map(id => ({
+      name: `${id === currentModel ? '🎯' : '  '} ${id}${id === info.defaultModel ? chalk.white(t(' (기본값)')) : ''}`,
+      value: id
+    }));
+    choices.push({ name: t('✏️  직접 입력'), value: '__manual__' });
+    if (platform.model) {
+      choices.push({ name: t('🔄 기본 모델 사용 ({defaultModel})', { defaultModel: info.defaultModel }), value: '__default__' });
+    }
+    choices.push({ name: t('↩️  이전 메뉴로'), value: '__back__' });
+
+    const answer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'model',
+        message: t('\n사용할 모델을 선택하세요:'),
+        choices,
+        default: models.includes(currentModel) ? models.indexOf(currentModel) : 0,
+        pageSize: 15,
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    let model = answer.model;
+    if (model === '__back__') {
+      return false;
+    }
+    if (model === '__default__') {
+      return await this.setPlatformModel(provider, null);
+    }
+    if (model === '__manual__') {
+      const manual = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'model',
+          message: t('모델 이름을 입력하세요:'),
+          default: currentModel,
+          validate: (input) => input.trim() ? true : t('모델 이름을 입력해주세요.'),
+          filter: (input) => input.trim(),
+          prefix: '',
+          suffix: ''
+        }
+      ]);
+      model = manual.model;
+    }
+
+    return await this.setPlatformModel(provider, model);
+  }
+
   /**
    * 플랫폼 API 키 삭제 확인
    */
   async confirmDeletePlatformApiKey(provider) {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.red(`🗑️ ${this.getPlatformName(provider)} API 키 삭제`));
+    console.log(chalk.red(t('🗑️ {platformName} API 키 삭제', { platformName: this.getPlatformName(provider) })));
     console.log(chalk.white('─────────────────────────────────────────────'));
 
     const { confirm } = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'confirm',
-        message: `정말로 ${this.getPlatformName(provider)} API 키를 삭제하시겠습니까?`,
+        message: t('정말로 {platformName} API 키를 삭제하시겠습니까?', { platformName: this.getPlatformName(provider) }),
         default: false,
         prefix: '',
         suffix: ''
@@ -461,7 +766,7 @@ class ConfigManager {
 
     if (!confirm) {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.yellow('취소되었습니다.'));
+      console.log(chalk.yellow(t('취소되었습니다.')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       return false;
     }
@@ -481,29 +786,36 @@ class ConfigManager {
   async promptForAISetup() {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('           🤖 AI 플랫폼 선택 및 설정'));
+    console.log(chalk.white(t('           🤖 AI 플랫폼 선택 및 설정')));
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('rltgjqm은 다음 AI 플랫폼을 지원합니다:\n'));
+    console.log(chalk.white(t('rltgjqm은 다음 AI 플랫폼을 지원합니다:\n')));
     
-    console.log(chalk.cyan('📌 ChatGPT (OpenAI)'));
-    console.log(chalk.white('   • 모델: gpt-4o-mini'));
-    console.log(chalk.white('   • API 키: https://platform.openai.com/api-keys\n'));
-    
-    console.log(chalk.cyan('📌 Gemini (Google)'));
-    console.log(chalk.white('   • 모델: gemini-1.5-flash'));
-    console.log(chalk.white('   • API 키: https://ai.google.dev/\n'));
+    providers.list().forEach(info => {
+      console.log(chalk.cyan(`📌 ${t(info.name)}`));
+      if (info.defaultBaseUrl) {
+        if (info.description) {
+          console.log(chalk.white(`   • ${t(info.description)}`));
+        }
+        console.log(chalk.white(t('   • API 키: 선택 사항\n')));
+      } else {
+        console.log(chalk.white(t('   • 모델: {defaultModel}', { defaultModel: info.defaultModel })));
+        console.log(chalk.white(t('   • API 키: {apiKeyUrl}\n', { apiKeyUrl: info.apiKeyUrl || t('프로바이더 문서 참고') })));
+      }
+    });
 
     // 1단계: AI 플랫폼 선택
+    const platformChoices = providers.list().map(info => ({
+      name: `${info.icon} ${t(info.name)}`,
+      value: info.id
+    }));
+    platformChoices.push({ name: t('❌ 취소'), value: 'cancel' });
+
     const { provider } = await inquirer.prompt([
       {
         type: 'list',
         name: 'provider',
-        message: 'AI 플랫폼을 선택하세요:',
-        choices: [
-          { name: '🤖 ChatGPT (OpenAI)', value: 'chatgpt' },
-          { name: '🧠 Gemini (Google)', value: 'gemini' },
-          { name: '❌ 취소', value: 'cancel' }
-        ],
+        message: t('AI 플랫폼을 선택하세요:'),
+        choices: platformChoices,
         prefix: '',
         suffix: ''
       }
@@ -511,49 +823,37 @@ class ConfigManager {
 
     if (provider === 'cancel') {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.yellow('설정이 취소되었습니다.'));
+      console.log(chalk.yellow(t('설정이 취소되었습니다.')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       return false;
     }
 
+    // 서버형 프로바이더는 주소와 모델을 입력받는 별도 흐름 사용
+    if (this.isServerProvider(provider)) {
+      return await this.promptForServerSetup(provider);
+    }
+
     // 2단계: API 키 입력
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
     
-    const platformNames = {
-      'chatgpt': 'ChatGPT (OpenAI)',
-      'gemini': 'Gemini (Google)'
-    };
-    
-    const apiUrls = {
-      'chatgpt': 'https://platform.openai.com/api-keys',
-      'gemini': 'https://ai.google.dev/'
-    };
+    const info = providers.get(provider);
 
-    console.log(chalk.white(`            🔑 ${platformNames[provider]} API 키 설정`));
+    console.log(chalk.white(t('            🔑 {name} API 키 설정', { name: t(info.name) })));
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white(`API 키는 ${apiUrls[provider]} 에서 발급받을 수 있습니다.`));
-    console.log(chalk.white('저장 위치:'), chalk.greenBright(`${this.configFile}\n`));
-    console.log(chalk.white('취소하려면 "cancel" 또는 "exit"를 입력하세요.'));
+    if (info.apiKeyUrl) {
+      console.log(chalk.white(t('API 키는 {apiKeyUrl} 에서 발급받을 수 있습니다.', { apiKeyUrl: info.apiKeyUrl })));
+    }
+    console.log(chalk.white(t('저장 위치:')), chalk.greenBright(`${this.configFile}\n`));
+    console.log(chalk.white(t('취소하려면 "cancel" 또는 "exit"를 입력하세요.')));
 
     const { apiKey } = await inquirer.prompt([
       {
         type: 'password',
         name: 'apiKey',
-        message: `${platformNames[provider]} API 키를 입력하세요:`,
+        message: t('{name} API 키를 입력하세요:', { name: t(info.name) }),
         mask: '*',
-        validate: (input) => {
-          if (!input) {
-            return 'API 키를 입력해주세요.';
-          }
-          if (input.toLowerCase() === 'cancel' || input.toLowerCase() === 'exit') {
-            return true;
-          }
-          if (input.length < 10) {
-            return 'API 키가 너무 짧습니다. 올바른 API 키를 입력하세요.';
-          }
-          return true;
-        },
+        validate: (input) => this.validateApiKeyInput(provider, input),
         prefix: '',
         suffix: ''
       }
@@ -562,26 +862,26 @@ class ConfigManager {
     // 취소 확인
     if (apiKey.toLowerCase() === 'cancel' || apiKey.toLowerCase() === 'exit') {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.yellow('설정이 취소되었습니다.'));
+      console.log(chalk.yellow(t('설정이 취소되었습니다.')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       return false;
     }
 
     // 3단계: API 키 유효성 검사
-    console.log(chalk.white('\n🔍 API 키 유효성 검사 중...'));
+    console.log(chalk.white(t('\n🔍 API 키 유효성 검사 중...')));
     
     const aiService = require('./aiService');
     const isValid = await aiService.validateApiKey(provider, apiKey);
     
     if (!isValid) {
-      console.log(chalk.red('\n❌ API 키 유효성 검사에 실패했습니다.'));
-      console.log(chalk.yellow('다시 시도하시겠습니까?'));
+      console.log(chalk.red(t('\n❌ API 키 유효성 검사에 실패했습니다.')));
+      console.log(chalk.yellow(t('다시 시도하시겠습니까?')));
       
       const { retry } = await inquirer.prompt([
         {
           type: 'confirm',
           name: 'retry',
-          message: '다시 시도하시겠습니까?',
+          message: t('다시 시도하시겠습니까?'),
           default: true,
           prefix: '',
           suffix: ''
@@ -600,7 +900,7 @@ class ConfigManager {
     
     if (success) {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.green(`✅ ${platformNames[provider]} 설정이 완료되었습니다!`));
+      console.log(chalk.green(t('✅ {name} 설정이 완료되었습니다!', { name: t(info.name) })));
       console.log(chalk.white('─────────────────────────────────────────────'));
     }
     
@@ -627,19 +927,19 @@ class ConfigManager {
    * API 키 설정 (사용자 홈 디렉토리에만 저장)
    */
   async setApiKey(apiKey) {
-    const envContent = `# Gemini API Key for rltgjqm
-GEMINI_API_KEY=${apiKey}
+    const envContent = t(`# Gemini API Key for rltgjqm
+GEMINI_API_KEY={apiKey}
 
 # 이 파일은 rltgjqm CLI 도구에서 자동 생성되었습니다.
 # API 키를 변경하려면 'rltgjqm config' 명령어를 사용하세요.
-`;
+`, { apiKey });
 
     try {
       fs.writeFileSync(this.envFile, envContent, 'utf-8');
-      console.log(chalk.green(`✅ API 키가 저장되었습니다: ${this.envFile}`));
+      console.log(chalk.green(t('✅ API 키가 저장되었습니다: {envFile}', { envFile: this.envFile })));
       return true;
     } catch (error) {
-      console.error(chalk.red(`❌ API 키 저장 실패: ${error.message}`));
+      console.error(chalk.red(t('❌ API 키 저장 실패: {message}', { message: error.message })));
       return false;
     }
   }
@@ -650,29 +950,29 @@ GEMINI_API_KEY=${apiKey}
   async promptForApiKey() {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('            🔑 Gemini API 키 설정'));
+    console.log(chalk.white(t('            🔑 Gemini API 키 설정')));
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('API 키는 https://ai.google.dev/ 에서 발급받을 수 있습니다.'));
+    console.log(chalk.white(t('API 키는 https://ai.google.dev/ 에서 발급받을 수 있습니다.')));
 
     // 현재 경로 정보 표시
-    console.log(chalk.white('저장 위치:'), chalk.greenBright(`${this.envFile}\n`));
-    console.log(chalk.white('취소하려면 "cancel" 또는 "exit"를 입력하세요.'));
+    console.log(chalk.white(t('저장 위치:')), chalk.greenBright(`${this.envFile}\n`));
+    console.log(chalk.white(t('취소하려면 "cancel" 또는 "exit"를 입력하세요.')));
 
     const answers = await inquirer.prompt([
       {
         type: 'password',
         name: 'apiKey',
-        message: 'Gemini API 키를 입력하세요:',
+        message: t('Gemini API 키를 입력하세요:'),
         mask: '*',
         validate: (input) => {
           if (!input) {
-            return 'API 키를 입력해주세요.';
+            return t('API 키를 입력해주세요.');
           }
           if (input.toLowerCase() === 'cancel' || input.toLowerCase() === 'exit') {
             return true; // 취소 명령어는 유효한 입력으로 처리
           }
           if (input.length < 10) {
-            return 'API 키가 너무 짧습니다. 올바른 API 키를 입력하세요.';
+            return t('API 키가 너무 짧습니다. 올바른 API 키를 입력하세요.');
           }
           return true;
         },
@@ -684,7 +984,7 @@ GEMINI_API_KEY=${apiKey}
     // 취소 명령어 확인
     if (answers.apiKey.toLowerCase() === 'cancel' || answers.apiKey.toLowerCase() === 'exit') {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.yellow('취소되었습니다.'));
+      console.log(chalk.yellow(t('취소되었습니다.')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       return false;
     }
@@ -704,17 +1004,18 @@ GEMINI_API_KEY=${apiKey}
    */
   checkConfigStatus() {
     const { provider, apiKey } = this.getAIConfig();
-    const hasApiKey = !!(provider && apiKey);
+    const hasApiKey = this.isPlatformReady(provider, apiKey);
     
     let keySource = '';
     let configPath = this.configFile;
     
-    if (process.env.GEMINI_API_KEY || process.env.OPENAI_API_KEY) {
-      keySource = '환경변수';
+    const info = providers.get(provider);
+    if (apiKey && info && info.envKey && process.env[info.envKey] === apiKey) {
+      keySource = t('환경변수');
     } else if (fs.existsSync(this.configFile)) {
-      keySource = '사용자 설정 (JSON)';
+      keySource = t('사용자 설정 (JSON)');
     } else if (this.readEnvFile(this.envFile)) {
-      keySource = '기존 설정 (.env)';
+      keySource = t('기존 설정 (.env)');
       configPath = this.envFile;
     }
 
@@ -733,7 +1034,7 @@ GEMINI_API_KEY=${apiKey}
   async showConfigMenu() {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('⚙️ 설정 관리'));
+    console.log(chalk.white(t('⚙️ 설정 관리')));
     console.log(chalk.white('─────────────────────────────────────────────'));
     
     // Git 상태 정보 표시
@@ -752,47 +1053,56 @@ GEMINI_API_KEY=${apiKey}
     
     // AI 플랫폼 설정 상태 표시 (통합된 정보)
     if (fullConfig.platforms && Object.keys(fullConfig.platforms).length > 0) {
-      console.log(chalk.white('\n📱 등록된 AI 플랫폼:'));
+      console.log(chalk.white(t('\n📱 등록된 AI 플랫폼:')));
       Object.keys(fullConfig.platforms).forEach(platform => {
         const isActive = fullConfig.currentProvider === platform;
-        const statusIcon = isActive ? chalk.green('🎯 활성') : chalk.white('   비활성');
+        const statusIcon = isActive ? chalk.green(t('🎯 활성')) : chalk.white(t('   비활성'));
         console.log(`${statusIcon} ${this.getPlatformName(platform)}`);
       });
-      console.log(chalk.white(`   키 소스: ${status.keySource}`));
+      console.log(chalk.white(t('   키 소스: {keySource}', { keySource: status.keySource })));
     } else {
-      console.log(chalk.white('\n📱 등록된 AI 플랫폼:'));
-      console.log(chalk.red('❌ 설정된 AI 플랫폼이 없습니다'));
+      console.log(chalk.white(t('\n📱 등록된 AI 플랫폼:')));
+      console.log(chalk.red(t('❌ 설정된 AI 플랫폼이 없습니다')));
     }
 
     // 기본 실행 모드 정보 표시
     const currentMode = this.getDefaultExecutionMode();
     const modeNames = {
-      'auto': '🚀 자동 실행',
-      'interactive': '🔍 단계별 확인',
-      'dry': '👀 미리보기'
+      'auto': t('🚀 자동 실행'),
+      'interactive': t('🔍 단계별 확인'),
+      'dry': t('👀 미리보기')
     };
-    console.log(chalk.white('\n⚙️ 기본 실행 모드:'));
+    console.log(chalk.white(t('\n⚙️ 기본 실행 모드:')));
     if (currentMode) {
       console.log(chalk.green(`✅ ${modeNames[currentMode]}`));
     } else {
-      console.log(chalk.red('❌ 설정되지 않음'));
+      console.log(chalk.red(t('❌ 설정되지 않음')));
     }
 
     // 출력 모드 정보 표시
     const currentOutputMode = this.getOutputMode();
     const outputModeNames = {
-      'detail': '📄 상세 출력',
-      'simple': '📝 간단 출력'
+      'detail': t('📄 상세 출력'),
+      'simple': t('📝 간단 출력')
     };
-    console.log(chalk.white('\n📋 출력 모드:'));
+    console.log(chalk.white(t('\n📋 출력 모드:')));
     console.log(chalk.green(`✅ ${outputModeNames[currentOutputMode]}`));
 
     // 프롬프트 디버그 모드 정보 표시
     const debugMode = this.getDebugMode();
-    console.log(chalk.white('\n🔍 프롬프트 표시:'));
-    console.log(debugMode ? chalk.green('✅ 활성화') : chalk.white('❌ 비활성화'));
+    console.log(chalk.white(t('\n🔍 프롬프트 표시:')));
+    console.log(debugMode ? chalk.green(t('✅ 활성화')) : chalk.white(t('❌ 비활성화')));
+
+    // 대체 플랫폼 정보 표시
+    const fallbackProviders = this.getFallbackProviders();
+    console.log(chalk.white(t('\n🔁 대체 플랫폼:')));
+    if (fallbackProviders.length > 0) {
+      console.log(chalk.green(`✅ ${fallbackProviders.map(id => this.getPlatformName(id)).join(' → ')}`));
+    } else {
+      console.log(chalk.white(t('❌ 사용 안 함')));
+    }
 
-    console.log(chalk.white('\n📍 설정 파일 위치:'));
+    console.log(chalk.white(t('\n📍 설정 파일 위치:')));
     console.log(chalk.white(`📁 ${status.configPath} ${status.configExists ? '✅' : '❌'}`));
     
     // 메뉴 선택지 구성
@@ -801,81 +1111,129 @@ GEMINI_API_KEY=${apiKey}
     // 1. 활성 플랫폼 전환 (등록된 플랫폼이 2개 이상일 때만)
     const registeredPlatforms = Object.keys(fullConfig.platforms || {});
     if (registeredPlatforms.length > 1) {
-      choices.push({ name: '🎯 활성 AI 플랫폼 전환', value: 'selectPlatform' });
+      choices.push({ name: t('🎯 활성 AI 플랫폼 전환'), value: 'selectPlatform' });
     }
 
+    // 대체 플랫폼 순서 (등록된 플랫폼이 2개 이상일 때만)
+    if (registeredPlatforms.length > 1) {
+      choices.push({ name: t('🔁 대체 플랫폼 순서 설정'), value: 'fallback' });
+    }
+
+    // 언어
+    choices.push({ name: t('🌐 언어 / Language (현재: {language})', { language: this.getLanguageName(this.getLanguage()) }), value: 'language' });
+
+    // 재시도 횟수
+    choices.push({ name: t('⏳ 재시도 횟수 (현재: {retryCount}회)', { retryCount: this.getRetryCount() }), value: 'retry' });
+
+    // 응답 캐시
+    const cacheStatus = this.getCacheEnabled() ? t('{cacheTtlMinutes}분', { cacheTtlMinutes: this.getCacheTtlMinutes() }) : t('사용 안 함');
+    choices.push({ name: t('💾 응답 캐시 (현재: {cacheStatus})', { cacheStatus }), value: 'cache' });
+
+    // 추가 컨텍스트 (diff, 최근 커밋)
+    const contextIds = this.getContextProviders();
+    const contextStatus = contextIds.length > 0 ? contextIds.join(', ') : t('사용 안 함');
+    choices.push({ name: t('📎 추가 컨텍스트 (현재: {contextStatus})', { contextStatus }), value: 'context' });
+
     // 2. 출력 모드 변경
-    choices.push({ name: '📋 출력 모드 변경', value: 'outputMode' });
+    choices.push({ name: t('📋 출력 모드 변경'), value: 'outputMode' });
 
     // 3. 프롬프트 디버그 모드 변경
-    choices.push({ name: '🔍 프롬프트 표시', value: 'debugMode' });
+    choices.push({ name: t('🔍 프롬프트 표시'), value: 'debugMode' });
     
     // 4. 자동 해결책 제안 기능 변경
     const autoSuggestEnabled = this.getAutoSuggestSolutions();
-    const autoSuggestStatus = autoSuggestEnabled ? '활성화' : '비활성화';
+    const autoSuggestStatus = autoSuggestEnabled ? t('활성화') : t('비활성화');
     const autoSuggestIcon = autoSuggestEnabled ? '✅' : '❌';
     choices.push({ 
-      name: `${autoSuggestIcon} 자동 해결책 제안 (현재: ${autoSuggestStatus})`, 
+      name: t('{autoSuggestIcon} 자동 해결책 제안 (현재: {autoSuggestStatus})', { autoSuggestIcon, autoSuggestStatus }), 
       value: 'autoSuggest' 
     });
+
+    // 사용자 이름/홈 경로 익명화 (토큰과 인증 정보는 항상 가림)
+    const anonymizeEnabled = this.getAnonymizeMode();
+    choices.push({
+      name: t('{icon} 사용자 이름/경로 익명화 (현재: {state})', { icon: anonymizeEnabled ? '✅' : '❌', state: anonymizeEnabled ? t('활성화') : t('비활성화') }),
+      value: 'anonymize'
+    });
+
+    // 대화 모드 (모호한 요청이면 AI가 먼저 질문)
+    const clarifyEnabled = this.getClarifyMode();
+    choices.push({
+      name: t('{icon} 모호한 요청은 먼저 질문 (현재: {state})', { icon: clarifyEnabled ? '✅' : '❌', state: clarifyEnabled ? t('활성화') : t('비활성화') }),
+      value: 'clarify'
+    });
     
     // 2. 플랫폼별 설정 관리
-    const hasGemini = fullConfig.platforms && fullConfig.platforms['gemini'];
-    const hasChatGPT = fullConfig.platforms && fullConfig.platforms['chatgpt'];
-    
-    if (hasGemini) {
-      choices.push({ name: '⚙️  Gemini 설정 관리', value: 'geminiSettings' });
-    } else {
-      choices.push({ name: chalk.red('➕ Gemini API Key 추가'), value: 'geminiAdd' });
-    }
-    
-    if (hasChatGPT) {
-      choices.push({ name: '⚙️  ChatGPT 설정 관리', value: 'chatgptSettings' });
-    } else {
-      choices.push({ name: chalk.red('➕ ChatGPT API Key 추가'), value: 'chatgptAdd' });
-    }
+    providers.list().forEach(info => {
+      const isRegistered = fullConfig.platforms && fullConfig.platforms[info.id];
+      if (isRegistered) {
+        choices.push({ name: t('⚙️  {shortName} 설정 관리', { shortName: info.shortName }), value: `settings:${info.id}` });
+      } else if (info.defaultBaseUrl) {
+        choices.push({ name: chalk.red(t('➕ {name} 서버 추가', { name: t(info.name) })), value: `add:${info.id}` });
+      } else {
+        choices.push({ name: chalk.red(t('➕ {shortName} API Key 추가', { shortName: info.shortName })), value: `add:${info.id}` });
+      }
+    });
     
     // 3. 고급 옵션
     if (registeredPlatforms.length > 0) {
-      choices.push({ name: '🗑️  모든 API Key 삭제', value: 'deleteApiKey' });
+      choices.push({ name: t('🗑️  모든 API Key 삭제'), value: 'deleteApiKey' });
     }
     
     choices.push(
-      { name: '↩️  메인 메뉴로 돌아가기', value: 'back' }
+      { name: t('↩️  메인 메뉴로 돌아가기'), value: 'back' }
     );
 
     const { selection: action } = await inquirer.prompt([
       {
         type: 'list',
         name: 'selection',
-        message: '\n설정 메뉴 - 무엇을 하시겠습니까?',
+        message: t('\n설정 메뉴 - 무엇을 하시겠습니까?'),
         choices,
         prefix: '',
         suffix: ''
       }
     ]);
 
+    // 플랫폼별 메뉴 (settings:<id>, add:<id>)
+    const [menu, platformId] = action.split(':');
+    if (platformId && menu === 'settings') {
+      await this.showPlatformMenu(platformId);
+      return true;
+    }
+    if (platformId && menu === 'add') {
+      if (this.isServerProvider(platformId)) {
+        await this.promptForServerSetup(platformId);
+      } else {
+        await this.promptForPlatformApiKey(platformId);
+      }
+      return true;
+    }
+
     switch (action) {
       case 'selectPlatform':
         await this.showPlatformSelectMenu();
         break;
-      case 'geminiSettings':
-        await this.showPlatformMenu('gemini');
-        break;
-      case 'chatgptSettings':
-        await this.showPlatformMenu('chatgpt');
-        break;
-      case 'geminiAdd':
-        await this.promptForPlatformApiKey('gemini');
-        break;
-      case 'chatgptAdd':
-        await this.promptForPlatformApiKey('chatgpt');
-        break;
       case 'deleteApiKey':
         await this.deleteApiKey();
         break;
       case 'outputMode':
         await this.showOutputModeMenu();
+        break;
+      case 'fallback':
+        await this.showFallbackMenu();
+        break;
+      case 'retry':
+        await this.showRetryMenu();
+        break;
+      case 'language':
+        await this.showLanguageMenu();
+        break;
+      case 'cache':
+        await this.showCacheMenu();
+        break;
+      case 'context':
+        await this.showContextMenu();
         break;
              case 'debugMode':
          await this.setDebugMode(!this.getDebugMode());
@@ -885,6 +1243,14 @@ GEMINI_API_KEY=${apiKey}
         await this.setAutoSuggestSolutions(!this.getAutoSuggestSolutions());
         await this.showConfigMenu();
         break;
+      case 'clarify':
+        await this.setClarifyMode(!this.getClarifyMode());
+        await this.showConfigMenu();
+        break;
+      case 'anonymize':
+        await this.setAnonymizeMode(!this.getAnonymizeMode());
+        await this.showConfigMenu();
+        break;
       case 'back':
         console.log(chalk.white('\n─────────────────────────────────────────────'));
         return false; // 메인 메뉴로 돌아가기
@@ -899,31 +1265,31 @@ GEMINI_API_KEY=${apiKey}
   async showPlatformSelectMenu() {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('🤖 AI 플랫폼 선택'));
+    console.log(chalk.white(t('🤖 AI 플랫폼 선택')));
     console.log(chalk.white('─────────────────────────────────────────────'));
     
     const fullConfig = this.readFullConfig();
     const availablePlatforms = Object.keys(fullConfig.platforms || {});
     
-    console.log(chalk.white('📋 현재 상태:'));
+    console.log(chalk.white(t('📋 현재 상태:')));
     if (fullConfig.currentProvider) {
-      console.log(chalk.green(`✅ 활성 플랫폼: ${this.getPlatformName(fullConfig.currentProvider)}`));
+      console.log(chalk.green(t('✅ 활성 플랫폼: {platformName}', { platformName: this.getPlatformName(fullConfig.currentProvider) })));
     } else {
-      console.log(chalk.red('❌ 활성 플랫폼 없음'));
+      console.log(chalk.red(t('❌ 활성 플랫폼 없음')));
     }
     
     if (availablePlatforms.length === 0) {
-      console.log(chalk.red('\n❌ 등록된 AI 플랫폼이 없습니다.'));
-      console.log(chalk.white('먼저 AI 플랫폼을 설정해주세요.'));
+      console.log(chalk.red(t('\n❌ 등록된 AI 플랫폼이 없습니다.')));
+      console.log(chalk.white(t('먼저 AI 플랫폼을 설정해주세요.')));
       
       const { action } = await inquirer.prompt([
         {
           type: 'list',
           name: 'action',
-          message: '\n무엇을 하시겠습니까?',
+          message: t('\n무엇을 하시겠습니까?'),
           choices: [
-            { name: '➕ AI 플랫폼 설정하기', value: 'setup' },
-            { name: '↩️  이전 메뉴로', value: 'back' }
+            { name: t('➕ AI 플랫폼 설정하기'), value: 'setup' },
+            { name: t('↩️  이전 메뉴로'), value: 'back' }
           ],
           prefix: '',
           suffix: ''
@@ -936,10 +1302,10 @@ GEMINI_API_KEY=${apiKey}
       return;
     }
     
-    console.log(chalk.white('\n📱 등록된 플랫폼:'));
+    console.log(chalk.white(t('\n📱 등록된 플랫폼:')));
     availablePlatforms.forEach(platform => {
       const isActive = fullConfig.currentProvider === platform;
-      const status = isActive ? chalk.green('🎯 활성') : chalk.white('   비활성');
+      const status = isActive ? chalk.green(t('🎯 활성')) : chalk.white(t('   비활성'));
       console.log(`${status} ${this.getPlatformName(platform)}`);
     });
     
@@ -948,13 +1314,13 @@ GEMINI_API_KEY=${apiKey}
       value: platform
     }));
     
-    choices.push({ name: '↩️  이전 메뉴로', value: 'back' });
+    choices.push({ name: t('↩️  이전 메뉴로'), value: 'back' });
 
     const { selectedPlatform } = await inquirer.prompt([
       {
         type: 'list',
         name: 'selectedPlatform',
-        message: '\n사용할 AI 플랫폼을 선택하세요:',
+        message: t('\n사용할 AI 플랫폼을 선택하세요:'),
         choices,
         prefix: '',
         suffix: ''
@@ -967,11 +1333,11 @@ GEMINI_API_KEY=${apiKey}
 
     if (selectedPlatform !== fullConfig.currentProvider) {
       await this.setCurrentProvider(selectedPlatform);
-      console.log(chalk.white('\n계속하려면 Enter를 누르세요...'));
+      console.log(chalk.white(t('\n계속하려면 Enter를 누르세요...')));
       await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     } else {
-      console.log(chalk.yellow(`\n이미 ${this.getPlatformName(selectedPlatform)}이(가) 활성 플랫폼입니다.`));
-      console.log(chalk.white('\n계속하려면 Enter를 누르세요...'));
+      console.log(chalk.yellow(t('\n이미 {platformName}이(가) 활성 플랫폼입니다.', { platformName: this.getPlatformName(selectedPlatform) })));
+      console.log(chalk.white(t('\n계속하려면 Enter를 누르세요...')));
       await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
     }
   }
@@ -982,7 +1348,7 @@ GEMINI_API_KEY=${apiKey}
   async showUsageSettings() {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('📊 API 사용량 추적 설정'));
+    console.log(chalk.white(t('📊 API 사용량 추적 설정')));
     console.log(chalk.white('─────────────────────────────────────────────'));
 
     // 사용량 파일 확인
@@ -992,47 +1358,48 @@ GEMINI_API_KEY=${apiKey}
     if (hasUsageData) {
       try {
         const usageData = JSON.parse(fs.readFileSync(usageFile, 'utf-8'));
-        console.log(chalk.white('📋 현재 상태:'));
-        console.log(chalk.green(`✅ 사용량 데이터: 존재함`));
-        console.log(chalk.white(`   마지막 업데이트: ${usageData.lastReset || '알 수 없음'}`));
+        console.log(chalk.white(t('📋 현재 상태:')));
+        console.log(chalk.green(t('✅ 사용량 데이터: 존재함')));
+        console.log(chalk.white(t('   마지막 업데이트: {lastReset}', { lastReset: usageData.lastReset || t('알 수 없음') })));
         
-        if (usageData.chatgpt) {
-          console.log(chalk.white(`   ChatGPT 토큰: ${usageData.chatgpt.tokens || 0}`));
-          console.log(chalk.white(`   ChatGPT 요청: ${usageData.chatgpt.requests || 0}`));
-        }
-        
-        if (usageData.gemini) {
-          console.log(chalk.white(`   Gemini 토큰: ${usageData.gemini.tokens || 0}`));
-          console.log(chalk.white(`   Gemini 요청: ${usageData.gemini.requests || 0}`));
+        providers.list().forEach(info => {
+          const entry = usageData[info.id];
+          if (entry) {
+            console.log(chalk.white(t('   {shortName} 토큰: {totalTokens}', { shortName: info.shortName, totalTokens: entry.totalTokens || entry.tokens || 0 })));
+            console.log(chalk.white(t('   {shortName} 요청: {requests}', { shortName: info.shortName, requests: entry.requests || 0 })));
+          }
+        });
+        if (usageData.cache) {
+          console.log(chalk.white(t('   캐시 적중/실패: {hits}/{misses}', { hits: usageData.cache.hits, misses: usageData.cache.misses })));
         }
       } catch (error) {
-        console.log(chalk.yellow(`⚠️  사용량 데이터 읽기 오류: ${error.message}`));
+        console.log(chalk.yellow(t('⚠️  사용량 데이터 읽기 오류: {message}', { message: error.message })));
       }
     } else {
-      console.log(chalk.white('📋 현재 상태:'));
-      console.log(chalk.red('❌ 사용량 데이터: 없음'));
+      console.log(chalk.white(t('📋 현재 상태:')));
+      console.log(chalk.red(t('❌ 사용량 데이터: 없음')));
     }
 
-    console.log(chalk.white(`\n📁 사용량 파일: ${usageFile}`));
+    console.log(chalk.white(t('\n📁 사용량 파일: {usageFile}', { usageFile })));
 
     // 메뉴 선택지
     const choices = [];
     
     if (hasUsageData) {
-      choices.push({ name: '📊 사용량 데이터 보기', value: 'view' });
-      choices.push({ name: '🔄 사용량 데이터 초기화', value: 'reset' });
-      choices.push({ name: '🗑️  사용량 데이터 삭제', value: 'delete' });
+      choices.push({ name: t('📊 사용량 데이터 보기'), value: 'view' });
+      choices.push({ name: t('🔄 사용량 데이터 초기화'), value: 'reset' });
+      choices.push({ name: t('🗑️  사용량 데이터 삭제'), value: 'delete' });
     } else {
-      choices.push({ name: '📋 사용량 데이터가 없습니다', value: 'none' });
+      choices.push({ name: t('📋 사용량 데이터가 없습니다'), value: 'none' });
     }
     
-    choices.push({ name: '↩️  이전 메뉴로', value: 'back' });
+    choices.push({ name: t('↩️  이전 메뉴로'), value: 'back' });
 
     const { action } = await inquirer.prompt([
       {
         type: 'list',
         name: 'action',
-        message: '\n무엇을 하시겠습니까?',
+        message: t('\n무엇을 하시겠습니까?'),
         choices,
         prefix: '',
         suffix: ''
@@ -1050,8 +1417,8 @@ GEMINI_API_KEY=${apiKey}
         await this.deleteUsageData(usageFile);
         break;
       case 'none':
-        console.log(chalk.yellow('\n💡 API를 사용하면 자동으로 사용량 데이터가 생성됩니다.'));
-        console.log(chalk.white('계속하려면 Enter를 누르세요...'));
+        console.log(chalk.yellow(t('\n💡 API를 사용하면 자동으로 사용량 데이터가 생성됩니다.')));
+        console.log(chalk.white(t('계속하려면 Enter를 누르세요...')));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
         break;
       case 'back':
@@ -1060,7 +1427,7 @@ GEMINI_API_KEY=${apiKey}
 
     // 작업 완료 후 메뉴 다시 표시 (back 제외)
     if (action !== 'back') {
-      console.log(chalk.white('\n계속하려면 Enter를 누르세요...'));
+      console.log(chalk.white(t('\n계속하려면 Enter를 누르세요...')));
       await inquirer.prompt([{ type: 'input', name: 'continue', message: '' }]);
       await this.showUsageSettings();
     }
@@ -1074,30 +1441,32 @@ GEMINI_API_KEY=${apiKey}
       const usageData = JSON.parse(fs.readFileSync(usageFile, 'utf-8'));
       
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.white('📊 상세 사용량 정보'));
+      console.log(chalk.white(t('📊 상세 사용량 정보')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       
-      console.log(chalk.white(`📅 기준 날짜: ${usageData.date || '알 수 없음'}`));
-      console.log(chalk.white(`🔄 마지막 리셋: ${usageData.lastReset || '알 수 없음'}`));
-      
-      // ChatGPT 사용량
-      if (usageData.chatgpt) {
-        console.log(chalk.cyan('\n🤖 ChatGPT (OpenAI):'));
-        console.log(chalk.white(`   토큰 사용량: ${usageData.chatgpt.tokens?.toLocaleString() || 0}`));
-        console.log(chalk.white(`   API 요청 수: ${usageData.chatgpt.requests?.toLocaleString() || 0}`));
-      }
+      console.log(chalk.white(t('📅 기준 날짜: {date}', { date: usageData.date || t('알 수 없음') })));
+      console.log(chalk.white(t('🔄 마지막 리셋: {lastReset}', { lastReset: usageData.lastReset || t('알 수 없음') })));
       
-      // Gemini 사용량
-      if (usageData.gemini) {
-        console.log(chalk.cyan('\n🧠 Gemini (Google):'));
-        console.log(chalk.white(`   토큰 사용량: ${usageData.gemini.tokens?.toLocaleString() || 0}`));
-        console.log(chalk.white(`   API 요청 수: ${usageData.gemini.requests?.toLocaleString() || 0}`));
+      providers.list().forEach(info => {
+        const entry = usageData[info.id];
+        if (entry) {
+          const tokens = entry.totalTokens || entry.tokens || 0;
+          console.log(chalk.cyan(`\n${info.icon} ${t(info.name)}:`));
+          console.log(chalk.white(t('   토큰 사용량: {tokens}', { tokens: tokens.toLocaleString() })));
+          console.log(chalk.white(t('   API 요청 수: {requests}', { requests: (entry.requests || 0).toLocaleString() })));
+        }
+      });
+
+      if (usageData.cache) {
+        console.log(chalk.cyan(t('\n💾 응답 캐시:')));
+        console.log(chalk.white(t('   적중: {hits}회 / 실패: {misses}회', { hits: usageData.cache.hits, misses: usageData.cache.misses })));
+        console.log(chalk.white(t('   절약한 토큰: {savedTokens}', { savedTokens: (usageData.cache.savedTokens || 0).toLocaleString() })));
       }
       
       console.log(chalk.white('\n─────────────────────────────────────────────'));
       
     } catch (error) {
-      console.log(chalk.red(`\n❌ 사용량 데이터 읽기 실패: ${error.message}`));
+      console.log(chalk.red(t('\n❌ 사용량 데이터 읽기 실패: {message}', { message: error.message })));
     }
   }
 
@@ -1106,14 +1475,14 @@ GEMINI_API_KEY=${apiKey}
    */
   async resetUsageData(usageFile) {
     console.log(chalk.white('\n─────────────────────────────────────────────'));
-    console.log(chalk.white('🔄 사용량 데이터 초기화'));
+    console.log(chalk.white(t('🔄 사용량 데이터 초기화')));
     console.log(chalk.white('─────────────────────────────────────────────'));
 
     const { confirm } = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'confirm',
-        message: '사용량 데이터를 0으로 초기화하시겠습니까?',
+        message: t('사용량 데이터를 0으로 초기화하시겠습니까?'),
         default: false,
         prefix: '',
         suffix: ''
@@ -1121,23 +1490,22 @@ GEMINI_API_KEY=${apiKey}
     ]);
 
     if (!confirm) {
-      console.log(chalk.yellow('\n취소되었습니다.'));
+      console.log(chalk.yellow(t('\n취소되었습니다.')));
       return;
     }
 
     try {
+      const usageTracker = require('./usageTracker');
       const resetData = {
-        date: new Date().toISOString().split('T')[0],
-        lastReset: new Date().toISOString(),
-        chatgpt: { tokens: 0, requests: 0 },
-        gemini: { tokens: 0, requests: 0 }
+        ...usageTracker.getDefaultUsageData(),
+        lastReset: new Date().toISOString()
       };
 
       fs.writeFileSync(usageFile, JSON.stringify(resetData, null, 2), 'utf-8');
-      console.log(chalk.green('\n✅ 사용량 데이터가 초기화되었습니다.'));
+      console.log(chalk.green(t('\n✅ 사용량 데이터가 초기화되었습니다.')));
       
     } catch (error) {
-      console.log(chalk.red(`\n❌ 사용량 데이터 초기화 실패: ${error.message}`));
+      console.log(chalk.red(t('\n❌ 사용량 데이터 초기화 실패: {message}', { message: error.message })));
     }
   }
 
@@ -1146,14 +1514,14 @@ GEMINI_API_KEY=${apiKey}
    */
   async deleteUsageData(usageFile) {
     console.log(chalk.white('\n─────────────────────────────────────────────'));
-    console.log(chalk.red('🗑️ 사용량 데이터 삭제'));
+    console.log(chalk.red(t('🗑️ 사용량 데이터 삭제')));
     console.log(chalk.white('─────────────────────────────────────────────'));
 
     const { confirm } = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'confirm',
-        message: '사용량 데이터를 완전히 삭제하시겠습니까? (복구할 수 없습니다)',
+        message: t('사용량 데이터를 완전히 삭제하시겠습니까? (복구할 수 없습니다)'),
         default: false,
         prefix: '',
         suffix: ''
@@ -1161,20 +1529,20 @@ GEMINI_API_KEY=${apiKey}
     ]);
 
     if (!confirm) {
-      console.log(chalk.yellow('\n취소되었습니다.'));
+      console.log(chalk.yellow(t('\n취소되었습니다.')));
       return;
     }
 
     try {
       if (fs.existsSync(usageFile)) {
         fs.unlinkSync(usageFile);
-        console.log(chalk.green('\n✅ 사용량 데이터 파일이 삭제되었습니다.'));
+        console.log(chalk.green(t('\n✅ 사용량 데이터 파일이 삭제되었습니다.')));
       } else {
-        console.log(chalk.yellow('\n⚠️  삭제할 파일이 없습니다.'));
+        console.log(chalk.yellow(t('\n⚠️  삭제할 파일이 없습니다.')));
       }
       
     } catch (error) {
-      console.log(chalk.red(`\n❌ 사용량 데이터 삭제 실패: ${error.message}`));
+      console.log(chalk.red(t('\n❌ 사용량 데이터 삭제 실패: {message}', { message: error.message })));
     }
   }
 
@@ -1183,16 +1551,17 @@ GEMINI_API_KEY=${apiKey}
    */
   async ensureApiKey() {
     const { provider, apiKey } = this.getAIConfig();
-    if (provider && apiKey) {
-      return apiKey;
+    if (this.isPlatformReady(provider, apiKey)) {
+      // 키가 필요 없는 로컬 서버는 플랫폼 이름을 대신 반환
+      return apiKey || provider;
     }
 
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.red('       ❌ AI 플랫폼이 설정되지 않았습니다.'));
+    console.log(chalk.red(t('       ❌ AI 플랫폼이 설정되지 않았습니다.')));
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('rltgjqm을 사용하려면 AI API 키가 필요합니다.'));
-    console.log(chalk.white('지원되는 플랫폼: ChatGPT, Gemini\n'));
+    console.log(chalk.white(t('rltgjqm을 사용하려면 AI API 키가 필요합니다.')));
+    console.log(chalk.white(t('지원되는 플랫폼: ChatGPT, Gemini, Claude, Local (OpenAI 호환)\n')));
 
     const { selection: action } = await inquirer.prompt([
       {
@@ -1200,8 +1569,8 @@ GEMINI_API_KEY=${apiKey}
         name: 'selection',
         message: 'selection',
         choices: [
-          { name: '🤖 AI 플랫폼 설정하기', value: 'setup' },
-          { name: '❌ 종료', value: 'exit' }
+          { name: t('🤖 AI 플랫폼 설정하기'), value: 'setup' },
+          { name: t('❌ 종료'), value: 'exit' }
         ],
         prefix: '',
         suffix: ''
@@ -1213,12 +1582,12 @@ GEMINI_API_KEY=${apiKey}
         const success = await this.promptForAISetup();
         if (success) {
           const newConfig = this.getAIConfig();
-          return newConfig.apiKey;
+          return newConfig.apiKey || newConfig.provider;
         }
         return null;
       case 'exit':
         console.log(chalk.white('\n─────────────────────────────────────────────'));
-        console.log(chalk.white('👋 설정을 완료한 후 다시 시도해주세요.'));
+        console.log(chalk.white(t('👋 설정을 완료한 후 다시 시도해주세요.')));
         console.log(chalk.white('─────────────────────────────────────────────'));
         return null;
     }
@@ -1230,14 +1599,14 @@ GEMINI_API_KEY=${apiKey}
   showApiKeyHelp() {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('📖 Gemini API 키 발급 방법'));
+    console.log(chalk.white(t('📖 Gemini API 키 발급 방법')));
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('1. https://ai.google.dev/ 접속'));
-    console.log(chalk.white('2. "Get API key" 클릭'));
-    console.log(chalk.white('3. Google 계정으로 로그인'));
-    console.log(chalk.white('4. "Create API key" 버튼 클릭'));
-    console.log(chalk.white('5. 생성된 API 키 복사'));
-    console.log(chalk.white('6. rltgjqm에서 해당 키 입력\n'));
+    console.log(chalk.white(t('1. https://ai.google.dev/ 접속')));
+    console.log(chalk.white(t('2. "Get API key" 클릭')));
+    console.log(chalk.white(t('3. Google 계정으로 로그인')));
+    console.log(chalk.white(t('4. "Create API key" 버튼 클릭')));
+    console.log(chalk.white(t('5. 생성된 API 키 복사')));
+    console.log(chalk.white(t('6. rltgjqm에서 해당 키 입력\n')));
     console.log(chalk.white('─────────────────────────────────────────────'));
   }
 
@@ -1251,28 +1620,28 @@ GEMINI_API_KEY=${apiKey}
     
     if (!hasAnySettings) {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.yellow('⚠️  삭제할 API Key가 없습니다.'));
+      console.log(chalk.yellow(t('⚠️  삭제할 API Key가 없습니다.')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       return;
     }
 
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('🗑️ 모든 API Key 삭제'));
+    console.log(chalk.white(t('🗑️ 모든 API Key 삭제')));
     console.log(chalk.white('─────────────────────────────────────────────'));
     
     if (fullConfig.platforms && Object.keys(fullConfig.platforms).length > 0) {
-      console.log(chalk.red('삭제될 플랫폼:'));
+      console.log(chalk.red(t('삭제될 플랫폼:')));
       Object.keys(fullConfig.platforms).forEach(platform => {
         const isActive = fullConfig.currentProvider === platform;
-        const status = isActive ? '🎯 활성' : '   비활성';
+        const status = isActive ? t('🎯 활성') : t('   비활성');
         console.log(chalk.white(`  ${status} ${this.getPlatformName(platform)}`));
       });
     }
     
-    console.log(chalk.white(`\n📁 설정 파일: ${this.configFile}`));
+    console.log(chalk.white(t('\n📁 설정 파일: {configFile}', { configFile: this.configFile })));
     if (fs.existsSync(this.envFile)) {
-      console.log(chalk.white(`📁 기존 설정: ${this.envFile}`));
+      console.log(chalk.white(t('📁 기존 설정: {envFile}', { envFile: this.envFile })));
     }
 
     // 확인 메시지
@@ -1280,7 +1649,7 @@ GEMINI_API_KEY=${apiKey}
       {
         type: 'confirm',
         name: 'selection',
-        message: '정말로 모든 API Key를 삭제하시겠습니까? (복구할 수 없습니다)',
+        message: t('정말로 모든 API Key를 삭제하시겠습니까? (복구할 수 없습니다)'),
         default: false,
         prefix: '',
         suffix: ''
@@ -1289,7 +1658,7 @@ GEMINI_API_KEY=${apiKey}
 
     if (!confirm) {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.log(chalk.yellow('취소되었습니다.'));
+      console.log(chalk.yellow(t('취소되었습니다.')));
       console.log(chalk.white('─────────────────────────────────────────────'));
       return;
     }
@@ -1300,35 +1669,34 @@ GEMINI_API_KEY=${apiKey}
       // 새로운 설정 파일 삭제
       if (fs.existsSync(this.configFile)) {
         fs.unlinkSync(this.configFile);
-        console.log(chalk.green('✅ API Key 설정 파일이 삭제되었습니다.'));
+        console.log(chalk.green(t('✅ API Key 설정 파일이 삭제되었습니다.')));
         deletedCount++;
       }
       
       // 기존 .env 파일 삭제 (하위 호환성)
       if (fs.existsSync(this.envFile)) {
         fs.unlinkSync(this.envFile);
-        console.log(chalk.green('✅ 기존 API Key 파일이 삭제되었습니다.'));
+        console.log(chalk.green(t('✅ 기존 API Key 파일이 삭제되었습니다.')));
         deletedCount++;
       }
 
       // 환경변수에서도 제거
-      if (process.env.GEMINI_API_KEY) {
-        delete process.env.GEMINI_API_KEY;
-      }
-      if (process.env.OPENAI_API_KEY) {
-        delete process.env.OPENAI_API_KEY;
-      }
+      providers.list().forEach(info => {
+        if (info.envKey && process.env[info.envKey]) {
+          delete process.env[info.envKey];
+        }
+      });
       
       console.log(chalk.white('\n─────────────────────────────────────────────'));
       if (deletedCount > 0) {
-        console.log(chalk.green('✅ 모든 API Key가 성공적으로 삭제되었습니다.'));
+        console.log(chalk.green(t('✅ 모든 API Key가 성공적으로 삭제되었습니다.')));
       } else {
-        console.log(chalk.yellow('⚠️  삭제할 API Key 파일이 없었습니다.'));
+        console.log(chalk.yellow(t('⚠️  삭제할 API Key 파일이 없었습니다.')));
       }
       console.log(chalk.white('─────────────────────────────────────────────'));
     } catch (error) {
       console.log(chalk.white('\n─────────────────────────────────────────────'));
-      console.error(chalk.red(`❌ API Key 삭제 실패: ${error.message}`));
+      console.error(chalk.red(t('❌ API Key 삭제 실패: {message}', { message: error.message })));
       console.log(chalk.white('─────────────────────────────────────────────'));
     }
   }
@@ -1360,11 +1728,11 @@ GEMINI_API_KEY=${apiKey}
     const success = this.saveFullConfig(config);
     if (success) {
       const modeNames = {
-        'auto': '자동 실행',
-        'interactive': '단계별 확인', 
-        'dry': '미리보기'
+        'auto': t('자동 실행'),
+        'interactive': t('단계별 확인'), 
+        'dry': t('미리보기')
       };
-      console.log(chalk.green(`✅ 기본 실행 모드가 '${modeNames[mode]}'으로 설정되었습니다.`));
+      console.log(chalk.green(t('✅ 기본 실행 모드가 \'{mode}\'으로 설정되었습니다.', { mode: modeNames[mode] })));
     }
     
     return success;
@@ -1381,31 +1749,31 @@ GEMINI_API_KEY=${apiKey}
 
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('⚙️ 기본 실행 모드 설정'));
+    console.log(chalk.white(t('⚙️ 기본 실행 모드 설정')));
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('rltgjqm이 Git 명령어를 생성한 후 어떻게 처리할지 설정하세요.\n'));
+    console.log(chalk.white(t('rltgjqm이 Git 명령어를 생성한 후 어떻게 처리할지 설정하세요.\n')));
     
-    console.log(chalk.cyan('🚀 자동 실행 모드'));
-    console.log(chalk.white('   생성된 명령어를 바로 실행합니다 (빠르지만 위험할 수 있음)'));
-    console.log(chalk.white('   예: rltgjqm "커밋하고 푸시해줘" → 바로 실행\n'));
+    console.log(chalk.cyan(t('🚀 자동 실행 모드')));
+    console.log(chalk.white(t('   생성된 명령어를 바로 실행합니다 (빠르지만 위험할 수 있음)')));
+    console.log(chalk.white(t('   예: rltgjqm "커밋하고 푸시해줘" → 바로 실행\n')));
     
-    console.log(chalk.cyan('🔍 단계별 확인 모드'));
-    console.log(chalk.white('   각 명령어마다 실행 여부를 확인합니다 (안전함)'));
-    console.log(chalk.white('   예: rltgjqm "브랜치 삭제해줘" → 각 단계마다 확인\n'));
+    console.log(chalk.cyan(t('🔍 단계별 확인 모드')));
+    console.log(chalk.white(t('   각 명령어마다 실행 여부를 확인합니다 (안전함)')));
+    console.log(chalk.white(t('   예: rltgjqm "브랜치 삭제해줘" → 각 단계마다 확인\n')));
     
-    console.log(chalk.cyan('👀 미리보기 모드'));
-    console.log(chalk.white('   명령어만 보여주고 실행하지 않습니다 (가장 안전함)'));
-          console.log(chalk.white('   예: rltgjqm "새 브랜치 만들어줘" → 명령어만 출력\n'));
+    console.log(chalk.cyan(t('👀 미리보기 모드')));
+    console.log(chalk.white(t('   명령어만 보여주고 실행하지 않습니다 (가장 안전함)')));
+          console.log(chalk.white(t('   예: rltgjqm "새 브랜치 만들어줘" → 명령어만 출력\n')));
 
     const { mode } = await inquirer.prompt([
       {
         type: 'list',
         name: 'mode',
-        message: '기본 실행 모드를 선택하세요:',
+        message: t('기본 실행 모드를 선택하세요:'),
         choices: [
-          { name: '🔍 단계별 확인 모드 (추천)', value: 'interactive' },
-          { name: '👀 미리보기 모드 (가장 안전)', value: 'dry' },
-          { name: '🚀 자동 실행 모드 (빠르지만 주의)', value: 'auto' }
+          { name: t('🔍 단계별 확인 모드 (추천)'), value: 'interactive' },
+          { name: t('👀 미리보기 모드 (가장 안전)'), value: 'dry' },
+          { name: t('🚀 자동 실행 모드 (빠르지만 주의)'), value: 'auto' }
         ],
         prefix: '',
         suffix: ''
@@ -1414,16 +1782,16 @@ GEMINI_API_KEY=${apiKey}
 
     await this.setDefaultExecutionMode(mode);
     
-    console.log(chalk.white('\n💡 언제든지 다음 방법으로 변경할 수 있습니다:'));
-    console.log(chalk.cyan('   • rltgjqm config → 설정 메뉴'));
-    console.log(chalk.cyan('   • rltgjqm -a (자동), -i (단계별), --dry (미리보기)'));
+    console.log(chalk.white(t('\n💡 언제든지 다음 방법으로 변경할 수 있습니다:')));
+    console.log(chalk.cyan(t('   • rltgjqm config → 설정 메뉴')));
+    console.log(chalk.cyan(t('   • rltgjqm -a (자동), -i (단계별), --dry (미리보기)')));
     
     console.log(chalk.white('\n─────────────────────────────────────────────'));
     await inquirer.prompt([
       {
         type: 'input',
         name: 'continue',
-        message: '계속하려면 Enter를 누르세요...',
+        message: t('계속하려면 Enter를 누르세요...'),
         prefix: '',
         suffix: ''
       }
@@ -1438,25 +1806,25 @@ GEMINI_API_KEY=${apiKey}
   async showExecutionModeMenu() {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('⚙️ 기본 실행 모드 설정'));
+    console.log(chalk.white(t('⚙️ 기본 실행 모드 설정')));
     console.log(chalk.white('─────────────────────────────────────────────'));
 
     const currentMode = this.getDefaultExecutionMode();
     const modeNames = {
-      'auto': '🚀 자동 실행',
-      'interactive': '🔍 단계별 확인',
-      'dry': '👀 미리보기'
+      'auto': t('🚀 자동 실행'),
+      'interactive': t('🔍 단계별 확인'),
+      'dry': t('👀 미리보기')
     };
 
-    console.log(chalk.white('📋 현재 상태:'));
+    console.log(chalk.white(t('📋 현재 상태:')));
     if (currentMode) {
       console.log(chalk.green(`✅ ${modeNames[currentMode]}`));
     } else {
-      console.log(chalk.red('❌ 설정되지 않음'));
+      console.log(chalk.red(t('❌ 설정되지 않음')));
     }
 
     const choices = [
-      { name: '↩️  이전 메뉴로', value: 'back' }
+      { name: t('↩️  이전 메뉴로'), value: 'back' }
     ];
 
     for (const [key, value] of Object.entries(modeNames)) {
@@ -1467,7 +1835,7 @@ GEMINI_API_KEY=${apiKey}
       {
         type: 'list',
         name: 'selection',
-        message: '\n무엇을 하시겠습니까?',
+        message: t('\n무엇을 하시겠습니까?'),
         choices,
         prefix: '',
         suffix: ''
@@ -1480,7 +1848,7 @@ GEMINI_API_KEY=${apiKey}
 
     await this.setDefaultExecutionMode(action);
     console.log(chalk.white('\n─────────────────────────────────────────────'));
-    console.log(chalk.green(`✅ 기본 실행 모드가 '${modeNames[action]}'으로 변경되었습니다.`));
+    console.log(chalk.green(t('✅ 기본 실행 모드가 \'{mode}\'으로 변경되었습니다.', { mode: modeNames[action] })));
     console.log(chalk.white('─────────────────────────────────────────────'));
   }
 
@@ -1503,10 +1871,10 @@ GEMINI_API_KEY=${apiKey}
     const success = this.saveFullConfig(config);
     if (success) {
       const modeNames = {
-        'detail': '상세 출력',
-        'simple': '간단 출력'
+        'detail': t('상세 출력'),
+        'simple': t('간단 출력')
       };
-      console.log(chalk.yellow(`✅ 출력 모드가 '${modeNames[mode]}'으로 설정되었습니다.`));
+      console.log(chalk.yellow(t('✅ 출력 모드가 \'{mode}\'으로 설정되었습니다.', { mode: modeNames[mode] })));
     }
     
     return success;
@@ -1520,6 +1888,415 @@ GEMINI_API_KEY=${apiKey}
     return config.autoSuggestSolutions !== false; // 기본값은 true
   }
 
+  /**
+   * 대화 모드 가져오기 (모호한 요청이면 명령어 대신 질문을 받음)
+   */
+  getClarifyMode() {
+    const config = this.readFullConfig();
+    return config.clarifyMode === true; // 기본값은 false
+  }
+
+  /**
+   * 익명화 모드 가져오기 (프롬프트의 홈 경로와 사용자 이름을 가려서 전송)
+   */
+  getAnonymizeMode() {
+    const config = this.readFullConfig();
+    return config.anonymizePrompts === true; // 기본값은 false
+  }
+
+  /**
+   * AI 호출 재시도 횟수 가져오기 (일시적인 오류에만 적용)
+   */
+  getRetryCount() {
+    const config = this.readFullConfig();
+    return Number.isInteger(config.retryCount) ? config.retryCount : 2; // 기본값은 2회
+  }
+
+  /**
+   * AI 호출 재시도 횟수 설정
+   */
+  async setRetryCount(count) {
+    const config = this.readFullConfig();
+    config.retryCount = count;
+    config.lastUpdated = new Date().toISOString();
+    
+    const success = this.saveFullConfig(config);
+    if (success) {
+      console.log(chalk.green(t('✅ 재시도 횟수가 {count}회로 변경되었습니다.', { count })));
+    }
+    
+    return success;
+  }
+
+  /**
+   * 재시도 횟수 메뉴
+   */
+  async showRetryMenu() {
+    console.clear();
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('⏳ AI 호출 재시도 설정')));
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('연결 끊김, 시간 초과, 한도 초과(429), 서버 오류(5xx)일 때 다시 요청합니다.')));
+    console.log(chalk.white(t('API 키 오류(401/403)나 잘못된 요청(400)은 재시도하지 않습니다.\n')));
+
+    const current = this.getRetryCount();
+    const choices = [0, 1, 2, 3, 5].map(count => ({
+      name: `${count === current ? '🎯' : '  '} ${count === 0 ? t('재시도 안 함') : t('{count}회', { count })}`,
+      value: count
+    }));
+    choices.push({ name: t('↩️  이전 메뉴로'), value: 'back' });
+
+    const { count } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'count',
+        message: t('재시도 횟수를 선택하세요:'),
+        choices,
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    if (count === 'back') {
+      return false;
+    }
+
+    return await this.setRetryCount(count);
+  }
+
+  /**
+   * 언어 설정 가져오기 ('auto'면 LANG 등 로캘 환경변수로 결정)
+   */
+  getLanguage() {
+    const config = this.readFullConfig();
+    return config.language || 'auto'; // 기본값은 자동
+  }
+
+  /**
+   * 언어 설정 이름 (메뉴 표시용)
+   */
+  getLanguageName(language) {
+    const i18n = require('./i18n');
+    if (language === 'auto') {
+      const detected = i18n.languages.find(item => item.id === i18n.detectLanguage());
+      return t('자동 - {name}', { name: detected.name });
+    }
+    const item = i18n.languages.find(entry => entry.id === language);
+    return item ? item.name : language;
+  }
+
+  /**
+   * 언어 설정
+   * @param {string} language - 'auto', 'ko', 'en'
+   */
+  async setLanguage(language) {
+    const config = this.readFullConfig();
+    config.language = language;
+    config.lastUpdated = new Date().toISOString();
+
+    const success = this.saveFullConfig(config);
+    if (success) {
+      // 이후 메시지부터 바로 새 언어로 표시
+      require('./i18n').setLanguage(language);
+      console.log(chalk.green(t('✅ 언어가 {name}(으)로 변경되었습니다.', { name: this.getLanguageName(language) })));
+    }
+
+    return success;
+  }
+
+  /**
+   * 언어 메뉴
+   */
+  async showLanguageMenu() {
+    const i18n = require('./i18n');
+
+    console.clear();
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('🌐 언어 설정')));
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('메뉴, 안내 메시지와 AI에게 보내는 프롬프트의 언어입니다.')));
+    console.log(chalk.white(t('AI의 설명도 이 언어로 요청합니다.\n')));
+
+    const current = this.getLanguage();
+    const choices = ['auto', ...i18n.ids()].map(language => ({
+      name: `${language === current ? '🎯' : '  '} ${this.getLanguageName(language)}`,
+      value: language
+    }));
+    choices.push({ name: t('↩️  이전 메뉴로'), value: 'back' });
+
+    const { language } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'language',
+        message: t('언어를 선택하세요:'),
+        choices,
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    if (language === 'back') {
+      return false;
+    }
+
+    return await this.setLanguage(language);
+  }
+
+  /**
+   * 응답 캐시 사용 여부
+   */
+  getCacheEnabled() {
+    const config = this.readFullConfig();
+    return config.cacheEnabled !== false; // 기본값은 사용
+  }
+
+  /**
+   * 응답 캐시 유지 시간 (분)
+   */
+  getCacheTtlMinutes() {
+    const config = this.readFullConfig();
+    return Number.isInteger(config.cacheTtlMinutes) && config.cacheTtlMinutes > 0 ? config.cacheTtlMinutes : 60; // 기본값은 60분
+  }
+
+  /**
+   * 응답 캐시 설정
+   * @param {boolean} enabled - 사용 여부
+   * @param {number} ttlMinutes - 유지 시간 (분)
+   */
+  async setCacheSettings(enabled, ttlMinutes = this.getCacheTtlMinutes()) {
+    const config = this.readFullConfig();
+    config.cacheEnabled = enabled;
+    config.cacheTtlMinutes = ttlMinutes;
+    config.lastUpdated = new Date().toISOString();
+
+    const success = this.saveFullConfig(config);
+    if (success) {
+      console.log(chalk.green(enabled ? t('✅ 응답 캐시: {ttlMinutes}분 동안 유지', { ttlMinutes }) : t('✅ 응답 캐시를 사용하지 않습니다.')));
+    }
+
+    return success;
+  }
+
+  /**
+   * 응답 캐시 메뉴
+   */
+  async showCacheMenu() {
+    const responseCache = require('./responseCache');
+
+    console.clear();
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('💾 응답 캐시 설정')));
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('같은 요청을 같은 저장소 상태(브랜치, 커밋, 작업 트리)에서 다시 하면 저장된 응답을 사용합니다.')));
+    console.log(chalk.white(t('이번 실행만 캐시를 건너뛰려면 --no-cache 옵션을 사용하세요.\n')));
+
+    const info = responseCache.getInfo();
+    console.log(chalk.white(`📁 ${responseCache.cacheDir}`));
+    console.log(chalk.white(t('   저장된 응답: {entries}개 ({size} KB)\n', { entries: info.entries, size: (info.bytes / 1024).toFixed(1) })));
+
+    const enabled = this.getCacheEnabled();
+    const current = this.getCacheTtlMinutes();
+    const choices = [10, 60, 360, 1440].map(minutes => ({
+      name: t('{icon} {duration} 동안 유지', { icon: enabled && minutes === current ? '🎯' : '  ', duration: minutes < 60 ? t('{minutes}분', { minutes }) : t('{hours}시간', { hours: minutes / 60 }) }),
+      value: minutes
+    }));
+    choices.push({ name: t('{icon} 사용 안 함', { icon: enabled ? '  ' : '🎯' }), value: 'off' });
+    if (info.entries > 0) {
+      choices.push({ name: t('🗑️  저장된 응답 모두 삭제'), value: 'clear' });
+    }
+    choices.push({ name: t('↩️  이전 메뉴로'), value: 'back' });
+
+    const { selection } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'selection',
+        message: t('캐시 설정을 선택하세요:'),
+        choices,
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    if (selection === 'back') {
+      return false;
+    }
+    if (selection === 'clear') {
+      const removed = responseCache.clear();
+      console.log(chalk.green(t('✅ 저장된 응답 {removed}개를 삭제했습니다.', { removed })));
+      return true;
+    }
+    if (selection === 'off') {
+      return await this.setCacheSettings(false);
+    }
+    return await this.setCacheSettings(true, selection);
+  }
+
+  /**
+   * 프롬프트에 붙일 추가 컨텍스트 ID 목록 (기본값은 없음)
+   */
+  getContextProviders() {
+    const config = this.readFullConfig();
+    return Array.isArray(config.contextProviders) ? config.contextProviders : [];
+  }
+
+  /**
+   * 프롬프트 전체 토큰 예산 (추가 컨텍스트는 남은 만큼만 포함)
+   */
+  getPromptTokenBudget() {
+    const config = this.readFullConfig();
+    return Number.isInteger(config.promptTokenBudget) && config.promptTokenBudget > 0 ? config.promptTokenBudget : 3000; // 기본값은 3000
+  }
+
+  /**
+   * 추가 컨텍스트 설정
+   * @param {Array<string>} contextProviders - 컨텍스트 ID 목록
+   * @param {number} budget - 프롬프트 토큰 예산
+   */
+  async setContextSettings(contextProviders, budget = this.getPromptTokenBudget()) {
+    const config = this.readFullConfig();
+    config.contextProviders = contextProviders;
+    config.promptTokenBudget = budget;
+    config.lastUpdated = new Date().toISOString();
+
+    const success = this.saveFullConfig(config);
+    if (success) {
+      const statusText = contextProviders.length > 0 ? contextProviders.join(', ') : t('사용 안 함');
+      console.log(chalk.green(t('✅ 추가 컨텍스트: {statusText} (프롬프트 예산 {budget} 토큰)', { statusText, budget: budget.toLocaleString() })));
+    }
+
+    return success;
+  }
+
+  /**
+   * 추가 컨텍스트 메뉴
+   */
+  async showContextMenu() {
+    const gitContext = require('./gitContext');
+
+    console.clear();
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('📎 추가 컨텍스트 설정')));
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('선택한 정보를 프롬프트에 함께 보내 "방금 고친 거 커밋해줘" 같은 요청에 활용합니다.')));
+    console.log(chalk.yellow(t('변경 내용(diff)이 AI 플랫폼으로 전송되므로 필요한 것만 선택하세요.')));
+    console.log(chalk.white(t('이번 실행에만 사용하려면 --context 옵션을 사용하세요.\n')));
+
+    const current = this.getContextProviders();
+    const { selected } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: t('포함할 컨텍스트를 선택하세요:'),
+        choices: gitContext.list().map(provider => ({
+          name: `${provider.id} - ${gitContext.getName(provider.id)}`,
+          value: provider.id,
+          checked: current.includes(provider.id)
+        })),
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    const budget = this.getPromptTokenBudget();
+    const { selectedBudget } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'selectedBudget',
+        message: t('프롬프트 전체 토큰 예산 (넘치는 컨텍스트는 잘리거나 제외됨):'),
+        choices: [1500, 3000, 6000, 12000].map(tokens => ({
+          name: t('{icon} {tokens} 토큰', { icon: tokens === budget ? '🎯' : '  ', tokens: tokens.toLocaleString() }),
+          value: tokens
+        })),
+        default: budget,
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    return await this.setContextSettings(selected, selectedBudget);
+  }
+
+  /**
+   * 대체 플랫폼 순서 가져오기 (현재 플랫폼 호출 실패 시 순서대로 시도)
+   * @returns {Array<string>} 플랫폼 ID 목록
+   */
+  getFallbackProviders() {
+    const config = this.readFullConfig();
+    return Array.isArray(config.fallbackProviders) ? config.fallbackProviders : [];
+  }
+
+  /**
+   * 대체 플랫폼 순서 설정
+   * @param {Array<string>} list - 플랫폼 ID 목록 (빈 배열이면 대체 사용 안 함)
+   */
+  async setFallbackProviders(list) {
+    const config = this.readFullConfig();
+    config.fallbackProviders = list;
+    config.lastUpdated = new Date().toISOString();
+    
+    const success = this.saveFullConfig(config);
+    if (success) {
+      const chainText = list.length > 0 ? list.map(id => this.getPlatformName(id)).join(' → ') : t('사용 안 함');
+      console.log(chalk.green(t('✅ 대체 플랫폼: {chainText}', { chainText })));
+    }
+    
+    return success;
+  }
+
+  /**
+   * 특정 플랫폼의 호출 설정 (등록된 설정 → 환경변수 순)
+   * @param {string} provider - AI 플랫폼
+   * @returns {Object|null} { provider, apiKey, baseUrl, model } 또는 사용할 수 없으면 null
+   */
+  getPlatformSettings(provider) {
+    const config = this.readFullConfig();
+    const platform = (config.platforms || {})[provider];
+    const info = providers.get(provider);
+    
+    if (!info) {
+      return null;
+    }
+    
+    const settings = {
+      provider,
+      apiKey: platform ? platform.apiKey || null : null,
+      baseUrl: platform ? platform.baseUrl || null : null,
+      model: platform ? platform.model || null : null
+    };
+    
+    if (!settings.apiKey && info.envKey && process.env[info.envKey]) {
+      settings.apiKey = process.env[info.envKey];
+    }
+    
+    // 등록되지 않은 서버형 프로바이더는 사용하지 않음
+    if (!platform && !settings.apiKey) {
+      return null;
+    }
+    
+    return this.isPlatformReady(provider, settings.apiKey) ? settings : null;
+  }
+
+  /**
+   * 실제 호출 순서 (현재 플랫폼 + 사용 가능한 대체 플랫폼)
+   * @param {Object} primary - getAIConfig() 결과
+   * @returns {Array<Object>} 플랫폼별 호출 설정 목록
+   */
+  getProviderChain(primary) {
+    const chain = [primary];
+    
+    this.getFallbackProviders().forEach(provider => {
+      if (chain.some(settings => settings.provider === provider)) {
+        return;
+      }
+      const settings = this.getPlatformSettings(provider);
+      if (settings) {
+        chain.push(settings);
+      }
+    });
+    
+    return chain;
+  }
+
   /**
    * 자동 해결책 제안 기능 설정
    */
@@ -1530,8 +2307,42 @@ GEMINI_API_KEY=${apiKey}
     
     const success = this.saveFullConfig(config);
     if (success) {
-      const statusText = enabled ? '활성화' : '비활성화';
-      console.log(chalk.yellow(`✅ 자동 해결책 제안 기능이 ${statusText}되었습니다.`));
+      const statusText = enabled ? t('활성화') : t('비활성화');
+      console.log(chalk.yellow(t('✅ 자동 해결책 제안 기능이 {statusText}되었습니다.', { statusText })));
+    }
+    
+    return success;
+  }
+
+  /**
+   * 익명화 모드 설정
+   */
+  async setAnonymizeMode(enabled) {
+    const config = this.readFullConfig();
+    config.anonymizePrompts = enabled;
+    config.lastUpdated = new Date().toISOString();
+    
+    const success = this.saveFullConfig(config);
+    if (success) {
+      const statusText = enabled ? t('활성화') : t('비활성화');
+      console.log(chalk.yellow(t('✅ 사용자 이름/경로 익명화가 {statusText}되었습니다.', { statusText })));
+    }
+    
+    return success;
+  }
+
+  /**
+   * 대화 모드 설정
+   */
+  async setClarifyMode(enabled) {
+    const config = this.readFullConfig();
+    config.clarifyMode = enabled;
+    config.lastUpdated = new Date().toISOString();
+    
+    const success = this.saveFullConfig(config);
+    if (success) {
+      const statusText = enabled ? t('활성화') : t('비활성화');
+      console.log(chalk.yellow(t('✅ 모호한 요청 질문 기능이 {statusText}되었습니다.', { statusText })));
     }
     
     return success;
@@ -1556,24 +2367,24 @@ GEMINI_API_KEY=${apiKey}
   async showOutputModeMenu() {
     console.clear();
     console.log(chalk.white('─────────────────────────────────────────────'));
-    console.log(chalk.white('📋 출력 모드 변경'));
+    console.log(chalk.white(t('📋 출력 모드 변경')));
     console.log(chalk.white('─────────────────────────────────────────────'));
 
     const currentMode = this.getOutputMode();
     const modeNames = {
-      'detail': '📄 상세 출력',
-      'simple': '📝 간단 출력'
+      'detail': t('📄 상세 출력'),
+      'simple': t('📝 간단 출력')
     };
 
-    console.log(chalk.white('📋 현재 상태:'));
+    console.log(chalk.white(t('📋 현재 상태:')));
     if (currentMode) {
       console.log(chalk.green(`✅ ${modeNames[currentMode]}`));
     } else {
-      console.log(chalk.red('❌ 설정되지 않음'));
+      console.log(chalk.red(t('❌ 설정되지 않음')));
     }
 
     const choices = [
-      { name: '↩️  이전 메뉴로', value: 'back' }
+      { name: t('↩️  이전 메뉴로'), value: 'back' }
     ];
 
     for (const [key, value] of Object.entries(modeNames)) {
@@ -1584,7 +2395,7 @@ GEMINI_API_KEY=${apiKey}
       {
         type: 'list',
         name: 'selection',
-        message: '\n무엇을 하시겠습니까?',
+        message: t('\n무엇을 하시겠습니까?'),
         choices,
         prefix: '',
         suffix: ''
@@ -1597,8 +2408,67 @@ GEMINI_API_KEY=${apiKey}
 
     await this.setOutputMode(action);
     console.log(chalk.white('\n─────────────────────────────────────────────'));
-    console.log(chalk.green(`✅ 출력 모드가 '${modeNames[action]}'으로 변경되었습니다.`));
+    console.log(chalk.green(t('✅ 출력 모드가 \'{mode}\'으로 변경되었습니다.', { mode: modeNames[action] })));
+    console.log(chalk.white('─────────────────────────────────────────────'));
+  }
+
+  /**
+   * 대체 플랫폼 순서 설정 메뉴
+   */
+  async showFallbackMenu() {
+    console.clear();
+    console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('🔁 대체 플랫폼 순서 설정')));
     console.log(chalk.white('─────────────────────────────────────────────'));
+    console.log(chalk.white(t('현재 플랫폼이 한도 초과(429), 서버 오류(5xx), 시간 초과 등으로 실패하면')));
+    console.log(chalk.white(t('아래 순서대로 다른 플랫폼에 같은 요청을 보냅니다.\n')));
+
+    const fullConfig = this.readFullConfig();
+    const current = this.getFallbackProviders();
+
+    console.log(chalk.white(t('📋 현재 상태:')));
+    console.log(chalk.white(t('   활성 플랫폼: {platform}', { platform: fullConfig.currentProvider ? this.getPlatformName(fullConfig.currentProvider) : t('없음') })));
+    if (current.length > 0) {
+      console.log(chalk.green(t('✅ 대체 순서: {chain}', { chain: current.map(id => this.getPlatformName(id)).join(' → ') })));
+    } else {
+      console.log(chalk.white(t('   대체 플랫폼 사용 안 함')));
+    }
+
+    // 등록된 플랫폼 중에서 순서대로 하나씩 선택
+    const available = Object.keys(fullConfig.platforms || {}).filter(id => providers.has(id));
+    const selected = [];
+
+    while (true) {
+      const remaining = available.filter(id => !selected.includes(id));
+      const choices = remaining.map(id => ({
+        name: `${providers.get(id).icon} ${this.getPlatformName(id)}${id === fullConfig.currentProvider ? chalk.white(t(' (활성)')) : ''}`,
+        value: id
+      }));
+      choices.push({ name: selected.length > 0 ? t('✅ 저장') : t('🚫 대체 플랫폼 사용 안 함'), value: '__done__' });
+      choices.push({ name: t('↩️  취소'), value: '__back__' });
+
+      const { provider } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'provider',
+          message: t('\n{count}순위 대체 플랫폼을 선택하세요:', { count: selected.length + 1 }),
+          choices,
+          prefix: '',
+          suffix: ''
+        }
+      ]);
+
+      if (provider === '__back__') {
+        return false;
+      }
+      if (provider === '__done__') {
+        break;
+      }
+      selected.push(provider);
+      console.log(chalk.white(`   ${selected.map(id => providers.get(id).shortName).join(' → ')}`));
+    }
+
+    return await this.setFallbackProviders(selected);
   }
 
   /**
@@ -1619,8 +2489,8 @@ GEMINI_API_KEY=${apiKey}
     
     const success = this.saveFullConfig(config);
     if (success) {
-      const status = enabled ? '활성화' : '비활성화';
-      console.log(chalk.blue(`✅ 프롬프트 디버그 모드가 ${status}되었습니다.`));
+      const status = enabled ? t('활성화') : t('비활성화');
+      console.log(chalk.blue(t('✅ 프롬프트 디버그 모드가 {status}되었습니다.', { status })));
     }
     
     return success;
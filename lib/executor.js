@@ -1,9 +1,17 @@
 const execa = require('execa');
+const fs = require('fs');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const path = require('path');
 const aiService = require('./aiService');
 const config = require('./config');
+const shellParser = require('./shellParser');
+const placeholders = require('./placeholders');
+const riskAnalyzer = require('./riskAnalyzer');
+const impactPreview = require('./impactPreview');
+const promptTemplate = require('./promptTemplate');
+const snapshot = require('./snapshot');
+const { t } = require('./i18n');
 
 /**
  * Git 명령어 실행 관련 함수들
@@ -12,78 +20,78 @@ class Executor {
   constructor() {
     this.dryRun = false;
     this.autoSuggestSolutions = true; // 자동 해결책 제안 기능
+    this.maxBranches = 15;    // 프롬프트에 넣을 브랜치 최대 개수 (로컬/원격 각각)
+    this.maxStashes = 5;      // 프롬프트에 넣을 stash 최대 개수
+    this.maxTags = 5;         // 프롬프트에 넣을 최근 태그 개수
   }
 
   /**
-   * 명령어 파싱 (따옴표 고려)
+   * 명령어 파싱 (POSIX 셸 규칙: 따옴표, 이스케이프, 빈 문자열 인자)
    * @param {string} command - 파싱할 명령어
    * @returns {Array<string>} 파싱된 명령어 배열
+   * @throws 따옴표가 닫히지 않았거나 &&, |, $(...) 등 지원하지 않는 셸 문법이 있으면 오류
    */
   parseCommand(command) {
-    const args = [];
-    let current = '';
-    let inQuotes = false;
-    let quoteChar = '';
-    
-    for (let i = 0; i < command.length; i++) {
-      const char = command[i];
-      
-      if ((char === '"' || char === "'") && !inQuotes) {
-        // 따옴표 시작
-        inQuotes = true;
-        quoteChar = char;
-      } else if (char === quoteChar && inQuotes) {
-        // 따옴표 끝
-        inQuotes = false;
-        quoteChar = '';
-      } else if (char === ' ' && !inQuotes) {
-        // 공백이고 따옴표 안이 아님
-        if (current.trim()) {
-          args.push(current.trim());
-          current = '';
-        }
-      } else {
-        // 일반 문자
-        current += char;
-      }
-    }
-    
-    // 마지막 인수 추가
-    if (current.trim()) {
-      args.push(current.trim());
-    }
-    
-    return args;
+    return shellParser.split(command);
   }
 
   /**
    * Git 명령어 실행
    * @param {string} command - 실행할 Git 명령어
-   * @param {Object} options - 실행 옵션
+   * @param {Object} options - 실행 옵션 (risk: AI 계획의 위험도, 'high'면 실행 전 확인,
+   *                           placeholdersConfirmed: 자리표시자를 사용자가 이미 확인한 단계)
    * @returns {Promise<Object>} 실행 결과
    */
   async executeCommand(command, options = {}) {
     try {
-      console.log(chalk.white('🔄 명령어 실행 중...'));
-      console.log(chalk.cyan(`💻 명령어: ${command}`));
-      
-      // 안전성 검사
-      if (await this.isDangerousCommand(command)) {
-        const confirmed = await this.confirmExecution(command);
+      console.log(chalk.white(t('🔄 명령어 실행 중...')));
+      console.log(chalk.cyan(t('💻 명령어: {command}', { command })));
+
+      // <branch-name> 같은 자리표시자가 남아 있으면 그대로 실행하지 않음
+      // (fillSteps에서 사용자가 그대로 두기로 확인한 단계는 다시 검사하지 않음)
+      const unfilled = options.placeholdersConfirmed ? [] : placeholders.find(command);
+      if (unfilled.length > 0) {
+        const message = t('채워지지 않은 자리표시자가 있습니다: {names}', { names: unfilled.map(item => item.text).join(', ') });
+        console.error(chalk.red(t('❌ 실행할 수 없는 명령어: {message}', { message })));
+        return { success: false, error: message };
+      }
+
+      // 명령어 파싱 (셸 문법 오류나 지원하지 않는 연산자는 git에 넘기지 않고 바로 거부)
+      let sequence;
+      try {
+        sequence = shellParser.parse(command);
+      } catch (error) {
+        console.error(chalk.red(t('❌ 실행할 수 없는 명령어: {message}', { message: error.message })));
+        return { success: false, error: error.message };
+      }
+
+      // 위험도 분류 (&&, | 로 이어진 명령어와 xargs가 실행할 명령어를 각각 분류)
+      const dangerous = riskAnalyzer.analyzeSequence(sequence).commands.filter(item => item.confirm);
+      if (options.risk === 'high' || dangerous.length > 0) {
+        const confirmed = await this.confirmExecution(command, dangerous);
         if (!confirmed) {
-          console.log(chalk.yellow('⚠️  실행이 취소되었습니다.'));
+          console.log(chalk.yellow(t('⚠️  실행이 취소되었습니다.')));
           return { success: false, cancelled: true };
         }
       }
 
       // 드라이런 모드 체크
       if (this.dryRun || options.dryRun) {
-        console.log(chalk.yellow('🧪 드라이런 모드: 실제로 실행되지 않습니다.'));
+        console.log(chalk.yellow(t('🧪 드라이런 모드: 실제로 실행되지 않습니다.')));
         return { success: true, dryRun: true, command };
       }
 
-      // 명령어 파싱 (따옴표 고려)
-      const parsedCommand = this.parseCommand(command);
+      // 연결되거나 파이프로 이어진 명령어
+      if (sequence.length > 1 || sequence[0].pipeline.length > 1) {
+        const result = await this.runSequence(sequence);
+        if (result.exitCode !== 0) {
+          throw new Error(t('{command} (종료 코드 {exitCode})', result));
+        }
+        console.log(chalk.green(t('✅ 명령어가 성공적으로 실행되었습니다.')));
+        return { success: true, result };
+      }
+
+      const parsedCommand = sequence[0].pipeline[0];
       const cmd = parsedCommand[0];
       const args = parsedCommand.slice(1);
       
@@ -94,11 +102,11 @@ class Executor {
         ...options
       });
 
-      console.log(chalk.green('✅ 명령어가 성공적으로 실행되었습니다.'));
+      console.log(chalk.green(t('✅ 명령어가 성공적으로 실행되었습니다.')));
       return { success: true, result };
       
     } catch (error) {
-      console.error(chalk.red('❌ 명령어 실행 실패:'), error.message);
+      console.error(chalk.red(t('❌ 명령어 실행 실패:')), error.message);
       
       // 자동 오류 해결 제안 (무한 루프 방지)
       const autoSuggestEnabled = config.getAutoSuggestSolutions();
@@ -110,49 +118,377 @@ class Executor {
     }
   }
 
+  /**
+   * &&, ||, ; 로 이어진 명령어를 셸과 같은 규칙으로 실행
+   * &&는 앞 명령어가 성공했을 때만, ||는 실패했을 때만 실행하고 ;는 항상 실행
+   * @param {Array<Object>} sequence - shellParser.parse() 결과
+   * @returns {Promise<{exitCode: number, command: string}>} 마지막으로 실행한 파이프라인의 종료 코드
+   */
+  async runSequence(sequence) {
+    let last = { exitCode: 0, command: '' };
+
+    for (const { operator, pipeline } of sequence) {
+      const command = shellParser.format(pipeline);
+      if ((operator === '&&' && last.exitCode !== 0) || (operator === '||' && last.exitCode === 0)) {
+        console.log(chalk.gray(t('   ⏭️  건너뜀: {command}', { command })));
+        continue;
+      }
+
+      console.log(chalk.cyan(`   ↳ ${command}`));
+      last = { exitCode: await this.runPipeline(pipeline), command };
+    }
+
+    return last;
+  }
+
+  /**
+   * | 로 이어진 명령어를 앞 명령어의 출력이 다음 명령어의 입력이 되도록 동시에 실행
+   * @param {Array<Array<string>>} pipeline - 명령어별 인자 배열
+   * @returns {Promise<number>} 마지막 명령어의 종료 코드 (실행하지 못하면 127)
+   */
+  async runPipeline(pipeline) {
+    const children = pipeline.map((argv, index) => execa(argv[0], argv.slice(1), {
+      cwd: process.cwd(),
+      stdin: index === 0 ? 'inherit' : 'pipe',
+      stdout: index === pipeline.length - 1 ? 'inherit' : 'pipe',
+      stderr: 'inherit',
+      buffer: false,
+      reject: false
+    }));
+
+    children.slice(1).forEach((child, index) => {
+      // 뒤 명령어가 먼저 끝나도 (head 등) 앞 명령어 출력 쓰기 오류로 멈추지 않도록
+      child.stdin.on('error', () => {});
+      children[index].stdout.pipe(child.stdin);
+    });
+
+    const results = await Promise.all(children);
+    results.forEach(result => {
+      if (result.exitCode === undefined) {
+        console.error(chalk.red(result.shortMessage));
+      }
+    });
+
+    const last = results[results.length - 1];
+    return last.exitCode === undefined ? 127 : last.exitCode;
+  }
+
+  /**
+   * 명령어 또는 계획 단계를 단계 객체로 통일
+   * @param {string|Object} step - 명령어 문자열 또는 { command, explanation, risk, requiresInput, expectedEffect }
+   */
+  normalizeStep(step) {
+    if (typeof step === 'string') {
+      return { command: step, explanation: '', risk: null, requiresInput: false, expectedEffect: '' };
+    }
+    return step;
+  }
+
+  /**
+   * 단계 설명 표시 (설명, 예상 결과, 입력 필요 여부)
+   */
+  displayStepDetails(step) {
+    if (step.explanation) {
+      console.log(chalk.white(`   ${step.explanation}`));
+    }
+    if (step.expectedEffect) {
+      console.log(chalk.gray(`   → ${step.expectedEffect}`));
+    }
+    if (step.requiresInput) {
+      console.log(chalk.yellow(t('   ✏️  실행 전에 채워야 하는 값이 있습니다.')));
+    }
+
+    // 원격 변경 이상으로 분류된 명령어는 이유 표시
+    try {
+      riskAnalyzer.analyze(step.command).commands
+        .filter(item => riskAnalyzer.rank(item.level) >= riskAnalyzer.rank('affects-remote'))
+        .forEach(item => item.reasons.forEach(reason => console.log(`  ${riskAnalyzer.label(item.level)} ${chalk.gray(reason)}`)));
+    } catch (error) {
+      // 셸 문법 오류는 실행 전 검사에서 표시
+    }
+  }
+
+  /**
+   * 실행 전 상태를 스냅샷으로 저장 (실패해도 명령어 실행은 계속)
+   * @param {Array<string>} commands - 실행할 명령어
+   */
+  async saveSnapshot(commands) {
+    try {
+      const id = await snapshot.save(commands);
+      if (id) {
+        console.log(chalk.gray(t('💾 실행 전 상태 저장: {id} (rltgjqm undo로 되돌리기)', { id })));
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(t('⚠️  실행 전 상태를 저장하지 못했습니다: {message}', { message: error.message })));
+    }
+  }
+
+  /**
+   * 외부 에디터 ($VISUAL, $EDITOR 환경변수, 없으면 빈 값)
+   */
+  getEditor() {
+    return process.env.VISUAL || process.env.EDITOR || '';
+  }
+
+  /**
+   * 명령어 입력받기 (기존 명령어가 있으면 입력란에 채워서 바로 고칠 수 있게)
+   * @param {string} message - 질문
+   * @param {string} command - 처음 채워둘 명령어
+   * @param {boolean} useEditor - $EDITOR로 편집
+   * @returns {Promise<string>} 입력한 명령어 (비어 있으면 빈 문자열)
+   */
+  async promptCommand(message, command = '', useEditor = false) {
+    if (useEditor) {
+      const { text } = await inquirer.prompt([
+        {
+          type: 'editor',
+          name: 'text',
+          message,
+          default: command,
+          prefix: '',
+          suffix: ''
+        }
+      ]);
+      return text.trim();
+    }
+
+    const prompt = inquirer.prompt([
+      {
+        type: 'input',
+        name: 'text',
+        message,
+        filter: (input) => input.trim(),
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+    if (command) {
+      prompt.ui.rl.write(command);
+    }
+    const { text } = await prompt;
+    return text;
+  }
+
+  /**
+   * 새로 입력하거나 고친 명령어 검사 (위험한 명령어, Git 명령어 여부, 셸 문법, 자리표시자)
+   * @param {Object} step - 원래 단계 (새 명령어면 빈 단계)
+   * @param {string} command - 새 명령어
+   * @returns {Promise<Object|null>} 검사를 반영한 단계 (자리표시자 입력을 취소하면 null)
+   */
+  async checkStep(step, command) {
+    const validation = promptTemplate.validateCommands([command]);
+    validation.issues.forEach(issue => console.log(chalk.red(`   ❌ ${issue}`)));
+    validation.warnings.forEach(warning => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+
+    // 위험한 명령어로 바뀌면 실행 전에 다시 확인하도록 위험도를 올림 (원래 위험도는 낮추지 않음)
+    const checked = {
+      ...step,
+      command,
+      risk: validation.flagged.length > 0 ? 'high' : step.risk,
+      requiresInput: false,
+      placeholdersConfirmed: false
+    };
+
+    const filled = await placeholders.fillSteps([checked]);
+    return filled ? filled[0] : null;
+  }
+
+  /**
+   * 단계의 명령어 편집
+   * @param {Object} step - 편집할 단계
+   * @param {boolean} useEditor - $EDITOR로 편집
+   * @returns {Promise<Object|null>} 편집된 단계 (바뀌지 않았거나 취소하면 null)
+   */
+  async editStep(step, useEditor) {
+    const command = await this.promptCommand(t('✏️  명령어 편집 (비워두면 취소):'), step.command, useEditor);
+    if (!command || command === step.command) {
+      console.log(chalk.gray(t('명령어를 바꾸지 않았습니다.')));
+      return null;
+    }
+
+    const edited = await this.checkStep(step, command);
+    if (edited) {
+      console.log(chalk.green(t('✅ 명령어를 바꿨습니다.')));
+    }
+    return edited;
+  }
+
+  /**
+   * 아직 실행하지 않은 단계 중 하나를 골라 앞이나 뒤로 한 칸 이동
+   * @param {Array<Object>} steps - 전체 단계 (이 배열을 직접 바꿈)
+   * @param {number} current - 지금 확인 중인 단계 (이보다 앞은 이미 실행했거나 건너뜀)
+   * @returns {Promise<boolean>} 순서가 바뀌었는지
+   */
+  async moveStep(steps, current) {
+    const { index } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'index',
+        message: t('옮길 명령어를 선택하세요:'),
+        choices: steps.slice(current).map((step, offset) => ({
+          name: `${current + offset + 1}. ${step.command}`,
+          value: current + offset
+        })),
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    const choices = [];
+    if (index > current) {
+      choices.push({ name: t('⬆️  앞으로 이동'), value: -1 });
+    }
+    if (index < steps.length - 1) {
+      choices.push({ name: t('⬇️  뒤로 이동'), value: 1 });
+    }
+    choices.push({ name: t('↩️  돌아가기'), value: 0 });
+
+    const { direction } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'direction',
+        message: t('어디로 옮길까요?'),
+        choices,
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+    if (direction === 0) {
+      return false;
+    }
+
+    const target = index + direction;
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    return true;
+  }
+
+  /**
+   * 새 명령어를 입력받아 계획에 추가
+   * @param {Array<Object>} steps - 전체 단계 (이 배열을 직접 바꿈)
+   * @param {number} current - 지금 확인 중인 단계
+   * @returns {Promise<boolean>} 명령어를 추가했는지
+   */
+  async addStep(steps, current) {
+    const command = await this.promptCommand(t('➕ 추가할 명령어 (비워두면 취소):'));
+    if (!command) {
+      return false;
+    }
+
+    const step = await this.checkStep(this.normalizeStep(command), command);
+    if (!step) {
+      return false;
+    }
+
+    const { position } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'position',
+        message: t('어디에 추가할까요?'),
+        choices: [
+          { name: t('⬆️  지금 명령어 앞 (바로 다음에 확인)'), value: current },
+          { name: t('⬇️  지금 명령어 뒤'), value: current + 1 },
+          { name: t('⏬ 계획 맨 끝'), value: steps.length }
+        ],
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    steps.splice(position, 0, step);
+    return true;
+  }
+
+  /**
+   * 전체 계획과 진행 상태 표시
+   * @param {Array<Object>} steps - 전체 단계
+   * @param {number} current - 지금 확인 중인 단계
+   * @param {Array<Object>} results - 지금까지의 실행 결과 (current 앞의 단계와 순서가 같음)
+   */
+  displayPlan(steps, current, results = []) {
+    console.log(chalk.white(t('\n📋 전체 계획:')));
+    steps.forEach((step, index) => {
+      const line = `${index + 1}. ${step.command}`;
+      if (index === current) {
+        console.log(chalk.cyan(`👉 ${line}`));
+        return;
+      }
+      const result = results[index];
+      if (index > current || !result) {
+        console.log(chalk.white(`   ${line}`));
+      } else if (result.skipped) {
+        console.log(chalk.gray(`⏭️  ${line}`));
+      } else if (result.success) {
+        console.log(chalk.green(`✅ ${line}`));
+      } else if (result.cancelled) {
+        console.log(chalk.yellow(`⚠️  ${line}`));
+      } else {
+        console.log(chalk.red(`❌ ${line}`));
+      }
+    });
+  }
+
   /**
    * 여러 명령어를 모드에 따라 실행
-   * @param {Array<string>} commands - 실행할 명령어 배열
+   * @param {Array<string|Object>} commands - 실행할 명령어 또는 계획 단계 배열
    * @param {Object} options - 실행 옵션 { mode: 'dry'|'auto'|'interactive' }
    * @returns {Promise<Array>} 실행 결과 배열
    */
   async executeMultipleCommands(commands, options = {}) {
     const { mode = 'dry' } = options;
     const results = [];
+    let steps = commands.map(step => this.normalizeStep(step));
 
     if (mode === 'dry') {
       // 드라이런 모드: 실행하지 않고 결과만 반환
-      console.log(chalk.yellow('\n🧪 드라이런 모드: 명령어들을 실행하지 않습니다.'));
-      return commands.map(command => ({
+      console.log(chalk.yellow(t('\n🧪 드라이런 모드: 명령어들을 실행하지 않습니다.')));
+      return steps.map(step => ({
         success: true,
         dryRun: true,
-        command
+        command: step.command
       }));
     }
 
+    // 실행 전에 자리표시자 (<branch-name>, [URL] 등) 값 입력받기
+    const filled = await placeholders.fillSteps(steps);
+    if (!filled) {
+      console.log(chalk.yellow(t('⚠️  값 입력을 취소해서 명령어를 실행하지 않습니다.')));
+      return steps.map(step => ({ success: false, cancelled: true, command: step.command }));
+    }
+    steps = filled;
+
+    // 첫 명령어를 실행하기 직전에 한 번만 되돌리기 지점 저장 (rltgjqm undo)
+    let snapshotSaved = false;
+    const saveSnapshot = async () => {
+      if (!snapshotSaved) {
+        snapshotSaved = true;
+        await this.saveSnapshot(steps.map(step => step.command));
+      }
+    };
+
     if (mode === 'auto') {
       // 자동 모드: 모든 명령어를 순서대로 실행
-      console.log(chalk.white('\n🚀 자동 실행 모드 시작'));
+      console.log(chalk.white(t('\n🚀 자동 실행 모드 시작')));
       
-      for (let i = 0; i < commands.length; i++) {
-        const command = commands[i];
-        console.log(chalk.cyan(`\n📋 ${i + 1}/${commands.length}: ${command}`));
+      for (let i = 0; i < steps.length; i++) {
+        const { command, risk, placeholdersConfirmed } = steps[i];
+        console.log(chalk.cyan(`\n📋 ${i + 1}/${steps.length}: ${command}`));
         
-        const result = await this.executeCommand(command, { dryRun: false });
+        await saveSnapshot();
+        const result = await this.executeCommand(command, { dryRun: false, risk, placeholdersConfirmed });
         results.push(result);
         
         if (!result.success && !result.cancelled) {
-          console.log(chalk.red(`❌ 명령어 실행 실패. 남은 명령어 ${commands.length - i - 1}개를 건너뜁니다.`));
+          console.log(chalk.red(t('❌ 명령어 실행 실패. 남은 명령어 {count}개를 건너뜁니다.', { count: steps.length - i - 1 })));
           break;
         }
         
         if (result.cancelled) {
-          console.log(chalk.yellow(`⚠️  명령어 실행이 취소되었습니다. 남은 명령어 ${commands.length - i - 1}개를 건너뜁니다.`));
+          console.log(chalk.yellow(t('⚠️  명령어 실행이 취소되었습니다. 남은 명령어 {count}개를 건너뜁니다.', { count: steps.length - i - 1 })));
           break;
         }
 
         // 명령어 간 짧은 대기 시간
-        if (i < commands.length - 1) {
+        if (i < steps.length - 1) {
           await new Promise(resolve => setTimeout(resolve, 500));
         }
       }
@@ -161,56 +497,93 @@ class Executor {
     }
 
     if (mode === 'interactive') {
-      // 인터랙티브 모드: 각 명령어마다 사용자 확인
-      console.log(chalk.white('\n🔍 인터랙티브 모드 시작'));
+      // 인터랙티브 모드: 각 명령어마다 사용자 확인 (실행 전에 편집, 순서 변경, 추가 가능)
+      console.log(chalk.white(t('\n🔍 인터랙티브 모드 시작')));
       
-      for (let i = 0; i < commands.length; i++) {
-        const command = commands[i];
+      let i = 0;
+      while (i < steps.length) {
+        const { command, risk, placeholdersConfirmed } = steps[i];
         
-        console.log(chalk.cyan(`\n📋 ${i + 1}/${commands.length}: ${command}`));
+        console.log(chalk.cyan(`\n📋 ${i + 1}/${steps.length}: ${command}`));
+        this.displayStepDetails(steps[i]);
         
         const choices = [
-          { name: '✅ 실행', value: 'execute' },
-          { name: '⏭️  건너뛰기', value: 'skip' },
-          { name: '❌ 종료', value: 'quit' }
+          { name: t('✅ 실행'), value: 'execute' },
+          { name: t('⏭️  건너뛰기'), value: 'skip' },
+          { name: t('✏️  편집'), value: 'edit' }
         ];
+        if (this.getEditor()) {
+          choices.push({ name: t('📝 에디터로 편집 ({editor})', { editor: this.getEditor() }), value: 'editor' });
+        }
+        if (steps.length - i > 1) {
+          choices.push({ name: t('🔀 앞으로/뒤로 이동'), value: 'move' });
+        }
+        choices.push(
+          { name: t('➕ 명령어 추가'), value: 'add' },
+          { name: t('📋 전체 계획 보기'), value: 'plan' },
+          { name: t('❌ 종료'), value: 'quit' }
+        );
 
         const { action } = await inquirer.prompt([
           {
             type: 'list',
             name: 'action',
-            message: '이 명령어를 실행하시겠습니까?',
+            message: t('이 명령어를 실행하시겠습니까?'),
             choices
           }
         ]);
 
         if (action === 'quit') {
-          console.log(chalk.yellow('🛑 사용자가 실행을 중단했습니다.'));
+          console.log(chalk.yellow(t('🛑 사용자가 실행을 중단했습니다.')));
           break;
         }
 
         if (action === 'skip') {
-          console.log(chalk.yellow('⏭️  명령어를 건너뜁니다.'));
+          console.log(chalk.yellow(t('⏭️  명령어를 건너뜁니다.')));
           results.push({ success: true, skipped: true, command });
+          i++;
+          continue;
+        }
+
+        if (action === 'edit' || action === 'editor') {
+          const edited = await this.editStep(steps[i], action === 'editor');
+          if (edited) {
+            steps[i] = edited;
+          }
+          continue;
+        }
+
+        if (action === 'move' || action === 'add') {
+          const changed = action === 'move' ? await this.moveStep(steps, i) : await this.addStep(steps, i);
+          if (changed) {
+            this.displayPlan(steps, i, results);
+          }
+          continue;
+        }
+
+        if (action === 'plan') {
+          this.displayPlan(steps, i, results);
           continue;
         }
 
         if (action === 'execute') {
-          const result = await this.executeCommand(command, { dryRun: false });
+          await saveSnapshot();
+          const result = await this.executeCommand(command, { dryRun: false, risk, placeholdersConfirmed });
           results.push(result);
+          i++;
           
           if (!result.success && !result.cancelled) {
             const { continueOnError } = await inquirer.prompt([
               {
                 type: 'confirm',
                 name: 'continueOnError',
-                message: '명령어 실행이 실패했습니다. 계속 진행하시겠습니까?',
+                message: t('명령어 실행이 실패했습니다. 계속 진행하시겠습니까?'),
                 default: false
               }
             ]);
             
             if (!continueOnError) {
-              console.log(chalk.red('❌ 사용자가 실행을 중단했습니다.'));
+              console.log(chalk.red(t('❌ 사용자가 실행을 중단했습니다.')));
               break;
             }
           }
@@ -246,39 +619,44 @@ class Executor {
   }
 
   /**
-   * 위험한 명령어인지 확인
+   * 위험한 명령어인지 확인 (기존 함수 - 호환성 유지, riskAnalyzer에서 확인이 필요한 분류)
    * @param {string} command - 확인할 명령어
-   * @returns {Promise<boolean>} 위험한 명령어 여부
+   * @returns {Promise<boolean>} 위험한 명령어 여부 (파싱할 수 없는 명령어도 위험으로 취급)
    */
   async isDangerousCommand(command) {
-    const dangerousPatterns = [
-      /git\s+reset\s+--hard/,
-      /git\s+clean\s+-f/,
-      /git\s+push\s+--force/,
-      /git\s+rebase\s+--interactive/,
-      /git\s+branch\s+-D/,
-      /git\s+tag\s+-d/,
-      /rm\s+-rf/,
-      /git\s+filter-branch/
-    ];
-    
-    return dangerousPatterns.some(pattern => pattern.test(command));
+    try {
+      return riskAnalyzer.analyze(command).confirm;
+    } catch (error) {
+      return true;
+    }
   }
 
   /**
    * 명령어 실행 확인
    * @param {string} command - 실행할 명령어
+   * @param {Array<Object>} dangerous - 확인이 필요한 부분 명령어의 분류 (riskAnalyzer.analyzeArgv() 결과)
    * @returns {Promise<boolean>} 실행 확인 여부
    */
-  async confirmExecution(command) {
-    console.log(chalk.yellow('\n⚠️  주의: 이 명령어는 위험할 수 있습니다.'));
-    console.log(chalk.red(`🔥 명령어: ${command}`));
+  async confirmExecution(command, dangerous = []) {
+    console.log(chalk.yellow(t('\n⚠️  주의: 이 명령어는 위험할 수 있습니다.')));
+    console.log(chalk.red(t('🔥 명령어: {command}', { command })));
+    for (const item of dangerous) {
+      // &&, | 로 이어진 명령어 중 일부일 때는 어느 부분인지 표시
+      if (item.command !== command) {
+        console.log(chalk.red(`   ↳ ${item.command}`));
+      }
+      item.reasons.forEach(reason => console.log(`  ${riskAnalyzer.label(item.level)} ${chalk.white(reason)}`));
+
+      // 버려지는 파일, 사라지는 커밋 등 실제 영향 (이어진 명령어는 모두 실행 전 상태 기준)
+      const impact = await impactPreview.describe(item.impacts);
+      impact.forEach(line => console.log(line));
+    }
     
     const answer = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'confirm',
-        message: '정말로 실행하시겠습니까?',
+        message: t('정말로 실행하시겠습니까?'),
         default: false
       }
     ]);
@@ -293,11 +671,11 @@ class Executor {
    */
   async suggestErrorSolution(command, errorMessage) {
     try {
-      console.log(chalk.yellow('\n🤖 AI가 해결책을 찾고 있습니다...'));
+      console.log(chalk.yellow(t('\n🤖 AI가 해결책을 찾고 있습니다...')));
       
-      const prompt = `Git 명령어 "${command}" 실행 중 다음 오류가 발생했습니다:
+      const prompt = t(`Git 명령어 "{command}" 실행 중 다음 오류가 발생했습니다:
 
-${errorMessage}
+{errorMessage}
 
 이 오류에 대한 해결 방법을 3가지 선택지로 제공해주세요. 각 선택지는 다음 형식으로:
 
@@ -305,7 +683,7 @@ ${errorMessage}
 2. [방법명]: [간단한 설명]  
 3. [방법명]: [간단한 설명]
 
-구체적인 명령어는 제공하지 말고, 해결 방향성만 알려주세요.`;
+구체적인 명령어는 제공하지 말고, 해결 방향성만 알려주세요.`, { command, errorMessage });
 
       const result = await aiService.generateCommand(prompt);
       const response = result.response;
@@ -314,7 +692,7 @@ ${errorMessage}
       await this.getUserSolutionChoice(command, errorMessage, response);
       
     } catch (error) {
-      console.log(chalk.gray('⚠️  해결책 요청 중 오류가 발생했습니다.'));
+      console.log(chalk.gray(t('⚠️  해결책 요청 중 오류가 발생했습니다.')));
     }
   }
 
@@ -330,11 +708,11 @@ ${errorMessage}
       const options = this.parseSolutionOptions(solutionOptions);
       
       if (options.length === 0) {
-        console.log(chalk.yellow('⚠️  선택지를 파싱할 수 없습니다. 직접 해결해 주세요.'));
+        console.log(chalk.yellow(t('⚠️  선택지를 파싱할 수 없습니다. 직접 해결해 주세요.')));
         return;
       }
 
-      console.log(chalk.blue('\n💡 AI 해결책 제안:'));
+      console.log(chalk.blue(t('\n💡 AI 해결책 제안:')));
       options.forEach((option, index) => {
         console.log(chalk.yellow(`${index + 1}. ${option.title}`));
         console.log(chalk.gray(`   ${option.description}`));
@@ -342,26 +720,26 @@ ${errorMessage}
 
       // inquirer에서는 간단하게 번호만 표시
       const choices = options.map((option, index) => ({
-        name: `${index + 1}번`,
+        name: t('{index}번', { index: index + 1 }),
         value: index
       }));
       
       // 직접 입력 옵션 추가
       const directInputIndex = options.length;
-      choices.push({ name: '💭 직접 입력', value: directInputIndex });
-      choices.push({ name: '❌ 취소', value: -1 });
+      choices.push({ name: t('💭 직접 입력'), value: directInputIndex });
+      choices.push({ name: t('❌ 취소'), value: -1 });
 
       const { selectedIndex } = await inquirer.prompt([
         {
           type: 'list',
           name: 'selectedIndex',
-          message: '어떤 방법으로 해결하시겠습니까?',
+          message: t('어떤 방법으로 해결하시겠습니까?'),
           choices
         }
       ]);
 
       if (selectedIndex === -1) {
-        console.log(chalk.gray('해결 과정을 취소했습니다.'));
+        console.log(chalk.gray(t('해결 과정을 취소했습니다.')));
         return;
       }
 
@@ -371,15 +749,15 @@ ${errorMessage}
           {
             type: 'input',
             name: 'customSolution',
-            message: '원하시는 해결 방법을 입력하세요:',
+            message: t('원하시는 해결 방법을 입력하세요:'),
             validate: (input) => {
               // 한글 입력 최적화: 입력 완료 후에만 검증
               if (input === '') {
-                return '해결 방법을 입력해주세요.';
+                return t('해결 방법을 입력해주세요.');
               }
               const trimmed = input.trim();
               if (trimmed.length === 0) {
-                return '해결 방법을 입력해주세요.';
+                return t('해결 방법을 입력해주세요.');
               }
               return true;
             },
@@ -398,7 +776,7 @@ ${errorMessage}
       }
 
     } catch (error) {
-      console.log(chalk.gray('⚠️  해결책 선택 중 오류가 발생했습니다.'));
+      console.log(chalk.gray(t('⚠️  해결책 선택 중 오류가 발생했습니다.')));
     }
   }
 
@@ -460,28 +838,28 @@ ${errorMessage}
    */
   async getSpecificSolution(command, errorMessage, selectedSolution) {
     try {
-      console.log(chalk.yellow('\n🤖 구체적인 해결 방법을 찾고 있습니다...'));
+      console.log(chalk.yellow(t('\n🤖 구체적인 해결 방법을 찾고 있습니다...')));
       
-      const prompt = `Git 명령어 "${command}" 실행 중 다음 오류가 발생했고:
+      const prompt = t(`Git 명령어 "{command}" 실행 중 다음 오류가 발생했고:
 
-${errorMessage}
+{errorMessage}
 
 사용자가 다음 해결 방법을 선택했습니다:
-"${selectedSolution}"
+"{selectedSolution}"
 
-이 해결 방법을 위한 구체적인 Git 명령어들을 순서대로 제공해주세요. 각 명령어는 새 줄에 작성하고, 설명은 최소화해주세요.`;
+이 해결 방법을 위한 구체적인 Git 명령어들을 순서대로 제공해주세요. 각 명령어는 새 줄에 작성하고, 설명은 최소화해주세요.`, { command, errorMessage, selectedSolution });
 
       const result = await aiService.generateCommand(prompt);
       const response = result.response;
       
-      console.log(chalk.blue('\n💡 구체적인 해결 명령어:'));
+      console.log(chalk.blue(t('\n💡 구체적인 해결 명령어:')));
       console.log(chalk.white(response));
       
       // 명령어 추출 및 실행 옵션 제공
       await this.executeSpecificSolution(response);
       
     } catch (error) {
-      console.log(chalk.gray('⚠️  구체적 해결책 요청 중 오류가 발생했습니다.'));
+      console.log(chalk.gray(t('⚠️  구체적 해결책 요청 중 오류가 발생했습니다.')));
     }
   }
 
@@ -497,7 +875,7 @@ ${errorMessage}
     if (matches && matches.length > 0) {
       const commands = matches.map(match => match.replace(/[`\n]/g, '').trim());
       
-      console.log(chalk.cyan('\n🔧 실행할 명령어:'));
+      console.log(chalk.cyan(t('\n🔧 실행할 명령어:')));
       commands.forEach((cmd, index) => {
         console.log(chalk.yellow(`${index + 1}. ${cmd}`));
       });
@@ -506,18 +884,18 @@ ${errorMessage}
         {
           type: 'list',
           name: 'executionMode',
-          message: '어떻게 실행하시겠습니까?',
+          message: t('어떻게 실행하시겠습니까?'),
           choices: [
-            { name: '🚀 자동 실행 (모든 명령어 순서대로)', value: 'auto' },
-            { name: '🔍 단계별 확인 (하나씩 확인 후 실행)', value: 'interactive' },
-            { name: '🧪 드라이런 (실행하지 않고 미리보기)', value: 'dry' },
-            { name: '❌ 취소', value: 'cancel' }
+            { name: t('🚀 자동 실행 (모든 명령어 순서대로)'), value: 'auto' },
+            { name: t('🔍 단계별 확인 (하나씩 확인 후 실행)'), value: 'interactive' },
+            { name: t('🧪 드라이런 (실행하지 않고 미리보기)'), value: 'dry' },
+            { name: t('❌ 취소'), value: 'cancel' }
           ]
         }
       ]);
 
       if (executionMode === 'cancel') {
-        console.log(chalk.gray('실행을 취소했습니다.'));
+        console.log(chalk.gray(t('실행을 취소했습니다.')));
         return;
       }
 
@@ -528,7 +906,7 @@ ${errorMessage}
       });
       
     } else {
-      console.log(chalk.yellow('⚠️  실행 가능한 Git 명령어를 찾을 수 없습니다.'));
+      console.log(chalk.yellow(t('⚠️  실행 가능한 Git 명령어를 찾을 수 없습니다.')));
     }
   }
 
@@ -560,13 +938,13 @@ ${errorMessage}
       
       // 현재 디렉토리가 레포지토리 외부에 있거나, 3단계 이상 깊은 곳에 있으면 제외
       if (relativePath.startsWith('..') || relativePath.split(path.sep).length > 3) {
-        throw new Error('현재 디렉토리가 Git 레포지토리와 관련이 없습니다.');
+        throw new Error(t('현재 디렉토리가 Git 레포지토리와 관련이 없습니다.'));
       }
       
       // 추가 검증: 현재 디렉토리나 바로 상위 디렉토리에 의미있는 Git 관련 파일이 있는지 확인
       const hasGitFiles = await this.checkForGitFiles(currentDirResolved, repoRoot);
       if (!hasGitFiles) {
-        throw new Error('현재 위치에서 Git 작업을 수행할 의도가 명확하지 않습니다.');
+        throw new Error(t('현재 위치에서 Git 작업을 수행할 의도가 명확하지 않습니다.'));
       }
       
       // 기본 Git 정보 수집
@@ -591,7 +969,7 @@ ${errorMessage}
         // 레포지토리 이름이 추출되지 않은 경우 fallback
         if (!repositoryName) {
           repositoryName = require('path').basename(repoRoot);
-          console.warn('⚠️  Git URL에서 레포지토리 이름을 추출할 수 없어 디렉토리 이름을 사용합니다:', remoteUrl);
+          console.warn(t('⚠️  Git URL에서 레포지토리 이름을 추출할 수 없어 디렉토리 이름을 사용합니다:'), remoteUrl);
         }
       } catch (error) {
         // 원격 저장소가 없는 경우 로컬 디렉토리 이름 사용
@@ -601,32 +979,30 @@ ${errorMessage}
       // 커밋되지 않은 변경사항 확인
       const hasUncommittedChanges = statusResult.stdout.trim().length > 0;
       
-      // 푸시되지 않은 커밋 확인
-      let hasUnpushedCommits = false;
-      try {
-        const unpushedResult = await execa('git', ['log', '@{u}..', '--oneline'], { 
-          cwd: currentDir, 
-          stdio: 'pipe' 
-        });
-        hasUnpushedCommits = unpushedResult.stdout.trim().length > 0;
-      } catch (error) {
-        // 원격 브랜치가 없는 경우 무시
-      }
+      // 추적 브랜치, 브랜치 목록, stash, 태그, 진행 중인 작업
+      const details = await this.getRepositoryDetails(currentDir);
+      
+      // 푸시되지 않은 커밋 확인 (추적 브랜치가 없으면 false)
+      const hasUnpushedCommits = details.ahead > 0;
       
       // 커밋 히스토리 확인
       let totalCommits = 0;
+      let headCommit = '';
       try {
-        const commitsResult = await execa('git', ['rev-list', '--count', 'HEAD'], { 
-          cwd: currentDir, 
-          stdio: 'pipe' 
-        });
+        const [commitsResult, headResult] = await Promise.all([
+          execa('git', ['rev-list', '--count', 'HEAD'], { cwd: currentDir, stdio: 'pipe' }),
+          execa('git', ['rev-parse', 'HEAD'], { cwd: currentDir, stdio: 'pipe' })
+        ]);
         totalCommits = parseInt(commitsResult.stdout.trim());
+        headCommit = headResult.stdout.trim();
       } catch (error) {
         // 커밋이 없는 경우
       }
       
+      const currentBranch = branchResult.stdout.trim();
+      
       return {
-        currentBranch: branchResult.stdout.trim(),
+        currentBranch,
         repositoryName,
         remoteUrl,
         repoRoot: repoRoot,
@@ -635,6 +1011,9 @@ ${errorMessage}
         hasUnpushedCommits,
         workingTree: statusResult.stdout.trim(),
         totalCommits,
+        headCommit,
+        isDetached: !currentBranch && !!headCommit,
+        ...details,
         isGitRepository: true,
         isInRepoRoot: path.resolve(currentDir) === path.resolve(repoRoot)
       };
@@ -650,6 +1029,9 @@ ${errorMessage}
         hasUnpushedCommits: false,
         workingTree: '',
         totalCommits: 0,
+        headCommit: '',
+        isDetached: false,
+        ...this.emptyRepositoryDetails(),
         isGitRepository: false,
         isInRepoRoot: false,
         error: error.message
@@ -657,6 +1039,111 @@ ${errorMessage}
     }
   }
 
+  /**
+   * 저장소 세부 정보가 없을 때의 기본값
+   */
+  emptyRepositoryDetails() {
+    return {
+      upstream: '',
+      ahead: 0,
+      behind: 0,
+      localBranches: [],
+      localBranchCount: 0,
+      remoteBranches: [],
+      remoteBranchCount: 0,
+      stashes: [],
+      stashCount: 0,
+      recentTags: [],
+      inProgress: null
+    };
+  }
+
+  /**
+   * 저장소 세부 정보 수집 (실패한 항목은 기본값 유지)
+   * @param {string} cwd - 작업 디렉토리
+   * @returns {Promise<Object>} { upstream, ahead, behind, localBranches, localBranchCount,
+   *          remoteBranches, remoteBranchCount, stashes, stashCount, recentTags, inProgress }
+   */
+  async getRepositoryDetails(cwd) {
+    const details = this.emptyRepositoryDetails();
+    const git = async (args) => {
+      try {
+        const result = await execa('git', args, { cwd, stdio: 'pipe', timeout: 5000 });
+        return result.stdout.trim();
+      } catch (error) {
+        return '';
+      }
+    };
+    const lines = (output) => output ? output.split('\n').map(line => line.trim()).filter(Boolean) : [];
+
+    const [upstream, localOutput, remoteOutput, stashOutput, tagOutput, gitDir] = await Promise.all([
+      git(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}']),
+      git(['for-each-ref', '--sort=-committerdate', '--format=%(refname:short)', 'refs/heads']),
+      git(['for-each-ref', '--sort=-committerdate', '--format=%(refname)', 'refs/remotes']),
+      git(['stash', 'list']),
+      git(['for-each-ref', '--sort=-creatordate', `--count=${this.maxTags}`, '--format=%(refname:short)', 'refs/tags']),
+      git(['rev-parse', '--absolute-git-dir'])
+    ]);
+
+    // 추적 브랜치와 앞섬/뒤처짐 커밋 수
+    if (upstream) {
+      details.upstream = upstream;
+      const counts = (await git(['rev-list', '--left-right', '--count', '@{u}...HEAD'])).split(/\s+/);
+      details.behind = parseInt(counts[0]) || 0;
+      details.ahead = parseInt(counts[1]) || 0;
+    }
+
+    const localBranches = lines(localOutput);
+    details.localBranches = localBranches.slice(0, this.maxBranches);
+    details.localBranchCount = localBranches.length;
+
+    // origin/HEAD 같은 심볼릭 참조는 제외
+    const remoteBranches = lines(remoteOutput)
+      .filter(ref => !ref.endsWith('/HEAD'))
+      .map(ref => ref.replace(/^refs\/remotes\//, ''));
+    details.remoteBranches = remoteBranches.slice(0, this.maxBranches);
+    details.remoteBranchCount = remoteBranches.length;
+
+    const stashes = lines(stashOutput);
+    details.stashes = stashes.slice(0, this.maxStashes);
+    details.stashCount = stashes.length;
+
+    details.recentTags = lines(tagOutput);
+    details.inProgress = gitDir ? this.detectInProgressOperation(gitDir) : null;
+
+    return details;
+  }
+
+  /**
+   * .git 디렉토리의 상태 파일로 진행 중인 작업 확인
+   * @param {string} gitDir - .git 디렉토리 절대 경로
+   * @returns {Object|null} { type: 'rebase' | 'merge' | 'cherry-pick' | 'revert' | 'bisect', branch } 또는 null
+   */
+  detectInProgressOperation(gitDir) {
+    const exists = (name) => fs.existsSync(path.join(gitDir, name));
+
+    for (const dir of ['rebase-merge', 'rebase-apply']) {
+      if (exists(dir)) {
+        let branch = '';
+        try {
+          branch = fs.readFileSync(path.join(gitDir, dir, 'head-name'), 'utf-8').trim().replace(/^refs\/heads\//, '');
+        } catch (error) {
+          // git am 진행 중이거나 head-name이 없는 경우
+        }
+        return { type: 'rebase', branch };
+      }
+    }
+
+    const markers = [
+      ['MERGE_HEAD', 'merge'],
+      ['CHERRY_PICK_HEAD', 'cherry-pick'],
+      ['REVERT_HEAD', 'revert'],
+      ['BISECT_LOG', 'bisect']
+    ];
+    const found = markers.find(([file]) => exists(file));
+    return found ? { type: found[1], branch: '' } : null;
+  }
+
   /**
    * Git 원격 URL에서 레포지토리 이름 추출
    * @param {string} remoteUrl - Git 원격 URL
@@ -668,10 +1155,10 @@ ${errorMessage}
     }
 
     // URL에서 템플릿 태그 감지 (사용자가 보고한 문제 해결)
-    if (remoteUrl.includes('<') && remoteUrl.includes('>')) {
-      console.warn('⚠️  Git URL에 템플릿 태그가 포함되어 있습니다:', remoteUrl);
-      console.warn('💡 해결방법: git remote set-url origin <실제_저장소_URL>');
-      console.warn('💡 또는 Git 레포지토리 제거: rm -rf .git');
+    if (placeholders.find(remoteUrl).length > 0) {
+      console.warn(t('⚠️  Git URL에 템플릿 태그가 포함되어 있습니다:'), remoteUrl);
+      console.warn(t('💡 해결방법: git remote set-url origin <실제_저장소_URL>'));
+      console.warn(t('💡 또는 Git 레포지토리 제거: rm -rf .git'));
       return '';
     }
 
@@ -711,7 +1198,7 @@ ${errorMessage}
 
       return '';
     } catch (error) {
-      console.warn('⚠️  Git URL 파싱 중 오류:', error.message);
+      console.warn(t('⚠️  Git URL 파싱 중 오류:'), error.message);
       return '';
     }
   }
@@ -779,23 +1266,23 @@ ${errorMessage}
    * @param {string} command - 미리보기할 명령어
    */
   async previewCommand(command) {
-          console.log(chalk.white('👀 명령어 미리보기:'));
+          console.log(chalk.white(t('👀 명령어 미리보기:')));
     console.log(chalk.cyan(`💻 ${command}`));
     
     // 현재 Git 상태 표시
     const status = await this.getGitStatus();
     if (status.isGitRepository) {
       if (status.currentBranch) {
-        console.log(chalk.white(`📍 현재 브랜치: ${status.currentBranch}`));
+        console.log(chalk.white(t('📍 현재 브랜치: {currentBranch}', { currentBranch: status.currentBranch })));
       }
       if (status.hasUncommittedChanges) {
-        console.log(chalk.white('📝 커밋되지 않은 변경사항이 있습니다.'));
+        console.log(chalk.white(t('📝 커밋되지 않은 변경사항이 있습니다.')));
       }
       if (status.hasUnpushedCommits) {
-        console.log(chalk.white('📤 푸시되지 않은 커밋이 있습니다.'));
+        console.log(chalk.white(t('📤 푸시되지 않은 커밋이 있습니다.')));
       }
     } else {
-      console.log(chalk.yellow('⚠️  Git 저장소가 아닙니다.'));
+      console.log(chalk.yellow(t('⚠️  Git 저장소가 아닙니다.')));
     }
   }
 
@@ -805,12 +1292,12 @@ ${errorMessage}
    */
   printExecutionSummary(results) {
     if (results.length === 0) {
-      console.log(chalk.yellow('📋 실행된 명령어가 없습니다.'));
+      console.log(chalk.yellow(t('📋 실행된 명령어가 없습니다.')));
       return;
     }
 
-    console.log(chalk.white('\n📊 실행 결과 요약:'));
-    console.log(chalk.white(`총 ${results.length}개 명령어`));
+    console.log(chalk.white(t('\n📊 실행 결과 요약:')));
+    console.log(chalk.white(t('총 {count}개 명령어', { count: results.length })));
     
     const successful = results.filter(r => r.success && !r.dryRun && !r.skipped).length;
     const failed = results.filter(r => !r.success && !r.cancelled).length;
@@ -818,11 +1305,11 @@ ${errorMessage}
     const skipped = results.filter(r => r.skipped).length;
     const dryRun = results.filter(r => r.dryRun).length;
 
-    if (successful > 0) console.log(chalk.green(`✅ 성공: ${successful}개`));
-    if (failed > 0) console.log(chalk.red(`❌ 실패: ${failed}개`));
-    if (cancelled > 0) console.log(chalk.yellow(`⚠️  취소: ${cancelled}개`));
-    if (skipped > 0) console.log(chalk.white(`⏭️  건너뜀: ${skipped}개`));
-    if (dryRun > 0) console.log(chalk.white(`🧪 드라이런: ${dryRun}개`));
+    if (successful > 0) console.log(chalk.green(t('✅ 성공: {successful}개', { successful })));
+    if (failed > 0) console.log(chalk.red(t('❌ 실패: {failed}개', { failed })));
+    if (cancelled > 0) console.log(chalk.yellow(t('⚠️  취소: {cancelled}개', { cancelled })));
+    if (skipped > 0) console.log(chalk.white(t('⏭️  건너뜀: {skipped}개', { skipped })));
+    if (dryRun > 0) console.log(chalk.white(t('🧪 드라이런: {dryRun}개', { dryRun })));
   }
 
   /**
@@ -832,60 +1319,94 @@ ${errorMessage}
   setDryRun(enabled) {
     this.dryRun = enabled;
     if (enabled) {
-      console.log(chalk.yellow('🧪 드라이런 모드가 활성화되었습니다.'));
+      console.log(chalk.yellow(t('🧪 드라이런 모드가 활성화되었습니다.')));
     } else {
-      console.log(chalk.white('🔄 실제 실행 모드로 변경되었습니다.'));
+      console.log(chalk.white(t('🔄 실제 실행 모드로 변경되었습니다.')));
     }
   }
 
+  /**
+   * 앞섬/뒤처짐 표시 (예: ", ↑2 ↓1")
+   */
+  formatAheadBehind(gitStatus) {
+    const parts = [];
+    if (gitStatus.ahead > 0) parts.push(`↑${gitStatus.ahead}`);
+    if (gitStatus.behind > 0) parts.push(`↓${gitStatus.behind}`);
+    return parts.length > 0 ? `, ${parts.join(' ')}` : '';
+  }
+
+  /**
+   * 진행 중인 작업 설명 (예: "리베이스 (feature)")
+   */
+  describeInProgress(inProgress) {
+    const names = {
+      rebase: t('리베이스'),
+      merge: t('병합'),
+      'cherry-pick': t('체리픽'),
+      revert: t('되돌리기 (revert)'),
+      bisect: 'bisect'
+    };
+    const name = names[inProgress.type] || inProgress.type;
+    return inProgress.branch ? `${name} (${inProgress.branch})` : name;
+  }
+
   /**
    * Git 상태 정보를 화면에 표시
    * @param {Object} gitStatus - Git 상태 정보
    */
   displayGitStatus(gitStatus) {
-    console.log(chalk.white(`${chalk.bold('📍 현재 폴더 git 정보:')}`));
+    console.log(chalk.white(`${chalk.bold(t('📍 현재 폴더 git 정보:'))}`));
     
     if (gitStatus.isGitRepository) {
       // Git 레포지토리인 경우
-      console.log(chalk.green(`${chalk.bold('✅ 연결된 레포지토리 이름:')} ${gitStatus.repositoryName}`));
+      console.log(chalk.green(`${chalk.bold(t('✅ 연결된 레포지토리 이름:'))} ${gitStatus.repositoryName}`));
       
       if (gitStatus.remoteUrl) {
-        console.log(chalk.white(`${chalk.bold('🔗 레포지토리 링크 :')} ${gitStatus.remoteUrl}`));
+        console.log(chalk.white(`${chalk.bold(t('🔗 레포지토리 링크 :'))} ${gitStatus.remoteUrl}`));
       } else {
-        console.log(chalk.white(`${chalk.bold('🔗 레포지토리 링크 :')} 로컬 전용`));
+        console.log(chalk.white(t('{label} 로컬 전용', { label: chalk.bold(t('🔗 레포지토리 링크 :')) })));
       }
       
-      console.log(chalk.white(`${chalk.bold('📁 레포지토리 경로 :')} ${gitStatus.repoRoot}`));
+      console.log(chalk.white(`${chalk.bold(t('📁 레포지토리 경로 :'))} ${gitStatus.repoRoot}`));
       
       if (!gitStatus.isInRepoRoot) {
-        console.log(chalk.yellow(`⚠️  현재 위치: ${gitStatus.currentDir}`));
-        console.log(chalk.yellow('   (레포지토리 루트가 아님)'));
+        console.log(chalk.yellow(t('⚠️  현재 위치: {currentDir}', { currentDir: gitStatus.currentDir })));
+        console.log(chalk.yellow(t('   (레포지토리 루트가 아님)')));
       }
       
       if (gitStatus.currentBranch) {
-        console.log(chalk.cyan(`${chalk.bold('🌿 현재 사용중인 브랜치:')} ${gitStatus.currentBranch}`));
+        const tracking = gitStatus.upstream
+          ? chalk.gray(` (${gitStatus.upstream}${this.formatAheadBehind(gitStatus)})`)
+          : '';
+        console.log(chalk.cyan(`${chalk.bold(t('🌿 현재 사용중인 브랜치:'))} ${gitStatus.currentBranch}`) + tracking);
+      } else if (gitStatus.isDetached) {
+        console.log(chalk.yellow(`${chalk.bold(t('🔌 HEAD 분리 상태:'))} ${gitStatus.headCommit.slice(0, 7)}`));
+      }
+      
+      if (gitStatus.inProgress) {
+        console.log(chalk.yellow(`${chalk.bold(t('🚧 진행 중인 작업:'))} ${this.describeInProgress(gitStatus.inProgress)}`));
       }
       
       // 상태 표시
       const statusItems = [];
       if (gitStatus.hasUncommittedChanges) {
-        statusItems.push(chalk.yellow('📝 커밋되지 않은 변경사항이 있습니다!'));
+        statusItems.push(chalk.yellow(t('📝 커밋되지 않은 변경사항이 있습니다!')));
       }
       if (gitStatus.hasUnpushedCommits) {
-        statusItems.push(chalk.white('📤 푸시되지 않은 커밋이 있습니다!'));
+        statusItems.push(chalk.white(t('📤 푸시되지 않은 커밋이 있습니다!')));
       }
       if (statusItems.length === 0) {
-        statusItems.push(chalk.green('✨ 아무런 문제가 없습니다. 완벽해요!'));
+        statusItems.push(chalk.green(t('✨ 아무런 문제가 없습니다. 완벽해요!')));
       }
       
-      console.log(chalk.white(`${chalk.bold('📋 상태 :')} ${statusItems.join(', ')}`));
+      console.log(chalk.white(`${chalk.bold(t('📋 상태 :'))} ${statusItems.join(', ')}`));
       
     } else {
       // Git 레포지토리가 아닌 경우
-      console.log(chalk.red('❌ Git 레포지토리가 아닙니다'));
-      console.log(chalk.white(`📁 현재 위치: ${gitStatus.currentDir}`));
-      console.log(chalk.white('💡 "git init"으로 레포지토리를 초기화하거나'));
-      console.log(chalk.white('   Git 레포지토리 폴더에서 명령어를 실행하세요'));
+      console.log(chalk.red(t('❌ Git 레포지토리가 아닙니다')));
+      console.log(chalk.white(t('📁 현재 위치: {currentDir}', { currentDir: gitStatus.currentDir })));
+      console.log(chalk.white(t('💡 "git init"으로 레포지토리를 초기화하거나')));
+      console.log(chalk.white(t('   Git 레포지토리 폴더에서 명령어를 실행하세요')));
     }
   }
 }
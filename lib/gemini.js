@@ -1,5 +1,6 @@
 const axios = require('axios');
 const chalk = require('chalk');
+const { t } = require('./i18n');
 
 /**
  * Gemini API 관련 함수들
@@ -31,12 +32,12 @@ class GeminiService {
    */
   async generateCommand(prompt) {
     try {
-      console.log(chalk.white('🤖 Gemini API 호출 중...'));
-      console.log(chalk.white(`모델: ${this.modelName}`));
+      console.log(chalk.white(t('🤖 Gemini API 호출 중...')));
+      console.log(chalk.white(t('모델: {modelName}', { modelName: this.modelName })));
       
       const apiKey = this.getApiKey();
       if (!apiKey) {
-        throw new Error('GEMINI_API_KEY가 설정되지 않았습니다.');
+        throw new Error(t('GEMINI_API_KEY가 설정되지 않았습니다.'));
       }
 
       const requestData = {
@@ -93,15 +94,15 @@ class GeminiService {
         
         // 안전성 등급 확인
         if (candidate.finishReason === 'SAFETY') {
-          throw new Error('안전성 필터로 인해 응답이 차단되었습니다. 다른 방식으로 질문해보세요.');
+          throw new Error(t('안전성 필터로 인해 응답이 차단되었습니다. 다른 방식으로 질문해보세요.'));
         }
         
         if (candidate.finishReason === 'RECITATION') {
-          throw new Error('저작권 문제로 응답이 차단되었습니다. 다른 방식으로 질문해보세요.');
+          throw new Error(t('저작권 문제로 응답이 차단되었습니다. 다른 방식으로 질문해보세요.'));
         }
         
         if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-          throw new Error('빈 응답을 받았습니다. 다시 시도해보세요.');
+          throw new Error(t('빈 응답을 받았습니다. 다시 시도해보세요.'));
         }
         
         const generatedText = candidate.content.parts[0].text;
@@ -114,8 +115,8 @@ class GeminiService {
           total_tokens: usageMetadata.totalTokenCount || 0
         };
         
-        console.log(chalk.green('✅ API 응답 받음'));
-        console.log(chalk.white(`📊 실제 사용량: ${usage.prompt_tokens} → ${usage.completion_tokens} (총 ${usage.total_tokens} 토큰)`));
+        console.log(chalk.green(t('✅ API 응답 받음')));
+        console.log(chalk.white(t('📊 실제 사용량: {prompt_tokens} → {completion_tokens} (총 {total_tokens} 토큰)', { prompt_tokens: usage.prompt_tokens, completion_tokens: usage.completion_tokens, total_tokens: usage.total_tokens })));
         
         // 텍스트와 사용량 정보를 함께 반환
         return {
@@ -123,11 +124,11 @@ class GeminiService {
           usage: usage
         };
       } else {
-        throw new Error('API 응답 형식이 올바르지 않습니다.');
+        throw new Error(t('API 응답 형식이 올바르지 않습니다.'));
       }
       
     } catch (error) {
-      console.error(chalk.red('❌ Gemini API 호출 실패:'));
+      console.error(chalk.red(t('❌ Gemini API 호출 실패:')));
       
       if (error.response) {
         // HTTP 응답 오류
@@ -135,28 +136,28 @@ class GeminiService {
         const data = error.response.data;
         
         if (status === 400) {
-          console.error(chalk.red('요청 형식이 올바르지 않습니다.'));
+          console.error(chalk.red(t('요청 형식이 올바르지 않습니다.')));
           if (data.error && data.error.message) {
-            console.error(chalk.red(`상세: ${data.error.message}`));
+            console.error(chalk.red(t('상세: {message}', { message: data.error.message })));
           }
         } else if (status === 401) {
-          console.error(chalk.red('API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.'));
+          console.error(chalk.red(t('API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.')));
         } else if (status === 403) {
-          console.error(chalk.red('API 접근 권한이 없습니다. API 키 권한을 확인하세요.'));
+          console.error(chalk.red(t('API 접근 권한이 없습니다. API 키 권한을 확인하세요.')));
         } else if (status === 404) {
-          console.error(chalk.red(`모델을 찾을 수 없습니다. 현재 모델: ${this.modelName}`));
-          console.error(chalk.yellow('💡 최신 API 키를 사용하고 있는지 확인하세요.'));
+          console.error(chalk.red(t('모델을 찾을 수 없습니다. 현재 모델: {modelName}', { modelName: this.modelName })));
+          console.error(chalk.yellow(t('💡 최신 API 키를 사용하고 있는지 확인하세요.')));
         } else if (status === 429) {
-          console.error(chalk.red('API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.'));
+          console.error(chalk.red(t('API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.')));
         } else if (status === 500) {
-          console.error(chalk.red('Gemini API 서버 오류입니다. 잠시 후 다시 시도하세요.'));
+          console.error(chalk.red(t('Gemini API 서버 오류입니다. 잠시 후 다시 시도하세요.')));
         } else {
           console.error(chalk.red(`HTTP ${status}: ${error.message}`));
         }
       } else if (error.code === 'ECONNABORTED') {
-        console.error(chalk.red('요청 시간 초과. 인터넷 연결을 확인하세요.'));
+        console.error(chalk.red(t('요청 시간 초과. 인터넷 연결을 확인하세요.')));
       } else if (error.code === 'ENOTFOUND') {
-        console.error(chalk.red('인터넷 연결을 확인하세요.'));
+        console.error(chalk.red(t('인터넷 연결을 확인하세요.')));
       } else {
         console.error(chalk.red(error.message));
       }
@@ -167,12 +168,12 @@ class GeminiService {
 
   /**
    * 사용 가능한 모델 목록 가져오기
+   * @param {string} apiKey - API 키 (생략하면 설정에서 가져옴)
    */
-  async getAvailableModels() {
+  async getAvailableModels(apiKey = this.getApiKey()) {
     try {
-      const apiKey = this.getApiKey();
       if (!apiKey) {
-        throw new Error('API 키가 필요합니다.');
+        throw new Error(t('API 키가 필요합니다.'));
       }
 
       const response = await axios.get(
@@ -185,6 +186,8 @@ class GeminiService {
       if (response.data && response.data.models) {
         return response.data.models
           .filter(model => model.name.includes('gemini'))
+          // 텍스트 생성을 지원하지 않는 모델 (임베딩 등) 제외
+          .filter(model => !model.supportedGenerationMethods || model.supportedGenerationMethods.includes('generateContent'))
           .map(model => ({
             name: model.name.replace('models/', ''),
             displayName: model.displayName,
@@ -194,7 +197,7 @@ class GeminiService {
 
       return [];
     } catch (error) {
-      console.error(chalk.red('모델 목록을 가져올 수 없습니다:'), error.message);
+      console.error(chalk.red(t('모델 목록을 가져올 수 없습니다:')), error.message);
       return [];
     }
   }
@@ -205,18 +208,18 @@ class GeminiService {
    */
   async validateApiKey() {
     try {
-      console.log(chalk.white('🔑 API 키 유효성 검사 중...'));
+      console.log(chalk.white(t('🔑 API 키 유효성 검사 중...')));
       
-      const testPrompt = `
+      const testPrompt = t(`
 간단한 테스트입니다. 
 "git status" 명령어만 출력해주세요.
-`;
+`);
 
       await this.generateCommand(testPrompt);
-      console.log(chalk.green('✅ API 키가 유효합니다.'));
+      console.log(chalk.green(t('✅ API 키가 유효합니다.')));
       return true;
     } catch (error) {
-      console.log(chalk.red('❌ API 키가 유효하지 않습니다.'));
+      console.log(chalk.red(t('❌ API 키가 유효하지 않습니다.')));
       return false;
     }
   }
@@ -254,8 +257,8 @@ class GeminiService {
     // 실제 Gemini API에서는 사용량 정보를 제공하지 않으므로
     // 클라이언트 측에서 추정하는 정보만 제공
     return {
-      note: 'Gemini API는 사용량 정보를 직접 제공하지 않습니다.',
-      recommendation: 'API 키 사용량은 Google Cloud Console에서 확인하세요.',
+      note: t('Gemini API는 사용량 정보를 직접 제공하지 않습니다.'),
+      recommendation: t('API 키 사용량은 Google Cloud Console에서 확인하세요.'),
       currentModel: this.modelName
     };
   }
@@ -0,0 +1,165 @@
+const execa = require('execa');
+const { t } = require('./i18n');
+
+/**
+ * 프롬프트에 붙이는 추가 Git 컨텍스트 (diff 요약, 최근 커밋, 스테이징된 변경 내용)
+ * 설정이나 --context 옵션으로 켠 경우에만 수집하며, 토큰 예산 안에서 순서대로 채움
+ */
+class GitContext {
+  constructor() {
+    this.logCount = 10;          // 최근 커밋 개수
+    this.maxLinesPerFile = 60;   // 스테이징된 diff에서 파일당 최대 줄 수
+    this.minSectionTokens = 50;  // 남은 예산이 이보다 적으면 잘라서 넣지 않음
+
+    // 예산을 채우는 순서 (작고 유용한 것부터)
+    this.providers = [
+      {
+        id: 'stat',
+        name: '변경 파일 요약 (git diff --stat)',
+        collect: (cwd) => this.git(cwd, ['diff', 'HEAD', '--stat', '--no-color'])
+      },
+      {
+        id: 'log',
+        name: '최근 커밋 (git log --oneline -{logCount})',
+        collect: (cwd) => this.git(cwd, ['log', '--oneline', '--no-color', '-n', String(this.logCount)])
+      },
+      {
+        id: 'diff',
+        name: '스테이징된 변경 내용 (git diff --cached)',
+        collect: async (cwd) => this.truncateHunks(await this.git(cwd, ['diff', '--cached', '--no-color', '--unified=2']))
+      }
+    ];
+  }
+
+  /**
+   * 컨텍스트 제공자 목록
+   */
+  list() {
+    return this.providers;
+  }
+
+  ids() {
+    return this.providers.map(provider => provider.id);
+  }
+
+  getName(id) {
+    const provider = this.providers.find(item => item.id === id);
+    return provider ? t(provider.name, { logCount: this.logCount }) : id;
+  }
+
+  /**
+   * --context 옵션 값 해석
+   * @param {boolean|string} value - true(값 없음)면 전체, 'stat,log' 처럼 쉼표로 구분된 ID 목록
+   * @returns {Array<string>} 컨텍스트 ID 목록
+   */
+  parseSelection(value) {
+    if (value === true) {
+      return this.ids();
+    }
+
+    const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !this.ids().includes(id));
+    if (unknown.length > 0) {
+      throw new Error(t('알 수 없는 컨텍스트입니다: {unknown} (사용 가능: {ids})', { unknown: unknown.join(', '), ids: this.ids().join(', ') }));
+    }
+    return ids;
+  }
+
+  /**
+   * 토큰 수 추정 (4글자당 1토큰)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  async git(cwd, args) {
+    try {
+      const result = await execa('git', args, { cwd, stdio: 'pipe', timeout: 5000 });
+      return result.stdout.trimEnd();
+    } catch (error) {
+      // 커밋이 없는 저장소 등
+      return '';
+    }
+  }
+
+  /**
+   * 파일별로 diff를 잘라서 큰 파일 하나가 예산을 모두 쓰지 않도록 함
+   */
+  truncateHunks(diff) {
+    if (!diff) {
+      return '';
+    }
+
+    return diff.split(/\n(?=diff --git )/).map(file => {
+      const lines = file.split('\n');
+      if (lines.length <= this.maxLinesPerFile) {
+        return file;
+      }
+      const omitted = lines.length - this.maxLinesPerFile;
+      return [...lines.slice(0, this.maxLinesPerFile), t('... ({omitted}줄 생략)', { omitted })].join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * 토큰 예산에 맞게 앞에서부터 줄 단위로 자르기
+   */
+  truncateToTokens(text, tokens) {
+    const maxLength = tokens * 4;
+    const lines = text.split('\n');
+    const kept = [];
+    let length = 0;
+
+    for (const line of lines) {
+      if (length + line.length + 1 > maxLength) {
+        break;
+      }
+      kept.push(line);
+      length += line.length + 1;
+    }
+    kept.push(t('... ({omitted}줄 생략)', { omitted: lines.length - kept.length }));
+    return kept.join('\n');
+  }
+
+  /**
+   * 선택한 컨텍스트 수집
+   * @param {Array<string>} ids - 컨텍스트 ID 목록
+   * @param {Object} options - { cwd, budget: 사용할 수 있는 토큰 수 }
+   * @returns {Promise<Object>} { sections: [{ id, name, text, tokens, truncated }], skipped: [{ id, name, reason }], tokens }
+   */
+  async collect(ids, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    let remaining = Math.max(0, options.budget || 0);
+    const sections = [];
+    const skipped = [];
+
+    for (const provider of this.providers.filter(item => ids.includes(item.id))) {
+      const name = this.getName(provider.id);
+      const text = await provider.collect(cwd);
+      if (!text) {
+        skipped.push({ id: provider.id, name, reason: t('내용 없음') });
+        continue;
+      }
+
+      const tokens = this.estimateTokens(text);
+      if (tokens <= remaining) {
+        sections.push({ id: provider.id, name, text, tokens, truncated: false });
+        remaining -= tokens;
+      } else if (remaining >= this.minSectionTokens) {
+        const truncated = this.truncateToTokens(text, remaining - 10);
+        const truncatedTokens = this.estimateTokens(truncated);
+        sections.push({ id: provider.id, name, text: truncated, tokens: truncatedTokens, truncated: true });
+        remaining -= truncatedTokens;
+      } else {
+        skipped.push({ id: provider.id, name, reason: t('예산 초과 (약 {tokens} 토큰)', { tokens }) });
+      }
+    }
+
+    return {
+      sections,
+      skipped,
+      tokens: sections.reduce((sum, section) => sum + section.tokens, 0)
+    };
+  }
+}
+
+module.exports = new GitContext();
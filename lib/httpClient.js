@@ -0,0 +1,296 @@
+const axios = require('axios');
+const chalk = require('chalk');
+const { t } = require('./i18n');
+
+/**
+ * AI API 공용 요청 클래스 - 재시도 (지수 백오프 + 지터, Retry-After) 처리
+ */
+class HttpClient {
+  constructor() {
+    this.defaults = {
+      retries: 2,        // 첫 요청 이후 재시도 횟수
+      baseDelay: 1000,   // 첫 재시도 대기 시간 (ms)
+      maxDelay: 30000    // 최대 대기 시간 (ms), Retry-After도 이 값을 넘지 않음
+    };
+
+    // 재시도하는 HTTP 상태 코드 (400/401/403/404 등은 재시도하지 않음)
+    this.retryableStatus = [408, 425, 429, 500, 502, 503, 504, 529];
+
+    // 재시도하는 네트워크 오류 코드 (연결 끊김, 시간 초과)
+    this.retryableCodes = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+  }
+
+  /**
+   * 재시도 설정 가져오기 (config.json의 retryCount)
+   */
+  getRetrySettings() {
+    const settings = { ...this.defaults };
+    try {
+      const config = require('./config');
+      settings.retries = config.getRetryCount();
+    } catch (error) {
+      // config 로딩 실패시 기본값 사용
+    }
+    return settings;
+  }
+
+  /**
+   * 재시도할 수 있는 오류인지 확인
+   */
+  isRetryable(error) {
+    if (axios.isCancel(error) || (error && error.name === 'CanceledError')) {
+      return false;
+    }
+    if (error.response) {
+      return this.retryableStatus.includes(error.response.status);
+    }
+    return this.retryableCodes.includes(error.code);
+  }
+
+  /**
+   * Retry-After 헤더 해석 (초 또는 HTTP 날짜)
+   * @returns {number|null} 대기 시간 (ms)
+   */
+  parseRetryAfter(error) {
+    const headers = error.response && error.response.headers;
+    const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+    return null;
+  }
+
+  /**
+   * 재시도 전 대기 시간 계산
+   * @param {number} attempt - 재시도 번호 (0부터)
+   */
+  getDelay(error, attempt, settings) {
+    const retryAfter = this.parseRetryAfter(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, settings.maxDelay);
+    }
+
+    // 지수 백오프 + 지터 (기준값의 50~100%)
+    const exponential = Math.min(settings.maxDelay, settings.baseDelay * Math.pow(2, attempt));
+    return Math.round(exponential * (0.5 + Math.random() * 0.5));
+  }
+
+  /**
+   * 오류 요약 (재시도 안내용)
+   */
+  describeError(error) {
+    if (error.response) {
+      return `HTTP ${error.response.status}`;
+    }
+    return error.code || error.message;
+  }
+
+  /**
+   * 대기 (취소 신호가 오면 즉시 중단)
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new axios.CanceledError(t('요청이 취소되었습니다.')));
+      }
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError(t('요청이 취소되었습니다.')));
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * POST 요청 (재시도 포함)
+   * @param {string} url - 요청 URL
+   * @param {Object} body - 요청 본문
+   * @param {Object} options - { headers, timeout, label, retries, signal, onRetry }
+   * @returns {Promise<Object>} axios 응답
+   */
+  async post(url, body, options = {}) {
+    const settings = this.getRetrySettings();
+    const retries = options.retries !== undefined ? options.retries : settings.retries;
+    const label = options.label || 'AI API';
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.post(url, body, {
+          headers: options.headers,
+          timeout: options.timeout || 30000,
+          signal: options.signal
+        });
+      } catch (error) {
+        if (attempt >= retries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.getDelay(error, attempt, settings);
+        if (options.onRetry) {
+          options.onRetry();
+        }
+        console.log(chalk.yellow(t('⏳ {label} {reason} - {seconds}초 후 재시도 ({attempt}/{retries})', { label, reason: this.describeError(error), seconds: (delay / 1000).toFixed(1), attempt: attempt + 1, retries })));
+        await this.sleep(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * 스트리밍 POST 요청 (Server-Sent Events)
+   * 첫 데이터를 받기 전의 오류만 재시도 (받은 뒤에 재시도하면 출력이 중복됨)
+   * @param {string} url - 요청 URL
+   * @param {Object} body - 요청 본문
+   * @param {Object} options - { headers, timeout, label, retries, signal, onEvent(data, event), onRetry }
+   * @returns {Promise<void>} 스트림이 끝나면 완료
+   */
+  async stream(url, body, options = {}) {
+    const settings = this.getRetrySettings();
+    const retries = options.retries !== undefined ? options.retries : settings.retries;
+    const label = options.label || 'AI API';
+
+    for (let attempt = 0; ; attempt++) {
+      let received = false;
+      try {
+        const response = await axios.post(url, body, {
+          headers: options.headers,
+          timeout: options.timeout || 30000,
+          signal: options.signal,
+          responseType: 'stream'
+        });
+
+        await this.readEvents(response.data, (data, event) => {
+          received = true;
+          options.onEvent(data, event);
+        }, options.signal);
+        return;
+      } catch (error) {
+        await this.readErrorBody(error);
+
+        if (received || attempt >= retries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.getDelay(error, attempt, settings);
+        if (options.onRetry) {
+          options.onRetry();
+        }
+        console.log(chalk.yellow(t('⏳ {label} {reason} - {seconds}초 후 재시도 ({attempt}/{retries})', { label, reason: this.describeError(error), seconds: (delay / 1000).toFixed(1), attempt: attempt + 1, retries })));
+        await this.sleep(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * SSE 스트림 읽기 (이벤트마다 onEvent(data, event) 호출, [DONE]은 무시)
+   */
+  readEvents(stream, onEvent, signal) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (error) {
+          stream.destroy();
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const dispatch = (raw) => {
+        let event = 'message';
+        const dataLines = [];
+        raw.split('\n').forEach(line => {
+          if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+          }
+        });
+
+        const data = dataLines.join('\n');
+        if (!data || data === '[DONE]') {
+          return;
+        }
+        onEvent(data, event);
+      };
+
+      const flush = (final) => {
+        const parts = buffer.split('\n\n');
+        buffer = final ? '' : parts.pop();
+        parts.forEach(part => {
+          if (part.trim()) dispatch(part);
+        });
+      };
+
+      const onAbort = () => finish(new axios.CanceledError(t('요청이 취소되었습니다.')));
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        buffer += chunk.replace(/\r\n?/g, '\n');
+        try {
+          flush(false);
+        } catch (error) {
+          finish(error);
+        }
+      });
+      stream.on('end', () => {
+        try {
+          flush(true);
+          finish();
+        } catch (error) {
+          finish(error);
+        }
+      });
+      stream.on('error', error => finish(error));
+    });
+  }
+
+  /**
+   * 스트리밍 요청이 실패한 경우 응답 본문(스트림)을 읽어 JSON으로 변환
+   * (프로바이더 mapError가 error.response.data.error.message 를 사용할 수 있도록)
+   */
+  async readErrorBody(error) {
+    const data = error.response && error.response.data;
+    if (!data || typeof data.on !== 'function') {
+      return;
+    }
+
+    const text = await new Promise(resolve => {
+      let content = '';
+      data.setEncoding('utf8');
+      data.on('data', chunk => { content += chunk; });
+      data.on('end', () => resolve(content));
+      data.on('error', () => resolve(content));
+    });
+
+    try {
+      error.response.data = JSON.parse(text);
+    } catch (parseError) {
+      error.response.data = text;
+    }
+  }
+}
+
+module.exports = new HttpClient();
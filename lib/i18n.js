@@ -0,0 +1,112 @@
+/**
+ * 다국어 메시지 (한국어 원문을 키로 사용)
+ *
+ * 코드에는 한국어 원문을 그대로 쓰고 t()로 감싸면, 선택된 언어의 번역이 있으면 번역을, 없으면 원문을 반환
+ * 번역 파일: lib/locales/<언어>.js ({ '한국어 원문': '번역' })
+ * 언어 결정 순서: config.json의 language → LC_ALL / LC_MESSAGES / LANG 환경변수
+ */
+class I18n {
+  constructor() {
+    this.languages = [
+      { id: 'ko', name: '한국어' },
+      { id: 'en', name: 'English' }
+    ];
+    this.defaultLanguage = 'ko';
+    this.language = null;  // 처음 t()를 호출할 때 결정
+    this.catalogs = {};
+
+    this.t = this.t.bind(this);
+  }
+
+  /**
+   * 지원하는 언어 ID 목록
+   */
+  ids() {
+    return this.languages.map(language => language.id);
+  }
+
+  isSupported(language) {
+    return this.ids().includes(language);
+  }
+
+  /**
+   * 로캘 환경변수로 언어 추정 (ko_KR.UTF-8 → ko, en_US.UTF-8 → en)
+   * 설정되지 않았거나 C/POSIX이면 기본 언어(한국어)
+   * @param {Object} env - 환경변수
+   */
+  detectLanguage(env = process.env) {
+    const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+    const code = locale.split(/[_.@-]/)[0].toLowerCase();
+
+    if (!code || code === 'c' || code === 'posix') {
+      return this.defaultLanguage;
+    }
+    return this.isSupported(code) ? code : 'en';
+  }
+
+  /**
+   * 현재 언어
+   */
+  getLanguage() {
+    if (this.language) {
+      return this.language;
+    }
+
+    let setting = 'auto';
+    try {
+      const config = require('./config');
+      setting = config.getLanguage();
+    } catch (error) {
+      // config 로딩 실패시 기본값 사용
+    }
+
+    this.language = this.isSupported(setting) ? setting : this.detectLanguage();
+    return this.language;
+  }
+
+  /**
+   * 언어 변경 (설정 메뉴에서 변경한 직후)
+   * @param {string} language - 'ko', 'en' 또는 'auto'
+   */
+  setLanguage(language) {
+    this.language = this.isSupported(language) ? language : this.detectLanguage();
+  }
+
+  getCatalog(language) {
+    if (!(language in this.catalogs)) {
+      try {
+        this.catalogs[language] = require(`./locales/${language}`);
+      } catch (error) {
+        this.catalogs[language] = {};
+      }
+    }
+    return this.catalogs[language];
+  }
+
+  /**
+   * 메시지 번역
+   * {이름} 자리표시자는 params에 같은 이름이 있을 때만 치환 (JSON 예시 등의 중괄호는 그대로 둠)
+   * @param {string} message - 한국어 원문
+   * @param {Object} params - 자리표시자 값
+   * @returns {string} 번역된 메시지
+   */
+  t(message, params) {
+    const language = this.getLanguage();
+    let text = message;
+    if (language !== this.defaultLanguage) {
+      const translated = this.getCatalog(language)[message];
+      if (typeof translated === 'string') {
+        text = translated;
+      }
+    }
+
+    if (!params) {
+      return text;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+    ));
+  }
+}
+
+module.exports = new I18n();
@@ -0,0 +1,282 @@
+const execa = require('execa');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { t } = require('./i18n');
+
+/**
+ * 위험한 명령어를 실행하기 전에 보여줄 실제 영향 계산
+ * (riskAnalyzer가 분류하면서 붙인 impact를 현재 저장소 상태로 풀어서 표시)
+ *
+ * - discard: 버려지는 변경사항 (reset --hard, checkout ., restore, rm -f) - 파일별 추가/삭제 줄 수
+ * - clean: 삭제되는 추적하지 않는 파일 (clean -f) - 파일별 줄 수
+ * - commits: 현재 브랜치에서 빠지는 커밋 (reset <커밋>)
+ * - force-push: 원격 브랜치에서 사라지는 커밋 (push -f, +refspec) - 마지막 fetch 기준
+ * - unmerged: 다른 브랜치에 없는 커밋 (branch -D)
+ * - stash: 삭제되는 stash (stash drop/clear)
+ */
+class ImpactPreview {
+  constructor() {
+    this.maxItems = 10;              // 종류별로 표시할 최대 개수 (나머지는 개수만)
+    this.maxFileSize = 1024 * 1024;  // 이보다 큰 파일은 줄 수를 세지 않음
+  }
+
+  /**
+   * git 실행 (실패하면 null, 출력은 영어로 고정해서 파싱)
+   */
+  async git(args) {
+    try {
+      const result = await execa('git', args, {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        timeout: 10000,
+        env: { LC_ALL: 'C' }
+      });
+      return result.stdout;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  lines(output) {
+    return (output || '').split('\n').filter(Boolean);
+  }
+
+  /**
+   * 목록을 maxItems개까지만 들여쓰기해서 (나머지는 " 외 N개")
+   */
+  formatList(items) {
+    const shown = items.slice(0, this.maxItems).map(item => `         ${item}`);
+    if (items.length > this.maxItems) {
+      shown.push(chalk.gray(`         …${t(' 외 {count}개', { count: items.length - this.maxItems })}`));
+    }
+    return shown;
+  }
+
+  /**
+   * 버려지는 변경사항 (source가 없으면 인덱스와 작업 트리의 차이, 있으면 그 커밋과 작업 트리의 차이)
+   */
+  async discard({ source, paths }) {
+    const args = ['diff', '--numstat', ...(source ? [source] : []), '--', ...paths];
+    const output = await this.git(args);
+    if (output === null) {
+      return [];
+    }
+
+    let added = 0;
+    let deleted = 0;
+    const files = this.lines(output).map(line => {
+      const [plus, minus, ...name] = line.split('\t');
+      if (plus === '-') {
+        return t('{file} (바이너리)', { file: name.join('\t') });
+      }
+      added += Number(plus);
+      deleted += Number(minus);
+      return `${name.join('\t')} ${chalk.green(`+${plus}`)} ${chalk.red(`-${minus}`)}`;
+    });
+
+    if (files.length === 0) {
+      return [chalk.green(t('      ✅ 버려지는 변경사항이 없습니다.'))];
+    }
+    return [
+      chalk.yellow(t('      📄 버려지는 변경사항: 파일 {count}개 (+{added} -{deleted}줄)', { count: files.length, added, deleted })),
+      ...this.formatList(files)
+    ];
+  }
+
+  /**
+   * 파일 줄 수 또는 디렉토리 안의 파일 개수
+   */
+  describeFile(file) {
+    try {
+      const stat = fs.statSync(file);
+      if (stat.isDirectory()) {
+        let count = 0;
+        const walk = (dir) => {
+          fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            if (entry.isDirectory()) {
+              walk(path.join(dir, entry.name));
+            } else {
+              count++;
+            }
+          });
+        };
+        walk(file);
+        return t('{file} (디렉토리, 파일 {count}개)', { file, count });
+      }
+      if (stat.size > this.maxFileSize) {
+        return t('{file} ({size}KB)', { file, size: Math.round(stat.size / 1024) });
+      }
+      const content = fs.readFileSync(file);
+      if (content.includes(0)) {
+        return t('{file} (바이너리)', { file });
+      }
+      const text = content.toString();
+      const count = text.length === 0 ? 0 : text.split('\n').length - (text.endsWith('\n') ? 1 : 0);
+      return t('{file} ({count}줄)', { file, count });
+    } catch (error) {
+      return file;
+    }
+  }
+
+  /**
+   * clean이 삭제할 파일 (같은 옵션에 --dry-run을 붙여서 확인)
+   */
+  async clean({ args }) {
+    const output = await this.git(['clean', ...args, '--dry-run']);
+    if (output === null) {
+      return [];
+    }
+
+    const files = this.lines(output)
+      .map(line => line.match(/^Would remove (.+)$/))
+      .filter(Boolean)
+      .map(match => match[1]);
+    if (files.length === 0) {
+      return [chalk.green(t('      ✅ 삭제되는 파일이 없습니다.'))];
+    }
+    return [
+      chalk.yellow(t('      🗑️  삭제되는 파일: {count}개', { count: files.length })),
+      ...this.formatList(files.map(file => this.describeFile(file)))
+    ];
+  }
+
+  /**
+   * from에는 있고 to에는 없는 커밋 (한 줄 요약)
+   */
+  async listCommits(from, ...exclude) {
+    const output = await this.git(['log', '--oneline', '--no-decorate', from, '--not', ...exclude]);
+    return output === null ? null : this.lines(output);
+  }
+
+  /**
+   * reset으로 현재 브랜치에서 빠지는 커밋
+   */
+  async commits({ target }) {
+    const commits = await this.listCommits('HEAD', target);
+    if (commits === null || commits.length === 0) {
+      return [];
+    }
+    return [
+      chalk.yellow(t('      🔙 현재 브랜치에서 빠지는 커밋: {count}개', { count: commits.length })),
+      ...this.formatList(commits)
+    ];
+  }
+
+  /**
+   * 강제 푸시로 원격 브랜치에서 사라지는 커밋 (원격 추적 브랜치, 즉 마지막 fetch 기준)
+   * refspec이 없으면 현재 브랜치의 upstream, +src:dst는 dst 브랜치와 비교
+   */
+  async forcePush({ remote, refspecs }) {
+    const branch = (await this.git(['symbolic-ref', '--short', '-q', 'HEAD']) || '').trim();
+    const targets = [];
+
+    if (refspecs.length === 0) {
+      const upstream = (await this.git(['rev-parse', '--symbolic-full-name', '@{u}']) || '').trim();
+      if (upstream.startsWith('refs/remotes/')) {
+        targets.push({ source: 'HEAD', tracking: upstream });
+      } else if (branch) {
+        targets.push({ source: 'HEAD', tracking: `refs/remotes/${remote || 'origin'}/${branch}` });
+      }
+    } else {
+      const name = remote || 'origin';
+      refspecs.forEach(refspec => {
+        const spec = refspec.replace(/^\+/, '');
+        const [source, destination = source] = spec.split(':');
+        // :dst는 삭제 (강제 푸시가 아님)
+        if (!source) {
+          return;
+        }
+        const dest = destination === 'HEAD' ? branch : destination.replace(/^refs\/heads\//, '');
+        if (dest) {
+          targets.push({ source, tracking: `refs/remotes/${name}/${dest}` });
+        }
+      });
+    }
+
+    const result = [];
+    for (const { source, tracking } of targets) {
+      const display = tracking.replace(/^refs\/remotes\//, '');
+      if (await this.git(['rev-parse', '--verify', '-q', tracking]) === null) {
+        result.push(chalk.gray(t('      ℹ️  {ref}: 원격 추적 브랜치가 없어서 사라지는 커밋을 확인할 수 없습니다 (git fetch 후 다시 확인)', { ref: display })));
+        continue;
+      }
+      const commits = await this.listCommits(tracking, source);
+      if (commits === null) {
+        continue;
+      }
+      if (commits.length === 0) {
+        result.push(chalk.green(t('      ✅ {ref}에서 사라지는 커밋이 없습니다 (마지막 fetch 기준).', { ref: display })));
+        continue;
+      }
+      result.push(
+        chalk.red(t('      🔥 {ref}에서 사라지는 커밋: {count}개 (마지막 fetch 기준)', { ref: display, count: commits.length })),
+        ...this.formatList(commits)
+      );
+    }
+    return result;
+  }
+
+  /**
+   * branch -D로 잃는 커밋 (다른 로컬/원격 브랜치 어디에도 없는 커밋)
+   */
+  async unmerged({ branches }) {
+    const result = [];
+    for (const name of branches) {
+      const commits = await this.listCommits(`refs/heads/${name}`, `--exclude=${name}`, '--branches', '--remotes');
+      if (commits === null) {
+        continue;
+      }
+      if (commits.length === 0) {
+        result.push(chalk.green(t('      ✅ {branch}: 모든 커밋이 다른 브랜치에도 있습니다.', { branch: name })));
+        continue;
+      }
+      result.push(
+        chalk.red(t('      🌿 {branch}: 다른 브랜치에 없는 커밋 {count}개를 잃습니다.', { branch: name, count: commits.length })),
+        ...this.formatList(commits)
+      );
+    }
+    return result;
+  }
+
+  /**
+   * 삭제되는 stash (ref가 없으면 전부)
+   */
+  async stash({ ref }) {
+    const stashes = this.lines(await this.git(['stash', 'list']))
+      .filter(line => !ref || line.startsWith(`${ref}:`));
+    if (stashes.length === 0) {
+      return [];
+    }
+    return [
+      chalk.yellow(t('      📦 삭제되는 stash: {count}개', { count: stashes.length })),
+      ...this.formatList(stashes)
+    ];
+  }
+
+  /**
+   * 분류 결과의 영향을 표시할 줄 목록으로
+   * @param {Array<Object>} impacts - riskAnalyzer.analyzeArgv() 결과의 impacts
+   * @returns {Promise<Array<string>>} 표시할 줄 (계산할 수 없으면 빈 배열)
+   */
+  async describe(impacts) {
+    const handlers = {
+      discard: (impact) => this.discard(impact),
+      clean: (impact) => this.clean(impact),
+      commits: (impact) => this.commits(impact),
+      'force-push': (impact) => this.forcePush(impact),
+      unmerged: (impact) => this.unmerged(impact),
+      stash: (impact) => this.stash(impact)
+    };
+
+    const result = [];
+    for (const impact of impacts) {
+      if (handlers[impact.type]) {
+        result.push(...await handlers[impact.type](impact));
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = new ImpactPreview();
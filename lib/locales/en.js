@@ -0,0 +1,1109 @@
+/**
+ * 영어 메시지 (한국어 원문 → 영어)
+ * 키는 코드의 t() 첫 번째 인자와 정확히 같아야 함
+ */
+module.exports = {
+  // bin/rltgjqm.js
+  ' [주의]': ' [caution]',
+  ' [위험]': ' [danger]',
+  '📎 추가 컨텍스트: {ids}': '📎 Extra context: {ids}',
+  '\n🔍 [DEBUG] 추가 컨텍스트 (약 {baseTokens} / {budget} 토큰):': '\n🔍 [DEBUG] Extra context (about {baseTokens} / {budget} tokens):',
+  ' (예산에 맞춰 잘림)': ' (truncated to fit the budget)',
+  '   {icon} {name} - 약 {tokens} 토큰{note}': '   {icon} {name} - about {tokens} tokens{note}',
+  '   ⏭️  {name} - 제외: {reason}': '   ⏭️  {name} - skipped: {reason}',
+  '✏️  직접 입력': '✏️  Type an answer',
+  '❌ 취소': '❌ Cancel',
+  '답을 선택하세요:': 'Choose an answer:',
+  '답을 입력하세요:': 'Type your answer:',
+  '답을 입력해주세요.': 'Please enter an answer.',
+  '🔁 응답에서 명령어를 찾지 못해 형식을 다시 요청합니다... ({formatRetryCount}/{FORMAT_RETRY_LIMIT})': '🔁 No commands found in the response, asking for the format again... ({formatRetryCount}/{FORMAT_RETRY_LIMIT})',
+  '\n✅ 수정된 명령어:': '\n✅ Revised commands:',
+  '(이전 계획과 같습니다)': '(Same as the previous plan)',
+  '\n⚠️  실행 전 확인이 필요한 명령어가 있습니다:': '\n⚠️  Some commands need a check before running:',
+  '✏️  수정할 내용 (Enter: 이대로 진행):': '✏️  What should change? (Enter: continue as is):',
+  '⚠️  수정된 명령어를 만들지 못해 이전 계획을 유지합니다.': '⚠️  Could not build a revised plan. Keeping the previous plan.',
+  '🚀 rltgjqm CLI 시작': '🚀 Starting rltgjqm CLI',
+  '⚠️  API 키 설정이 완료되지 않았습니다. 프로그램을 종료합니다.': '⚠️  API key setup was not completed. Exiting.',
+  '어떤 Git 작업을 하고 싶으신가요?': 'What Git task would you like to do?',
+  '프롬프트를 입력해주세요.': 'Please enter a prompt.',
+  '\n📝 명령어 생성 중...': '\n📝 Generating commands...',
+  '모드: {mode}': 'Mode: {mode}',
+  '모델 (이번만): {model}': 'Model (this run only): {model}',
+  '📝 생성 중...': '📝 Generating...',
+  '📐 프롬프트 설정: {files}': '📐 Prompt settings: {files}',
+  '\n🔍 [DEBUG] 프롬프트 설정 파일:': '\n🔍 [DEBUG] Prompt settings files:',
+  '{minutes}분 전': '{minutes} min ago',
+  '방금 전': 'just now',
+  '💾 캐시된 응답 사용 ({age}, {name})': '💾 Using cached response ({age}, {name})',
+  '새로 생성하려면 --no-cache 옵션을 사용하세요.': 'Use the --no-cache option to generate a new one.',
+  '🛑 명령어 생성을 중단했습니다.': '🛑 Stopped generating commands.',
+  '\n❓ AI 질문: {text}': '\n❓ AI question: {text}',
+  '답을 포함해서 다시 요청해보세요.': 'Try again with the answer included in your request.',
+  '⚠️  명령어를 생성할 수 없습니다.': '⚠️  Could not generate commands.',
+  '응답 형식 오류:': 'Response format errors:',
+  '\n💬 AI 응답 원문:': '\n💬 Raw AI response:',
+  '(빈 응답)': '(empty response)',
+  'AI가 질문을 했다면 답을 포함해서 다시 요청해보세요.': 'If the AI asked a question, try again with the answer included in your request.',
+  '✅ 생성된 명령어:': '✅ Generated commands:',
+  '\n✅ 생성된 명령어:': '\n✅ Generated commands:',
+  '🧪 미리보기 모드 (실행되지 않음)': '🧪 Preview mode (nothing is executed)',
+  '\n🧪 드라이런 모드: 명령어를 실행하지 않습니다.': '\n🧪 Dry-run mode: commands are not executed.',
+  '실행하려면 --auto 또는 --interactive 옵션을 사용하세요.': 'Use the --auto or --interactive option to run them.',
+  '\n🔄 자동 실행 모드: 모든 명령어를 순서대로 실행합니다.': '\n🔄 Auto mode: running all commands in order.',
+  '\n🔍 인터랙티브 모드: 각 명령어를 개별적으로 확인합니다.': '\n🔍 Interactive mode: confirming each command one by one.',
+  '🎉 완료!': '🎉 Done!',
+  '\n⏹️  명령어 생성을 취소했습니다.': '\n⏹️  Command generation cancelled.',
+  '❌ 오류 발생:': '❌ Error:',
+  'API 응답:': 'API response:',
+  '💬 입력한 요청: {userPrompt}': '💬 Your request: {userPrompt}',
+  '같은 요청으로 다시 시도하시겠습니까?': 'Try again with the same request?',
+  '🚀 rltgjqm - Git 명령어 생성 도구': '🚀 rltgjqm - Git command generator',
+  '✅ AI 플랫폼: {platform}': '✅ AI platform: {platform}',
+  '⚙️  Run 방식 설정하기': '⚙️  Choose how to run',
+  '🔧 설정 관리': '🔧 Settings',
+  '📖 도움말': '📖 Help',
+  '❌ 종료': '❌ Quit',
+  '👋 안녕히 가세요!': '👋 Goodbye!',
+  '🚀 Git 명령어 생성 모드': '🚀 Git command generation mode',
+  '🚀 바로 실행 모드': '🚀 Run immediately',
+  '🔍 단계별 확인 모드': '🔍 Confirm each step',
+  '👀 미리보기 모드 (실행 안함)': '👀 Preview (do not run)',
+  '↩️  메인 메뉴로': '↩️  Back to main menu',
+  '실행 모드를 선택하세요:': 'Choose an execution mode:',
+  '📖 rltgjqm 사용법': '📖 rltgjqm usage',
+  '\n명령행에서 직접 사용:': '\nUse directly from the command line:',
+  '  rltgjqm "새 브랜치 만들어줘"       # 기본 모드로 실행': '  rltgjqm "create a new branch"     # run with the default mode',
+  '  rltgjqm "커밋하고 푸시해줘" --auto # 이번만 자동 실행': '  rltgjqm "commit and push" --auto # run automatically this time',
+  '  rltgjqm "변경사항 되돌려줘" -i    # 이번만 단계별 확인': '  rltgjqm "undo my changes" -i     # confirm each step this time',
+  '  깃허브 "새 브랜치 만들어줘"       # 한글 명령어': '  깃허브 "create a new branch"      # Korean command alias',
+  '\n설정 관리:': '\nSettings:',
+  '  rltgjqm config                   # 설정 메뉴': '  rltgjqm config                   # settings menu',
+  '  rltgjqm -a                       # 기본 모드: 자동 실행': '  rltgjqm -a                       # default mode: auto',
+  '  rltgjqm -i                       # 기본 모드: 단계별 확인': '  rltgjqm -i                       # default mode: interactive',
+  '  rltgjqm --dry                    # 기본 모드: 미리보기': '  rltgjqm --dry                    # default mode: preview',
+  '  rltgjqm -d                       # 출력 모드: 상세': '  rltgjqm -d                       # output mode: detailed',
+  '  rltgjqm -s                       # 출력 모드: 간단': '  rltgjqm -s                       # output mode: simple',
+  '  rltgjqm --debug                  # 프롬프트 디버그 모드 전환': '  rltgjqm --debug                  # toggle prompt debug mode',
+  '\n옵션 (일회성):': '\nOptions (this run only):',
+  '  -a, --auto         이번만 자동으로 실행': '  -a, --auto         run automatically this time',
+  '                     예: rltgjqm "커밋하고 푸시" --auto': '                     e.g. rltgjqm "commit and push" --auto',
+  '  -i, --interactive  이번만 단계별 확인': '  -i, --interactive  confirm each step this time',
+  '                     예: rltgjqm "브랜치 삭제" -i': '                     e.g. rltgjqm "delete branch" -i',
+  '  --dry-run          이번만 미리보기': '  --dry-run          preview only this time',
+  '                     예: rltgjqm "새 브랜치 만들어" --dry-run': '                     e.g. rltgjqm "create a new branch" --dry-run',
+  '  -m, --model <모델> 이번만 다른 모델 사용': '  -m, --model <model> use a different model this time',
+  '                     예: rltgjqm "리베이스 해줘" -m gpt-4o': '                     e.g. rltgjqm "rebase onto main" -m gpt-4o',
+  '  --no-stream        스트리밍 없이 전체 응답 받기': '  --no-stream        receive the full response without streaming',
+  '  --no-cache         캐시된 응답 대신 새로 생성': '  --no-cache         generate a new response instead of using the cache',
+  '  --ask              모호하면 AI가 먼저 질문': '  --ask              let the AI ask first when the request is ambiguous',
+  '                     예: rltgjqm "브랜치 정리해줘" --ask': '                     e.g. rltgjqm "clean up branches" --ask',
+  '  --no-refine        생성 후 수정 요청 단계 건너뛰기': '  --no-refine        skip the revision step after generating',
+  '  --context [목록]   diff 요약/최근 커밋/스테이징된 diff 포함': '  --context [list]   include diff summary/recent commits/staged diff',
+  '                     예: rltgjqm "방금 고친 거 커밋해줘" --context stat,diff': '                     e.g. rltgjqm "commit what I just fixed" --context stat,diff',
+  '  -h, --help         도움말 출력': '  -h, --help         show help',
+  '\n💡 설정된 기본 모드가 사용되며, 옵션으로 일회성 변경 가능': '\n💡 The configured default mode is used; options change it for one run',
+  '지원되는 AI 플랫폼: {names}': 'Supported AI platforms: {names}',
+  '메인 메뉴로 돌아가려면 Enter를 누르세요...': 'Press Enter to return to the main menu...',
+  '🎨 UI/UX 색상 테스트 - 실제 사용 중인 모든 UI': '🎨 UI/UX color test - every UI currently in use',
+  '\n📏 구분선 스타일:': '\n📏 Separator styles:',
+  '\n📋 헤더 및 타이틀:': '\n📋 Headers and titles:',
+  '           🤖 AI 플랫폼 선택 및 설정': '           🤖 Choose and set up an AI platform',
+  '            🔑 ChatGPT (OpenAI) API 키 설정': '            🔑 ChatGPT (OpenAI) API key setup',
+  '            🔑 Gemini API 키 설정': '            🔑 Gemini API key setup',
+  '🐛 디버깅 메뉴 (개발용)': '🐛 Debug menu (for development)',
+  '📊 시스템 상태 확인': '📊 System status check',
+  '\n⏳ 진행 상태 메시지:': '\n⏳ Progress messages:',
+  '🤖 AI 명령어 생성 중...': '🤖 Generating AI commands...',
+  '🤖 Gemini API 호출 중...': '🤖 Calling the Gemini API...',
+  '🔑 ChatGPT (OpenAI) API 키 유효성 검사 중...': '🔑 Validating the ChatGPT (OpenAI) API key...',
+  '🔑 Gemini (Google) API 키 유효성 검사 중...': '🔑 Validating the Gemini (Google) API key...',
+  '\n🔍 API 키 유효성 검사 중...': '\n🔍 Validating API key...',
+  '📝 명령어 생성 중...': '📝 Generating commands...',
+  '🔄 명령어 실행 중...': '🔄 Running command...',
+  '\n🚀 자동 실행 모드 시작': '\n🚀 Starting auto mode',
+  '\n🔍 인터랙티브 모드 시작': '\n🔍 Starting interactive mode',
+  '🔍 연결 테스트 중...': '🔍 Testing connection...',
+  '\n✅ 성공 메시지:': '\n✅ Success messages:',
+  '✅ ChatGPT (OpenAI) API 키가 유효합니다.': '✅ The ChatGPT (OpenAI) API key is valid.',
+  '✅ Gemini (Google) API 키가 유효합니다.': '✅ The Gemini (Google) API key is valid.',
+  '✅ API 응답 받음': '✅ API response received',
+  '✅ ChatGPT 응답 받음': '✅ ChatGPT response received',
+  '✅ Gemini 응답 받음': '✅ Gemini response received',
+  '✅ 명령어가 성공적으로 실행되었습니다.': '✅ The command ran successfully.',
+  '✅ AI 설정이 저장되었습니다: ~/.rltgjqm/config.json': '✅ AI settings saved: ~/.rltgjqm/config.json',
+  '✅ API 키가 저장되었습니다: ~/.rltgjqm/.env': '✅ API key saved: ~/.rltgjqm/.env',
+  '✅ ChatGPT (OpenAI) 설정이 완료되었습니다!': '✅ ChatGPT (OpenAI) setup complete!',
+  '✅ Git 레포지토리: rltgjqm': '✅ Git repository: rltgjqm',
+  '✅ AI 플랫폼: ChatGPT': '✅ AI platform: ChatGPT',
+  '\n❌ 오류 메시지:': '\n❌ Error messages:',
+  '❌ ChatGPT (OpenAI) API 키가 유효하지 않습니다.': '❌ The ChatGPT (OpenAI) API key is not valid.',
+  '❌ Gemini (Google) API 키가 유효하지 않습니다.': '❌ The Gemini (Google) API key is not valid.',
+  '\n❌ API 키 유효성 검사에 실패했습니다.': '\n❌ API key validation failed.',
+  '❌ 명령어 실행 실패. 남은 명령어 3개를 건너뜁니다.': '❌ Command failed. Skipping the remaining 3 commands.',
+  '❌ 사용자가 실행을 중단했습니다.': '❌ Execution stopped by the user.',
+  '❌ Git 레포지토리가 아닙니다': '❌ Not a Git repository',
+  '❌ 실패: 2개': '❌ Failed: 2',
+  '❌ API 키 설정 저장 실패: permission denied': '❌ Failed to save API key settings: permission denied',
+  '\n⚠️ 경고 메시지:': '\n⚠️ Warning messages:',
+  '⚠️  이 메뉴는 개발 및 테스트 목적으로만 사용됩니다.': '⚠️  This menu is for development and testing only.',
+  '⚠️  실행이 취소되었습니다.': '⚠️  Execution cancelled.',
+  '⚠️  명령어 실행이 취소되었습니다. 남은 명령어 2개를 건너뜁니다.': '⚠️  Command execution cancelled. Skipping the remaining 2 commands.',
+  '⚠️  Git 저장소가 아닙니다.': '⚠️  Not a Git repository.',
+  '⚠️  설정된 API 키가 없습니다.': '⚠️  No API key is configured.',
+  '⚠️  현재 위치: /Users/user/project': '⚠️  Current location: /Users/user/project',
+  '\n⚠️  주의: 이 명령어는 위험할 수 있습니다.': '\n⚠️  Caution: this command may be dangerous.',
+  '🧪 드라이런 모드: 명령어를 실행하지 않습니다.': '🧪 Dry-run mode: commands are not executed.',
+  '🧪 드라이런 모드: 실제로 실행되지 않습니다.': '🧪 Dry-run mode: nothing is actually run.',
+  '🧪 드라이런 모드가 활성화되었습니다.': '🧪 Dry-run mode enabled.',
+  '🛑 사용자가 실행을 중단했습니다.': '🛑 Execution stopped by the user.',
+  '⏭️  명령어를 건너뜁니다.': '⏭️  Skipping the command.',
+  '📋 실행된 명령어가 없습니다.': '📋 No commands were run.',
+  '다시 시도하시겠습니까?': 'Try again?',
+  '설정이 취소되었습니다.': 'Setup cancelled.',
+  '취소되었습니다.': 'Cancelled.',
+  '�� 설정을 완료한 후 다시 시도해주세요.': '�� Please finish the setup and try again.',
+  '\n📄 정보 및 안내 메시지:': '\n📄 Info and guidance messages:',
+  '플랫폼: ChatGPT (OpenAI)': 'Platform: ChatGPT (OpenAI)',
+  '모델: gpt-4o-mini': 'Model: gpt-4o-mini',
+  '모델: gemini-1.5-flash': 'Model: gemini-1.5-flash',
+  '모드: interactive': 'Mode: interactive',
+  '다른 방식으로 설명해보세요.': 'Try describing it a different way.',
+  '📍 현재 브랜치: main': '📍 Current branch: main',
+  '📝 커밋되지 않은 변경사항이 있습니다.': '📝 There are uncommitted changes.',
+  '📤 푸시되지 않은 커밋이 있습니다.': '📤 There are unpushed commits.',
+  '📊 총 커밋 수: 25개': '📊 Total commits: 25',
+  '📋 상태: 2 staged, 3 modified': '📋 Status: 2 staged, 3 modified',
+  '🔗 원격 저장소: 로컬 전용': '🔗 Remote: local only',
+  '📁 레포지토리 루트: /Users/user/project': '📁 Repository root: /Users/user/project',
+  '   키 소스: 환경변수': '   Key source: environment variable',
+  '   OPENAI_API_KEY: ✅ 설정됨': '   OPENAI_API_KEY: ✅ set',
+  '   GEMINI_API_KEY: ❌ 없음': '   GEMINI_API_KEY: ❌ missing',
+  '💡 "git init"으로 레포지토리를 초기화하거나': '💡 Initialize a repository with "git init", or',
+  '   Git 레포지토리 폴더에서 명령어를 실행하세요': '   run the command inside a Git repository folder',
+  '\n💬 사용자 상호작용:': '\n💬 User interaction:',
+  'rltgjqm은 다음 AI 플랫폼을 지원합니다:': 'rltgjqm supports the following AI platforms:',
+  'API 키는 https://platform.openai.com/api-keys 에서 발급받을 수 있습니다.': 'You can get an API key at https://platform.openai.com/api-keys.',
+  'API 키는 https://ai.google.dev/ 에서 발급받을 수 있습니다.': 'You can get an API key at https://ai.google.dev/.',
+  '저장 위치:': 'Saved to:',
+  '취소하려면 "cancel" 또는 "exit"를 입력하세요.': 'Type "cancel" or "exit" to cancel.',
+  '\n📌 플랫폼 정보:': '\n📌 Platform info:',
+  '   • 모델: gpt-4o-mini': '   • Model: gpt-4o-mini',
+  '   • API 키: https://platform.openai.com/api-keys': '   • API key: https://platform.openai.com/api-keys',
+  '   • 모델: gemini-1.5-flash': '   • Model: gemini-1.5-flash',
+  '   • API 키: https://ai.google.dev/': '   • API key: https://ai.google.dev/',
+  '\n💻 명령어 관련:': '\n💻 Commands:',
+  '💻 명령어: git add .': '💻 Command: git add .',
+  '🔗 링크/명령어': '🔗 Links/commands',
+  '🔥 명령어: rm -rf /': '🔥 Command: rm -rf /',
+  '👀 명령어 미리보기:': '👀 Command preview:',
+  '🔄 실제 실행 모드로 변경되었습니다.': '🔄 Switched to real execution mode.',
+  '📍 현재 위치 정보:': '📍 Current location:',
+  '\n🌿 Git 상태:': '\n🌿 Git status:',
+  '🌿 현재 브랜치: main': '🌿 Current branch: main',
+  '🌿 현재 브랜치: develop': '🌿 Current branch: develop',
+  '🔗 원격 저장소: github.com/user/repo': '🔗 Remote: github.com/user/repo',
+  '\n📊 카테고리 표시:': '\n📊 Category display:',
+  '\n🔧 Node.js 환경:': '\n🔧 Node.js environment:',
+  '\n📦 패키지 정보:': '\n📦 Package info:',
+  '\n🌍 환경변수:': '\n🌍 Environment variables:',
+  '\n💾 메모리 사용량:': '\n💾 Memory usage:',
+  '\n⚙️  설정 상태:': '\n⚙️  Settings status:',
+  '\n📋 지원되는 AI 플랫폼:': '\n📋 Supported AI platforms:',
+  '\n📁 설정 디렉터리 정보:': '\n📁 Settings directory:',
+  '\n📄 설정 파일들:': '\n📄 Settings files:',
+  '\n⚙️  현재 활성 설정:': '\n⚙️  Active settings:',
+  '\n📊 현재 Git 저장소 상태:': '\n📊 Current Git repository status:',
+  '\n🎨 포맷된 Git 상태 표시:': '\n🎨 Formatted Git status:',
+  '\n🔍 엔드포인트 연결 테스트:': '\n🔍 Endpoint connection test:',
+  '\n🔍 DNS 해석 테스트:': '\n🔍 DNS resolution test:',
+  '\n📊 임시 디렉터리:': '\n📊 Temporary directory:',
+  '\n🏠 사용자 홈 디렉터리:': '\n🏠 User home directory:',
+  '\n💾 rltgjqm 관련 파일들:': '\n💾 rltgjqm files:',
+  '\n📈 프로세스 정보:': '\n📈 Process info:',
+  '\n🔧 환경 정보:': '\n🔧 Environment info:',
+  '\n📖 도움말 스타일:': '\n📖 Help style:',
+  '  rltgjqm "새 브랜치 만들어줘"': '  rltgjqm "create a new branch"',
+  '  rltgjqm "커밋하고 푸시해줘" --auto': '  rltgjqm "commit and push" --auto',
+  '  rltgjqm "변경사항 되돌려줘" --interactive': '  rltgjqm "undo my changes" --interactive',
+  '  rltgjqm config     # 설정 메뉴': '  rltgjqm config     # settings menu',
+  '\n옵션:': '\nOptions:',
+  '  -a, --auto         생성된 명령어를 자동으로 실행': '  -a, --auto         run the generated commands automatically',
+  '  -i, --interactive  각 명령어마다 실행 여부를 확인': '  -i, --interactive  confirm each command before running it',
+  '  --dry-run          명령어만 출력 (기본값)': '  --dry-run          print the commands only (default)',
+  '\n지원되는 AI 플랫폼: ChatGPT, Gemini': '\nSupported AI platforms: ChatGPT, Gemini',
+  '자연어로 Git 명령어를 생성하고 실행합니다.': 'Generate and run Git commands from natural language.',
+  '위의 모든 메시지들은 현재 코드에서 실제로 사용되는 UI들입니다!': 'All messages above are UIs actually used in the current code!',
+  '   버전: {version}': '   Version: {version}',
+  '   플랫폼: {platform}': '   Platform: {platform}',
+  '   아키텍처: {arch}': '   Architecture: {arch}',
+  '   작업 디렉터리: {cwd}': '   Working directory: {cwd}',
+  '   rltgjqm 버전: {version}': '   rltgjqm version: {version}',
+  '   설명: {description}': '   Description: {description}',
+  '✅ 설정됨': '✅ set',
+  '❌ 없음': '❌ missing',
+  '설정 안됨': 'not set',
+  '   API 키: {status}': '   API key: {status}',
+  '   AI 플랫폼: {provider}': '   AI platform: {provider}',
+  '없음': 'none',
+  '   키 소스: {keySource}': '   Key source: {keySource}',
+  '✅ 존재': '✅ exists',
+  '   설정 파일: {status}': '   Settings file: {status}',
+  '\n📊 오늘의 API 사용량:': '\n📊 Today\'s API usage:',
+  '   총 토큰: {usedTokens}': '   Total tokens: {usedTokens}',
+  '   요청 수: {requests}회': '   Requests: {requests}',
+  '🔗 AI 서비스 연결 테스트': '🔗 AI service connection test',
+  '   엔드포인트: {endpoint}': '   Endpoint: {endpoint}',
+  '\n❌ AI 플랫폼이 설정되지 않았습니다.': '\n❌ No AI platform is configured.',
+  '\n🤖 현재 설정: {name}': '\n🤖 Current setting: {name}',
+  '✅ AI 서비스 연결 성공!': '✅ Connected to the AI service!',
+  '❌ AI 서비스 연결 실패!': '❌ Could not connect to the AI service!',
+  '❌ 연결 테스트 오류: {message}': '❌ Connection test error: {message}',
+  '📄 설정 파일 디버깅': '📄 Settings file debugging',
+  '   디렉터리: {configDir}': '   Directory: {configDir}',
+  '   존재 여부: {status}': '   Exists: {status}',
+  '   내용:': '   Contents:',
+  '     AI 플랫폼: {aiProvider}': '     AI platform: {aiProvider}',
+  '설정됨 (숨김)': 'set (hidden)',
+  '     API 키: {status}': '     API key: {status}',
+  '     마지막 업데이트: {lastUpdated}': '     Last updated: {lastUpdated}',
+  '     오류: {message}': '     Error: {message}',
+  '✅ 존재 (레거시)': '✅ exists (legacy)',
+  '   내용 (레거시):': '   Contents (legacy):',
+  '설정됨': 'set',
+  '🏗️  Git 상태 디스플레이 테스트': '🏗️  Git status display test',
+  '\n원시 Git 상태 데이터:': '\nRaw Git status data:',
+  '❌ Git 상태 확인 오류: {message}': '❌ Git status error: {message}',
+  '🌐 네트워크 연결 테스트': '🌐 Network connection test',
+  '   {name} 테스트 중...': '   Testing {name}...',
+  '   ❌ {name}: 연결 시간 초과': '   ❌ {name}: connection timed out',
+  '💾 로그 및 캐시 정보': '💾 Logs and cache info',
+  '   시스템 임시 디렉터리: {tmpdir}': '   System temp directory: {tmpdir}',
+  '   홈 디렉터리: {homedir}': '   Home directory: {homedir}',
+  '   {file}: {size} bytes, 수정: {mtime}': '   {file}: {size} bytes, modified: {mtime}',
+  '   디렉터리 읽기 오류: {message}': '   Error reading directory: {message}',
+  '   rltgjqm 설정 디렉터리가 없습니다.': '   The rltgjqm settings directory does not exist.',
+  '   프로세스 ID: {pid}': '   Process ID: {pid}',
+  '   실행 시간: {seconds}초': '   Uptime: {seconds}s',
+  '   명령줄 인수: {argv}': '   Command-line arguments: {argv}',
+  '알 수 없음': 'unknown',
+  '   셸: {SHELL}': '   Shell: {SHELL}',
+  '   터미널: {TERM}': '   Terminal: {TERM}',
+  '   사용자: {USER}': '   User: {USER}',
+  '📈 API 사용량 통계': '📈 API usage statistics',
+  '\n📅 날짜: {date}': '\n📅 Date: {date}',
+  '\n{icon} {name} 통계:': '\n{icon} {name} statistics:',
+  '   총 사용 토큰: {totalTokens}': '   Total tokens used: {totalTokens}',
+  '   총 요청 수: {requests}회': '   Total requests: {requests}',
+  '   평균 토큰/요청: {averageTokensPerRequest}': '   Average tokens/request: {averageTokensPerRequest}',
+  '   프롬프트 토큰: {promptTokens}': '   Prompt tokens: {promptTokens}',
+  '   응답 토큰: {completionTokens}': '   Response tokens: {completionTokens}',
+  '   오늘 사용 기록이 없습니다.': '   No usage recorded today.',
+  '\n📊 전체 통계:': '\n📊 Overall statistics:',
+  '   총 요청 수: {totalRequests}회': '   Total requests: {totalRequests}',
+  '   {shortName} 사용 비율: {percentage}%': '   {shortName} share: {percentage}%',
+  '\n📄 사용량 파일:': '\n📄 Usage file:',
+  '   경로: {usageFile}': '   Path: {usageFile}',
+  '   크기: {size} bytes': '   Size: {size} bytes',
+  '   수정일: {mtime}': '   Modified: {mtime}',
+  '   파일 정보를 읽을 수 없습니다.': '   Could not read file info.',
+  '🔄 사용량 초기화': '🔄 Reset usage',
+  '\n⚠️  현재 사용량:': '\n⚠️  Current usage:',
+  '   {shortName}: {totalTokens} 토큰, {requests}회': '   {shortName}: {totalTokens} tokens, {requests} requests',
+  '정말로 모든 사용량 데이터를 초기화하시겠습니까?': 'Really reset all usage data?',
+  '✅ 사용량 데이터가 초기화되었습니다!': '✅ Usage data has been reset!',
+  'Gemini API를 사용한 Git 명령어 생성 CLI': 'CLI that generates Git commands using the Gemini API',
+  '자연어로 Git 작업을 설명하세요': 'Describe a Git task in natural language',
+  '생성된 명령어를 자동으로 실행': 'Run the generated commands automatically',
+  '각 명령어마다 실행 여부를 확인': 'Confirm each command before running it',
+  '명령어만 출력 (실행하지 않음)': 'Print the commands only (do not run)',
+  '이번 실행에만 사용할 모델 (예: gpt-4o, gemini-2.0-flash)': 'Model to use for this run only (e.g. gpt-4o, gemini-2.0-flash)',
+  '스트리밍 없이 전체 응답을 받은 뒤 표시': 'Show the response after receiving it in full, without streaming',
+  '캐시된 응답을 사용하지 않고 새로 생성': 'Generate a new response instead of using the cache',
+  '모호한 요청이면 AI가 먼저 질문 (대화 모드)': 'Let the AI ask first when the request is ambiguous (dialogue mode)',
+  '생성된 명령어를 수정 요청 없이 바로 진행': 'Continue with the generated commands without asking for revisions',
+  '이번 실행에 diff/커밋 컨텍스트 포함 (stat, log, diff 중 쉼표로 선택, 생략하면 전체)': 'Include diff/commit context for this run (comma-separated from stat, log, diff; all if omitted)',
+  '기본 실행 모드를 미리보기로 변경': 'Set the default execution mode to preview',
+  '상세 출력 모드로 변경': 'Switch to detailed output mode',
+  '간단 출력 모드로 변경': 'Switch to simple output mode',
+  '프롬프트 디버그 모드 전환': 'Toggle prompt debug mode',
+  '설정 관리 (API 키, 기본 동작 등)': 'Manage settings (API keys, default behavior, etc.)',
+  '태그': 'tag',
+  '   🗑️  {type} {name} 삭제 (스냅샷 이후에 생김)': '   🗑️  Delete {type} {name} (created after the snapshot)',
+  '   ➕ {type} {name} 복원 ({to})': '   ➕ Restore {type} {name} ({to})',
+  '   📝 인덱스와 작업 트리를 스냅샷 시점으로 되돌림': '   📝 Restore the index and working tree to the snapshot',
+  '❌ Git 저장소가 아닙니다.': '❌ Not a Git repository.',
+  '⚠️  저장된 스냅샷이 없습니다.': '⚠️  No saved snapshots.',
+  '자동 실행이나 단계별 확인 모드로 명령어를 실행하면 실행 전 상태가 저장됩니다.': 'The state before running is saved when commands are run in auto or interactive mode.',
+  '❌ 스냅샷을 찾을 수 없습니다: {id}': '❌ Snapshot not found: {id}',
+  'rltgjqm undo --list 로 저장된 스냅샷을 확인하세요.': 'Check saved snapshots with rltgjqm undo --list.',
+  '되돌릴 시점을 선택하세요:': 'Choose a point to restore:',
+  '❌ 진행 중인 {name} 작업이 있습니다. 먼저 끝내거나 {abort} 명령어로 중단하세요.': '❌ A {name} is in progress. Finish it first or stop it with {abort}.',
+  '⏪ 되돌릴 시점: {snapshot}': '⏪ Restore point: {snapshot}',
+  '이 시점으로 되돌리시겠습니까? (지금 상태도 스냅샷으로 저장됩니다)': 'Restore to this point? (The current state is saved as a snapshot too)',
+  '✅ {id} 시점으로 되돌렸습니다.': '✅ Restored to {id}.',
+  '되돌리기 전 상태: {backup} (rltgjqm undo {backup} 로 다시 복원)': 'State before restoring: {backup} (restore it again with rltgjqm undo {backup})',
+  '❌ 되돌리기 실패:': '❌ Restore failed:',
+  '  rltgjqm undo                     # 마지막 실행 전 상태로 되돌리기': '  rltgjqm undo                     # Restore the state before the last run',
+  '  rltgjqm undo --list              # 저장된 스냅샷에서 골라 되돌리기': '  rltgjqm undo --list              # Pick a saved snapshot to restore',
+  '  rltgjqm undo': '  rltgjqm undo',
+  '자동/단계별 실행 전 상태로 되돌리기 (스냅샷 ID를 주면 그 시점으로)': 'Restore the state before an auto/interactive run (or the given snapshot ID)',
+  '저장된 스냅샷 목록에서 골라 되돌리기': 'Pick a saved snapshot to restore',
+
+  // lib/aiService.js
+  'AI 플랫폼이 설정되지 않았습니다.': 'No AI platform is configured.',
+  '플랫폼: {name}': 'Platform: {name}',
+  '모델: {modelName}': 'Model: {modelName}',
+  '\n🔍 [DEBUG] 전달되는 프롬프트:': '\n🔍 [DEBUG] Prompt being sent:',
+  '🔁 {name}(으)로 다시 시도합니다...': '🔁 Retrying with {name}...',
+  '🔁 응답 제공: {name} (대체 플랫폼)': '🔁 Response from: {name} (fallback platform)',
+  '❌ AI API 호출 실패:': '❌ AI API call failed:',
+  '{shortName} 응답 생성 중...': 'Generating {shortName} response...',
+  '✅ {shortName} 응답 받음': '✅ {shortName} response received',
+  '📊 실제 사용량: {prompt_tokens} → {completion_tokens} (총 {total_tokens} 토큰)': '📊 Actual usage: {prompt_tokens} → {completion_tokens} ({total_tokens} tokens total)',
+  '\n🔍 [DEBUG] 받은 응답:': '\n🔍 [DEBUG] Response received:',
+  '{shortName} 응답 수신 중... ({count}자)': 'Receiving {shortName} response... ({count} chars)',
+  '{shortName} 응답이 비어있습니다.': 'The {shortName} response is empty.',
+  '요청 시간 초과. 인터넷 연결을 확인하세요.': 'Request timed out. Check your internet connection.',
+  '인터넷 연결을 확인하세요.': 'Check your internet connection.',
+  '🔑 {name} API 키 유효성 검사 중...': '🔑 Validating the {name} API key...',
+  '간단한 테스트입니다. "git status" 명령어만 출력해주세요.': 'This is a quick test. Print only the "git status" command.',
+  '✅ {name} API 키가 유효합니다.': '✅ The {name} API key is valid.',
+  '❌ {name} API 키가 유효하지 않습니다.': '❌ The {name} API key is not valid.',
+
+  // lib/config.js
+  '설정 파일 읽기 오류:': 'Error reading settings file:',
+  '❌ 설정 저장 실패: {message}': '❌ Failed to save settings: {message}',
+  '✅ {platformName} API 키가 저장되었습니다.': '✅ {platformName} API key saved.',
+  '📄 기존 .env 파일을 새로운 설정 파일로 마이그레이션했습니다.': '📄 Migrated the old .env file to the new settings file.',
+  '❌ {platformName} 설정이 없습니다. 먼저 API 키를 등록하세요.': '❌ No {platformName} settings. Register an API key first.',
+  '{defaultModel} (기본값)': '{defaultModel} (default)',
+  '✅ {platformName} 모델: {model}': '✅ {platformName} model: {model}',
+  '⚠️  {platformName} API 키가 설정되어 있지 않습니다.': '⚠️  No {platformName} API key is configured.',
+  '✅ {platformName} API 키가 삭제되었습니다.': '✅ {platformName} API key deleted.',
+  '❌ {platformName} API 키가 설정되어 있지 않습니다.': '❌ No {platformName} API key is configured.',
+  '✅ 활성 AI 플랫폼이 {platformName}으로 변경되었습니다.': '✅ Active AI platform changed to {platformName}.',
+  '✅ AI 설정이 저장되었습니다: {configFile}': '✅ AI settings saved: {configFile}',
+  '❌ AI 설정 저장 실패: {message}': '❌ Failed to save AI settings: {message}',
+  '⚙️ {platformName} 설정': '⚙️ {platformName} settings',
+  '📋 현재 상태:': '📋 Current status:',
+  '✅ 서버 주소: {baseUrl}': '✅ Server address: {baseUrl}',
+  '   모델: {model}': '   Model: {model}',
+  '사용 안함': 'not used',
+  '   마지막 업데이트: {date}': '   Last updated: {date}',
+  '✅ 현재 활성 플랫폼': '✅ Currently active platform',
+  '   현재 비활성 상태': '   Currently inactive',
+  '✅ API 키: 설정됨': '✅ API key: set',
+  '❌ API 키: 설정되지 않음': '❌ API key: not set',
+  '\n🔗 API 키 발급: {apiKeyUrl}': '\n🔗 Get an API key: {apiKeyUrl}',
+  '✏️  서버 설정 수정': '✏️  Edit server settings',
+  '✏️  API 키 수정': '✏️  Edit API key',
+  '🧩 모델 변경': '🧩 Change model',
+  '🎯 이 플랫폼으로 전환': '🎯 Switch to this platform',
+  '🗑️  서버 설정 삭제': '🗑️  Delete server settings',
+  '🗑️  API 키 삭제': '🗑️  Delete API key',
+  '➕ 서버 설정 추가': '➕ Add server settings',
+  '➕ API 키 추가': '➕ Add API key',
+  '↩️  이전 메뉴로': '↩️  Back',
+  '\n무엇을 하시겠습니까?': '\nWhat would you like to do?',
+  '\n계속하려면 Enter를 누르세요...': '\nPress Enter to continue...',
+  'API 키를 입력해주세요.': 'Please enter an API key.',
+  'API 키가 너무 짧습니다. 올바른 API 키를 입력하세요.': 'The API key is too short. Enter a valid API key.',
+  '🔑 {platformName} API 키 설정': '🔑 {platformName} API key setup',
+  'API 키는 {apiKeyUrl} 에서 발급받을 수 있습니다.': 'You can get an API key at {apiKeyUrl}.',
+  '{platformName} API 키를 입력하세요:': 'Enter your {platformName} API key:',
+  '✅ {platformName} 설정이 완료되었습니다!': '✅ {platformName} setup complete!',
+  '{icon} {platformName} 서버 설정': '{icon} {platformName} server setup',
+  'OpenAI 호환 /v1/chat/completions 엔드포인트를 제공하는 서버를 사용합니다.': 'Uses a server that provides an OpenAI-compatible /v1/chat/completions endpoint.',
+  '예: {description}': 'e.g. {description}',
+  '서버 주소 (/v1 까지 포함):': 'Server address (including /v1):',
+  'http:// 또는 https:// 로 시작하는 주소를 입력하세요.': 'Enter an address starting with http:// or https://.',
+  'API 키 (필요 없으면 Enter):': 'API key (press Enter if not needed):',
+  '\n🔍 모델 목록 조회 중...': '\n🔍 Fetching model list...',
+  '⚠️  모델 목록을 가져올 수 없습니다: {message}': '⚠️  Could not fetch the model list: {message}',
+  '사용할 모델을 선택하세요:': 'Choose a model:',
+  '모델 이름을 입력하세요:': 'Enter a model name:',
+  '모델 이름을 입력해주세요.': 'Please enter a model name.',
+  '\n🔍 서버 연결 확인 중...': '\n🔍 Checking server connection...',
+  '\n❌ 서버 연결 확인에 실패했습니다.': '\n❌ Server connection check failed.',
+  '🧩 {platformName} 모델 선택': '🧩 Choose {platformName} model',
+  ' (기본값)': ' (default)',
+  '현재 모델: {currentModel}{suffix}': 'Current model: {currentModel}{suffix}',
+  '⚠️  모델 목록을 가져올 수 없습니다: {error}': '⚠️  Could not fetch the model list: {error}',
+  '💡 오프라인 기본 목록을 표시합니다.': '💡 Showing the built-in offline list.',
+  '✅ {count}개 모델을 찾았습니다.': '✅ Found {count} models.',
+  '🔄 기본 모델 사용 ({defaultModel})': '🔄 Use the default model ({defaultModel})',
+  '\n사용할 모델을 선택하세요:': '\nChoose a model:',
+  '🗑️ {platformName} API 키 삭제': '🗑️ Delete {platformName} API key',
+  '정말로 {platformName} API 키를 삭제하시겠습니까?': 'Really delete the {platformName} API key?',
+  'rltgjqm은 다음 AI 플랫폼을 지원합니다:\n': 'rltgjqm supports the following AI platforms:\n',
+  '   • API 키: 선택 사항\n': '   • API key: optional\n',
+  '   • 모델: {defaultModel}': '   • Model: {defaultModel}',
+  '프로바이더 문서 참고': 'see the provider documentation',
+  '   • API 키: {apiKeyUrl}\n': '   • API key: {apiKeyUrl}\n',
+  'AI 플랫폼을 선택하세요:': 'Choose an AI platform:',
+  '            🔑 {name} API 키 설정': '            🔑 {name} API key setup',
+  '{name} API 키를 입력하세요:': 'Enter your {name} API key:',
+  '✅ {name} 설정이 완료되었습니다!': '✅ {name} setup complete!',
+  '# Gemini API Key for rltgjqm\nGEMINI_API_KEY={apiKey}\n\n# 이 파일은 rltgjqm CLI 도구에서 자동 생성되었습니다.\n# API 키를 변경하려면 \'rltgjqm config\' 명령어를 사용하세요.\n': '# Gemini API Key for rltgjqm\nGEMINI_API_KEY={apiKey}\n\n# This file was generated automatically by the rltgjqm CLI.\n# Use the \'rltgjqm config\' command to change the API key.\n',
+  '✅ API 키가 저장되었습니다: {envFile}': '✅ API key saved: {envFile}',
+  '❌ API 키 저장 실패: {message}': '❌ Failed to save API key: {message}',
+  'Gemini API 키를 입력하세요:': 'Enter your Gemini API key:',
+  '환경변수': 'environment variable',
+  '사용자 설정 (JSON)': 'user settings (JSON)',
+  '기존 설정 (.env)': 'legacy settings (.env)',
+  '⚙️ 설정 관리': '⚙️ Settings',
+  '\n📱 등록된 AI 플랫폼:': '\n📱 Registered AI platforms:',
+  '🎯 활성': '🎯 active',
+  '   비활성': '   inactive',
+  '❌ 설정된 AI 플랫폼이 없습니다': '❌ No AI platform is configured',
+  '🚀 자동 실행': '🚀 Auto run',
+  '🔍 단계별 확인': '🔍 Confirm each step',
+  '👀 미리보기': '👀 Preview',
+  '\n⚙️ 기본 실행 모드:': '\n⚙️ Default execution mode:',
+  '❌ 설정되지 않음': '❌ Not set',
+  '📄 상세 출력': '📄 Detailed output',
+  '📝 간단 출력': '📝 Simple output',
+  '\n📋 출력 모드:': '\n📋 Output mode:',
+  '\n🔍 프롬프트 표시:': '\n🔍 Show prompt:',
+  '✅ 활성화': '✅ Enabled',
+  '❌ 비활성화': '❌ Disabled',
+  '\n🔁 대체 플랫폼:': '\n🔁 Fallback platforms:',
+  '❌ 사용 안 함': '❌ Not used',
+  '\n📍 설정 파일 위치:': '\n📍 Settings file location:',
+  '🎯 활성 AI 플랫폼 전환': '🎯 Switch active AI platform',
+  '🔁 대체 플랫폼 순서 설정': '🔁 Set fallback platform order',
+  '🌐 언어 / Language (현재: {language})': '🌐 언어 / Language (current: {language})',
+  '⏳ 재시도 횟수 (현재: {retryCount}회)': '⏳ Retry count (current: {retryCount})',
+  '{cacheTtlMinutes}분': '{cacheTtlMinutes} min',
+  '사용 안 함': 'not used',
+  '💾 응답 캐시 (현재: {cacheStatus})': '💾 Response cache (current: {cacheStatus})',
+  '📎 추가 컨텍스트 (현재: {contextStatus})': '📎 Extra context (current: {contextStatus})',
+  '📋 출력 모드 변경': '📋 Change output mode',
+  '🔍 프롬프트 표시': '🔍 Show prompt',
+  '활성화': 'enabled',
+  '비활성화': 'disabled',
+  '{autoSuggestIcon} 자동 해결책 제안 (현재: {autoSuggestStatus})': '{autoSuggestIcon} Suggest solutions automatically (current: {autoSuggestStatus})',
+  '{icon} 사용자 이름/경로 익명화 (현재: {state})': '{icon} Anonymize usernames/paths (current: {state})',
+  '{icon} 모호한 요청은 먼저 질문 (현재: {state})': '{icon} Ask first when a request is ambiguous (current: {state})',
+  '⚙️  {shortName} 설정 관리': '⚙️  Manage {shortName} settings',
+  '➕ {name} 서버 추가': '➕ Add {name} server',
+  '➕ {shortName} API Key 추가': '➕ Add {shortName} API key',
+  '🗑️  모든 API Key 삭제': '🗑️  Delete all API keys',
+  '↩️  메인 메뉴로 돌아가기': '↩️  Back to main menu',
+  '\n설정 메뉴 - 무엇을 하시겠습니까?': '\nSettings - what would you like to do?',
+  '🤖 AI 플랫폼 선택': '🤖 Choose AI platform',
+  '✅ 활성 플랫폼: {platformName}': '✅ Active platform: {platformName}',
+  '❌ 활성 플랫폼 없음': '❌ No active platform',
+  '\n❌ 등록된 AI 플랫폼이 없습니다.': '\n❌ No AI platforms are registered.',
+  '먼저 AI 플랫폼을 설정해주세요.': 'Please set up an AI platform first.',
+  '➕ AI 플랫폼 설정하기': '➕ Set up an AI platform',
+  '\n📱 등록된 플랫폼:': '\n📱 Registered platforms:',
+  '\n사용할 AI 플랫폼을 선택하세요:': '\nChoose the AI platform to use:',
+  '\n이미 {platformName}이(가) 활성 플랫폼입니다.': '\n{platformName} is already the active platform.',
+  '📊 API 사용량 추적 설정': '📊 API usage tracking settings',
+  '✅ 사용량 데이터: 존재함': '✅ Usage data: present',
+  '   마지막 업데이트: {lastReset}': '   Last updated: {lastReset}',
+  '   {shortName} 토큰: {totalTokens}': '   {shortName} tokens: {totalTokens}',
+  '   {shortName} 요청: {requests}': '   {shortName} requests: {requests}',
+  '   캐시 적중/실패: {hits}/{misses}': '   Cache hits/misses: {hits}/{misses}',
+  '⚠️  사용량 데이터 읽기 오류: {message}': '⚠️  Error reading usage data: {message}',
+  '❌ 사용량 데이터: 없음': '❌ Usage data: none',
+  '\n📁 사용량 파일: {usageFile}': '\n📁 Usage file: {usageFile}',
+  '📊 사용량 데이터 보기': '📊 View usage data',
+  '🔄 사용량 데이터 초기화': '🔄 Reset usage data',
+  '🗑️  사용량 데이터 삭제': '🗑️  Delete usage data',
+  '📋 사용량 데이터가 없습니다': '📋 No usage data',
+  '\n💡 API를 사용하면 자동으로 사용량 데이터가 생성됩니다.': '\n💡 Usage data is created automatically when you use the API.',
+  '계속하려면 Enter를 누르세요...': 'Press Enter to continue...',
+  '📊 상세 사용량 정보': '📊 Detailed usage',
+  '📅 기준 날짜: {date}': '📅 Date: {date}',
+  '🔄 마지막 리셋: {lastReset}': '🔄 Last reset: {lastReset}',
+  '   토큰 사용량: {tokens}': '   Tokens used: {tokens}',
+  '   API 요청 수: {requests}': '   API requests: {requests}',
+  '\n💾 응답 캐시:': '\n💾 Response cache:',
+  '   적중: {hits}회 / 실패: {misses}회': '   Hits: {hits} / misses: {misses}',
+  '   절약한 토큰: {savedTokens}': '   Tokens saved: {savedTokens}',
+  '\n❌ 사용량 데이터 읽기 실패: {message}': '\n❌ Failed to read usage data: {message}',
+  '사용량 데이터를 0으로 초기화하시겠습니까?': 'Reset usage data to 0?',
+  '\n취소되었습니다.': '\nCancelled.',
+  '\n✅ 사용량 데이터가 초기화되었습니다.': '\n✅ Usage data has been reset.',
+  '\n❌ 사용량 데이터 초기화 실패: {message}': '\n❌ Failed to reset usage data: {message}',
+  '🗑️ 사용량 데이터 삭제': '🗑️ Delete usage data',
+  '사용량 데이터를 완전히 삭제하시겠습니까? (복구할 수 없습니다)': 'Delete usage data completely? (This cannot be undone)',
+  '\n✅ 사용량 데이터 파일이 삭제되었습니다.': '\n✅ Usage data file deleted.',
+  '\n⚠️  삭제할 파일이 없습니다.': '\n⚠️  There is no file to delete.',
+  '\n❌ 사용량 데이터 삭제 실패: {message}': '\n❌ Failed to delete usage data: {message}',
+  '       ❌ AI 플랫폼이 설정되지 않았습니다.': '       ❌ No AI platform is configured.',
+  'rltgjqm을 사용하려면 AI API 키가 필요합니다.': 'rltgjqm needs an AI API key.',
+  '지원되는 플랫폼: ChatGPT, Gemini, Claude, Local (OpenAI 호환)\n': 'Supported platforms: ChatGPT, Gemini, Claude, Local (OpenAI compatible)\n',
+  '🤖 AI 플랫폼 설정하기': '🤖 Set up an AI platform',
+  '👋 설정을 완료한 후 다시 시도해주세요.': '👋 Please finish the setup and try again.',
+  '📖 Gemini API 키 발급 방법': '📖 How to get a Gemini API key',
+  '1. https://ai.google.dev/ 접속': '1. Go to https://ai.google.dev/',
+  '2. "Get API key" 클릭': '2. Click "Get API key"',
+  '3. Google 계정으로 로그인': '3. Sign in with your Google account',
+  '4. "Create API key" 버튼 클릭': '4. Click the "Create API key" button',
+  '5. 생성된 API 키 복사': '5. Copy the generated API key',
+  '6. rltgjqm에서 해당 키 입력\n': '6. Enter the key in rltgjqm\n',
+  '⚠️  삭제할 API Key가 없습니다.': '⚠️  There are no API keys to delete.',
+  '🗑️ 모든 API Key 삭제': '🗑️ Delete all API keys',
+  '삭제될 플랫폼:': 'Platforms to delete:',
+  '\n📁 설정 파일: {configFile}': '\n📁 Settings file: {configFile}',
+  '📁 기존 설정: {envFile}': '📁 Legacy settings: {envFile}',
+  '정말로 모든 API Key를 삭제하시겠습니까? (복구할 수 없습니다)': 'Really delete all API keys? (This cannot be undone)',
+  '✅ API Key 설정 파일이 삭제되었습니다.': '✅ API key settings file deleted.',
+  '✅ 기존 API Key 파일이 삭제되었습니다.': '✅ Legacy API key file deleted.',
+  '✅ 모든 API Key가 성공적으로 삭제되었습니다.': '✅ All API keys were deleted.',
+  '⚠️  삭제할 API Key 파일이 없었습니다.': '⚠️  There were no API key files to delete.',
+  '❌ API Key 삭제 실패: {message}': '❌ Failed to delete API keys: {message}',
+  '자동 실행': 'auto run',
+  '단계별 확인': 'confirm each step',
+  '미리보기': 'preview',
+  '✅ 기본 실행 모드가 \'{mode}\'으로 설정되었습니다.': '✅ Default execution mode set to \'{mode}\'.',
+  '⚙️ 기본 실행 모드 설정': '⚙️ Default execution mode setup',
+  'rltgjqm이 Git 명령어를 생성한 후 어떻게 처리할지 설정하세요.\n': 'Choose what rltgjqm does after generating Git commands.\n',
+  '🚀 자동 실행 모드': '🚀 Auto mode',
+  '   생성된 명령어를 바로 실행합니다 (빠르지만 위험할 수 있음)': '   Runs the generated commands right away (fast but can be risky)',
+  '   예: rltgjqm "커밋하고 푸시해줘" → 바로 실행\n': '   e.g. rltgjqm "commit and push" → runs immediately\n',
+  '   각 명령어마다 실행 여부를 확인합니다 (안전함)': '   Asks before running each command (safe)',
+  '   예: rltgjqm "브랜치 삭제해줘" → 각 단계마다 확인\n': '   e.g. rltgjqm "delete the branch" → confirms each step\n',
+  '👀 미리보기 모드': '👀 Preview mode',
+  '   명령어만 보여주고 실행하지 않습니다 (가장 안전함)': '   Only shows the commands without running them (safest)',
+  '   예: rltgjqm "새 브랜치 만들어줘" → 명령어만 출력\n': '   e.g. rltgjqm "create a new branch" → prints the commands only\n',
+  '기본 실행 모드를 선택하세요:': 'Choose the default execution mode:',
+  '🔍 단계별 확인 모드 (추천)': '🔍 Confirm each step (recommended)',
+  '👀 미리보기 모드 (가장 안전)': '👀 Preview (safest)',
+  '🚀 자동 실행 모드 (빠르지만 주의)': '🚀 Auto run (fast, use with care)',
+  '\n💡 언제든지 다음 방법으로 변경할 수 있습니다:': '\n💡 You can change this at any time with:',
+  '   • rltgjqm config → 설정 메뉴': '   • rltgjqm config → settings menu',
+  '   • rltgjqm -a (자동), -i (단계별), --dry (미리보기)': '   • rltgjqm -a (auto), -i (step by step), --dry (preview)',
+  '✅ 기본 실행 모드가 \'{mode}\'으로 변경되었습니다.': '✅ Default execution mode changed to \'{mode}\'.',
+  '상세 출력': 'detailed output',
+  '간단 출력': 'simple output',
+  '✅ 출력 모드가 \'{mode}\'으로 설정되었습니다.': '✅ Output mode set to \'{mode}\'.',
+  '✅ 재시도 횟수가 {count}회로 변경되었습니다.': '✅ Retry count changed to {count}.',
+  '⏳ AI 호출 재시도 설정': '⏳ AI call retry settings',
+  '연결 끊김, 시간 초과, 한도 초과(429), 서버 오류(5xx)일 때 다시 요청합니다.': 'Requests are retried on dropped connections, timeouts, rate limits (429) and server errors (5xx).',
+  'API 키 오류(401/403)나 잘못된 요청(400)은 재시도하지 않습니다.\n': 'API key errors (401/403) and bad requests (400) are not retried.\n',
+  '재시도 안 함': 'no retries',
+  '{count}회': '{count} times',
+  '재시도 횟수를 선택하세요:': 'Choose the retry count:',
+  '자동 - {name}': 'auto - {name}',
+  '✅ 언어가 {name}(으)로 변경되었습니다.': '✅ Language changed to {name}.',
+  '🌐 언어 설정': '🌐 Language settings',
+  '메뉴, 안내 메시지와 AI에게 보내는 프롬프트의 언어입니다.': 'The language of menus, messages and the prompts sent to the AI.',
+  'AI의 설명도 이 언어로 요청합니다.\n': 'The AI is also asked to explain in this language.\n',
+  '언어를 선택하세요:': 'Choose a language:',
+  '✅ 응답 캐시: {ttlMinutes}분 동안 유지': '✅ Response cache: kept for {ttlMinutes} min',
+  '✅ 응답 캐시를 사용하지 않습니다.': '✅ The response cache is not used.',
+  '💾 응답 캐시 설정': '💾 Response cache settings',
+  '같은 요청을 같은 저장소 상태(브랜치, 커밋, 작업 트리)에서 다시 하면 저장된 응답을 사용합니다.': 'When the same request is made again in the same repository state (branch, commit, working tree), the saved response is used.',
+  '이번 실행만 캐시를 건너뛰려면 --no-cache 옵션을 사용하세요.\n': 'Use the --no-cache option to skip the cache for a single run.\n',
+  '   저장된 응답: {entries}개 ({size} KB)\n': '   Saved responses: {entries} ({size} KB)\n',
+  '{minutes}분': '{minutes} min',
+  '{hours}시간': '{hours} h',
+  '{icon} {duration} 동안 유지': '{icon} Keep for {duration}',
+  '{icon} 사용 안 함': '{icon} Do not use',
+  '🗑️  저장된 응답 모두 삭제': '🗑️  Delete all saved responses',
+  '캐시 설정을 선택하세요:': 'Choose a cache setting:',
+  '✅ 저장된 응답 {removed}개를 삭제했습니다.': '✅ Deleted {removed} saved responses.',
+  '✅ 추가 컨텍스트: {statusText} (프롬프트 예산 {budget} 토큰)': '✅ Extra context: {statusText} (prompt budget {budget} tokens)',
+  '📎 추가 컨텍스트 설정': '📎 Extra context settings',
+  '선택한 정보를 프롬프트에 함께 보내 "방금 고친 거 커밋해줘" 같은 요청에 활용합니다.': 'Sends the selected information with the prompt, for requests like "commit what I just fixed".',
+  '변경 내용(diff)이 AI 플랫폼으로 전송되므로 필요한 것만 선택하세요.': 'Your changes (diff) are sent to the AI platform, so select only what you need.',
+  '이번 실행에만 사용하려면 --context 옵션을 사용하세요.\n': 'Use the --context option for a single run.\n',
+  '포함할 컨텍스트를 선택하세요:': 'Choose the context to include:',
+  '프롬프트 전체 토큰 예산 (넘치는 컨텍스트는 잘리거나 제외됨):': 'Total prompt token budget (context that does not fit is truncated or left out):',
+  '{icon} {tokens} 토큰': '{icon} {tokens} tokens',
+  '✅ 대체 플랫폼: {chainText}': '✅ Fallback platforms: {chainText}',
+  '✅ 자동 해결책 제안 기능이 {statusText}되었습니다.': '✅ Automatic solution suggestions {statusText}.',
+  '✅ 사용자 이름/경로 익명화가 {statusText}되었습니다.': '✅ Username/path anonymization {statusText}.',
+  '✅ 모호한 요청 질문 기능이 {statusText}되었습니다.': '✅ Clarifying questions for ambiguous requests {statusText}.',
+  '✅ 출력 모드가 \'{mode}\'으로 변경되었습니다.': '✅ Output mode changed to \'{mode}\'.',
+  '현재 플랫폼이 한도 초과(429), 서버 오류(5xx), 시간 초과 등으로 실패하면': 'If the current platform fails with a rate limit (429), server error (5xx), timeout, etc.,',
+  '아래 순서대로 다른 플랫폼에 같은 요청을 보냅니다.\n': 'the same request is sent to the other platforms in the order below.\n',
+  '   활성 플랫폼: {platform}': '   Active platform: {platform}',
+  '✅ 대체 순서: {chain}': '✅ Fallback order: {chain}',
+  '   대체 플랫폼 사용 안 함': '   No fallback platforms',
+  ' (활성)': ' (active)',
+  '✅ 저장': '✅ Save',
+  '🚫 대체 플랫폼 사용 안 함': '🚫 Do not use fallback platforms',
+  '↩️  취소': '↩️  Cancel',
+  '\n{count}순위 대체 플랫폼을 선택하세요:': '\nChoose fallback platform #{count}:',
+  '✅ 프롬프트 디버그 모드가 {status}되었습니다.': '✅ Prompt debug mode {status}.',
+
+  // lib/executor.js
+  '💻 명령어: {command}': '💻 Command: {command}',
+  '❌ 명령어 실행 실패:': '❌ Command failed:',
+  '   ✏️  실행 전에 채워야 하는 값이 있습니다.': '   ✏️  There are values to fill in before running.',
+  '\n🧪 드라이런 모드: 명령어들을 실행하지 않습니다.': '\n🧪 Dry-run mode: commands are not executed.',
+  '❌ 명령어 실행 실패. 남은 명령어 {count}개를 건너뜁니다.': '❌ Command failed. Skipping the remaining {count} commands.',
+  '⚠️  명령어 실행이 취소되었습니다. 남은 명령어 {count}개를 건너뜁니다.': '⚠️  Command execution cancelled. Skipping the remaining {count} commands.',
+  '✅ 실행': '✅ Run',
+  '⏭️  건너뛰기': '⏭️  Skip',
+  '이 명령어를 실행하시겠습니까?': 'Run this command?',
+  '명령어 실행이 실패했습니다. 계속 진행하시겠습니까?': 'The command failed. Continue anyway?',
+  '🔥 명령어: {command}': '🔥 Command: {command}',
+  '정말로 실행하시겠습니까?': 'Are you sure you want to run it?',
+  '\n🤖 AI가 해결책을 찾고 있습니다...': '\n🤖 The AI is looking for a solution...',
+  'Git 명령어 "{command}" 실행 중 다음 오류가 발생했습니다:\n\n{errorMessage}\n\n이 오류에 대한 해결 방법을 3가지 선택지로 제공해주세요. 각 선택지는 다음 형식으로:\n\n1. [방법명]: [간단한 설명]\n2. [방법명]: [간단한 설명]  \n3. [방법명]: [간단한 설명]\n\n구체적인 명령어는 제공하지 말고, 해결 방향성만 알려주세요.': 'The following error occurred while running the Git command "{command}":\n\n{errorMessage}\n\nGive three options for solving this error, each in this format:\n\n1. [Method]: [short description]\n2. [Method]: [short description]  \n3. [Method]: [short description]\n\nDo not give specific commands; only describe the direction of each solution. Answer in English.',
+  '⚠️  해결책 요청 중 오류가 발생했습니다.': '⚠️  An error occurred while requesting solutions.',
+  '⚠️  선택지를 파싱할 수 없습니다. 직접 해결해 주세요.': '⚠️  Could not parse the options. Please resolve it manually.',
+  '\n💡 AI 해결책 제안:': '\n💡 AI suggested solutions:',
+  '{index}번': 'Option {index}',
+  '💭 직접 입력': '💭 Type my own',
+  '어떤 방법으로 해결하시겠습니까?': 'How would you like to resolve it?',
+  '해결 과정을 취소했습니다.': 'Cancelled the resolution.',
+  '원하시는 해결 방법을 입력하세요:': 'Describe how you want to resolve it:',
+  '해결 방법을 입력해주세요.': 'Please enter a solution.',
+  '⚠️  해결책 선택 중 오류가 발생했습니다.': '⚠️  An error occurred while choosing a solution.',
+  '\n🤖 구체적인 해결 방법을 찾고 있습니다...': '\n🤖 Looking for specific steps...',
+  'Git 명령어 "{command}" 실행 중 다음 오류가 발생했고:\n\n{errorMessage}\n\n사용자가 다음 해결 방법을 선택했습니다:\n"{selectedSolution}"\n\n이 해결 방법을 위한 구체적인 Git 명령어들을 순서대로 제공해주세요. 각 명령어는 새 줄에 작성하고, 설명은 최소화해주세요.': 'The following error occurred while running the Git command "{command}":\n\n{errorMessage}\n\nThe user chose this solution:\n"{selectedSolution}"\n\nGive the specific Git commands for this solution, in order. Put each command on its own line and keep explanations to a minimum.',
+  '\n💡 구체적인 해결 명령어:': '\n💡 Specific commands to resolve it:',
+  '⚠️  구체적 해결책 요청 중 오류가 발생했습니다.': '⚠️  An error occurred while requesting specific steps.',
+  '\n🔧 실행할 명령어:': '\n🔧 Commands to run:',
+  '어떻게 실행하시겠습니까?': 'How would you like to run them?',
+  '🚀 자동 실행 (모든 명령어 순서대로)': '🚀 Auto run (all commands in order)',
+  '🔍 단계별 확인 (하나씩 확인 후 실행)': '🔍 Confirm each step (check one by one before running)',
+  '🧪 드라이런 (실행하지 않고 미리보기)': '🧪 Dry run (preview without running)',
+  '실행을 취소했습니다.': 'Execution cancelled.',
+  '⚠️  실행 가능한 Git 명령어를 찾을 수 없습니다.': '⚠️  No runnable Git commands were found.',
+  '현재 디렉토리가 Git 레포지토리와 관련이 없습니다.': 'The current directory is not related to a Git repository.',
+  '현재 위치에서 Git 작업을 수행할 의도가 명확하지 않습니다.': 'It is not clear that you intend to run Git operations here.',
+  '⚠️  Git URL에서 레포지토리 이름을 추출할 수 없어 디렉토리 이름을 사용합니다:': '⚠️  Could not get the repository name from the Git URL; using the directory name:',
+  '⚠️  Git URL에 템플릿 태그가 포함되어 있습니다:': '⚠️  The Git URL contains a template tag:',
+  '💡 해결방법: git remote set-url origin <실제_저장소_URL>': '💡 Fix: git remote set-url origin <actual_repository_URL>',
+  '💡 또는 Git 레포지토리 제거: rm -rf .git': '💡 Or remove the Git repository: rm -rf .git',
+  '⚠️  Git URL 파싱 중 오류:': '⚠️  Error parsing the Git URL:',
+  '📍 현재 브랜치: {currentBranch}': '📍 Current branch: {currentBranch}',
+  '\n📊 실행 결과 요약:': '\n📊 Execution summary:',
+  '총 {count}개 명령어': '{count} commands in total',
+  '✅ 성공: {successful}개': '✅ Succeeded: {successful}',
+  '❌ 실패: {failed}개': '❌ Failed: {failed}',
+  '⚠️  취소: {cancelled}개': '⚠️  Cancelled: {cancelled}',
+  '⏭️  건너뜀: {skipped}개': '⏭️  Skipped: {skipped}',
+  '🧪 드라이런: {dryRun}개': '🧪 Dry run: {dryRun}',
+  '리베이스': 'rebase',
+  '병합': 'merge',
+  '체리픽': 'cherry-pick',
+  '되돌리기 (revert)': 'revert',
+  '📍 현재 폴더 git 정보:': '📍 Git info for the current folder:',
+  '✅ 연결된 레포지토리 이름:': '✅ Linked repository name:',
+  '🔗 레포지토리 링크 :': '🔗 Repository link :',
+  '{label} 로컬 전용': '{label} local only',
+  '📁 레포지토리 경로 :': '📁 Repository path :',
+  '⚠️  현재 위치: {currentDir}': '⚠️  Current location: {currentDir}',
+  '   (레포지토리 루트가 아님)': '   (not the repository root)',
+  '🌿 현재 사용중인 브랜치:': '🌿 Current branch:',
+  '🔌 HEAD 분리 상태:': '🔌 Detached HEAD:',
+  '🚧 진행 중인 작업:': '🚧 Operation in progress:',
+  '📝 커밋되지 않은 변경사항이 있습니다!': '📝 There are uncommitted changes!',
+  '📤 푸시되지 않은 커밋이 있습니다!': '📤 There are unpushed commits!',
+  '✨ 아무런 문제가 없습니다. 완벽해요!': '✨ Everything looks good. Perfect!',
+  '📋 상태 :': '📋 Status :',
+  '📁 현재 위치: {currentDir}': '📁 Current location: {currentDir}',
+  '❌ 실행할 수 없는 명령어: {message}': '❌ Cannot run this command: {message}',
+  '{command} (종료 코드 {exitCode})': '{command} (exit code {exitCode})',
+  '   ⏭️  건너뜀: {command}': '   ⏭️  Skipped: {command}',
+  '채워지지 않은 자리표시자가 있습니다: {names}': 'There are unfilled placeholders: {names}',
+  '⚠️  값 입력을 취소해서 명령어를 실행하지 않습니다.': '⚠️  Value input was canceled, so the commands will not be run.',
+  '✏️  명령어 편집 (비워두면 취소):': '✏️  Edit command (leave empty to cancel):',
+  '명령어를 바꾸지 않았습니다.': 'The command was not changed.',
+  '✅ 명령어를 바꿨습니다.': '✅ Command updated.',
+  '옮길 명령어를 선택하세요:': 'Choose a command to move:',
+  '⬆️  앞으로 이동': '⬆️  Move up',
+  '⬇️  뒤로 이동': '⬇️  Move down',
+  '↩️  돌아가기': '↩️  Go back',
+  '어디로 옮길까요?': 'Where should it go?',
+  '➕ 추가할 명령어 (비워두면 취소):': '➕ Command to add (leave empty to cancel):',
+  '어디에 추가할까요?': 'Where should it be added?',
+  '⬆️  지금 명령어 앞 (바로 다음에 확인)': '⬆️  Before the current command (reviewed next)',
+  '⬇️  지금 명령어 뒤': '⬇️  After the current command',
+  '⏬ 계획 맨 끝': '⏬ At the end of the plan',
+  '\n📋 전체 계획:': '\n📋 Full plan:',
+  '✏️  편집': '✏️  Edit',
+  '📝 에디터로 편집 ({editor})': '📝 Edit in editor ({editor})',
+  '🔀 앞으로/뒤로 이동': '🔀 Move up/down',
+  '➕ 명령어 추가': '➕ Add command',
+  '📋 전체 계획 보기': '📋 View full plan',
+  '💾 실행 전 상태 저장: {id} (rltgjqm undo로 되돌리기)': '💾 Saved the state before running: {id} (restore with rltgjqm undo)',
+  '⚠️  실행 전 상태를 저장하지 못했습니다: {message}': '⚠️  Could not save the state before running: {message}',
+
+  // lib/gemini.js
+  'GEMINI_API_KEY가 설정되지 않았습니다.': 'GEMINI_API_KEY is not set.',
+  '안전성 필터로 인해 응답이 차단되었습니다. 다른 방식으로 질문해보세요.': 'The response was blocked by the safety filter. Try asking a different way.',
+  '저작권 문제로 응답이 차단되었습니다. 다른 방식으로 질문해보세요.': 'The response was blocked for copyright reasons. Try asking a different way.',
+  '빈 응답을 받았습니다. 다시 시도해보세요.': 'Received an empty response. Please try again.',
+  'API 응답 형식이 올바르지 않습니다.': 'The API response format is invalid.',
+  '❌ Gemini API 호출 실패:': '❌ Gemini API call failed:',
+  '요청 형식이 올바르지 않습니다.': 'The request format is invalid.',
+  '상세: {message}': 'Details: {message}',
+  'API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.': 'The API key is not valid. Check it with rltgjqm config.',
+  'API 접근 권한이 없습니다. API 키 권한을 확인하세요.': 'No permission to access the API. Check the API key permissions.',
+  '모델을 찾을 수 없습니다. 현재 모델: {modelName}': 'Model not found. Current model: {modelName}',
+  '💡 최신 API 키를 사용하고 있는지 확인하세요.': '💡 Make sure you are using an up-to-date API key.',
+  'API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.': 'The API rate limit was exceeded. Please try again later.',
+  'Gemini API 서버 오류입니다. 잠시 후 다시 시도하세요.': 'Gemini API server error. Please try again later.',
+  'API 키가 필요합니다.': 'An API key is required.',
+  '모델 목록을 가져올 수 없습니다:': 'Could not fetch the model list:',
+  '🔑 API 키 유효성 검사 중...': '🔑 Validating API key...',
+  '\n간단한 테스트입니다. \n"git status" 명령어만 출력해주세요.\n': '\nThis is a quick test. \nPrint only the "git status" command.\n',
+  '✅ API 키가 유효합니다.': '✅ The API key is valid.',
+  '❌ API 키가 유효하지 않습니다.': '❌ The API key is not valid.',
+  'Gemini API는 사용량 정보를 직접 제공하지 않습니다.': 'The Gemini API does not report usage directly.',
+  'API 키 사용량은 Google Cloud Console에서 확인하세요.': 'Check API key usage in the Google Cloud Console.',
+
+  // lib/gitContext.js
+  '알 수 없는 컨텍스트입니다: {unknown} (사용 가능: {ids})': 'Unknown context: {unknown} (available: {ids})',
+  '... ({omitted}줄 생략)': '... ({omitted} lines omitted)',
+  '내용 없음': 'no content',
+  '예산 초과 (약 {tokens} 토큰)': 'over budget (about {tokens} tokens)',
+  '변경 파일 요약 (git diff --stat)': 'Changed files summary (git diff --stat)',
+  '최근 커밋 (git log --oneline -{logCount})': 'Recent commits (git log --oneline -{logCount})',
+  '스테이징된 변경 내용 (git diff --cached)': 'Staged changes (git diff --cached)',
+
+  // lib/httpClient.js
+  '요청이 취소되었습니다.': 'The request was cancelled.',
+  '⏳ {label} {reason} - {seconds}초 후 재시도 ({attempt}/{retries})': '⏳ {label} {reason} - retrying in {seconds}s ({attempt}/{retries})',
+
+  // lib/impactPreview.js
+  '{file} (바이너리)': '{file} (binary)',
+  '      ✅ 버려지는 변경사항이 없습니다.': '      ✅ No changes would be discarded.',
+  '      📄 버려지는 변경사항: 파일 {count}개 (+{added} -{deleted}줄)': '      📄 Changes to discard: {count} file(s) (+{added} -{deleted} lines)',
+  '{file} (디렉토리, 파일 {count}개)': '{file} (directory, {count} file(s))',
+  '{file} ({size}KB)': '{file} ({size}KB)',
+  '{file} ({count}줄)': '{file} ({count} lines)',
+  '      ✅ 삭제되는 파일이 없습니다.': '      ✅ No files would be deleted.',
+  '      🗑️  삭제되는 파일: {count}개': '      🗑️  Files to delete: {count}',
+  '      🔙 현재 브랜치에서 빠지는 커밋: {count}개': '      🔙 Commits dropped from the current branch: {count}',
+  '      ℹ️  {ref}: 원격 추적 브랜치가 없어서 사라지는 커밋을 확인할 수 없습니다 (git fetch 후 다시 확인)': '      ℹ️  {ref}: no remote-tracking branch, so dropped commits cannot be checked (run git fetch and check again)',
+  '      ✅ {ref}에서 사라지는 커밋이 없습니다 (마지막 fetch 기준).': '      ✅ No commits would be dropped from {ref} (as of the last fetch).',
+  '      🔥 {ref}에서 사라지는 커밋: {count}개 (마지막 fetch 기준)': '      🔥 Commits dropped from {ref}: {count} (as of the last fetch)',
+  '      ✅ {branch}: 모든 커밋이 다른 브랜치에도 있습니다.': '      ✅ {branch}: all commits are also on other branches.',
+  '      🌿 {branch}: 다른 브랜치에 없는 커밋 {count}개를 잃습니다.': '      🌿 {branch}: loses {count} commit(s) that are on no other branch.',
+  '      📦 삭제되는 stash: {count}개': '      📦 Stashes to delete: {count}',
+
+  // lib/placeholders.js
+  '{text} 값을 선택하세요:': 'Choose a value for {text}:',
+  '{text} 값을 입력하세요 (비워두면 취소):': 'Enter a value for {text} (leave empty to cancel):',
+  '\n✏️  실행 전에 채워야 하는 값이 있습니다: {names}': '\n✏️  Some values must be filled in before running: {names}',
+  '📝 그대로 두기 ({text}는 자리표시자가 아님)': '📝 Keep as is ({text} is not a placeholder)',
+
+  // lib/planSchema.js
+  ' 또는 ': ' or ',
+  '{location}: {types} 타입이어야 합니다 (현재: {actual})': '{location}: must be of type {types} (got: {actual})',
+  '{location}: {enum} 중 하나여야 합니다 (현재: {value})': '{location}: must be one of {enum} (got: {value})',
+  '{location}.{key}: 필수 항목이 없습니다': '{location}.{key}: required field is missing',
+  '{location}.{key}: 허용되지 않는 항목입니다': '{location}.{key}: field is not allowed',
+  '$.steps: 최소 한 개의 단계가 필요합니다': '$.steps: at least one step is required',
+  '$.steps[{index}].command: 비어 있습니다': '$.steps[{index}].command: is empty',
+  '순서대로 실행할 명령어 단계': 'Command steps to run in order',
+  '터미널에서 그대로 실행할 명령어 한 개 (git 또는 gh)': 'A single command to run in the terminal as is (git or gh)',
+  '이 단계가 하는 일': 'What this step does',
+  'low: 안전, medium: 원격/히스토리 변경, high: 되돌리기 어렵거나 데이터 손실 가능': 'low: safe, medium: changes a remote/history, high: hard to undo or may lose data',
+  '사용자가 채워야 하는 값(<브랜치명> 등)이 있으면 true': 'true if there are values the user must fill in (<branch-name>, etc.)',
+  '실행 후 예상되는 결과': 'The expected result after running it',
+  '요청이 모호해서 확인이 필요할 때 사용자에게 되물을 질문 (명확하면 null)': 'A question to ask the user when the request is ambiguous and needs clarification (null if clear)',
+  '질문 내용': 'The question',
+  '사용자가 고를 수 있는 답 2~4개': '2-4 answers the user can choose from',
+
+  // lib/projectConfig.js
+  '⚠️  프롬프트 설정 파일을 읽을 수 없습니다 ({filePath}): {message}': '⚠️  Could not read prompt settings file ({filePath}): {message}',
+  '⚠️  {projectJsonFile} 형식이 올바르지 않아 무시합니다: {message}': '⚠️  Ignoring {projectJsonFile} because it is not valid: {message}',
+
+  // lib/promptTemplate.js
+  '충돌난 파일을 확인하는 명령어(git status, git diff --name-only --diff-filter=U)부터 시작해주세요.': 'Start with commands that show the conflicted files (git status, git diff --name-only --diff-filter=U).',
+  '파일 내용을 직접 고쳐야 하는 단계는 명령어로 대신하지 말고 explanation에 안내해주세요.': 'Do not replace steps that require editing file contents with commands; describe them in explanation instead.',
+  '해결 후 add와 진행 중인 작업을 계속하는 명령어(--continue)까지 포함해주세요.': 'After resolving, include git add and the command that continues the operation in progress (--continue).',
+  '현재 진행 중인 병합/리베이스가 없으므로 충돌 상태인지 먼저 확인해주세요.': 'There is no merge/rebase in progress, so first check whether there really is a conflict.',
+  '서브모듈 추가/초기화/업데이트에 맞는 git submodule 명령어를 사용해주세요.': 'Use the git submodule command that matches adding/initializing/updating submodules.',
+  '처음 받는 경우 git submodule update --init --recursive를 고려해주세요.': 'For a fresh clone, consider git submodule update --init --recursive.',
+  '서브모듈 커밋을 바꾼 경우 상위 저장소에서도 커밋이 필요하다는 점을 explanation에 적어주세요.': 'If a submodule commit changes, note in explanation that the parent repository also needs a commit.',
+  '히스토리를 바꾸는 단계는 risk를 "high"로 해주세요.': 'Set risk to "high" for steps that rewrite history.',
+  '대화형 편집기가 열리는 명령어(rebase -i 등)는 편집기에서 할 일을 explanation에 안내해주세요.': 'For commands that open an interactive editor (rebase -i, etc.), explain in explanation what to do in the editor.',
+  '이미 push한 커밋을 바꾸면 --force 대신 --force-with-lease로 push하도록 해주세요.': 'When rewriting commits that were already pushed, push with --force-with-lease instead of --force.',
+  '현재 브랜치의 커밋이 모두 push된 상태이므로 공유된 히스토리를 바꾸게 됨을 알려주세요.': 'All commits on the current branch are already pushed, so point out that this rewrites shared history.',
+  'stash에 메시지를 붙여서(git stash push -m) 나중에 찾기 쉽게 해주세요.': 'Add a message to the stash (git stash push -m) so it is easy to find later.',
+  '추적하지 않는 파일도 필요하면 -u 옵션을 고려해주세요.': 'Consider the -u option if untracked files are needed too.',
+  'stash drop/clear는 되돌리기 어려우므로 risk를 "high"로 해주세요.': 'stash drop/clear is hard to undo, so set risk to "high".',
+  '현재 stash {stashCount}개가 있으니 대상 stash를 stash@{n}으로 명확히 지정해주세요.': 'There are {stashCount} stashes, so name the target stash explicitly as stash@{n}.',
+  '릴리스 태그는 메시지가 있는 주석 태그(git tag -a)로 만들어주세요.': 'Create release tags as annotated tags with a message (git tag -a).',
+  '태그는 git push가 아니라 git push origin <태그> 또는 --tags로 따로 push해야 합니다.': 'Tags are not pushed by git push; push them separately with git push origin <tag> or --tags.',
+  'GitHub 릴리스가 필요하면 gh release create를 사용해도 좋습니다.': 'If a GitHub release is needed, gh release create may be used.',
+  '최근 태그({tag})의 버전 규칙을 따라주세요.': 'Follow the versioning scheme of the latest tag ({tag}).',
+  '원격을 추가/변경할 때는 git remote -v로 현재 설정을 먼저 확인해주세요.': 'When adding/changing remotes, check the current setup with git remote -v first.',
+  '원격 URL에 토큰이나 비밀번호를 넣지 말아주세요.': 'Do not put tokens or passwords in remote URLs.',
+  '현재 브랜치에 추적 브랜치가 없으므로 처음 push할 때 -u 옵션을 사용해주세요.': 'The current branch has no upstream, so use the -u option on the first push.',
+  '되돌리기 전 백업을 권장해주세요.': 'Recommend a backup before undoing anything.',
+  '다양한 되돌리기 옵션을 고려해주세요.': 'Consider the different ways to undo.',
+  '안전한 되돌리기 절차를 제안해주세요.': 'Suggest a safe procedure for undoing.',
+  '이미 push한 커밋은 reset 대신 revert를 우선 고려해주세요.': 'For commits that were already pushed, prefer revert over reset.',
+  '커밋되지 않은 변경사항이 있으므로 reset --hard나 checkout으로 잃지 않도록 주의해주세요.': 'There are uncommitted changes, so take care not to lose them with reset --hard or checkout.',
+  '병합 전 상태 확인을 권장해주세요.': 'Recommend checking the state before merging.',
+  '충돌 가능성을 고려해주세요.': 'Consider the possibility of conflicts.',
+  '안전한 병합 절차를 제안해주세요.': 'Suggest a safe merge procedure.',
+  '현재 브랜치가 {upstream}보다 {behind}개 커밋 뒤처져 있으니 먼저 최신 상태로 맞추는 것을 고려해주세요.': 'The current branch is {behind} commits behind {upstream}, so consider bringing it up to date first.',
+  '브랜치 이름은 명확하고 의미있어야 합니다.': 'Branch names should be clear and meaningful.',
+  '현재 브랜치 상태를 고려해주세요.': 'Take the current branch state into account.',
+  '필요한 경우 브랜치 전환 명령어도 포함해주세요.': 'Include a command to switch branches if needed.',
+  '브랜치 삭제는 -d를 우선 사용하고, -D는 risk를 "high"로 해주세요.': 'Prefer -d for deleting branches, and set risk to "high" for -D.',
+  '커밋 메시지는 명확하고 간결해야 합니다.': 'Commit messages should be clear and concise.',
+  '컨벤션을 따르는 커밋 메시지를 작성해주세요.': 'Write commit messages that follow conventions.',
+  '필요한 경우 파일 추가(add) 명령어도 포함해주세요.': 'Include commands to add files (add) if needed.',
+  '현재 작업 트리가 클린 상태라 커밋할 변경사항이 없다는 점을 고려해주세요.': 'The working tree is currently clean, so keep in mind that there is nothing to commit.',
+  '\n너는 Git 전문가야.\n사용자의 목적은: {userInput}': '\nYou are a Git expert.\nThe user\'s goal is: {userInput}',
+  '\n사용자의 목적은: {userInput}': '\nThe user\'s goal is: {userInput}',
+  '{intro}\n\n이에 따라 사용자가 터미널에서 직접 실행할 Git 명령어 계획을 아래 JSON 형식으로만 출력해줘 (JSON 외의 텍스트 없이):\n{"steps":[{"command":"git ...","explanation":"이 단계가 하는 일","risk":"low","requiresInput":false,"expectedEffect":"실행 후 예상되는 결과"}]}\n- command: 그대로 실행할 수 있는 명령어 한 개 (번호나 기호 없이)\n- risk: 되돌리기 어렵거나 데이터를 잃을 수 있으면 "high", 원격 저장소나 히스토리를 바꾸면 "medium", 그 외 "low"\n- requiresInput: 사용자가 채워야 하는 값(<브랜치명> 등)이 있으면 true\n- explanation, expectedEffect와 질문은 한국어로 작성해줘\n- 필요한 경우 gh 명령어(GitHub CLI)도 사용해도 좋아': '{intro}\n\nBased on this, output a plan of Git commands for the user to run in the terminal, using only the JSON format below (no text outside the JSON):\n{"steps":[{"command":"git ...","explanation":"what this step does","risk":"low","requiresInput":false,"expectedEffect":"the expected result after running it"}]}\n- command: a single command that can be run as is (no numbering or symbols)\n- risk: "high" if it is hard to undo or may lose data, "medium" if it changes a remote or history, otherwise "low"\n- requiresInput: true if there are values the user must fill in (<branch-name>, etc.)\n- Write explanation, expectedEffect and questions in English\n- gh commands (GitHub CLI) may also be used if needed',
+  '중간 설명 없이 바로 실행 가능한 상태로 정리해줘.': 'Make it ready to run as is, without intermediate explanations.',
+  '자동 실행용으로 안전하고 순서대로 실행 가능한 명령어들을 작성해줘.': 'Write safe commands that can be run automatically in order.',
+  '각 단계가 명확히 나뉘도록 순서대로 작성해줘. 사용자가 각 단계를 확인할 수 있게 해줘.': 'Write the steps in order so that each is clearly separated and the user can confirm each one.',
+  '\n\n요청이 모호해서 대상(브랜치, 커밋, 원격 등)을 추측해야 한다면 명령어 대신 질문으로 답해줘:\n{"steps":[],"question":{"text":"질문 내용","choices":["선택지 1","선택지 2"]}}\n- choices에는 현재 환경 정보를 바탕으로 고를 수 있는 답을 2~4개 넣어줘\n- 요청이 충분히 명확하면 question은 null로 하고 steps를 채워줘': '\n\nIf the request is ambiguous and you would have to guess the target (branch, commit, remote, etc.), answer with a question instead of commands:\n{"steps":[],"question":{"text":"the question","choices":["choice 1","choice 2"]}}\n- Put 2-4 answers in choices, based on the current environment\n- If the request is clear enough, set question to null and fill in steps',
+  '\n현재 환경 정보:': '\nCurrent environment:',
+  '\n✅ Git 레포지토리: {repositoryName}': '\n✅ Git repository: {repositoryName}',
+  '\n📁 레포지토리 경로: {repoRoot}': '\n📁 Repository path: {repoRoot}',
+  '\n📍 현재 작업 디렉토리: {currentDir}': '\n📍 Current working directory: {currentDir}',
+  '\n🔗 원격 저장소: {remoteUrl}': '\n🔗 Remote: {remoteUrl}',
+  '\n🔗 원격 저장소: 로컬 전용': '\n🔗 Remote: local only',
+  '\n🌿 현재 브랜치: {currentBranch}': '\n🌿 Current branch: {currentBranch}',
+  '\n⬆️  추적 브랜치: {upstream} (앞선 커밋 {ahead}개, 뒤처진 커밋 {behind}개)': '\n⬆️  Upstream: {upstream} ({ahead} commits ahead, {behind} commits behind)',
+  '\n⬆️  추적 브랜치 없음 (처음 push할 때 -u로 upstream 설정 필요)': '\n⬆️  No upstream (set it with -u on the first push)',
+  '\n🔌 HEAD 분리 상태 (detached HEAD, 커밋 {headCommit})': '\n🔌 Detached HEAD (commit {headCommit})',
+  '\n📊 총 커밋 수: {totalCommits}개': '\n📊 Total commits: {totalCommits}',
+  '\n⚠️  현재 위치가 레포지토리 루트가 아님': '\n⚠️  Not at the repository root',
+  '\n📝 커밋되지 않은 변경사항이 있음': '\n📝 There are uncommitted changes',
+  '\n📄 변경된 파일: {fileCount}개': '\n📄 Changed files: {fileCount}',
+  '\n✨ 작업 트리가 클린 상태': '\n✨ The working tree is clean',
+  '\n📤 푸시되지 않은 커밋이 있음': '\n📤 There are unpushed commits',
+  '\n🌿 로컬 브랜치 ({localBranchCount}개, 최근 순): {branches}': '\n🌿 Local branches ({localBranchCount}, most recent first): {branches}',
+  '\n☁️  원격 브랜치 ({remoteBranchCount}개, 최근 순): {branches}': '\n☁️  Remote branches ({remoteBranchCount}, most recent first): {branches}',
+  '\n📦 stash {stashCount}개:': '\n📦 {stashCount} stashes:',
+  '\n   - 외 {count}개': '\n   - and {count} more',
+  '\n🏷️  최근 태그: {recentTags}': '\n🏷️  Recent tags: {recentTags}',
+  '\n❌ Git 레포지토리가 아님': '\n❌ Not a Git repository',
+  '\n📁 현재 디렉토리: {currentDir}': '\n📁 Current directory: {currentDir}',
+  '\n💡 Git 관련 명령어를 위해서는 레포지토리 초기화가 필요할 수 있음': '\n💡 The repository may need to be initialized for Git commands',
+  '\n\n참고 자료:': '\n\nReference material:',
+  ' (일부 생략)': ' (partially omitted)',
+  '\n\n팀 규칙 (모든 명령어에 반드시 적용):\n{conventions}': '\n\nTeam conventions (must apply to every command):\n{conventions}',
+  '(없음)': '(none)',
+  'Git 레포지토리가 아님': 'not a Git repository',
+  '커밋되지 않은 변경 파일 {fileCount}개': '{fileCount} uncommitted changed files',
+  '작업 트리 클린': 'clean working tree',
+  'push 안 된 커밋 {ahead}개': '{ahead} unpushed commits',
+  '받지 않은 커밋 {behind}개': '{behind} commits not yet pulled',
+  '{type} 진행 중': '{type} in progress',
+  ' 외 {rest}개': ' and {rest} more',
+  ' ({branch} 브랜치)': ' (on branch {branch})',
+  '🚧 {name} 진행 중{branch} - 다른 작업 전에 먼저 마무리하거나 중단해야 함{next}': '🚧 {name} in progress{branch} - finish or abort it before doing anything else{next}',
+  'JSON 형식의 응답이 아닙니다': 'The response is not in JSON format',
+  '답변: {answer}\n\n이 답변을 반영해서 같은 JSON 형식으로 다시 답해줘.\n더 확인할 것이 없으면 question은 null로 하고 steps를 채워줘.': 'Answer: {answer}\n\nReflect this answer and reply again in the same JSON format.\nIf nothing else needs to be clarified, set question to null and fill in steps.',
+  '수정 요청: {feedback}\n\n이 요청을 반영한 전체 명령어 계획을 같은 JSON 형식으로 다시 답해줘.\n수정과 관계없는 단계는 그대로 유지해줘.': 'Change request: {feedback}\n\nReply again with the full command plan reflecting this request, in the same JSON format.\nKeep steps unrelated to the change as they are.',
+  '\n형식 오류:\n{errors}\n': '\nFormat errors:\n{errors}\n',
+  '- 확인이 필요하면 steps를 빈 배열로 하고 question에 질문과 선택지를 넣어줘': '- If you need to clarify something, leave steps as an empty array and put the question and choices in question',
+  '- 브랜치 이름이나 커밋 메시지처럼 확실하지 않은 값은 질문하지 말고 <브랜치명> 같은 자리표시자로 command에 넣고 requiresInput을 true로 해줘': '- Do not ask about uncertain values such as branch names or commit messages; put a placeholder like <branch-name> in command and set requiresInput to true',
+  '방금 응답에서 실행할 명령어를 찾을 수 없었어.{details}\n처음에 요청한 JSON 형식으로만 다시 답해줘 (JSON 외의 텍스트 없이):\n{"steps":[{"command":"git ...","explanation":"...","risk":"low","requiresInput":false,"expectedEffect":"..."}]{question}}\n{uncertain}': 'I could not find any commands to run in your last response.{details}\nReply again using only the JSON format requested at the start (no text outside the JSON):\n{"steps":[{"command":"git ...","explanation":"...","risk":"low","requiresInput":false,"expectedEffect":"..."}]{question}}\n{uncertain}',
+  '작업 유형: {name}\n{lines}': 'Task type: {name}\n{lines}',
+  '\n{name}와 관련된 Git 명령어를 생성해주세요.\n{lines}\n\n사용자 요청: {userPrompt}\n': '\nGenerate Git commands related to {name}.\n{lines}\n\nUser request: {userPrompt}\n',
+  '현재 브랜치: {currentBranch}': 'Current branch: {currentBranch}',
+  '커밋되지 않은 변경사항이 있습니다.': 'There are uncommitted changes.',
+  '푸시되지 않은 커밋이 있습니다.': 'There are unpushed commits.',
+  '\n\n현재 상태:\n{contextInfo}': '\n\nCurrent state:\n{contextInfo}',
+  '명령어 {index}: "{command}" - Git 명령어가 아닙니다.': 'Command {index}: "{command}" - not a Git command.',
+  '\n당신은 Git 명령어 전문가입니다. 사용자의 요청을 받아 적절한 Git 명령어를 생성해주세요.\n\n규칙:\n1. 명령어는 정확하고 안전해야 합니다.\n2. 위험한 명령어의 경우 경고를 포함해주세요.\n3. 명령어에 대한 간단한 설명을 포함해주세요.\n4. 한 번에 하나의 명령어만 제안해주세요.\n5. 응답은 다음 형식으로 해주세요:\n\n```bash\n[git 명령어]\n```\n\n**설명:** [명령어에 대한 설명]\n\n**주의사항:** [있다면 주의사항]\n\n사용자 요청: {prompt}\n': '\nYou are a Git command expert. Take the user\'s request and generate appropriate Git commands.\n\nRules:\n1. Commands must be accurate and safe.\n2. Include a warning for dangerous commands.\n3. Include a short explanation of the command.\n4. Suggest only one command at a time.\n5. Reply in the following format:\n\n```bash\n[git command]\n```\n\n**Explanation:** [explanation of the command]\n\n**Caution:** [cautions, if any]\n\nUser request: {prompt}\n',
+  '충돌 해결': 'conflict resolution',
+  '서브모듈': 'submodules',
+  '히스토리 수정': 'history rewriting',
+  '임시 저장 (stash)': 'stash',
+  '태그/릴리스': 'tags/releases',
+  '원격 저장소': 'remotes',
+  '되돌리기': 'undo',
+  '병합/리베이스': 'merge/rebase',
+  '브랜치': 'branches',
+  '커밋': 'commits',
+  '명령어 {index}: "{command}" - {message}': 'Command {index}: "{command}" - {message}',
+
+  // lib/redactor.js
+  '{secret}… ({count}자)': '{secret}… ({count} chars)',
+  '홈 경로': 'home path',
+  '사용자 이름': 'username',
+  '\n🔒 [DEBUG] 전송 전에 가린 정보 ({count}건):': '\n🔒 [DEBUG] Information hidden before sending ({count}):',
+  '개인 키': 'private key',
+  'URL 인증 정보': 'URL credentials',
+  'GitHub 토큰': 'GitHub token',
+  'AWS 액세스 키': 'AWS access key',
+  'AWS 시크릿 키': 'AWS secret key',
+  'OpenAI/Anthropic API 키': 'OpenAI/Anthropic API key',
+  'Google API 키': 'Google API key',
+
+  // lib/riskAnalyzer.js
+  '안전': 'Safe',
+  '로컬 변경': 'Local change',
+  '원격 변경': 'Remote change',
+  '히스토리 변경': 'Rewrites history',
+  '변경사항 삭제': 'Destroys changes',
+  '{names} 브랜치': 'branch {names}',
+  '{names} 태그': 'tag {names}',
+  'Git 설정을 바꿉니다.': 'Changes the Git configuration.',
+  'GitHub API를 호출합니다.': 'Calls the GitHub API.',
+  'GitHub에 변경사항을 반영합니다.': 'Makes changes on GitHub.',
+  'GitHub에서 {group}을(를) 삭제합니다 (되돌릴 수 없음).': 'Deletes the {group} on GitHub (cannot be undone).',
+  'reflog 기록을 지워서 잃어버린 커밋을 되찾기 어려워집니다.': 'Clears reflog entries, making lost commits hard to recover.',
+  '{branch} 브랜치가 이미 있으면 덮어씁니다.': 'Overwrites branch {branch} if it already exists.',
+  '{names}를 병합 여부와 관계없이 삭제해서 병합되지 않은 커밋을 잃을 수 있습니다.': 'Deletes {names} even if unmerged, which can lose unmerged commits.',
+  '{names}를 삭제합니다 (병합된 브랜치만).': 'Deletes {names} (merged branches only).',
+  '{names}를 삭제합니다.': 'Deletes {names}.',
+  '{paths}의 커밋하지 않은 변경사항을 되돌립니다.': 'Discards uncommitted changes in {paths}.',
+  '{program}: 알 수 없는 명령어라 로컬 변경으로 취급합니다.': '{program}: unknown command, treated as a local change.',
+  '{ref} ref를 삭제합니다.': 'Deletes the ref {ref}.',
+  '{ref} ref를 직접 옮깁니다 (이전 위치는 reflog에만 남음).': 'Moves the ref {ref} directly (the old position stays only in the reflog).',
+  '{stash}를 삭제합니다.': 'Deletes {stash}.',
+  '{tag} 태그가 이미 있으면 다른 커밋으로 옮깁니다.': 'Moves tag {tag} to another commit if it already exists.',
+  '강제 푸시: 원격 브랜치의 커밋을 덮어써서 다른 사람의 커밋이 사라질 수 있습니다.': 'Force push: overwrites commits on the remote branch, which can remove other people\'s commits.',
+  '도달할 수 없는 객체(삭제한 stash, 버린 커밋)를 바로 지워서 복구할 수 없게 됩니다.': 'Removes unreachable objects (dropped stashes, discarded commits) right away so they cannot be recovered.',
+  '로컬 저장소를 바꿉니다.': 'Changes the local repository.',
+  '로컬 커밋을 원격 브랜치 위로 다시 만듭니다.': 'Recreates local commits on top of the remote branch.',
+  '로컬에 없는 원격 브랜치를 삭제합니다.': 'Deletes remote branches that do not exist locally.',
+  '마지막 커밋을 새 커밋으로 바꿉니다.': 'Replaces the last commit with a new one.',
+  '모든 stash를 삭제합니다.': 'Deletes all stashes.',
+  '변경사항을 stash에 보관하거나 꺼냅니다.': 'Stores changes in or restores them from the stash.',
+  '브랜치 목록을 봅니다.': 'Lists branches.',
+  '브랜치 설정을 바꿉니다.': 'Changes branch settings.',
+  '브랜치를 만듭니다.': 'Creates a branch.',
+  '브랜치를 전환합니다.': 'Switches branches.',
+  '삭제할 객체 목록만 확인합니다.': 'Only lists the objects that would be removed.',
+  '삭제할 파일 목록만 확인합니다.': 'Only lists the files that would be removed.',
+  '새 브랜치를 만들고 전환합니다.': 'Creates a new branch and switches to it.',
+  '스테이징을 취소합니다.': 'Unstages changes.',
+  '여러 ref를 직접 바꿉니다.': 'Changes several refs directly.',
+  '워크트리를 커밋하지 않은 변경사항과 함께 삭제합니다.': 'Removes the worktree along with its uncommitted changes.',
+  '원격 변경사항을 가져와 병합합니다.': 'Fetches and merges remote changes.',
+  '원격 브랜치 정보를 가져옵니다.': 'Fetches remote branch information.',
+  '원격 브랜치나 태그를 삭제합니다.': 'Deletes a remote branch or tag.',
+  '원격 저장소 설정을 바꿉니다.': 'Changes remote settings.',
+  '원격 저장소에 커밋을 올립니다.': 'Uploads commits to the remote repository.',
+  '읽기 전용 명령어입니다.': 'Read-only command.',
+  '작업 트리의 변경사항을 버리고 전환합니다.': 'Discards working tree changes and switches.',
+  '저장소 전체 히스토리를 다시 씁니다.': 'Rewrites the entire repository history.',
+  '저장소를 정리합니다.': 'Cleans up the repository.',
+  '진행 중인 리베이스를 중단합니다.': 'Stops the rebase in progress.',
+  '찾은 파일을 삭제하거나 다른 명령어를 실행합니다.': 'Deletes the found files or runs other commands on them.',
+  '추적하지 않는 파일과 .gitignore에 있는 파일을 삭제합니다.': 'Deletes untracked files and files listed in .gitignore.',
+  '추적하지 않는 파일을 삭제할 수 있습니다.': 'May delete untracked files.',
+  '추적하지 않는 파일을 삭제합니다.': 'Deletes untracked files.',
+  '커밋을 다시 만들어 히스토리를 바꿉니다 (이미 푸시한 커밋이면 강제 푸시가 필요합니다).': 'Recreates commits and rewrites history (already pushed commits will need a force push).',
+  '커밋을 만듭니다.': 'Creates a commit.',
+  '커밋하지 않은 변경사항(스테이징 포함)을 모두 버립니다.': 'Discards all uncommitted changes, including staged ones.',
+  '커밋하지 않은 변경사항이 있어도 파일을 삭제합니다.': 'Deletes files even if they have uncommitted changes.',
+  '태그 목록을 봅니다.': 'Lists tags.',
+  '태그를 만듭니다.': 'Creates a tag.',
+  '파일을 바꿉니다.': 'Changes files.',
+  '파일을 삭제합니다 (Git에 없는 파일은 복구할 수 없음).': 'Deletes files (files not in Git cannot be recovered).',
+  '파일을 삭제합니다 (커밋한 내용은 히스토리에 남음).': 'Deletes files (committed content stays in history).',
+  '푸시하지 않고 결과만 확인합니다.': 'Only shows what would be pushed.',
+  '현재 브랜치를 {target}(으)로 옮겨서 그 뒤의 커밋이 브랜치에서 빠집니다.': 'Moves the current branch to {target}, dropping the commits after it from the branch.',
+  '충돌 중인 패치만 확인합니다.': 'Only shows the patch being applied.',
+  '진행 중인 리베이스를 이어서 진행합니다.': 'Continues the rebase in progress.',
+
+  // lib/shellParser.js
+  '명령어가 \\ 로 끝납니다.': 'The command ends with \\.',
+  '작은따옴표(\')가 닫히지 않았습니다.': 'Unclosed single quote (\').',
+  '큰따옴표(")가 닫히지 않았습니다.': 'Unclosed double quote (").',
+  '$\'...\' 따옴표가 닫히지 않았습니다.': 'Unclosed $\'...\' quote.',
+  '명령어 치환($(...), `...`)은 지원하지 않습니다. 결과 값을 직접 적어주세요.': 'Command substitution ($(...), `...`) is not supported. Write the resulting value directly.',
+  '환경변수($NAME)는 펼치지 않습니다. 값을 직접 적어주세요.': 'Environment variables ($NAME) are not expanded. Write the value directly.',
+  '명령어 연결 "{operator}"는 지원하지 않습니다. 명령어를 한 줄에 하나씩 나눠주세요.': 'Command chaining "{operator}" is not supported. Put one command per line.',
+  '파이프 "{operator}"는 지원하지 않습니다.': 'Pipes "{operator}" are not supported.',
+  '백그라운드 실행 "&"는 지원하지 않습니다.': 'Background execution "&" is not supported.',
+  '서브셸 "( )"은 지원하지 않습니다.': 'Subshells "( )" are not supported.',
+  '리디렉션 "{operator}"는 지원하지 않습니다. 출력은 터미널에 표시됩니다.': 'Redirection "{operator}" is not supported. Output is shown in the terminal.',
+  '빈 명령어입니다.': 'The command is empty.',
+  '"{value}"의 와일드카드는 펼쳐지지 않습니다. 파일 이름을 직접 적어주세요.': 'Wildcards in "{value}" are not expanded. Write the file names directly.',
+  '"{value}" 앞이나 뒤에 명령어가 없습니다.': 'There is no command before or after "{value}".',
+
+  // lib/snapshot.js
+  ' 외 {count}개': ' and {count} more',
+
+  // lib/usageTracker.js
+  '사용량 데이터 저장 실패: {message}': 'Failed to save usage data: {message}',
+  '   적중: {hits}회 / 실패: {misses}회 (적중률 {hitRate}%)': '   Hits: {hits} / misses: {misses} (hit rate {hitRate}%)',
+  '\n📊 {name} 일일 사용량:': '\n📊 {name} daily usage:',
+  '   사용됨: {used} 토큰': '   Used: {used} tokens',
+  '   요청수: {requests}회': '   Requests: {requests}',
+  '   ✅ 일일 한도가 없습니다': '   ✅ No daily limit',
+  '   입력: {promptTokens} / 출력: {completionTokens}': '   Input: {promptTokens} / output: {completionTokens}',
+  '추정 남은량': 'Estimated remaining',
+  '남은량': 'Remaining',
+  '   {label}: {remaining} 토큰': '   {label}: {remaining} tokens',
+  '추정 사용률': 'Estimated usage',
+  '사용률': 'Usage',
+  '   게이지: {gauge} {percentage}%': '   Gauge: {gauge} {percentage}%',
+  '   ⚠️  일일 한도에 거의 도달했습니다!': '   ⚠️  Almost at the daily limit!',
+  '   ⚠️  일일 한도의 70%를 사용했습니다.': '   ⚠️  70% of the daily limit has been used.',
+  '   💡 한도는 추정값입니다{note}': '   💡 The limit is an estimate{note}',
+  '📊 {used} 토큰 ({requests}회, 한도 없음)': '📊 {used} tokens ({requests} requests, no limit)',
+  ', 추정 한도': ', estimated limit',
+  '📊 {gauge} {percentage}% ({requests}회{suffix})': '📊 {gauge} {percentage}% ({requests} requests{suffix})',
+  '📊 API 사용량 정보': '📊 API usage info',
+  '✅ 이번 요청: {total_tokens} 토큰': '✅ This request: {total_tokens} tokens',
+  '   프롬프트: {prompt_tokens} 토큰': '   Prompt: {prompt_tokens} tokens',
+  '   응답: {completion_tokens} 토큰': '   Response: {completion_tokens} tokens',
+  '✅ 이번 요청: 약 {estimatedTokens} 토큰 (추정)': '✅ This request: about {estimatedTokens} tokens (estimated)',
+  '✅ 사용량이 초기화되었습니다.': '✅ Usage has been reset.',
+
+  // lib/providers/chatgpt.js
+  'ChatGPT API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.': 'The ChatGPT API key is not valid. Check it with rltgjqm config.',
+  'ChatGPT API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.': 'The ChatGPT API rate limit was exceeded. Please try again later.',
+  'ChatGPT API 서버 오류입니다. 잠시 후 다시 시도하세요.': 'ChatGPT API server error. Please try again later.',
+  'OpenAI API 키는 "sk-"로 시작합니다.': 'OpenAI API keys start with "sk-".',
+
+  // lib/providers/claude.js
+  '너는 Git 명령어 전문가야. 사용자 메시지에서 요청한 출력 형식을 정확히 지켜서 답변해줘.': 'You are a Git command expert. Follow the output format requested in the user message exactly.',
+  'Git 명령어 실행 계획을 제출합니다.': 'Submit a plan of Git commands to run.',
+  'Claude API 응답 형식이 올바르지 않습니다.': 'The Claude API response format is invalid.',
+  '알 수 없는 오류': 'unknown error',
+  'Claude 스트리밍 오류: {error}': 'Claude streaming error: {error}',
+  'Claude 요청 형식이 올바르지 않습니다.': 'The Claude request format is invalid.',
+  'Claude API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.': 'The Claude API key is not valid. Check it with rltgjqm config.',
+  'Claude API 접근 권한이 없습니다. API 키 권한을 확인하세요.': 'No permission to access the Claude API. Check the API key permissions.',
+  'Claude 모델을 찾을 수 없습니다. 현재 모델: {model}': 'Claude model not found. Current model: {model}',
+  'Claude API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.': 'The Claude API rate limit was exceeded. Please try again later.',
+  'Claude API 서버가 과부하 상태입니다. 잠시 후 다시 시도하세요.': 'The Claude API server is overloaded. Please try again later.',
+  'Claude API 서버 오류입니다. 잠시 후 다시 시도하세요.': 'Claude API server error. Please try again later.',
+  'Anthropic API 키는 "sk-ant-"로 시작합니다.': 'Anthropic API keys start with "sk-ant-".',
+  '정확한 한도는 Anthropic Console에서 확인': 'check the Anthropic Console for exact limits',
+
+  // lib/providers/gemini.js
+  'Gemini API 응답 형식이 올바르지 않습니다.': 'The Gemini API response format is invalid.',
+  'Gemini 요청 형식이 올바르지 않습니다.': 'The Gemini request format is invalid.',
+  'Gemini API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.': 'The Gemini API key is not valid. Check it with rltgjqm config.',
+  'Gemini API 접근 권한이 없습니다. API 키 권한을 확인하세요.': 'No permission to access the Gemini API. Check the API key permissions.',
+  'Gemini 모델을 찾을 수 없습니다. 현재 모델: {model}': 'Gemini model not found. Current model: {model}',
+  'Gemini API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.': 'The Gemini API rate limit was exceeded. Please try again later.',
+  '정확한 사용량은 Google AI Studio에서 확인': 'check Google AI Studio for exact usage',
+
+  // lib/providers/index.js
+  '프로바이더 모듈에 필수 항목이 없습니다: {missing}': 'The provider module is missing required fields: {missing}',
+  '이미 등록된 프로바이더 ID입니다: {id}': 'Provider ID is already registered: {id}',
+  '⚠️  사용자 프로바이더 디렉토리를 읽을 수 없습니다: {message}': '⚠️  Could not read the user provider directory: {message}',
+  '⚠️  사용자 프로바이더 로딩 실패 ({file}): {message}': '⚠️  Failed to load user provider ({file}): {message}',
+
+  // lib/providers/local.js
+  '로컬 AI 서버': 'local AI server',
+  '로컬 AI 서버가 인증을 거부했습니다. rltgjqm config로 API 키를 확인하세요.': 'The local AI server rejected authentication. Check the API key with rltgjqm config.',
+  '로컬 AI 서버에서 모델 또는 엔드포인트를 찾을 수 없습니다. 현재 모델: {model}': 'The local AI server could not find the model or endpoint. Current model: {model}',
+  '💡 서버 주소가 /v1 까지 포함하는지 확인하세요: {baseUrl}': '💡 Check that the server address includes /v1: {baseUrl}',
+  '로컬 AI 서버 오류입니다. 서버 로그를 확인하세요.': 'Local AI server error. Check the server logs.',
+  '로컬 AI 서버에 연결할 수 없습니다: {baseUrl}': 'Could not connect to the local AI server: {baseUrl}',
+  '💡 서버가 실행 중인지 확인하세요 (예: ollama serve).': '💡 Check that the server is running (e.g. ollama serve).',
+  '요청 시간 초과. 로컬 모델 로딩 상태를 확인하세요.': 'Request timed out. Check whether the local model is still loading.',
+  '로컬 AI 서버 주소를 찾을 수 없습니다: {baseUrl}': 'Could not find the local AI server address: {baseUrl}',
+  'Local (OpenAI 호환)': 'Local (OpenAI compatible)',
+  'Ollama, llama.cpp server, LM Studio, vLLM 등 (외부로 데이터가 나가지 않음)': 'Ollama, llama.cpp server, LM Studio, vLLM, etc. (no data leaves your machine)',
+
+  // lib/providers/messages.js
+  '[이전 AI 응답]': '[Previous AI response]',
+  '[사용자]': '[User]',
+
+  // lib/providers/openaiCompatible.js
+  '{name} 응답 형식이 올바르지 않습니다.': 'The {name} response format is invalid.'
+};
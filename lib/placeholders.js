@@ -0,0 +1,217 @@
+const execa = require('execa');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const shellParser = require('./shellParser');
+const { t } = require('./i18n');
+
+/**
+ * 생성된 명령어의 자리표시자 (<branch-name>, [URL], {tag}, YOUR_USERNAME) 찾기와 채우기
+ * 자리표시자가 남은 명령어는 그대로 실행하지 않고, 실행 전에 사용자에게 값을 입력받음
+ */
+class Placeholders {
+  constructor() {
+    this.patterns = [
+      // <브랜치명>, feature/<name> (--format="<%an>"이나 <a@b.com> 같은 값은 제외)
+      /<([A-Za-z가-힣_][^<>@%\n]*)>/g,
+      // [URL], "[커밋 메시지]" (인자 전체일 때만, "[WIP] 수정" 같은 메시지는 제외)
+      /(?<=^|\s|["'])\[([A-Za-z가-힣_][^[\]\n]*)\](?=$|\s|["'])/g,
+      // {branch} (HEAD@{1}, ${VAR}는 제외)
+      /(?<![@$])\{([A-Za-z가-힣_][^{}\n]*)\}/g,
+      // YOUR_USERNAME
+      /\bYOUR_[A-Z0-9_]+\b/g
+    ];
+    // 자리표시자 이름으로 추천 값 종류 결정 (위에서부터 먼저 맞는 것)
+    this.kinds = [
+      { id: 'url', pattern: /url|주소|repo|저장소/i },
+      { id: 'tag', pattern: /tag|태그|version|버전/i },
+      { id: 'branch', pattern: /branch|브랜치|base|target|feature/i },
+      { id: 'remote', pattern: /remote|원격|upstream/i }
+    ];
+    this.maxSuggestions = 15;
+  }
+
+  /**
+   * 명령어에서 자리표시자 찾기
+   * @param {string} command - 명령어
+   * @returns {Array<{text: string, name: string, index: number}>} text: 명령어에 적힌 그대로, name: 괄호 안 이름
+   */
+  find(command) {
+    const found = [];
+    const text = String(command || '');
+    this.patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        // [...]는 앞뒤가 둘 다 공백이거나 같은 따옴표일 때만
+        const before = (text[match.index - 1] || ' ').replace(/\s/, ' ');
+        const after = (text[match.index + match[0].length] || ' ').replace(/\s/, ' ');
+        if (match[0].startsWith('[') && before !== after) {
+          continue;
+        }
+        const overlaps = found.some(item => match.index < item.index + item.text.length && item.index < match.index + match[0].length);
+        if (!overlaps) {
+          found.push({ text: match[0], name: (match[1] || match[0]).trim(), index: match.index });
+        }
+      }
+    });
+    return found.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * 자리표시자를 값으로 바꾸기 (따옴표 안이면 그 따옴표 규칙에 맞게 이스케이프)
+   * @param {string} command - 명령어
+   * @param {Object} values - { 자리표시자 text: 값 }
+   * @returns {string} 값이 채워진 명령어 (values에 없는 자리표시자는 그대로)
+   */
+  fill(command, values) {
+    let result = command;
+    // 뒤에서부터 바꿔야 앞쪽 위치가 그대로 유지됨
+    this.find(command).reverse().forEach(item => {
+      if (!Object.prototype.hasOwnProperty.call(values, item.text)) {
+        return;
+      }
+      const value = shellParser.escapeAt(result, item.index, values[item.text]);
+      result = result.slice(0, item.index) + value + result.slice(item.index + item.text.length);
+    });
+    return result;
+  }
+
+  /**
+   * 자리표시자를 임시 값으로 바꾼 명령어 (값을 채우기 전에 셸 문법 검사용)
+   */
+  sample(command) {
+    const values = {};
+    this.find(command).forEach(item => {
+      values[item.text] = 'value';
+    });
+    return this.fill(command, values);
+  }
+
+  /**
+   * 자리표시자 이름에 맞는 추천 값 (브랜치, 원격 저장소, URL, 태그)
+   * @param {string} name - 자리표시자 이름
+   * @returns {Promise<Array<string>>}
+   */
+  async getSuggestions(name) {
+    const kind = this.kinds.find(item => item.pattern.test(name));
+    if (!kind) {
+      return [];
+    }
+
+    const git = async (args) => {
+      try {
+        const result = await execa('git', args, { cwd: process.cwd(), stdio: 'pipe', timeout: 5000 });
+        return result.stdout.split('\n').map(line => line.trim()).filter(Boolean);
+      } catch (error) {
+        return [];
+      }
+    };
+
+    let suggestions = [];
+    if (kind.id === 'branch') {
+      suggestions = (await git(['for-each-ref', '--sort=-committerdate', '--format=%(refname:short)', 'refs/heads', 'refs/remotes']))
+        .filter(ref => !ref.endsWith('/HEAD'));
+    } else if (kind.id === 'remote') {
+      suggestions = await git(['remote']);
+    } else if (kind.id === 'url') {
+      suggestions = (await git(['remote', '-v'])).map(line => line.split(/\s+/)[1]).filter(Boolean);
+    } else if (kind.id === 'tag') {
+      suggestions = await git(['tag', '--sort=-creatordate']);
+    }
+
+    return [...new Set(suggestions)].slice(0, this.maxSuggestions);
+  }
+
+  /**
+   * 자리표시자 하나의 값 입력받기 (추천 값이 있으면 목록에서 선택)
+   * "Fix <Header> rendering"처럼 자리표시자가 아닌 글자는 그대로 두기를 고를 수 있음
+   * @returns {Promise<string|null>} 입력한 값 (그대로 두면 placeholder.text, 취소하면 null)
+   */
+  async ask(placeholder) {
+    const suggestions = await this.getSuggestions(placeholder.name);
+
+    const choices = suggestions.map(suggestion => ({ name: suggestion, value: { value: suggestion } }));
+    choices.push(
+      { name: t('✏️  직접 입력'), value: { action: 'input' } },
+      { name: t('📝 그대로 두기 ({text}는 자리표시자가 아님)', { text: placeholder.text }), value: { value: placeholder.text } },
+      { name: t('❌ 취소'), value: { action: 'cancel' } }
+    );
+
+    const { selection } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'selection',
+        message: t('{text} 값을 선택하세요:', { text: placeholder.text }),
+        choices,
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+
+    if (selection.action === 'cancel') {
+      return null;
+    }
+    if (!selection.action) {
+      return selection.value;
+    }
+
+    const { value } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'value',
+        message: t('{text} 값을 입력하세요 (비워두면 취소):', { text: placeholder.text }),
+        filter: (input) => input.trim(),
+        prefix: '',
+        suffix: ''
+      }
+    ]);
+    return value || null;
+  }
+
+  /**
+   * 계획의 모든 자리표시자를 입력받아 채우기 (같은 자리표시자는 한 번만 묻고 모든 단계에 적용)
+   * @param {Array<Object>} steps - 명령어 단계
+   * @returns {Promise<Array<Object>|null>} 값이 채워진 단계 (자리표시자가 없으면 그대로, 취소하면 null)
+   *          자리표시자가 있던 단계는 placeholdersConfirmed: true
+   */
+  async fillSteps(steps) {
+    const pending = [];
+    steps.forEach(step => {
+      this.find(step.command).forEach(item => {
+        if (!pending.some(other => other.text === item.text)) {
+          pending.push(item);
+        }
+      });
+    });
+
+    if (pending.length === 0) {
+      return steps;
+    }
+
+    console.log(chalk.yellow(t('\n✏️  실행 전에 채워야 하는 값이 있습니다: {names}', { names: pending.map(item => item.text).join(', ') })));
+
+    const values = {};
+    for (const item of pending) {
+      const value = await this.ask(item);
+      if (value === null) {
+        return null;
+      }
+      // 그대로 두기를 고르거나 같은 글자를 입력하면 바꾸지 않음
+      if (value !== item.text) {
+        values[item.text] = value;
+      }
+    }
+
+    // 자리표시자가 있던 단계는 확인을 마친 것으로 표시 (남은 글자는 사용자가 그대로 두기로 한 것이므로 실행할 때 다시 막지 않음)
+    return steps.map(step => {
+      if (this.find(step.command).length === 0) {
+        return step;
+      }
+      const command = this.fill(step.command, values);
+      if (command !== step.command) {
+        console.log(chalk.cyan(`   ✏️  ${command}`));
+      }
+      return { ...step, command, requiresInput: false, placeholdersConfirmed: true };
+    });
+  }
+}
+
+module.exports = new Placeholders();
@@ -0,0 +1,43 @@
+/**
+ * 두 명령어 계획의 차이 계산 (명령어 기준 최장 공통 부분열)
+ * @param {Array<Object>} oldSteps - 이전 계획의 단계
+ * @param {Array<Object>} newSteps - 수정된 계획의 단계
+ * @returns {Array<{type: string, step: Object, index: number}>}
+ *          type: 'same' | 'removed' | 'added', index는 해당 계획에서의 번호 (removed는 이전 계획, 나머지는 수정된 계획 기준)
+ */
+function diffPlans(oldSteps, newSteps) {
+  const oldCommands = oldSteps.map(step => step.command);
+  const newCommands = newSteps.map(step => step.command);
+
+  // lengths[i][j] = oldCommands[i:]와 newCommands[j:]의 공통 부분열 길이
+  const lengths = Array.from({ length: oldCommands.length + 1 }, () => new Array(newCommands.length + 1).fill(0));
+  for (let i = oldCommands.length - 1; i >= 0; i--) {
+    for (let j = newCommands.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldCommands[i] === newCommands[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldCommands.length || j < newCommands.length) {
+    if (i < oldCommands.length && j < newCommands.length && oldCommands[i] === newCommands[j]) {
+      changes.push({ type: 'same', step: newSteps[j], index: j + 1 });
+      i++;
+      j++;
+    } else if (j >= newCommands.length || (i < oldCommands.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      changes.push({ type: 'removed', step: oldSteps[i], index: i + 1 });
+      i++;
+    } else {
+      changes.push({ type: 'added', step: newSteps[j], index: j + 1 });
+      j++;
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  diffPlans
+};
@@ -0,0 +1,205 @@
+/**
+ * AI가 생성하는 명령어 계획(JSON)의 스키마와 검증
+ *
+ * { "steps": [ { command, explanation, risk, requiresInput, expectedEffect } ] }
+ * 대화 모드에서는 요청이 모호할 때 steps 대신 { "question": { text, choices } } 로 되물을 수 있음
+ * 프로바이더의 JSON 모드 / 응답 스키마 / 함수 호출에 그대로 전달되므로 JSON Schema 형식으로 작성
+ */
+
+const { t } = require('./i18n');
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['steps'],
+  properties: {
+    steps: {
+      type: 'array',
+      description: '순서대로 실행할 명령어 단계',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['command', 'explanation', 'risk', 'requiresInput', 'expectedEffect'],
+        properties: {
+          command: {
+            type: 'string',
+            description: '터미널에서 그대로 실행할 명령어 한 개 (git 또는 gh)'
+          },
+          explanation: {
+            type: 'string',
+            description: '이 단계가 하는 일'
+          },
+          risk: {
+            type: 'string',
+            enum: RISK_LEVELS,
+            description: 'low: 안전, medium: 원격/히스토리 변경, high: 되돌리기 어렵거나 데이터 손실 가능'
+          },
+          requiresInput: {
+            type: 'boolean',
+            description: '사용자가 채워야 하는 값(<브랜치명> 등)이 있으면 true'
+          },
+          expectedEffect: {
+            type: 'string',
+            description: '실행 후 예상되는 결과'
+          }
+        }
+      }
+    }
+  }
+};
+
+const QUESTION_SCHEMA = {
+  type: ['object', 'null'],
+  additionalProperties: false,
+  required: ['text', 'choices'],
+  description: '요청이 모호해서 확인이 필요할 때 사용자에게 되물을 질문 (명확하면 null)',
+  properties: {
+    text: {
+      type: 'string',
+      description: '질문 내용'
+    },
+    choices: {
+      type: 'array',
+      description: '사용자가 고를 수 있는 답 2~4개',
+      items: {
+        type: 'string'
+      }
+    }
+  }
+};
+
+// 대화 모드용 스키마 (질문할 때는 steps를 빈 배열로)
+const DIALOGUE_SCHEMA = {
+  ...PLAN_SCHEMA,
+  required: ['steps', 'question'],
+  properties: {
+    ...PLAN_SCHEMA.properties,
+    question: QUESTION_SCHEMA
+  }
+};
+
+/**
+ * 스키마의 description을 현재 언어로 바꾼 복사본 (프로바이더에 전달할 때 사용)
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} description만 번역된 새 스키마
+ */
+function localizeSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(localizeSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  Object.keys(schema).forEach(key => {
+    result[key] = key === 'description' && typeof schema[key] === 'string'
+      ? t(schema[key])
+      : localizeSchema(schema[key]);
+  });
+  return result;
+}
+
+/**
+ * 값의 JSON 타입
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * JSON Schema 검증 (이 스키마에서 사용하는 type(배열 포함), required, properties, additionalProperties, items, enum만 지원)
+ * @param {*} value - 검사할 값
+ * @param {Object} schema - JSON Schema
+ * @param {string} location - 오류 메시지에 표시할 위치
+ * @returns {Array<string>} 오류 목록 (비어 있으면 유효)
+ */
+function validateSchema(value, schema, location = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (types.length > 0 && !types.includes(actual)) {
+    return [t('{location}: {types} 타입이어야 합니다 (현재: {actual})', { location, types: types.join(t(' 또는 ')), actual })];
+  }
+  if (actual === 'null') {
+    return [];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(t('{location}: {enum} 중 하나여야 합니다 (현재: {value})', { location, enum: schema.enum.join(', '), value: JSON.stringify(value) }));
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(t('{location}.{key}: 필수 항목이 없습니다', { location, key }));
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], `${location}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(t('{location}.{key}: 허용되지 않는 항목입니다', { location, key }));
+      }
+    });
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${location}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 명령어 계획 검증
+ * @param {*} plan - JSON.parse 결과
+ * @param {Object} schema - PLAN_SCHEMA 또는 DIALOGUE_SCHEMA
+ * @returns {{valid: boolean, errors: Array<string>, steps: Array<Object>, question: Object|null}}
+ *          question은 단계 없이 질문만 온 경우에만 { text, choices }
+ */
+function validatePlan(plan, schema = PLAN_SCHEMA) {
+  const errors = validateSchema(plan, schema);
+  let question = null;
+
+  if (errors.length === 0) {
+    if (plan.question && plan.question.text.trim() && plan.steps.length === 0) {
+      question = {
+        text: plan.question.text.trim(),
+        choices: plan.question.choices.map(choice => choice.trim()).filter(Boolean)
+      };
+    } else if (plan.steps.length === 0) {
+      errors.push(t('$.steps: 최소 한 개의 단계가 필요합니다'));
+    }
+    plan.steps.forEach((step, index) => {
+      if (!step.command.trim()) {
+        errors.push(t('$.steps[{index}].command: 비어 있습니다', { index }));
+      }
+    });
+  }
+
+  const valid = errors.length === 0;
+  return {
+    valid,
+    errors,
+    steps: valid ? plan.steps.map(step => ({ ...step, command: step.command.trim() })) : [],
+    question: valid ? question : null
+  };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  PLAN_SCHEMA,
+  DIALOGUE_SCHEMA,
+  localizeSchema,
+  validateSchema,
+  validatePlan
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const { t } = require('./i18n');
+
+/**
+ * 사용자 정의 프롬프트 템플릿과 프로젝트 규칙
+ *
+ * 전역: ~/.rltgjqm/templates/
+ * - base.md: 기본 템플릿 앞부분 덮어쓰기
+ * - append.md: 모든 프롬프트 끝에 추가
+ * - dry.md, auto.md, interactive.md: 실행 모드별 지침 덮어쓰기
+ * - conventions.md: 모든 저장소에 적용할 규칙
+ *
+ * 저장소 루트:
+ * - .rltgjqm.json: { template, append, modes: { dry, auto, interactive }, conventions: [] }
+ * - .rltgjqm.md: 규칙 (마크다운 그대로 추가)
+ *
+ * template/modes는 저장소 설정이 전역 설정보다 우선하고, append/conventions는 전역 → 저장소 순서로 모두 추가
+ * 템플릿에는 {prompt}, {branch}, {status}, {repo}, {mode}, {upstream} 자리표시자를 사용할 수 있음
+ */
+class ProjectConfig {
+  constructor() {
+    this.globalTemplateDir = path.join(os.homedir(), '.rltgjqm', 'templates');
+    this.projectJsonFile = '.rltgjqm.json';
+    this.projectMarkdownFile = '.rltgjqm.md';
+    this.modes = ['dry', 'auto', 'interactive'];
+  }
+
+  /**
+   * 설정이 없을 때의 기본값
+   */
+  empty() {
+    return {
+      template: null,
+      append: [],
+      modes: {},
+      conventions: [],
+      sources: []
+    };
+  }
+
+  readText(filePath) {
+    try {
+      if (fs.existsSync(filePath)) {
+        return fs.readFileSync(filePath, 'utf-8').trim() || null;
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(t('⚠️  프롬프트 설정 파일을 읽을 수 없습니다 ({filePath}): {message}', { filePath, message: error.message })));
+    }
+    return null;
+  }
+
+  /**
+   * ~/.rltgjqm/templates/ 읽기
+   */
+  loadGlobal(result, dir = this.globalTemplateDir) {
+    const file = (name) => {
+      const filePath = path.join(dir, name);
+      const text = this.readText(filePath);
+      if (text) {
+        result.sources.push(filePath);
+      }
+      return text;
+    };
+
+    result.template = file('base.md') || result.template;
+    this.modes.forEach(mode => {
+      const text = file(`${mode}.md`);
+      if (text) {
+        result.modes[mode] = text;
+      }
+    });
+
+    const append = file('append.md');
+    if (append) {
+      result.append.push(append);
+    }
+    const conventions = file('conventions.md');
+    if (conventions) {
+      result.conventions.push(conventions);
+    }
+  }
+
+  /**
+   * 저장소 루트의 .rltgjqm.json / .rltgjqm.md 읽기
+   */
+  loadProject(result, repoRoot) {
+    const jsonPath = path.join(repoRoot, this.projectJsonFile);
+    const jsonText = this.readText(jsonPath);
+    if (jsonText) {
+      let settings = null;
+      try {
+        settings = JSON.parse(jsonText);
+      } catch (error) {
+        console.warn(chalk.yellow(t('⚠️  {projectJsonFile} 형식이 올바르지 않아 무시합니다: {message}', { projectJsonFile: this.projectJsonFile, message: error.message })));
+      }
+
+      if (settings && typeof settings === 'object') {
+        result.sources.push(jsonPath);
+        if (typeof settings.template === 'string' && settings.template.trim()) {
+          result.template = settings.template;
+        }
+        if (settings.modes && typeof settings.modes === 'object') {
+          this.modes.forEach(mode => {
+            if (typeof settings.modes[mode] === 'string' && settings.modes[mode].trim()) {
+              result.modes[mode] = settings.modes[mode];
+            }
+          });
+        }
+        if (typeof settings.append === 'string' && settings.append.trim()) {
+          result.append.push(settings.append);
+        }
+        if (Array.isArray(settings.conventions)) {
+          const conventions = settings.conventions.filter(item => typeof item === 'string' && item.trim());
+          if (conventions.length > 0) {
+            result.conventions.push(conventions.map(item => `- ${item.trim()}`).join('\n'));
+          }
+        }
+      }
+    }
+
+    const markdownPath = path.join(repoRoot, this.projectMarkdownFile);
+    const markdown = this.readText(markdownPath);
+    if (markdown) {
+      result.sources.push(markdownPath);
+      result.conventions.push(markdown);
+    }
+  }
+
+  /**
+   * 전역 템플릿과 저장소 설정을 합쳐서 불러오기
+   * @param {string} repoRoot - 저장소 루트 (Git 저장소가 아니면 빈 값)
+   * @returns {Object} { template, append: [], modes: {}, conventions: [], sources: [] }
+   */
+  load(repoRoot) {
+    const result = this.empty();
+    this.loadGlobal(result);
+    if (repoRoot) {
+      this.loadProject(result, repoRoot);
+    }
+    return result;
+  }
+
+  /**
+   * 캐시 키에 사용할 설정 내용 (설정 파일이 바뀌면 다른 값)
+   */
+  signature(project) {
+    if (!project || project.sources.length === 0) {
+      return '';
+    }
+    return JSON.stringify([project.template, project.modes, project.append, project.conventions]);
+  }
+
+  /**
+   * 자리표시자 치환 ({prompt}, {branch} 등 알려진 이름만 바꾸고 나머지 중괄호는 그대로 둠)
+   * @param {string} template - 템플릿 텍스트
+   * @param {Object} values - { prompt, branch, status, repo, mode, upstream }
+   */
+  render(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+    ));
+  }
+}
+
+module.exports = new ProjectConfig();
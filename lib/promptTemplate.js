@@ -1,8 +1,19 @@
+const { PLAN_SCHEMA, DIALOGUE_SCHEMA, validatePlan } = require('./planSchema');
+const projectConfig = require('./projectConfig');
+const riskAnalyzer = require('./riskAnalyzer');
+const placeholders = require('./placeholders');
+const { t } = require('./i18n');
+
 /**
  * 프롬프트 템플릿 관련 함수들
  */
 class PromptTemplate {
   constructor() {
+    // AI 응답 형식 (structuredOutput을 지원하는 프로바이더에 그대로 전달)
+    this.planSchema = PLAN_SCHEMA;
+    // 대화 모드 응답 형식 (모호한 요청이면 질문으로 응답 가능)
+    this.dialogueSchema = DIALOGUE_SCHEMA;
+
     this.baseTemplate = `
 당신은 Git 명령어 전문가입니다. 사용자의 요청을 받아 적절한 Git 명령어를 생성해주세요.
 
@@ -23,6 +34,120 @@ class PromptTemplate {
 
 사용자 요청: {prompt}
 `;
+
+    // 작업 유형별 지침 (위에서부터 먼저 맞는 유형 사용 - 구체적인 유형을 앞에 둠)
+    // guidance(gitStatus)는 현재 저장소 상태를 반영한 지침 목록을 반환
+    this.taskTypes = [
+      {
+        id: 'conflict',
+        name: '충돌 해결',
+        keywords: ['conflict', '충돌'],
+        guidance: (gitStatus) => [
+          t('충돌난 파일을 확인하는 명령어(git status, git diff --name-only --diff-filter=U)부터 시작해주세요.'),
+          t('파일 내용을 직접 고쳐야 하는 단계는 명령어로 대신하지 말고 explanation에 안내해주세요.'),
+          t('해결 후 add와 진행 중인 작업을 계속하는 명령어(--continue)까지 포함해주세요.'),
+          ...(gitStatus.inProgress ? [] : [t('현재 진행 중인 병합/리베이스가 없으므로 충돌 상태인지 먼저 확인해주세요.')])
+        ]
+      },
+      {
+        id: 'submodule',
+        name: '서브모듈',
+        keywords: ['submodule', '서브모듈'],
+        guidance: () => [
+          t('서브모듈 추가/초기화/업데이트에 맞는 git submodule 명령어를 사용해주세요.'),
+          t('처음 받는 경우 git submodule update --init --recursive를 고려해주세요.'),
+          t('서브모듈 커밋을 바꾼 경우 상위 저장소에서도 커밋이 필요하다는 점을 explanation에 적어주세요.')
+        ]
+      },
+      {
+        id: 'history',
+        name: '히스토리 수정',
+        keywords: ['squash', '스쿼시', 'amend', 'fixup', 'reword', 'rebase -i', '커밋 합치', '커밋 메시지 수정', '커밋 메시지 변경', 'filter-branch', 'filter-repo', '히스토리', 'history'],
+        guidance: (gitStatus) => [
+          t('히스토리를 바꾸는 단계는 risk를 "high"로 해주세요.'),
+          t('대화형 편집기가 열리는 명령어(rebase -i 등)는 편집기에서 할 일을 explanation에 안내해주세요.'),
+          t('이미 push한 커밋을 바꾸면 --force 대신 --force-with-lease로 push하도록 해주세요.'),
+          ...(gitStatus.upstream && !gitStatus.hasUnpushedCommits ? [t('현재 브랜치의 커밋이 모두 push된 상태이므로 공유된 히스토리를 바꾸게 됨을 알려주세요.')] : [])
+        ]
+      },
+      {
+        id: 'stash',
+        name: '임시 저장 (stash)',
+        keywords: ['stash', '스태시', '임시 저장', '임시저장'],
+        guidance: (gitStatus) => [
+          t('stash에 메시지를 붙여서(git stash push -m) 나중에 찾기 쉽게 해주세요.'),
+          t('추적하지 않는 파일도 필요하면 -u 옵션을 고려해주세요.'),
+          t('stash drop/clear는 되돌리기 어려우므로 risk를 "high"로 해주세요.'),
+          ...(gitStatus.stashCount > 0 ? [t('현재 stash {stashCount}개가 있으니 대상 stash를 stash@{n}으로 명확히 지정해주세요.', { stashCount: gitStatus.stashCount })] : [])
+        ]
+      },
+      {
+        id: 'tag',
+        name: '태그/릴리스',
+        keywords: ['tag', '태그', 'release', '릴리스', '릴리즈', '버전'],
+        guidance: (gitStatus) => [
+          t('릴리스 태그는 메시지가 있는 주석 태그(git tag -a)로 만들어주세요.'),
+          t('태그는 git push가 아니라 git push origin <태그> 또는 --tags로 따로 push해야 합니다.'),
+          t('GitHub 릴리스가 필요하면 gh release create를 사용해도 좋습니다.'),
+          ...(gitStatus.recentTags && gitStatus.recentTags.length > 0 ? [t('최근 태그({tag})의 버전 규칙을 따라주세요.', { tag: gitStatus.recentTags[0] })] : [])
+        ]
+      },
+      {
+        id: 'remote',
+        name: '원격 저장소',
+        keywords: ['remote', '원격', 'upstream', 'fork', '포크', 'origin'],
+        guidance: (gitStatus) => [
+          t('원격을 추가/변경할 때는 git remote -v로 현재 설정을 먼저 확인해주세요.'),
+          t('원격 URL에 토큰이나 비밀번호를 넣지 말아주세요.'),
+          ...(gitStatus.currentBranch && !gitStatus.upstream ? [t('현재 브랜치에 추적 브랜치가 없으므로 처음 push할 때 -u 옵션을 사용해주세요.')] : [])
+        ]
+      },
+      {
+        id: 'revert',
+        name: '되돌리기',
+        keywords: ['revert', '되돌리', 'reset', '취소', 'restore'],
+        guidance: (gitStatus) => [
+          t('되돌리기 전 백업을 권장해주세요.'),
+          t('다양한 되돌리기 옵션을 고려해주세요.'),
+          t('안전한 되돌리기 절차를 제안해주세요.'),
+          t('이미 push한 커밋은 reset 대신 revert를 우선 고려해주세요.'),
+          ...(gitStatus.hasUncommittedChanges ? [t('커밋되지 않은 변경사항이 있으므로 reset --hard나 checkout으로 잃지 않도록 주의해주세요.')] : [])
+        ]
+      },
+      {
+        id: 'merge',
+        name: '병합/리베이스',
+        keywords: ['merge', '병합', '머지', 'rebase', '리베이스'],
+        guidance: (gitStatus) => [
+          t('병합 전 상태 확인을 권장해주세요.'),
+          t('충돌 가능성을 고려해주세요.'),
+          t('안전한 병합 절차를 제안해주세요.'),
+          ...(gitStatus.behind > 0 ? [t('현재 브랜치가 {upstream}보다 {behind}개 커밋 뒤처져 있으니 먼저 최신 상태로 맞추는 것을 고려해주세요.', { upstream: gitStatus.upstream, behind: gitStatus.behind })] : [])
+        ]
+      },
+      {
+        id: 'branch',
+        name: '브랜치',
+        keywords: ['branch', '브랜치'],
+        guidance: () => [
+          t('브랜치 이름은 명확하고 의미있어야 합니다.'),
+          t('현재 브랜치 상태를 고려해주세요.'),
+          t('필요한 경우 브랜치 전환 명령어도 포함해주세요.'),
+          t('브랜치 삭제는 -d를 우선 사용하고, -D는 risk를 "high"로 해주세요.')
+        ]
+      },
+      {
+        id: 'commit',
+        name: '커밋',
+        keywords: ['commit', '커밋'],
+        guidance: (gitStatus) => [
+          t('커밋 메시지는 명확하고 간결해야 합니다.'),
+          t('컨벤션을 따르는 커밋 메시지를 작성해주세요.'),
+          t('필요한 경우 파일 추가(add) 명령어도 포함해주세요.'),
+          ...(gitStatus.isGitRepository && !gitStatus.hasUncommittedChanges ? [t('현재 작업 트리가 클린 상태라 커밋할 변경사항이 없다는 점을 고려해주세요.')] : [])
+        ]
+      }
+    ];
   }
 
   /**
@@ -30,83 +155,367 @@ class PromptTemplate {
    * @param {string} userInput - 사용자의 자연어 입력
    * @param {string} mode - 실행 모드 ('dry', 'auto', 'interactive')
    * @param {Object} gitStatus - 현재 Git 상태 정보
+   * @param {Object} options - { allowQuestions: 모호한 요청이면 명령어 대신 질문 허용 (대화 모드),
+   *                            context: gitContext.collect()의 sections (추가 컨텍스트),
+   *                            project: projectConfig.load() 결과 (사용자 템플릿, 프로젝트 규칙) }
    * @returns {string} 완성된 프롬프트
    */
-  buildPrompt(userInput, mode = 'dry', gitStatus = {}) {
-    // 기본 템플릿 사용
-    const base = `
+  buildPrompt(userInput, mode = 'dry', gitStatus = {}, options = {}) {
+    const project = options.project || projectConfig.empty();
+    const values = this.getPlaceholderValues(userInput, mode, gitStatus);
+    const render = (template) => projectConfig.render(template, values);
+
+    // 기본 템플릿 (사용자 템플릿이 있으면 앞부분만 교체 - 응답 형식 안내는 항상 유지)
+    let intro = t(`
 너는 Git 전문가야.
-사용자의 목적은: ${userInput}
+사용자의 목적은: {userInput}`, { userInput });
+    if (project.template) {
+      intro = render(project.template);
+      if (!project.template.includes('{prompt}')) {
+        intro += t('\n사용자의 목적은: {userInput}', { userInput });
+      }
+    }
+
+    const base = t(`{intro}
 
-이에 따라 사용자가 터미널에서 직접 실행할 수 있도록 Git 명령어만 정확하게 출력해줘.
-- 설명 없이 명령어만 한 줄씩 출력해줘
-- 각 명령어는 새로운 줄에 작성해줘
-- 명령어 앞에 번호나 기호를 붙이지 마
-- 필요한 경우 gh 명령어(GitHub CLI)도 사용해도 좋아`;
+이에 따라 사용자가 터미널에서 직접 실행할 Git 명령어 계획을 아래 JSON 형식으로만 출력해줘 (JSON 외의 텍스트 없이):
+{"steps":[{"command":"git ...","explanation":"이 단계가 하는 일","risk":"low","requiresInput":false,"expectedEffect":"실행 후 예상되는 결과"}]}
+- command: 그대로 실행할 수 있는 명령어 한 개 (번호나 기호 없이)
+- risk: 되돌리기 어렵거나 데이터를 잃을 수 있으면 "high", 원격 저장소나 히스토리를 바꾸면 "medium", 그 외 "low"
+- requiresInput: 사용자가 채워야 하는 값(<브랜치명> 등)이 있으면 true
+- explanation, expectedEffect와 질문은 한국어로 작성해줘
+- 필요한 경우 gh 명령어(GitHub CLI)도 사용해도 좋아`, { intro });
 
     const modeInstructions = {
-      'dry': '중간 설명 없이 바로 실행 가능한 상태로 정리해줘.',
-      'auto': '자동 실행용으로 안전하고 순서대로 실행 가능한 명령어들을 작성해줘.',
-      'interactive': '각 단계가 명확히 나뉘도록 순서대로 작성해줘. 사용자가 각 단계를 확인할 수 있게 해줘.'
+      'dry': t('중간 설명 없이 바로 실행 가능한 상태로 정리해줘.'),
+      'auto': t('자동 실행용으로 안전하고 순서대로 실행 가능한 명령어들을 작성해줘.'),
+      'interactive': t('각 단계가 명확히 나뉘도록 순서대로 작성해줘. 사용자가 각 단계를 확인할 수 있게 해줘.')
     };
 
-    const suffix = modeInstructions[mode] || modeInstructions['dry'];
+    let suffix = project.modes[mode]
+      ? render(project.modes[mode])
+      : modeInstructions[mode] || modeInstructions['dry'];
+
+    // 감지된 작업 유형의 지침 (현재 Git 상태 반영)
+    const taskGuidance = this.buildTaskGuidance(this.detectTaskType(userInput), gitStatus);
+    if (taskGuidance) {
+      suffix = `${taskGuidance}\n\n${suffix}`;
+    }
+
+    // 대화 모드: 추측해서 잘못 실행하는 것보다 한 번 묻는 편이 나은 경우 질문 허용
+    if (options.allowQuestions) {
+      suffix += t(`
+
+요청이 모호해서 대상(브랜치, 커밋, 원격 등)을 추측해야 한다면 명령어 대신 질문으로 답해줘:
+{"steps":[],"question":{"text":"질문 내용","choices":["선택지 1","선택지 2"]}}
+- choices에는 현재 환경 정보를 바탕으로 고를 수 있는 답을 2~4개 넣어줘
+- 요청이 충분히 명확하면 question은 null로 하고 steps를 채워줘`);
+    }
 
     // Git 상태 정보 추가
-    let contextInfo = '\n현재 환경 정보:';
+    let contextInfo = t('\n현재 환경 정보:');
     
     if (gitStatus.isGitRepository) {
-      contextInfo += `\n✅ Git 레포지토리: ${gitStatus.repositoryName}`;
-      contextInfo += `\n📁 레포지토리 경로: ${gitStatus.repoRoot}`;
-      contextInfo += `\n📍 현재 작업 디렉토리: ${gitStatus.currentDir}`;
+      contextInfo += t('\n✅ Git 레포지토리: {repositoryName}', { repositoryName: gitStatus.repositoryName });
+      contextInfo += t('\n📁 레포지토리 경로: {repoRoot}', { repoRoot: gitStatus.repoRoot });
+      contextInfo += t('\n📍 현재 작업 디렉토리: {currentDir}', { currentDir: gitStatus.currentDir });
       
       if (gitStatus.remoteUrl) {
-        contextInfo += `\n🔗 원격 저장소: ${gitStatus.remoteUrl}`;
+        contextInfo += t('\n🔗 원격 저장소: {remoteUrl}', { remoteUrl: gitStatus.remoteUrl });
       } else {
-        contextInfo += `\n🔗 원격 저장소: 로컬 전용`;
+        contextInfo += t('\n🔗 원격 저장소: 로컬 전용');
       }
       
       if (gitStatus.currentBranch) {
-        contextInfo += `\n🌿 현재 브랜치: ${gitStatus.currentBranch}`;
+        contextInfo += t('\n🌿 현재 브랜치: {currentBranch}', { currentBranch: gitStatus.currentBranch });
+        if (gitStatus.upstream) {
+          contextInfo += t('\n⬆️  추적 브랜치: {upstream} (앞선 커밋 {ahead}개, 뒤처진 커밋 {behind}개)', { upstream: gitStatus.upstream, ahead: gitStatus.ahead || 0, behind: gitStatus.behind || 0 });
+        } else if (gitStatus.remoteUrl) {
+          contextInfo += t('\n⬆️  추적 브랜치 없음 (처음 push할 때 -u로 upstream 설정 필요)');
+        }
+      } else if (gitStatus.isDetached) {
+        contextInfo += t('\n🔌 HEAD 분리 상태 (detached HEAD, 커밋 {headCommit})', { headCommit: gitStatus.headCommit.slice(0, 7) });
+      }
+      
+      if (gitStatus.inProgress) {
+        contextInfo += `\n${this.describeInProgress(gitStatus.inProgress)}`;
       }
       
       if (gitStatus.totalCommits > 0) {
-        contextInfo += `\n📊 총 커밋 수: ${gitStatus.totalCommits}개`;
+        contextInfo += t('\n📊 총 커밋 수: {totalCommits}개', { totalCommits: gitStatus.totalCommits });
       }
       
       if (!gitStatus.isInRepoRoot) {
-        contextInfo += `\n⚠️  현재 위치가 레포지토리 루트가 아님`;
+        contextInfo += t('\n⚠️  현재 위치가 레포지토리 루트가 아님');
       }
       
       if (gitStatus.hasUncommittedChanges) {
-        contextInfo += `\n📝 커밋되지 않은 변경사항이 있음`;
+        contextInfo += t('\n📝 커밋되지 않은 변경사항이 있음');
         if (gitStatus.workingTree) {
           const fileCount = gitStatus.workingTree.split('\n').length;
-          contextInfo += `\n📄 변경된 파일: ${fileCount}개`;
+          contextInfo += t('\n📄 변경된 파일: {fileCount}개', { fileCount });
         }
       } else {
-        contextInfo += `\n✨ 작업 트리가 클린 상태`;
+        contextInfo += t('\n✨ 작업 트리가 클린 상태');
       }
       
       if (gitStatus.hasUnpushedCommits) {
-        contextInfo += `\n📤 푸시되지 않은 커밋이 있음`;
+        contextInfo += t('\n📤 푸시되지 않은 커밋이 있음');
+      }
+      
+      if (gitStatus.localBranchCount > 0) {
+        contextInfo += t('\n🌿 로컬 브랜치 ({localBranchCount}개, 최근 순): {branches}', { localBranchCount: gitStatus.localBranchCount, branches: this.formatList(gitStatus.localBranches, gitStatus.localBranchCount) });
+      }
+      
+      if (gitStatus.remoteBranchCount > 0) {
+        contextInfo += t('\n☁️  원격 브랜치 ({remoteBranchCount}개, 최근 순): {branches}', { remoteBranchCount: gitStatus.remoteBranchCount, branches: this.formatList(gitStatus.remoteBranches, gitStatus.remoteBranchCount) });
+      }
+      
+      if (gitStatus.stashCount > 0) {
+        contextInfo += t('\n📦 stash {stashCount}개:', { stashCount: gitStatus.stashCount });
+        gitStatus.stashes.forEach(entry => {
+          contextInfo += `\n   - ${entry}`;
+        });
+        if (gitStatus.stashCount > gitStatus.stashes.length) {
+          contextInfo += t('\n   - 외 {count}개', { count: gitStatus.stashCount - gitStatus.stashes.length });
+        }
+      }
+      
+      if (gitStatus.recentTags && gitStatus.recentTags.length > 0) {
+        contextInfo += t('\n🏷️  최근 태그: {recentTags}', { recentTags: gitStatus.recentTags.join(', ') });
       }
       
     } else {
-      contextInfo += `\n❌ Git 레포지토리가 아님`;
-      contextInfo += `\n📁 현재 디렉토리: ${gitStatus.currentDir}`;
-      contextInfo += `\n💡 Git 관련 명령어를 위해서는 레포지토리 초기화가 필요할 수 있음`;
+      contextInfo += t('\n❌ Git 레포지토리가 아님');
+      contextInfo += t('\n📁 현재 디렉토리: {currentDir}', { currentDir: gitStatus.currentDir });
+      contextInfo += t('\n💡 Git 관련 명령어를 위해서는 레포지토리 초기화가 필요할 수 있음');
+    }
+
+    // 추가 컨텍스트 (diff 요약, 최근 커밋 등 - 토큰 예산에 맞춰 수집됨)
+    if (options.context && options.context.length > 0) {
+      contextInfo += t('\n\n참고 자료:');
+      options.context.forEach(section => {
+        contextInfo += `\n\n[${section.name}]${section.truncated ? t(' (일부 생략)') : ''}\n${section.text}`;
+      });
+    }
+
+    // 프로젝트 규칙 (.rltgjqm.json, .rltgjqm.md, ~/.rltgjqm/templates/conventions.md)
+    if (project.conventions.length > 0) {
+      contextInfo += t('\n\n팀 규칙 (모든 명령어에 반드시 적용):\n{conventions}', { conventions: project.conventions.map(render).join('\n\n') });
+    }
+
+    if (project.append.length > 0) {
+      suffix += `\n\n${project.append.map(render).join('\n\n')}`;
     }
 
     return `${base}${contextInfo}\n\n${suffix}`;
   }
 
   /**
-   * Gemini API 응답에서 명령어 추출
-   * @param {string} response - Gemini API 응답 텍스트
+   * 사용자 템플릿 자리표시자 값
+   */
+  getPlaceholderValues(userInput, mode, gitStatus = {}) {
+    return {
+      prompt: userInput,
+      branch: gitStatus.currentBranch || t('(없음)'),
+      status: this.summarizeStatus(gitStatus),
+      repo: gitStatus.repositoryName || '',
+      mode,
+      upstream: gitStatus.upstream || t('(없음)')
+    };
+  }
+
+  /**
+   * Git 상태 한 줄 요약 ({status} 자리표시자용)
+   */
+  summarizeStatus(gitStatus = {}) {
+    if (!gitStatus.isGitRepository) {
+      return t('Git 레포지토리가 아님');
+    }
+
+    const parts = [];
+    if (gitStatus.hasUncommittedChanges) {
+      const fileCount = gitStatus.workingTree ? gitStatus.workingTree.split('\n').length : 0;
+      parts.push(t('커밋되지 않은 변경 파일 {fileCount}개', { fileCount }));
+    } else {
+      parts.push(t('작업 트리 클린'));
+    }
+    if (gitStatus.ahead > 0) parts.push(t('push 안 된 커밋 {ahead}개', { ahead: gitStatus.ahead }));
+    if (gitStatus.behind > 0) parts.push(t('받지 않은 커밋 {behind}개', { behind: gitStatus.behind }));
+    if (gitStatus.inProgress) parts.push(t('{type} 진행 중', { type: gitStatus.inProgress.type }));
+    return parts.join(', ');
+  }
+
+  /**
+   * 목록을 한 줄로 표시 (잘린 항목 수 포함)
+   * @param {Array<string>} items - 표시할 항목
+   * @param {number} total - 전체 항목 수
+   */
+  formatList(items = [], total = items.length) {
+    const rest = total - items.length;
+    return items.join(', ') + (rest > 0 ? t(' 외 {rest}개', { rest }) : '');
+  }
+
+  /**
+   * 진행 중인 작업의 이름, 다음에 쓸 수 있는 명령어, 중단하는 명령어
+   * @param {string} type - executor.detectInProgressOperation()의 type
+   * @returns {{name: string, next: string, abort: string}}
+   */
+  getInProgressOperation(type) {
+    const operations = {
+      rebase: { name: t('리베이스'), next: 'git rebase --continue / --skip / --abort', abort: 'git rebase --abort' },
+      merge: { name: t('병합'), next: 'git merge --continue / --abort', abort: 'git merge --abort' },
+      'cherry-pick': { name: t('체리픽'), next: 'git cherry-pick --continue / --abort', abort: 'git cherry-pick --abort' },
+      revert: { name: 'revert', next: 'git revert --continue / --abort', abort: 'git revert --abort' },
+      bisect: { name: 'bisect', next: 'git bisect good / bad / reset', abort: 'git bisect reset' }
+    };
+    return operations[type] || { name: type, next: '', abort: '' };
+  }
+
+  /**
+   * 진행 중인 작업 안내 (AI가 작업 중간에 엉뚱한 명령어를 제안하지 않도록)
+   * @param {Object} inProgress - executor.getGitStatus()의 inProgress ({ type, branch })
+   */
+  describeInProgress(inProgress) {
+    const operation = this.getInProgressOperation(inProgress.type);
+    const branch = inProgress.branch ? t(' ({branch} 브랜치)', { branch: inProgress.branch }) : '';
+    const next = operation.next ? `, ${operation.next}` : '';
+    return t('🚧 {name} 진행 중{branch} - 다른 작업 전에 먼저 마무리하거나 중단해야 함{next}', { name: operation.name, branch, next });
+  }
+
+  /**
+   * AI 응답에서 명령어 계획 추출
+   * JSON 계획을 스키마로 검증하고, 응답 스키마를 강제하지 못한 플랫폼만 텍스트 추출로 대체
+   * @param {string} response - AI 응답 텍스트
+   * @param {Object} options - { structured: 응답 스키마를 강제한 응답인지, schema: 검증할 스키마 (기본 planSchema) }
+   * @returns {{steps: Array<Object>, question: Object|null, source: string, errors: Array<string>}} source: 'json' | 'text'
+   */
+  parsePlan(response, options = {}) {
+    const text = String(response || '');
+    const schema = options.schema || this.planSchema;
+    let errors = [];
+
+    const json = this.extractJson(text);
+    if (json !== null) {
+      // 단계 배열만 온 경우도 허용 (대화 모드 스키마는 question 항목이 필수)
+      const plan = Array.isArray(json) ? { steps: json } : json;
+      if (schema === this.dialogueSchema && plan.question === undefined) {
+        plan.question = null;
+      }
+      const result = validatePlan(plan, schema);
+      if (result.valid) {
+        return { steps: result.steps, question: result.question, source: 'json', errors: [] };
+      }
+      errors = result.errors;
+    } else {
+      errors = [t('JSON 형식의 응답이 아닙니다')];
+    }
+
+    if (options.structured) {
+      return { steps: [], question: null, source: 'json', errors };
+    }
+
+    const steps = this.parseCommandsFromText(text).map(command => ({
+      command,
+      explanation: '',
+      risk: riskAnalyzer.getLevel(riskAnalyzer.classify(command)).risk,
+      requiresInput: placeholders.find(command).length > 0,
+      expectedEffect: ''
+    }));
+    return { steps, question: null, source: 'text', errors };
+  }
+
+  /**
+   * 대화 모드에서 사용자의 답을 전달하는 프롬프트
+   * @param {string} answer - 질문에 대한 사용자의 답
+   * @returns {string} 다음 대화 턴에 보낼 프롬프트
+   */
+  buildAnswerPrompt(answer) {
+    return t(`답변: {answer}
+
+이 답변을 반영해서 같은 JSON 형식으로 다시 답해줘.
+더 확인할 것이 없으면 question은 null로 하고 steps를 채워줘.`, { answer });
+  }
+
+  /**
+   * 생성된 계획에 대한 사용자의 수정 요청 프롬프트
+   * @param {string} feedback - 사용자가 입력한 수정 내용
+   * @returns {string} 다음 대화 턴에 보낼 프롬프트
+   */
+  buildRefinePrompt(feedback) {
+    return t(`수정 요청: {feedback}
+
+이 요청을 반영한 전체 명령어 계획을 같은 JSON 형식으로 다시 답해줘.
+수정과 관계없는 단계는 그대로 유지해줘.`, { feedback });
+  }
+
+  /**
+   * 명령어를 추출하지 못한 응답에 이어 보낼 형식 안내 프롬프트
+   * @param {Array<string>} errors - parsePlan()의 형식 오류 목록
+   * @param {Object} options - { allowQuestions: 대화 모드 여부 }
+   * @returns {string} 다음 대화 턴에 보낼 프롬프트
+   */
+  buildCorrectionPrompt(errors = [], options = {}) {
+    const details = errors.length > 0
+      ? t('\n형식 오류:\n{errors}\n', { errors: errors.slice(0, 5).map(error => `- ${error}`).join('\n') })
+      : '';
+
+    const uncertain = options.allowQuestions
+      ? t('- 확인이 필요하면 steps를 빈 배열로 하고 question에 질문과 선택지를 넣어줘')
+      : t('- 브랜치 이름이나 커밋 메시지처럼 확실하지 않은 값은 질문하지 말고 <브랜치명> 같은 자리표시자로 command에 넣고 requiresInput을 true로 해줘');
+
+    return t(`방금 응답에서 실행할 명령어를 찾을 수 없었어.{details}
+처음에 요청한 JSON 형식으로만 다시 답해줘 (JSON 외의 텍스트 없이):
+{"steps":[{"command":"git ...","explanation":"...","risk":"low","requiresInput":false,"expectedEffect":"..."}]{question}}
+{uncertain}`, { details, question: options.allowQuestions ? ',"question":null' : '', uncertain });
+  }
+
+  /**
+   * 응답 텍스트에서 JSON 추출 (코드 블록이나 앞뒤 설명이 붙은 경우 포함)
+   * @returns {*} 파싱 결과 (JSON이 없으면 null)
+   */
+  extractJson(text) {
+    const candidates = [text.trim()];
+
+    const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)```/);
+    if (fenced) {
+      candidates.push(fenced[1].trim());
+    }
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      candidates.push(text.slice(start, end + 1));
+    }
+
+    for (const candidate of candidates) {
+      if (!candidate.startsWith('{') && !candidate.startsWith('[')) {
+        continue;
+      }
+      try {
+        return JSON.parse(candidate);
+      } catch (error) {
+        // 다음 후보 시도
+      }
+    }
+    return null;
+  }
+
+  /**
+   * AI 응답에서 명령어 추출 (JSON 계획 우선, 없으면 텍스트 추출)
+   * @param {string} response - AI 응답 텍스트
    * @returns {Array<string>} 추출된 명령어 배열
    */
   parseCommands(response) {
+    return this.parsePlan(response).steps.map(step => step.command);
+  }
+
+  /**
+   * 텍스트 응답에서 명령어 추출 (코드 블록 → git/gh로 시작하는 줄 → 패턴 검색)
+   * @param {string} response - AI 응답 텍스트
+   * @returns {Array<string>} 추출된 명령어 배열
+   */
+  parseCommandsFromText(response) {
     const commands = [];
     
     // 코드 블록에서 명령어 추출
@@ -148,77 +557,60 @@ class PromptTemplate {
    * @returns {string} 완성된 프롬프트
    */
   generatePrompt(userPrompt) {
-    return this.baseTemplate.replace('{prompt}', userPrompt);
+    return t(this.baseTemplate).replace('{prompt}', userPrompt);
+  }
+
+  /**
+   * 작업 유형별 지침 생성
+   * @param {string} taskType - detectTaskType() 결과
+   * @param {Object} gitStatus - 현재 Git 상태 정보
+   * @returns {string} 지침 텍스트 (general이면 빈 문자열)
+   */
+  buildTaskGuidance(taskType, gitStatus = {}) {
+    const task = this.taskTypes.find(item => item.id === taskType);
+    if (!task) {
+      return '';
+    }
+
+    const lines = task.guidance(gitStatus).map(line => `- ${line}`);
+    return t('작업 유형: {name}\n{lines}', { name: t(task.name), lines: lines.join('\n') });
   }
 
   /**
    * 특정 작업에 대한 프롬프트 템플릿 생성
-   * @param {string} taskType - 작업 유형 (commit, branch, merge, etc.)
+   * @param {string} taskType - 작업 유형 (this.taskTypes의 id)
    * @param {string} userPrompt - 사용자 입력 프롬프트
+   * @param {Object} gitStatus - 현재 Git 상태 정보 (선택)
    * @returns {string} 맞춤형 프롬프트
    */
-  generateTaskSpecificPrompt(taskType, userPrompt) {
-    const taskTemplates = {
-      commit: `
-커밋과 관련된 Git 명령어를 생성해주세요.
-- 커밋 메시지는 명확하고 간결해야 합니다.
-- 컨벤션을 따르는 커밋 메시지를 작성해주세요.
-- 필요한 경우 파일 추가(add) 명령어도 포함해주세요.
-
-사용자 요청: {prompt}
-`,
-      branch: `
-브랜치와 관련된 Git 명령어를 생성해주세요.
-- 브랜치 이름은 명확하고 의미있어야 합니다.
-- 현재 브랜치 상태를 고려해주세요.
-- 필요한 경우 브랜치 전환 명령어도 포함해주세요.
-
-사용자 요청: {prompt}
-`,
-      merge: `
-병합과 관련된 Git 명령어를 생성해주세요.
-- 병합 전 상태 확인을 권장해주세요.
-- 충돌 가능성을 고려해주세요.
-- 안전한 병합 절차를 제안해주세요.
-
-사용자 요청: {prompt}
-`,
-      revert: `
-되돌리기와 관련된 Git 명령어를 생성해주세요.
-- 되돌리기 전 백업을 권장해주세요.
-- 다양한 되돌리기 옵션을 고려해주세요.
-- 안전한 되돌리기 절차를 제안해주세요.
+  generateTaskSpecificPrompt(taskType, userPrompt, gitStatus = {}) {
+    const task = this.taskTypes.find(item => item.id === taskType);
+    if (!task) {
+      return t(this.baseTemplate).replace('{prompt}', userPrompt);
+    }
 
-사용자 요청: {prompt}
-`
-    };
+    const lines = task.guidance(gitStatus).map(line => `- ${line}`);
+    return t(`
+{name}와 관련된 Git 명령어를 생성해주세요.
+{lines}
 
-    const template = taskTemplates[taskType] || this.baseTemplate;
-    return template.replace('{prompt}', userPrompt);
+사용자 요청: {userPrompt}
+`, { name: t(task.name), lines: lines.join('\n'), userPrompt });
   }
 
   /**
    * 사용자 입력에서 작업 유형 감지
    * @param {string} userPrompt - 사용자 입력 프롬프트
-   * @returns {string} 감지된 작업 유형
+   * @returns {string} 감지된 작업 유형 (맞는 유형이 없으면 'general')
    */
   detectTaskType(userPrompt) {
-    const prompt = userPrompt.toLowerCase();
-    
-    if (prompt.includes('commit') || prompt.includes('커밋')) {
-      return 'commit';
-    }
-    if (prompt.includes('branch') || prompt.includes('브랜치')) {
-      return 'branch';
-    }
-    if (prompt.includes('merge') || prompt.includes('병합')) {
-      return 'merge';
-    }
-    if (prompt.includes('revert') || prompt.includes('되돌리') || prompt.includes('reset')) {
-      return 'revert';
-    }
-    
-    return 'general';
+    const prompt = String(userPrompt || '').toLowerCase();
+    // 영문 키워드는 단어 시작에서만 (stage의 tag 등 오탐 방지)
+    const matches = (keyword) => /^[\x20-\x7e]+$/.test(keyword)
+      ? new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(prompt)
+      : prompt.includes(keyword);
+    const task = this.taskTypes.find(item => item.keywords.some(matches));
+    return task ? task.id : 'general';
   }
 
   /**
@@ -231,19 +623,19 @@ class PromptTemplate {
     const contextInfo = [];
     
     if (context.currentBranch) {
-      contextInfo.push(`현재 브랜치: ${context.currentBranch}`);
+      contextInfo.push(t('현재 브랜치: {currentBranch}', { currentBranch: context.currentBranch }));
     }
     if (context.hasUncommittedChanges) {
-      contextInfo.push('커밋되지 않은 변경사항이 있습니다.');
+      contextInfo.push(t('커밋되지 않은 변경사항이 있습니다.'));
     }
     if (context.hasUnpushedCommits) {
-      contextInfo.push('푸시되지 않은 커밋이 있습니다.');
+      contextInfo.push(t('푸시되지 않은 커밋이 있습니다.'));
     }
     
     let prompt = this.generatePrompt(userPrompt);
     
     if (contextInfo.length > 0) {
-      prompt += `\n\n현재 상태:\n${contextInfo.join('\n')}`;
+      prompt += t('\n\n현재 상태:\n{contextInfo}', { contextInfo: contextInfo.join('\n') });
     }
     
     return prompt;
@@ -252,38 +644,49 @@ class PromptTemplate {
   /**
    * 명령어 검증 및 안전성 확인
    * @param {Array<string>} commands - 검증할 명령어 배열
-   * @returns {Object} 검증 결과
+   * @returns {Object} 검증 결과 { isValid, issues, warnings, flagged: 경고나 문제가 있는 명령어 인덱스,
+   *          levels: 명령어별 위험도 분류 (riskAnalyzer, 파싱할 수 없으면 null), commandCount }
    */
   validateCommands(commands) {
-    const dangerousPatterns = [
-      /git\s+reset\s+--hard/,
-      /git\s+clean\s+-f/,
-      /git\s+push\s+--force/,
-      /rm\s+-rf/,
-      /git\s+filter-branch/
-    ];
-
     const issues = [];
     const warnings = [];
+    const flagged = new Set();
+    const levels = [];
 
     commands.forEach((command, index) => {
-      // 위험한 명령어 검사
-      dangerousPatterns.forEach(pattern => {
-        if (pattern.test(command)) {
-          warnings.push(`명령어 ${index + 1}: "${command}" - 위험할 수 있는 명령어입니다.`);
-        }
-      });
-
       // 기본 구문 검사
       if (!command.startsWith('git ') && !command.startsWith('gh ')) {
-        issues.push(`명령어 ${index + 1}: "${command}" - Git 명령어가 아닙니다.`);
+        issues.push(t('명령어 {index}: "{command}" - Git 명령어가 아닙니다.', { index: index + 1, command }));
+        flagged.add(index);
       }
+
+      // 셸 문법 검사와 위험도 분류 (실행할 때 거부될 명령어를 미리 표시, 자리표시자는 실행 전에 채우므로 임시 값으로 검사)
+      let analysis;
+      try {
+        analysis = riskAnalyzer.analyze(command);
+      } catch (error) {
+        issues.push(t('명령어 {index}: "{command}" - {message}', { index: index + 1, command, message: error.message }));
+        flagged.add(index);
+        levels.push(null);
+        return;
+      }
+
+      levels.push(analysis.level);
+      analysis.commands.filter(item => item.confirm).forEach(item => {
+        item.reasons.forEach(reason => {
+          const message = `[${t(riskAnalyzer.getLevel(item.level).label)}] ${reason}`;
+          warnings.push(t('명령어 {index}: "{command}" - {message}', { index: index + 1, command, message }));
+        });
+        flagged.add(index);
+      });
     });
 
     return {
       isValid: issues.length === 0,
       issues,
       warnings,
+      flagged: Array.from(flagged).sort((a, b) => a - b),
+      levels,
       commandCount: commands.length
     };
   }
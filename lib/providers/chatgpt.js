@@ -0,0 +1,103 @@
+const axios = require('axios');
+const { buildChatRequest, parseChatResponse, parseChatStreamEvent } = require('./openaiCompatible');
+const { t } = require('../i18n');
+
+/**
+ * ChatGPT (OpenAI) 프로바이더
+ */
+module.exports = {
+  id: 'chatgpt',
+  name: 'ChatGPT (OpenAI)',
+  shortName: 'ChatGPT',
+  icon: '🤖',
+  defaultModel: 'gpt-4o-mini',
+  // 모델 목록 조회 실패 시 사용하는 목록
+  fallbackModels: [
+    'gpt-4o-mini',
+    'gpt-4o',
+    'gpt-4.1-mini',
+    'gpt-4.1'
+  ],
+  endpoint: 'https://api.openai.com/v1/chat/completions',
+  apiKeyUrl: 'https://platform.openai.com/api-keys',
+  envKey: 'OPENAI_API_KEY',
+  requiresApiKey: true,
+  usageLimit: {
+    daily: 2500000, // Tier 1-2 기준 2.5M 토큰/일 (Tier 3 이상은 10M)
+    estimated: false
+  },
+  structuredOutput: true,
+  multiTurn: true,
+
+  buildRequest(prompt, settings) {
+    return buildChatRequest(this.endpoint, prompt, {
+      model: settings.model,
+      apiKey: settings.apiKey,
+      responseSchema: settings.responseSchema
+    });
+  },
+
+  parseResponse(data) {
+    return parseChatResponse(data, 'ChatGPT API');
+  },
+
+  buildStreamRequest(prompt, settings) {
+    const request = this.buildRequest(prompt, settings);
+    request.body.stream = true;
+    // 마지막 이벤트에 사용량 포함
+    request.body.stream_options = { include_usage: true };
+    return request;
+  },
+
+  parseStreamEvent(data) {
+    return parseChatStreamEvent(data);
+  },
+
+  /**
+   * /v1/models 에서 채팅용 모델 목록 가져오기
+   * @returns {Promise<Array<string>>} 모델 ID 목록
+   */
+  async listModels(settings) {
+    const response = await axios.get('https://api.openai.com/v1/models', {
+      headers: {
+        'Authorization': `Bearer ${settings.apiKey}`
+      },
+      timeout: 10000
+    });
+
+    if (response.data && Array.isArray(response.data.data)) {
+      // 임베딩, 음성, 이미지 모델 등은 제외
+      return response.data.data
+        .map(model => model.id)
+        .filter(id => /^(gpt-|o\d|chatgpt-)/.test(id))
+        .filter(id => !/(audio|realtime|transcribe|tts|image|search)/.test(id))
+        .sort();
+    }
+
+    return [];
+  },
+
+  mapError(error) {
+    if (!error.response) {
+      return null;
+    }
+
+    switch (error.response.status) {
+      case 401:
+        return { message: t('ChatGPT API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.') };
+      case 429:
+        return { message: t('ChatGPT API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.') };
+      case 500:
+        return { message: t('ChatGPT API 서버 오류입니다. 잠시 후 다시 시도하세요.') };
+      default:
+        return null;
+    }
+  },
+
+  validateKey(apiKey) {
+    if (!apiKey.startsWith('sk-')) {
+      return t('OpenAI API 키는 "sk-"로 시작합니다.');
+    }
+    return true;
+  }
+};
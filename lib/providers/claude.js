@@ -0,0 +1,189 @@
+const axios = require('axios');
+const { toMessages } = require('./messages');
+const { t } = require('../i18n');
+
+/**
+ * Claude (Anthropic) 프로바이더 - Messages API
+ */
+module.exports = {
+  id: 'claude',
+  name: 'Claude (Anthropic)',
+  shortName: 'Claude',
+  icon: '🪶',
+  defaultModel: 'claude-3-5-haiku-latest',
+  // 모델 목록 조회 실패 시 사용하는 목록
+  fallbackModels: [
+    'claude-3-5-haiku-latest',
+    'claude-3-5-sonnet-latest',
+    'claude-3-7-sonnet-latest'
+  ],
+  endpoint: 'https://api.anthropic.com/v1/messages',
+  apiKeyUrl: 'https://console.anthropic.com/settings/keys',
+  envKey: 'ANTHROPIC_API_KEY',
+  requiresApiKey: true,
+  usageLimit: {
+    daily: 1000000, // 공식 일일 한도 없음 (분당 한도만 존재) - 게이지 표시용 추정값
+    estimated: true,
+    note: '정확한 한도는 Anthropic Console에서 확인'
+  },
+  apiVersion: '2023-06-01',
+  structuredOutput: true,
+  multiTurn: true,
+  // 응답 스키마가 있으면 이 도구 호출을 강제해 입력값(JSON)을 응답으로 사용
+  planToolName: 'submit_git_plan',
+
+  buildRequest(prompt, settings) {
+    const request = {
+      url: this.endpoint,
+      body: {
+        model: settings.model,
+        // Messages API는 시스템 프롬프트를 별도 필드로 받음
+        system: t('너는 Git 명령어 전문가야. 사용자 메시지에서 요청한 출력 형식을 정확히 지켜서 답변해줘.'),
+        messages: toMessages(prompt),
+        temperature: 0.1,
+        max_tokens: 2048
+      },
+      headers: {
+        'x-api-key': settings.apiKey,
+        'anthropic-version': this.apiVersion,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    };
+
+    if (settings.responseSchema) {
+      request.body.tools = [
+        {
+          name: this.planToolName,
+          description: t('Git 명령어 실행 계획을 제출합니다.'),
+          input_schema: settings.responseSchema
+        }
+      ];
+      request.body.tool_choice = { type: 'tool', name: this.planToolName };
+    }
+    return request;
+  },
+
+  parseResponse(data) {
+    if (!data || !Array.isArray(data.content) || data.content.length === 0) {
+      throw new Error(t('Claude API 응답 형식이 올바르지 않습니다.'));
+    }
+
+    // 도구 호출 응답이면 입력값(JSON)을, 아니면 텍스트 블록을 사용
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    const text = toolUse
+      ? JSON.stringify(toolUse.input)
+      : data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    
+    if (!text) {
+      throw new Error(t('빈 응답을 받았습니다. 다시 시도해보세요.'));
+    }
+    
+    // Messages API의 input/output 토큰을 공통 형식으로 변환
+    const usage = data.usage || {};
+    return {
+      text,
+      usage: {
+        prompt_tokens: usage.input_tokens || 0,
+        completion_tokens: usage.output_tokens || 0,
+        total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }
+    };
+  },
+
+  /**
+   * /v1/models 에서 모델 목록 가져오기
+   * @returns {Promise<Array<string>>} 모델 ID 목록
+   */
+  async listModels(settings) {
+    const response = await axios.get('https://api.anthropic.com/v1/models', {
+      headers: {
+        'x-api-key': settings.apiKey,
+        'anthropic-version': this.apiVersion
+      },
+      params: {
+        limit: 100
+      },
+      timeout: 10000
+    });
+
+    if (response.data && Array.isArray(response.data.data)) {
+      return response.data.data.map(model => model.id).filter(Boolean);
+    }
+
+    return [];
+  },
+
+  buildStreamRequest(prompt, settings) {
+    const request = this.buildRequest(prompt, settings);
+    request.body.stream = true;
+    return request;
+  },
+
+  /**
+   * Messages API 스트리밍 이벤트 파싱
+   * message_start: 입력 토큰, content_block_delta: 텍스트 (도구 호출은 JSON 조각), message_delta: 출력 토큰
+   */
+  parseStreamEvent(data) {
+    const chunk = JSON.parse(data);
+
+    switch (chunk.type) {
+      case 'message_start': {
+        const usage = (chunk.message && chunk.message.usage) || {};
+        return { text: '', usage: { prompt_tokens: usage.input_tokens || 0 } };
+      }
+      case 'content_block_delta': {
+        const delta = chunk.delta || {};
+        return {
+          text: delta.type === 'text_delta' ? delta.text : (delta.type === 'input_json_delta' ? delta.partial_json : ''),
+          usage: null
+        };
+      }
+      case 'message_delta':
+        return { text: '', usage: { completion_tokens: (chunk.usage && chunk.usage.output_tokens) || 0 } };
+      case 'error':
+        throw new Error(t('Claude 스트리밍 오류: {error}', { error: (chunk.error && chunk.error.message) || t('알 수 없는 오류') }));
+      default:
+        return { text: '', usage: null };
+    }
+  },
+
+  mapError(error, settings) {
+    if (!error.response) {
+      return null;
+    }
+
+    const status = error.response.status;
+    const data = error.response.data || {};
+    
+    if (status === 400) {
+      return {
+        message: t('Claude 요청 형식이 올바르지 않습니다.'),
+        detail: data.error && data.error.message ? t('상세: {message}', { message: data.error.message }) : null
+      };
+    } else if (status === 401) {
+      return { message: t('Claude API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.') };
+    } else if (status === 403) {
+      return { message: t('Claude API 접근 권한이 없습니다. API 키 권한을 확인하세요.') };
+    } else if (status === 404) {
+      return { message: t('Claude 모델을 찾을 수 없습니다. 현재 모델: {model}', { model: settings.model }) };
+    } else if (status === 429) {
+      return { message: t('Claude API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.') };
+    } else if (status === 529) {
+      return { message: t('Claude API 서버가 과부하 상태입니다. 잠시 후 다시 시도하세요.') };
+    } else if (status >= 500) {
+      return { message: t('Claude API 서버 오류입니다. 잠시 후 다시 시도하세요.') };
+    }
+    return null;
+  },
+
+  validateKey(apiKey) {
+    if (!apiKey.startsWith('sk-ant-')) {
+      return t('Anthropic API 키는 "sk-ant-"로 시작합니다.');
+    }
+    return true;
+  }
+};
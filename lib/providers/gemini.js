@@ -0,0 +1,207 @@
+const geminiService = require('../gemini');
+const { toMessages } = require('./messages');
+const { t } = require('../i18n');
+
+/**
+ * JSON Schema → Gemini responseSchema 변환 (OpenAPI 부분집합: additionalProperties 미지원, null 타입은 nullable)
+ */
+function toGeminiSchema(schema) {
+  const types = [].concat(schema.type);
+  const result = { type: types.find(type => type !== 'null').toUpperCase() };
+  if (types.includes('null')) result.nullable = true;
+  if (schema.description) result.description = schema.description;
+  if (schema.enum) result.enum = schema.enum;
+  if (schema.required) result.required = schema.required;
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    result.properties = {};
+    Object.keys(schema.properties).forEach(key => {
+      result.properties[key] = toGeminiSchema(schema.properties[key]);
+    });
+    result.propertyOrdering = Object.keys(schema.properties);
+  }
+  return result;
+}
+
+/**
+ * Gemini (Google) 프로바이더
+ */
+module.exports = {
+  id: 'gemini',
+  name: 'Gemini (Google)',
+  shortName: 'Gemini',
+  icon: '🧠',
+  // Gemini 1.5 모델은 지원 종료 예정이므로 2.0 Flash를 기본값으로 사용
+  defaultModel: 'gemini-2.0-flash',
+  // 모델 목록 조회 실패 시 사용하는 목록
+  fallbackModels: [
+    'gemini-2.0-flash',
+    'gemini-2.0-flash-lite',
+    'gemini-2.5-flash',
+    'gemini-2.5-pro',
+    'gemini-1.5-flash'
+  ],
+  endpoint: 'https://generativelanguage.googleapis.com/v1beta/models',
+  apiKeyUrl: 'https://ai.google.dev/',
+  envKey: 'GEMINI_API_KEY',
+  requiresApiKey: true,
+  usageLimit: {
+    daily: 1000000, // 추정 1M 토큰/일 (실제 한도 불명)
+    estimated: true,
+    note: '정확한 사용량은 Google AI Studio에서 확인'
+  },
+  structuredOutput: true,
+  multiTurn: true,
+
+  buildRequest(prompt, settings) {
+    const request = {
+      url: `${this.endpoint}/${settings.model}:generateContent?key=${settings.apiKey}`,
+      body: {
+        // Gemini는 assistant 대신 model 역할 사용
+        contents: toMessages(prompt).map(message => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [
+            {
+              text: message.content
+            }
+          ]
+        })),
+        generationConfig: {
+          temperature: 0.1,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: 2048,
+          stopSequences: []
+        },
+        safetySettings: [
+          {
+            category: "HARM_CATEGORY_HARASSMENT",
+            threshold: "BLOCK_NONE"
+          },
+          {
+            category: "HARM_CATEGORY_HATE_SPEECH", 
+            threshold: "BLOCK_NONE"
+          },
+          {
+            category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+            threshold: "BLOCK_NONE"
+          },
+          {
+            category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+            threshold: "BLOCK_NONE"
+          }
+        ]
+      },
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      timeout: 30000
+    };
+
+    // 응답 스키마가 있으면 JSON 모드로 형식 강제
+    if (settings.responseSchema) {
+      request.body.generationConfig.responseMimeType = 'application/json';
+      request.body.generationConfig.responseSchema = toGeminiSchema(settings.responseSchema);
+    }
+    return request;
+  },
+
+  /**
+   * streamGenerateContent (alt=sse) 요청
+   */
+  buildStreamRequest(prompt, settings) {
+    const request = this.buildRequest(prompt, settings);
+    request.url = `${this.endpoint}/${settings.model}:streamGenerateContent?alt=sse&key=${settings.apiKey}`;
+    return request;
+  },
+
+  parseStreamEvent(data) {
+    const chunk = JSON.parse(data);
+    const candidate = chunk.candidates && chunk.candidates[0];
+
+    if (candidate && candidate.finishReason === 'SAFETY') {
+      throw new Error(t('안전성 필터로 인해 응답이 차단되었습니다. 다른 방식으로 질문해보세요.'));
+    }
+    if (candidate && candidate.finishReason === 'RECITATION') {
+      throw new Error(t('저작권 문제로 응답이 차단되었습니다. 다른 방식으로 질문해보세요.'));
+    }
+
+    const parts = (candidate && candidate.content && candidate.content.parts) || [];
+    const usageMetadata = chunk.usageMetadata;
+    return {
+      text: parts.map(part => part.text || '').join(''),
+      usage: usageMetadata ? {
+        prompt_tokens: usageMetadata.promptTokenCount || 0,
+        completion_tokens: usageMetadata.candidatesTokenCount || 0,
+        total_tokens: usageMetadata.totalTokenCount || 0
+      } : null
+    };
+  },
+
+  parseResponse(data) {
+    if (!data || !data.candidates || data.candidates.length === 0) {
+      throw new Error(t('Gemini API 응답 형식이 올바르지 않습니다.'));
+    }
+
+    const candidate = data.candidates[0];
+    
+    if (candidate.finishReason === 'SAFETY') {
+      throw new Error(t('안전성 필터로 인해 응답이 차단되었습니다. 다른 방식으로 질문해보세요.'));
+    }
+    
+    if (candidate.finishReason === 'RECITATION') {
+      throw new Error(t('저작권 문제로 응답이 차단되었습니다. 다른 방식으로 질문해보세요.'));
+    }
+    
+    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
+      throw new Error(t('빈 응답을 받았습니다. 다시 시도해보세요.'));
+    }
+    
+    // 정확한 사용량 정보 추출 (Gemini API는 usageMetadata 제공)
+    const usageMetadata = data.usageMetadata || {};
+    return {
+      text: candidate.content.parts.map(part => part.text || '').join(''),
+      usage: {
+        prompt_tokens: usageMetadata.promptTokenCount || 0,
+        completion_tokens: usageMetadata.candidatesTokenCount || 0,
+        total_tokens: usageMetadata.totalTokenCount || 0
+      }
+    };
+  },
+
+  /**
+   * models 엔드포인트에서 generateContent를 지원하는 모델 목록 가져오기
+   * @returns {Promise<Array<string>>} 모델 ID 목록
+   */
+  async listModels(settings) {
+    const models = await geminiService.getAvailableModels(settings.apiKey);
+    return models.map(model => model.name);
+  },
+
+  mapError(error, settings) {
+    if (!error.response) {
+      return null;
+    }
+
+    const data = error.response.data || {};
+    switch (error.response.status) {
+      case 400:
+        return {
+          message: t('Gemini 요청 형식이 올바르지 않습니다.'),
+          detail: data.error && data.error.message ? t('상세: {message}', { message: data.error.message }) : null
+        };
+      case 401:
+        return { message: t('Gemini API 키가 유효하지 않습니다. rltgjqm config로 API 키를 확인하세요.') };
+      case 403:
+        return { message: t('Gemini API 접근 권한이 없습니다. API 키 권한을 확인하세요.') };
+      case 404:
+        return { message: t('Gemini 모델을 찾을 수 없습니다. 현재 모델: {model}', { model: settings.model }) };
+      case 429:
+        return { message: t('Gemini API 호출 한도를 초과했습니다. 잠시 후 다시 시도하세요.') };
+      case 500:
+        return { message: t('Gemini API 서버 오류입니다. 잠시 후 다시 시도하세요.') };
+      default:
+        return null;
+    }
+  }
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const { t } = require('../i18n');
+
+/**
+ * AI 프로바이더 레지스트리
+ *
+ * 각 프로바이더는 자기 자신을 설명하는 모듈입니다:
+ * - id, name, shortName, icon, defaultModel, endpoint
+ * - apiKeyUrl, envKey, requiresApiKey, defaultBaseUrl (서버형 프로바이더)
+ * - usageLimit: { daily, estimated, note }
+ * - buildRequest(prompt, settings) → { url, body, headers, timeout }
+ *   (multiTurn: true면 prompt로 [{ role, content }] 대화 배열도 받음, 아니면 하나의 문자열로 합쳐서 전달)
+ * - parseResponse(data, settings) → { text, usage }
+ * - mapError(error, settings) → { message, detail, hint } | null
+ * - validateKey(apiKey) → true | 오류 메시지 (선택)
+ * - listModels(settings) → Promise<Array<string>> (선택)
+ * - fallbackModels: 모델 목록을 가져올 수 없을 때 보여줄 목록 (선택)
+ * - buildStreamRequest(prompt, settings) → { url, body, headers, timeout } (선택, SSE 스트리밍)
+ * - parseStreamEvent(data, event) → { text, usage } (선택, usage는 부분 값이면 합쳐짐)
+ * - structuredOutput: true면 settings.responseSchema(JSON Schema)를 JSON 모드/함수 호출로 강제 (선택)
+ *
+ * 메뉴, 사용량 한도, 상태 화면은 모두 이 레지스트리에서 생성됩니다.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.userProviderDir = path.join(os.homedir(), '.rltgjqm', 'providers');
+
+    // 등록 순서 = 메뉴 표시 순서 = 환경변수 우선순위
+    [
+      require('./gemini'),
+      require('./chatgpt'),
+      require('./claude'),
+      require('./local')
+    ].forEach(provider => this.register(provider));
+
+    this.loadUserProviders();
+  }
+
+  /**
+   * 프로바이더 모듈의 필수 항목 검사
+   * @param {Object} provider - 프로바이더 모듈
+   * @returns {Array<string>} 누락된 항목 목록
+   */
+  validateProvider(provider) {
+    if (!provider || typeof provider !== 'object') {
+      return ['module.exports'];
+    }
+
+    const missing = [];
+    ['id', 'name', 'defaultModel'].forEach(field => {
+      if (typeof provider[field] !== 'string' || !provider[field]) {
+        missing.push(field);
+      }
+    });
+    ['buildRequest', 'parseResponse'].forEach(field => {
+      if (typeof provider[field] !== 'function') {
+        missing.push(field);
+      }
+    });
+    return missing;
+  }
+
+  /**
+   * 프로바이더 등록
+   * @param {Object} provider - 프로바이더 모듈
+   * @param {string} source - 'builtin' | 사용자 모듈 파일 경로
+   */
+  register(provider, source = 'builtin') {
+    const missing = this.validateProvider(provider);
+    if (missing.length > 0) {
+      throw new Error(t('프로바이더 모듈에 필수 항목이 없습니다: {missing}', { missing: missing.join(', ') }));
+    }
+
+    if (this.providers.has(provider.id)) {
+      throw new Error(t('이미 등록된 프로바이더 ID입니다: {id}', { id: provider.id }));
+    }
+
+    this.providers.set(provider.id, {
+      shortName: provider.name,
+      icon: '🔌',
+      requiresApiKey: true,
+      usageLimit: { daily: null },
+      ...provider,
+      source
+    });
+  }
+
+  /**
+   * ~/.rltgjqm/providers/ 에 있는 사용자 프로바이더 모듈 로딩
+   */
+  loadUserProviders(dir = this.userProviderDir) {
+    if (!fs.existsSync(dir)) {
+      return;
+    }
+
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      console.warn(chalk.yellow(t('⚠️  사용자 프로바이더 디렉토리를 읽을 수 없습니다: {message}', { message: error.message })));
+      return;
+    }
+
+    files.forEach(file => {
+      const filePath = path.join(dir, file);
+      try {
+        this.register(require(filePath), filePath);
+      } catch (error) {
+        console.warn(chalk.yellow(t('⚠️  사용자 프로바이더 로딩 실패 ({file}): {message}', { file, message: error.message })));
+      }
+    });
+  }
+
+  /**
+   * 프로바이더 가져오기
+   * @param {string} id - 프로바이더 ID
+   * @returns {Object|null} 프로바이더 모듈
+   */
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  /**
+   * 등록 여부 확인
+   */
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  /**
+   * 등록된 프로바이더 목록 (등록 순서)
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * 등록된 프로바이더 ID 목록
+   */
+  ids() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * 표시용 플랫폼명
+   */
+  getName(id) {
+    const provider = this.get(id);
+    return provider ? t(provider.name) : id;
+  }
+
+  /**
+   * 플랫폼에 API 키가 필요한지 확인 (알 수 없는 플랫폼은 필요한 것으로 간주)
+   */
+  requiresApiKey(id) {
+    const provider = this.get(id);
+    return !provider || provider.requiresApiKey !== false;
+  }
+}
+
+module.exports = new ProviderRegistry();
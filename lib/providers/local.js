@@ -0,0 +1,110 @@
+const axios = require('axios');
+const { buildChatRequest, parseChatResponse, parseChatStreamEvent } = require('./openaiCompatible');
+const { t } = require('../i18n');
+
+/**
+ * 로컬 OpenAI 호환 서버 프로바이더 (Ollama, llama.cpp server, LM Studio, vLLM 등)
+ */
+module.exports = {
+  id: 'local',
+  name: 'Local (OpenAI 호환)',
+  shortName: 'Local',
+  icon: '🖥️ ',
+  description: 'Ollama, llama.cpp server, LM Studio, vLLM 등 (외부로 데이터가 나가지 않음)',
+  defaultModel: 'llama3.1',
+  defaultBaseUrl: 'http://localhost:11434/v1',
+  endpoint: '{baseUrl}/chat/completions',
+  envKey: null,
+  requiresApiKey: false,
+  multiTurn: true,
+  usageLimit: {
+    daily: null // 로컬 서버는 일일 한도 없음
+  },
+
+  /**
+   * 설정된 서버 주소 (끝의 / 제거)
+   */
+  getBaseUrl(settings) {
+    return (settings.baseUrl || this.defaultBaseUrl).replace(/\/+$/, '');
+  },
+
+  buildRequest(prompt, settings) {
+    const request = buildChatRequest(`${this.getBaseUrl(settings)}/chat/completions`, prompt, {
+      model: settings.model,
+      // 로컬 서버는 인증이 선택 사항
+      apiKey: settings.apiKey,
+      // 로컬 모델은 첫 로딩이 느릴 수 있으므로 넉넉하게 설정
+      timeout: 120000
+    });
+    request.body.stream = false;
+    return request;
+  },
+
+  parseResponse(data) {
+    return parseChatResponse(data, t('로컬 AI 서버'));
+  },
+
+  buildStreamRequest(prompt, settings) {
+    const request = this.buildRequest(prompt, settings);
+    request.body.stream = true;
+    return request;
+  },
+
+  parseStreamEvent(data) {
+    return parseChatStreamEvent(data);
+  },
+
+  /**
+   * 서버의 /models 엔드포인트에서 모델 목록 가져오기
+   * @returns {Promise<Array<string>>} 모델 ID 목록
+   */
+  async listModels(settings) {
+    const headers = {};
+    if (settings.apiKey) {
+      headers['Authorization'] = `Bearer ${settings.apiKey}`;
+    }
+
+    const response = await axios.get(`${this.getBaseUrl(settings)}/models`, {
+      headers,
+      timeout: 10000
+    });
+
+    if (response.data && Array.isArray(response.data.data)) {
+      return response.data.data.map(model => model.id).filter(Boolean);
+    }
+
+    return [];
+  },
+
+  mapError(error, settings) {
+    const baseUrl = this.getBaseUrl(settings);
+
+    if (error.response) {
+      const status = error.response.status;
+      
+      if (status === 401 || status === 403) {
+        return { message: t('로컬 AI 서버가 인증을 거부했습니다. rltgjqm config로 API 키를 확인하세요.') };
+      } else if (status === 404) {
+        return {
+          message: t('로컬 AI 서버에서 모델 또는 엔드포인트를 찾을 수 없습니다. 현재 모델: {model}', { model: settings.model }),
+          hint: t('💡 서버 주소가 /v1 까지 포함하는지 확인하세요: {baseUrl}', { baseUrl })
+        };
+      } else if (status >= 500) {
+        return { message: t('로컬 AI 서버 오류입니다. 서버 로그를 확인하세요.') };
+      }
+      return null;
+    }
+
+    if (error.code === 'ECONNREFUSED') {
+      return {
+        message: t('로컬 AI 서버에 연결할 수 없습니다: {baseUrl}', { baseUrl }),
+        hint: t('💡 서버가 실행 중인지 확인하세요 (예: ollama serve).')
+      };
+    } else if (error.code === 'ECONNABORTED') {
+      return { message: t('요청 시간 초과. 로컬 모델 로딩 상태를 확인하세요.') };
+    } else if (error.code === 'ENOTFOUND') {
+      return { message: t('로컬 AI 서버 주소를 찾을 수 없습니다: {baseUrl}', { baseUrl }) };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * 대화 메시지 처리 (프롬프트 문자열 또는 [{ role: 'user' | 'assistant', content }] 배열)
+ */
+
+const { t } = require('../i18n');
+
+/**
+ * 프롬프트를 메시지 배열로 변환
+ * @param {string|Array<Object>} prompt - 프롬프트 문자열 또는 메시지 배열
+ * @returns {Array<{role: string, content: string}>}
+ */
+function toMessages(prompt) {
+  if (Array.isArray(prompt)) {
+    return prompt.map(message => ({ role: message.role, content: message.content }));
+  }
+  return [{ role: 'user', content: prompt }];
+}
+
+/**
+ * 메시지 배열을 프롬프트 문자열 하나로 합치기 (multiTurn을 지원하지 않는 프로바이더용)
+ * @param {string|Array<Object>} prompt - 프롬프트 문자열 또는 메시지 배열
+ * @returns {string}
+ */
+function flattenMessages(prompt) {
+  if (!Array.isArray(prompt)) {
+    return prompt;
+  }
+  if (prompt.length === 1) {
+    return prompt[0].content;
+  }
+
+  return prompt.map(message => {
+    const label = message.role === 'assistant' ? t('[이전 AI 응답]') : t('[사용자]');
+    return `${label}\n${message.content}`;
+  }).join('\n\n');
+}
+
+module.exports = {
+  toMessages,
+  flattenMessages
+};
@@ -0,0 +1,85 @@
+const { toMessages } = require('./messages');
+const { t } = require('../i18n');
+
+/**
+ * OpenAI 호환 Chat Completions 요청/응답 처리 (ChatGPT, 로컬 서버 공용)
+ */
+
+/**
+ * Chat Completions 요청 생성
+ * @param {string} url - /chat/completions 엔드포인트
+ * @param {string|Array<Object>} prompt - 완성된 프롬프트 또는 대화 메시지 배열
+ * @param {Object} options - { model, apiKey, timeout, responseSchema }
+ * @returns {Object} { url, body, headers, timeout }
+ */
+function buildChatRequest(url, prompt, options = {}) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  if (options.apiKey) {
+    headers['Authorization'] = `Bearer ${options.apiKey}`;
+  }
+
+  const body = {
+    model: options.model,
+    messages: toMessages(prompt),
+    temperature: 0.1,
+    max_tokens: 2048
+  };
+
+  // 응답 스키마가 있으면 Structured Outputs로 JSON 형식 강제
+  if (options.responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: {
+        name: 'git_plan',
+        strict: true,
+        schema: options.responseSchema
+      }
+    };
+  }
+
+  return {
+    url,
+    body,
+    headers,
+    timeout: options.timeout || 30000
+  };
+}
+
+/**
+ * Chat Completions 응답 파싱
+ * @param {Object} data - 응답 본문
+ * @param {string} name - 에러 메시지에 표시할 플랫폼 이름
+ * @returns {{text: string, usage: Object|null}} 생성된 텍스트와 사용량
+ */
+function parseChatResponse(data, name) {
+  if (data && data.choices && data.choices.length > 0) {
+    return {
+      text: data.choices[0].message.content,
+      usage: data.usage || null
+    };
+  }
+
+  throw new Error(t('{name} 응답 형식이 올바르지 않습니다.', { name }));
+}
+
+/**
+ * Chat Completions 스트리밍 이벤트 파싱 (SSE data 한 건)
+ * @param {string} data - 이벤트 데이터 (JSON 문자열)
+ * @returns {{text: string, usage: Object|null}} 새로 받은 텍스트와 사용량 (마지막 이벤트에만 포함)
+ */
+function parseChatStreamEvent(data) {
+  const chunk = JSON.parse(data);
+  const choice = chunk.choices && chunk.choices[0];
+  return {
+    text: (choice && choice.delta && choice.delta.content) || '',
+    usage: chunk.usage || null
+  };
+}
+
+module.exports = {
+  buildChatRequest,
+  parseChatResponse,
+  parseChatStreamEvent
+};
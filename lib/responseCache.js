@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * AI 응답 캐시 (~/.rltgjqm/cache/)
+ * 같은 요청 + 같은 저장소 상태일 때만 저장된 응답을 다시 사용
+ */
+class ResponseCache {
+  constructor() {
+    this.cacheDir = path.join(os.homedir(), '.rltgjqm', 'cache');
+    this.maxEntries = 200;              // 최대 항목 수
+    this.maxBytes = 2 * 1024 * 1024;    // 최대 전체 크기 (2MB)
+  }
+
+  /**
+   * 캐시 설정 (config.json의 cacheEnabled, cacheTtlMinutes)
+   */
+  getSettings() {
+    const settings = { enabled: true, ttlMinutes: 60 };
+    try {
+      const config = require('./config');
+      settings.enabled = config.getCacheEnabled();
+      settings.ttlMinutes = config.getCacheTtlMinutes();
+    } catch (error) {
+      // config 로딩 실패시 기본값 사용
+    }
+    return settings;
+  }
+
+  /**
+   * 요청 정규화 (앞뒤 공백, 연속 공백, 대소문자 차이 무시)
+   */
+  normalizePrompt(prompt) {
+    return String(prompt || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * 저장소 상태 해시 - 브랜치, HEAD, 추적 브랜치, 작업 트리, 진행 중인 작업이 하나라도 다르면 다른 값
+   * @param {Object} gitStatus - executor.getGitStatus() 결과
+   */
+  hashGitState(gitStatus = {}) {
+    const state = {
+      isGitRepository: !!gitStatus.isGitRepository,
+      repoRoot: gitStatus.repoRoot || '',
+      currentDir: gitStatus.currentDir || '',
+      currentBranch: gitStatus.currentBranch || '',
+      headCommit: gitStatus.headCommit || '',
+      upstream: gitStatus.upstream || '',
+      ahead: gitStatus.ahead || 0,
+      behind: gitStatus.behind || 0,
+      stashCount: gitStatus.stashCount || 0,
+      inProgress: gitStatus.inProgress || null,
+      remoteUrl: gitStatus.remoteUrl || '',
+      workingTree: gitStatus.workingTree || '',
+      hasUnpushedCommits: !!gitStatus.hasUnpushedCommits,
+      totalCommits: gitStatus.totalCommits || 0
+    };
+    return this.hash(JSON.stringify(state));
+  }
+
+  /**
+   * 캐시 키 생성
+   * @param {Object} params - { prompt, mode, provider, model, gitStatus, context: 프롬프트에 붙인 추가 컨텍스트, language: 프롬프트 언어 }
+   */
+  buildKey({ prompt, mode, provider, model, gitStatus, context, language }) {
+    return this.hash(JSON.stringify([
+      this.normalizePrompt(prompt),
+      mode || '',
+      language || '',
+      provider || '',
+      model || '',
+      this.hashGitState(gitStatus),
+      this.hash(context || '')
+    ]));
+  }
+
+  hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  getEntryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  /**
+   * 캐시된 응답 가져오기 (만료되었거나 없으면 null)
+   * @returns {Object|null} { response, usageInfo, provider, model, structured, createdAt }
+   */
+  get(key) {
+    const { ttlMinutes } = this.getSettings();
+    const entryPath = this.getEntryPath(key);
+
+    try {
+      if (!fs.existsSync(entryPath)) {
+        return null;
+      }
+
+      const entry = JSON.parse(fs.readFileSync(entryPath, 'utf-8'));
+      const age = Date.now() - new Date(entry.createdAt).getTime();
+      if (entry.key !== key || !(age >= 0 && age < ttlMinutes * 60 * 1000)) {
+        fs.unlinkSync(entryPath);
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      // 손상된 캐시 파일은 무시
+      return null;
+    }
+  }
+
+  /**
+   * 응답 저장 (저장 후 크기 제한 적용)
+   * @param {string} key - buildKey() 결과
+   * @param {Object} result - { response, usageInfo, provider, model, structured }
+   */
+  set(key, result) {
+    try {
+      if (!fs.existsSync(this.cacheDir)) {
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+      }
+
+      const entry = {
+        key,
+        response: result.response,
+        usageInfo: result.usageInfo || null,
+        provider: result.provider,
+        model: result.model || null,
+        structured: !!result.structured,
+        createdAt: new Date().toISOString()
+      };
+      fs.writeFileSync(this.getEntryPath(key), JSON.stringify(entry), 'utf-8');
+      this.prune();
+      return true;
+    } catch (error) {
+      // 캐시 저장 실패는 명령어 생성에 영향 없음
+      return false;
+    }
+  }
+
+  /**
+   * 캐시 파일 목록 (오래된 순)
+   */
+  listEntries() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.cacheDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const filePath = path.join(this.cacheDir, file);
+        const stat = fs.statSync(filePath);
+        return { filePath, size: stat.size, mtime: stat.mtimeMs };
+      })
+      .sort((a, b) => a.mtime - b.mtime);
+  }
+
+  /**
+   * 만료된 항목 삭제 후 개수/크기 제한을 넘으면 오래된 항목부터 삭제
+   */
+  prune() {
+    const { ttlMinutes } = this.getSettings();
+    const expiredBefore = Date.now() - ttlMinutes * 60 * 1000;
+
+    let entries = this.listEntries().filter(entry => {
+      if (entry.mtime < expiredBefore) {
+        fs.unlinkSync(entry.filePath);
+        return false;
+      }
+      return true;
+    });
+
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    while (entries.length > 0 && (entries.length > this.maxEntries || totalBytes > this.maxBytes)) {
+      const oldest = entries.shift();
+      fs.unlinkSync(oldest.filePath);
+      totalBytes -= oldest.size;
+    }
+  }
+
+  /**
+   * 캐시 상태 (항목 수, 전체 크기)
+   */
+  getInfo() {
+    try {
+      const entries = this.listEntries();
+      return {
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+      };
+    } catch (error) {
+      return { entries: 0, bytes: 0 };
+    }
+  }
+
+  /**
+   * 캐시 전체 삭제
+   * @returns {number} 삭제한 항목 수
+   */
+  clear() {
+    const entries = this.listEntries();
+    entries.forEach(entry => fs.unlinkSync(entry.filePath));
+    return entries.length;
+  }
+}
+
+module.exports = new ResponseCache();
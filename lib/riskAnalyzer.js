@@ -0,0 +1,520 @@
+const chalk = require('chalk');
+const shellParser = require('./shellParser');
+const placeholders = require('./placeholders');
+const { t } = require('./i18n');
+
+/**
+ * 명령어 위험도 분류 (셸 파서가 나눈 인자 배열을 옵션 단위로 해석)
+ *
+ * - safe: 읽기만 함 (status, log, clean -n)
+ * - writes-local: 로컬 저장소를 바꾸지만 되돌릴 수 있음 (commit, branch -d, stash)
+ * - affects-remote: 원격 저장소를 바꿈 (push, gh pr create)
+ * - rewrites-history: 커밋이나 ref를 덮어쓰거나 지움 (push -f, rebase, branch -D)
+ * - destroys-uncommitted-work: 커밋하지 않은 변경사항을 지움 (reset --hard, checkout -- ., clean -f)
+ * 이유가 여러 개면 가장 위험한 것으로 분류하고, confirm인 분류는 실행 전에 한 번 더 확인
+ */
+class RiskAnalyzer {
+  constructor() {
+    // 위험이 낮은 것부터 (risk: 계획 단계의 risk 값과 같은 기준)
+    this.levels = [
+      { id: 'safe', label: '안전', risk: 'low', color: 'green' },
+      { id: 'writes-local', label: '로컬 변경', risk: 'low', color: 'white' },
+      { id: 'affects-remote', label: '원격 변경', risk: 'medium', color: 'yellow' },
+      { id: 'rewrites-history', label: '히스토리 변경', risk: 'high', color: 'red', confirm: true },
+      { id: 'destroys-uncommitted-work', label: '변경사항 삭제', risk: 'high', color: 'red', confirm: true }
+    ];
+    // git 다음, 하위 명령어 앞에 오는 옵션 중 값을 다음 인자로 받는 것
+    this.gitOptionsWithValue = ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env'];
+    this.readOnlyCommands = [
+      'status', 'log', 'diff', 'show', 'blame', 'shortlog', 'describe', 'rev-parse', 'rev-list',
+      'ls-files', 'ls-remote', 'ls-tree', 'cat-file', 'grep', 'show-ref', 'for-each-ref', 'show-branch',
+      'name-rev', 'merge-base', 'count-objects', 'fsck', 'cherry', 'whatchanged', 'range-diff',
+      'check-ignore', 'check-attr', 'var', 'help', 'version'
+    ];
+    // 파이프라인에서 git 출력을 거르는 데 쓰는 읽기 전용 도구 (xargs가 실행할 명령어는 따로 분류)
+    this.readOnlyTools = ['echo', 'cat', 'grep', 'egrep', 'head', 'tail', 'sort', 'uniq', 'wc', 'cut', 'tr', 'awk', 'ls', 'pwd', 'true', 'xargs', 'sed', 'find'];
+    this.ghReadActions = ['list', 'view', 'status', 'diff', 'checks', 'browse'];
+
+    // git 하위 명령어별 분류 (없는 명령어는 읽기 전용 목록에 있으면 safe, 아니면 writes-local)
+    this.gitRules = {
+      push: (args) => {
+        const parsed = this.parseArgs(args, ['-o', '--push-option', '--repo', '--receive-pack', '--exec']);
+        if (parsed.has('-n', '--dry-run')) {
+          return [this.finding('safe', '푸시하지 않고 결과만 확인합니다.')];
+        }
+        const refspecs = parsed.positionals.slice(1);
+        const findings = [];
+        if (parsed.has('-f', '--force', '--force-with-lease', '--mirror') || refspecs.some(ref => ref.startsWith('+'))) {
+          findings.push(this.finding('rewrites-history', '강제 푸시: 원격 브랜치의 커밋을 덮어써서 다른 사람의 커밋이 사라질 수 있습니다.', {},
+            parsed.has('--all', '--mirror', '--tags') ? null : { type: 'force-push', remote: parsed.positionals[0] || null, refspecs }));
+        }
+        if (parsed.has('-d', '--delete') || refspecs.some(ref => ref.length > 1 && ref.startsWith(':'))) {
+          findings.push(this.finding('rewrites-history', '원격 브랜치나 태그를 삭제합니다.'));
+        }
+        if (parsed.has('--prune')) {
+          findings.push(this.finding('rewrites-history', '로컬에 없는 원격 브랜치를 삭제합니다.'));
+        }
+        return findings.length > 0 ? findings : [this.finding('affects-remote', '원격 저장소에 커밋을 올립니다.')];
+      },
+
+      reset: (args) => {
+        const parsed = this.parseArgs(args, ['--pathspec-from-file']);
+        const target = parsed.positionals[0];
+        const hasMode = parsed.has('--soft', '--mixed', '--hard', '--keep', '--merge');
+        // 모드 옵션이 있으면 인자는 커밋, 없으면 커밋처럼 보일 때만 (git reset file.txt는 스테이징 취소)
+        const movesBranch = Boolean(target) && target !== 'HEAD' && parsed.paths.length === 0 &&
+          (hasMode || (parsed.positionals.length === 1 && this.isRevision(target)));
+
+        const findings = [];
+        if (parsed.has('--hard')) {
+          findings.push(this.finding('destroys-uncommitted-work', '커밋하지 않은 변경사항(스테이징 포함)을 모두 버립니다.', {}, { type: 'discard', source: 'HEAD', paths: [] }));
+        }
+        if (movesBranch) {
+          findings.push(this.finding('rewrites-history', '현재 브랜치를 {target}(으)로 옮겨서 그 뒤의 커밋이 브랜치에서 빠집니다.', { target }, { type: 'commits', target }));
+        }
+        return findings.length > 0 ? findings : [this.finding('writes-local', '스테이징을 취소합니다.')];
+      },
+
+      checkout: (args) => {
+        const parsed = this.parseArgs(args, ['-b', '-B', '--orphan', '--conflict', '--pathspec-from-file']);
+        const creates = parsed.has('-b', '-B', '--orphan');
+        // -- 뒤, 또는 브랜치 다음 인자와 . 같은 경로는 작업 트리 파일을 덮어씀
+        // 경로 앞에 커밋이 있으면 그 커밋 내용으로, 없으면 인덱스 내용으로 덮어씀
+        let paths = parsed.paths;
+        let source = parsed.positionals[0] || null;
+        if (paths.length === 0 && !creates) {
+          paths = parsed.positionals.length > 1 ? parsed.positionals.slice(1) : parsed.positionals.filter(arg => this.isPath(arg));
+          source = parsed.positionals.length > 1 ? parsed.positionals[0] : null;
+        }
+
+        const findings = [];
+        if (parsed.has('-f', '--force')) {
+          findings.push(this.finding('destroys-uncommitted-work', '작업 트리의 변경사항을 버리고 전환합니다.', {}, { type: 'discard', source: 'HEAD', paths: [] }));
+        }
+        if (paths.length > 0) {
+          findings.push(this.finding('destroys-uncommitted-work', '{paths}의 커밋하지 않은 변경사항을 되돌립니다.', { paths: paths.join(' ') }, { type: 'discard', source, paths }));
+        }
+        if (parsed.has('-B')) {
+          findings.push(this.finding('rewrites-history', '{branch} 브랜치가 이미 있으면 덮어씁니다.', { branch: parsed.options.get('-B') }));
+        }
+        if (findings.length > 0) {
+          return findings;
+        }
+        return [creates ? this.finding('writes-local', '새 브랜치를 만들고 전환합니다.') : this.finding('writes-local', '브랜치를 전환합니다.')];
+      },
+
+      switch: (args) => {
+        const parsed = this.parseArgs(args, ['-c', '-C', '--create', '--force-create', '--orphan']);
+        const findings = [];
+        if (parsed.has('-f', '--force', '--discard-changes')) {
+          findings.push(this.finding('destroys-uncommitted-work', '작업 트리의 변경사항을 버리고 전환합니다.', {}, { type: 'discard', source: 'HEAD', paths: [] }));
+        }
+        if (parsed.has('-C', '--force-create')) {
+          const branch = parsed.options.get('-C') || parsed.options.get('--force-create');
+          findings.push(this.finding('rewrites-history', '{branch} 브랜치가 이미 있으면 덮어씁니다.', { branch }));
+        }
+        return findings.length > 0 ? findings : [this.finding('writes-local', '브랜치를 전환합니다.')];
+      },
+
+      restore: (args) => {
+        const parsed = this.parseArgs(args, ['-s', '--source', '--pathspec-from-file']);
+        const paths = [...parsed.positionals, ...parsed.paths];
+        // --staged만 있으면 스테이징 취소, 그 외에는 작업 트리를 덮어씀
+        if (parsed.has('-S', '--staged') && !parsed.has('-W', '--worktree')) {
+          return [this.finding('writes-local', '스테이징을 취소합니다.')];
+        }
+        // 작업 트리는 기본적으로 인덱스 내용으로, --staged도 있으면 HEAD 내용으로 덮어씀
+        const source = parsed.options.get('-s') || parsed.options.get('--source') || (parsed.has('-S', '--staged') ? 'HEAD' : null);
+        return [this.finding('destroys-uncommitted-work', '{paths}의 커밋하지 않은 변경사항을 되돌립니다.', { paths: paths.join(' ') }, { type: 'discard', source, paths })];
+      },
+
+      clean: (args) => {
+        const parsed = this.parseArgs(args, ['-e', '--exclude']);
+        if (parsed.has('-n', '--dry-run')) {
+          return [this.finding('safe', '삭제할 파일 목록만 확인합니다.')];
+        }
+        if (parsed.has('-f', '--force')) {
+          const impact = { type: 'clean', args };
+          return [parsed.has('-x', '-X')
+            ? this.finding('destroys-uncommitted-work', '추적하지 않는 파일과 .gitignore에 있는 파일을 삭제합니다.', {}, impact)
+            : this.finding('destroys-uncommitted-work', '추적하지 않는 파일을 삭제합니다.', {}, impact)];
+        }
+        return [this.finding('writes-local', '추적하지 않는 파일을 삭제할 수 있습니다.')];
+      },
+
+      stash: (args) => {
+        const parsed = this.parseArgs(args, ['-m', '--message', '--pathspec-from-file']);
+        const action = parsed.positionals[0] || 'push';
+        if (action === 'list' || action === 'show') {
+          return [this.finding('safe', '읽기 전용 명령어입니다.')];
+        }
+        if (action === 'clear') {
+          return [this.finding('destroys-uncommitted-work', '모든 stash를 삭제합니다.', {}, { type: 'stash', ref: null })];
+        }
+        if (action === 'drop') {
+          const stash = parsed.positionals[1] || 'stash@{0}';
+          return [this.finding('destroys-uncommitted-work', '{stash}를 삭제합니다.', { stash }, { type: 'stash', ref: stash })];
+        }
+        return [this.finding('writes-local', '변경사항을 stash에 보관하거나 꺼냅니다.')];
+      },
+
+      branch: (args) => {
+        const parsed = this.parseArgs(args, ['-u', '--set-upstream-to', '--contains', '--no-contains', '--merged', '--no-merged', '--points-at', '--sort', '--format']);
+        // xargs git branch -d 처럼 이름이 뒤에 붙는 경우에는 이름 없이 표시
+        const names = parsed.positionals.length > 0 ? t('{names} 브랜치', { names: parsed.positionals.join(' ') }) : t('브랜치');
+        const force = parsed.has('-f', '--force');
+
+        if (parsed.has('-D') || (parsed.has('-d', '--delete') && force)) {
+          return [this.finding('rewrites-history', '{names}를 병합 여부와 관계없이 삭제해서 병합되지 않은 커밋을 잃을 수 있습니다.', { names },
+            { type: 'unmerged', branches: parsed.positionals })];
+        }
+        if (parsed.has('-d', '--delete')) {
+          return [this.finding('writes-local', '{names}를 삭제합니다 (병합된 브랜치만).', { names })];
+        }
+        if (parsed.has('-M', '-C') || (parsed.has('-m', '--move', '-c', '--copy') && force)) {
+          return [this.finding('rewrites-history', '{branch} 브랜치가 이미 있으면 덮어씁니다.', { branch: parsed.positionals[parsed.positionals.length - 1] })];
+        }
+        if (parsed.has('-m', '--move', '-c', '--copy', '-u', '--set-upstream-to', '--unset-upstream', '--edit-description')) {
+          return [this.finding('writes-local', '브랜치 설정을 바꿉니다.')];
+        }
+        if (parsed.positionals.length === 0 || parsed.has('-l', '--list', '-a', '--all', '-r', '--remotes', '--contains', '--no-contains', '--merged', '--no-merged', '--points-at')) {
+          return [this.finding('safe', '브랜치 목록을 봅니다.')];
+        }
+        if (force) {
+          return [this.finding('rewrites-history', '{branch} 브랜치가 이미 있으면 덮어씁니다.', { branch: parsed.positionals[0] })];
+        }
+        return [this.finding('writes-local', '브랜치를 만듭니다.')];
+      },
+
+      tag: (args) => {
+        const parsed = this.parseArgs(args, ['-m', '-F', '-u', '--local-user', '--sort', '--format', '--contains', '--no-contains', '--points-at', '--merged', '--no-merged', '--cleanup']);
+        if (parsed.has('-d', '--delete')) {
+          const names = parsed.positionals.length > 0 ? t('{names} 태그', { names: parsed.positionals.join(' ') }) : t('태그');
+          return [this.finding('rewrites-history', '{names}를 삭제합니다.', { names })];
+        }
+        if (parsed.has('-l', '--list', '--contains', '--no-contains', '--points-at', '--merged', '--no-merged') || parsed.positionals.length === 0) {
+          return [this.finding('safe', '태그 목록을 봅니다.')];
+        }
+        if (parsed.has('-f', '--force')) {
+          return [this.finding('rewrites-history', '{tag} 태그가 이미 있으면 다른 커밋으로 옮깁니다.', { tag: parsed.positionals[0] })];
+        }
+        return [this.finding('writes-local', '태그를 만듭니다.')];
+      },
+
+      'update-ref': (args) => {
+        const parsed = this.parseArgs(args, ['-m']);
+        const ref = parsed.positionals[0] || '';
+        if (parsed.has('-d')) {
+          return [this.finding('rewrites-history', '{ref} ref를 삭제합니다.', { ref })];
+        }
+        if (parsed.has('--stdin')) {
+          return [this.finding('rewrites-history', '여러 ref를 직접 바꿉니다.')];
+        }
+        return [this.finding('rewrites-history', '{ref} ref를 직접 옮깁니다 (이전 위치는 reflog에만 남음).', { ref })];
+      },
+
+      gc: (args) => {
+        const parsed = this.parseArgs(args);
+        if (parsed.options.get('--prune') === 'now') {
+          return [this.finding('destroys-uncommitted-work', '도달할 수 없는 객체(삭제한 stash, 버린 커밋)를 바로 지워서 복구할 수 없게 됩니다.')];
+        }
+        return [this.finding('writes-local', '저장소를 정리합니다.')];
+      },
+
+      prune: (args) => {
+        const parsed = this.parseArgs(args, ['--expire']);
+        if (parsed.has('-n', '--dry-run')) {
+          return [this.finding('safe', '삭제할 객체 목록만 확인합니다.')];
+        }
+        return [this.finding('destroys-uncommitted-work', '도달할 수 없는 객체(삭제한 stash, 버린 커밋)를 바로 지워서 복구할 수 없게 됩니다.')];
+      },
+
+      reflog: (args) => {
+        const parsed = this.parseArgs(args);
+        const action = parsed.positionals[0];
+        if (action === 'expire' || action === 'delete') {
+          return [this.finding('rewrites-history', 'reflog 기록을 지워서 잃어버린 커밋을 되찾기 어려워집니다.')];
+        }
+        return [this.finding('safe', '읽기 전용 명령어입니다.')];
+      },
+
+      rebase: (args) => {
+        const parsed = this.parseArgs(args, ['--onto', '-s', '--strategy', '-X', '--strategy-option', '-x', '--exec']);
+        if (parsed.has('--show-current-patch')) {
+          return [this.finding('safe', '충돌 중인 패치만 확인합니다.')];
+        }
+        if (parsed.has('--abort', '--quit')) {
+          return [this.finding('writes-local', '진행 중인 리베이스를 중단합니다.')];
+        }
+        // 히스토리를 바꾸는 것은 리베이스를 시작할 때 이미 확인했으므로 이어서 진행하는 것은 로컬 변경으로 봄
+        if (parsed.has('--continue', '--skip', '--edit-todo')) {
+          return [this.finding('writes-local', '진행 중인 리베이스를 이어서 진행합니다.')];
+        }
+        return [this.finding('rewrites-history', '커밋을 다시 만들어 히스토리를 바꿉니다 (이미 푸시한 커밋이면 강제 푸시가 필요합니다).')];
+      },
+
+      commit: (args) => {
+        const parsed = this.parseArgs(args, ['-m', '--message', '-F', '--file', '-C', '-c', '--author', '--date', '--fixup', '--squash', '-t', '--template', '--cleanup', '--trailer']);
+        if (parsed.has('--amend')) {
+          return [this.finding('rewrites-history', '마지막 커밋을 새 커밋으로 바꿉니다.')];
+        }
+        return [this.finding('writes-local', '커밋을 만듭니다.')];
+      },
+
+      'filter-branch': () => [this.finding('rewrites-history', '저장소 전체 히스토리를 다시 씁니다.')],
+      'filter-repo': () => [this.finding('rewrites-history', '저장소 전체 히스토리를 다시 씁니다.')],
+
+      pull: (args) => {
+        const parsed = this.parseArgs(args, ['-s', '--strategy', '-X', '--strategy-option']);
+        const rebase = parsed.options.get('--rebase');
+        if (parsed.has('-r') || (rebase !== undefined && rebase !== 'false')) {
+          return [this.finding('rewrites-history', '로컬 커밋을 원격 브랜치 위로 다시 만듭니다.')];
+        }
+        return [this.finding('writes-local', '원격 변경사항을 가져와 병합합니다.')];
+      },
+
+      rm: (args) => {
+        const parsed = this.parseArgs(args, ['--pathspec-from-file']);
+        if (parsed.has('-n', '--dry-run')) {
+          return [this.finding('safe', '삭제할 파일 목록만 확인합니다.')];
+        }
+        if (parsed.has('-f', '--force')) {
+          return [this.finding('destroys-uncommitted-work', '커밋하지 않은 변경사항이 있어도 파일을 삭제합니다.', {},
+            { type: 'discard', source: 'HEAD', paths: [...parsed.positionals, ...parsed.paths] })];
+        }
+        return [this.finding('writes-local', '파일을 삭제합니다 (커밋한 내용은 히스토리에 남음).')];
+      },
+
+      worktree: (args) => {
+        const parsed = this.parseArgs(args, ['-b', '-B', '--reason', '--expire']);
+        const action = parsed.positionals[0];
+        if (action === 'list') {
+          return [this.finding('safe', '읽기 전용 명령어입니다.')];
+        }
+        if (action === 'remove' && parsed.has('-f', '--force')) {
+          return [this.finding('destroys-uncommitted-work', '워크트리를 커밋하지 않은 변경사항과 함께 삭제합니다.')];
+        }
+        return [this.finding('writes-local', '로컬 저장소를 바꿉니다.')];
+      },
+
+      remote: (args) => {
+        const parsed = this.parseArgs(args, ['-t', '-m']);
+        const action = parsed.positionals[0];
+        if (!action || action === 'show' || action === 'get-url') {
+          return [this.finding('safe', '읽기 전용 명령어입니다.')];
+        }
+        return [this.finding('writes-local', '원격 저장소 설정을 바꿉니다.')];
+      },
+
+      config: (args) => {
+        const parsed = this.parseArgs(args, ['-f', '--file', '--type', '--default']);
+        if (parsed.has('-l', '--list', '--get', '--get-all', '--get-regexp') || parsed.positionals.length <= 1) {
+          return [this.finding('safe', '읽기 전용 명령어입니다.')];
+        }
+        return [this.finding('writes-local', 'Git 설정을 바꿉니다.')];
+      },
+
+      fetch: (args) => {
+        const parsed = this.parseArgs(args, ['--depth', '-j', '--jobs']);
+        if (parsed.has('--dry-run')) {
+          return [this.finding('safe', '읽기 전용 명령어입니다.')];
+        }
+        return [this.finding('writes-local', '원격 브랜치 정보를 가져옵니다.')];
+      }
+    };
+  }
+
+  /**
+   * 분류 하나 (이유는 현재 언어로 번역)
+   * @param {Object} impact - 실행 전에 미리 보여줄 영향 (impactPreview에서 계산, 예: { type: 'discard', source, paths })
+   */
+  finding(level, reason, params, impact = null) {
+    return { level, reason: t(reason, params), impact };
+  }
+
+  getLevel(id) {
+    return this.levels.find(level => level.id === id) || this.levels[0];
+  }
+
+  /**
+   * 분류의 위험 순서 (safe가 0)
+   */
+  rank(id) {
+    return this.levels.findIndex(level => level.id === id);
+  }
+
+  /**
+   * 옵션과 인자 나누기 (-fd 같은 묶음은 하나씩, --name=value와 값을 받는 옵션은 값까지)
+   * @param {Array<string>} args - 하위 명령어 다음 인자
+   * @param {Array<string>} withValue - 값을 다음 인자로 받는 옵션
+   * @returns {{options: Map, positionals: Array<string>, paths: Array<string>, has: Function}}
+   *          paths: -- 뒤의 인자
+   */
+  parseArgs(args, withValue = []) {
+    const options = new Map();
+    const positionals = [];
+    let paths = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === '--') {
+        paths = args.slice(i + 1);
+        break;
+      }
+      if (arg.startsWith('--')) {
+        const separator = arg.indexOf('=');
+        if (separator !== -1) {
+          options.set(arg.slice(0, separator), arg.slice(separator + 1));
+        } else {
+          options.set(arg, withValue.includes(arg) ? args[++i] : true);
+        }
+      } else if (arg.startsWith('-') && arg.length > 1) {
+        for (let j = 1; j < arg.length; j++) {
+          const name = `-${arg[j]}`;
+          if (withValue.includes(name)) {
+            options.set(name, j + 1 < arg.length ? arg.slice(j + 1) : args[++i]);
+            break;
+          }
+          options.set(name, true);
+        }
+      } else {
+        positionals.push(arg);
+      }
+    }
+
+    return { options, positionals, paths, has: (...names) => names.some(name => options.has(name)) };
+  }
+
+  /**
+   * 커밋을 가리키는 값처럼 보이는지 (HEAD~1, abc1234, origin/main, ORIG_HEAD)
+   */
+  isRevision(value) {
+    return /[~^]|@\{/.test(value) ||
+      /^[0-9a-f]{7,40}$/.test(value) ||
+      /^(@|ORIG_HEAD|FETCH_HEAD|MERGE_HEAD)$/.test(value) ||
+      /^(origin|upstream)\//.test(value);
+  }
+
+  /**
+   * 파일 경로처럼 보이는지 (., ./src, :/, *.js)
+   */
+  isPath(value) {
+    return value === '.' || value === '..' || /^\.{1,2}\//.test(value) || value.startsWith(':') || /[*?]/.test(value);
+  }
+
+  /**
+   * 인자 배열 하나 분류
+   * @param {Array<string>} argv - shellParser가 나눈 명령어 하나
+   * @returns {{argv: Array<string>, command: string, level: string, confirm: boolean, reasons: Array<string>, impacts: Array<Object>}}
+   *          reasons: 분류된 단계와 확인이 필요한 단계의 이유 (그보다 낮은 단계의 이유는 제외), impacts: 그 이유들의 영향
+   */
+  analyzeArgv(argv) {
+    const findings = this.classifyArgv(argv);
+    const level = findings.reduce((max, item) => this.rank(item.level) > this.rank(max) ? item.level : max, 'safe');
+    const shown = findings.filter(item => item.level === level || this.getLevel(item.level).confirm);
+    return {
+      argv,
+      command: shellParser.format(argv),
+      level,
+      confirm: Boolean(this.getLevel(level).confirm),
+      reasons: shown.map(item => item.reason),
+      impacts: shown.map(item => item.impact).filter(Boolean)
+    };
+  }
+
+  classifyArgv(argv) {
+    const program = argv[0];
+
+    if (program === 'git') {
+      let i = 1;
+      while (i < argv.length && argv[i].startsWith('-')) {
+        i += this.gitOptionsWithValue.includes(argv[i]) ? 2 : 1;
+      }
+      const subcommand = argv[i];
+      const args = argv.slice(i + 1);
+      if (!subcommand) {
+        return [this.finding('safe', '읽기 전용 명령어입니다.')];
+      }
+      if (this.gitRules[subcommand]) {
+        return this.gitRules[subcommand](args);
+      }
+      if (this.readOnlyCommands.includes(subcommand)) {
+        return [this.finding('safe', '읽기 전용 명령어입니다.')];
+      }
+      return [this.finding('writes-local', '로컬 저장소를 바꿉니다.')];
+    }
+
+    if (program === 'gh') {
+      const [group, action] = argv.slice(1).filter(arg => !arg.startsWith('-'));
+      if (group === 'api') {
+        return [this.finding('affects-remote', 'GitHub API를 호출합니다.')];
+      }
+      if (action === 'delete') {
+        return [this.finding('rewrites-history', 'GitHub에서 {group}을(를) 삭제합니다 (되돌릴 수 없음).', { group })];
+      }
+      if (this.ghReadActions.includes(action) || !action) {
+        return [this.finding('safe', '읽기 전용 명령어입니다.')];
+      }
+      if (action === 'checkout' || action === 'clone') {
+        return [this.finding('writes-local', '로컬 저장소를 바꿉니다.')];
+      }
+      return [this.finding('affects-remote', 'GitHub에 변경사항을 반영합니다.')];
+    }
+
+    if (program === 'rm') {
+      return [this.finding('destroys-uncommitted-work', '파일을 삭제합니다 (Git에 없는 파일은 복구할 수 없음).')];
+    }
+    if (program === 'sed' && argv.some(arg => /^-[a-zA-Z]*i/.test(arg) || arg.startsWith('--in-place'))) {
+      return [this.finding('writes-local', '파일을 바꿉니다.')];
+    }
+    if (program === 'find' && argv.some(arg => arg === '-delete' || arg === '-exec' || arg === '-execdir')) {
+      return [this.finding('destroys-uncommitted-work', '찾은 파일을 삭제하거나 다른 명령어를 실행합니다.')];
+    }
+    if (this.readOnlyTools.includes(program)) {
+      return [this.finding('safe', '읽기 전용 명령어입니다.')];
+    }
+    return [this.finding('writes-local', '{program}: 알 수 없는 명령어라 로컬 변경으로 취급합니다.', { program })];
+  }
+
+  /**
+   * 파싱된 명령어 전체 분류 (&&, | 로 이어진 명령어와 xargs가 실행할 명령어를 각각)
+   * @param {Array<Object>} sequence - shellParser.parse() 결과
+   * @returns {{level: string, confirm: boolean, commands: Array<Object>}} commands: analyzeArgv() 결과 목록
+   */
+  analyzeSequence(sequence) {
+    const commands = shellParser.listCommands(sequence).map(argv => this.analyzeArgv(argv));
+    const level = commands.reduce((max, item) => this.rank(item.level) > this.rank(max) ? item.level : max, 'safe');
+    return { level, confirm: Boolean(this.getLevel(level).confirm), commands };
+  }
+
+  /**
+   * 명령어 문자열 분류
+   * @param {string} command - 명령어 (자리표시자는 임시 값으로 바꿔서 분류)
+   * @returns {Object} analyzeSequence() 결과
+   * @throws 셸 문법 오류나 지원하지 않는 연산자가 있으면 오류
+   */
+  analyze(command) {
+    return this.analyzeSequence(shellParser.parse(placeholders.sample(command)));
+  }
+
+  /**
+   * 명령어 분류 결과만 (파싱할 수 없으면 null)
+   */
+  classify(command) {
+    try {
+      return this.analyze(command).level;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 분류 표시 ( [히스토리 변경] 같은 색이 있는 꼬리표)
+   */
+  label(id) {
+    const level = this.getLevel(id);
+    return chalk[level.color](` [${t(level.label)}]`);
+  }
+}
+
+module.exports = new RiskAnalyzer();
@@ -0,0 +1,420 @@
+const os = require('os');
+const { t } = require('./i18n');
+
+/**
+ * POSIX 셸 규칙에 맞춘 명령어 토큰 분리
+ *
+ * - 공백/탭/줄바꿈으로 구분, \ 이스케이프, '...', "...", $'...' 따옴표 처리
+ * - 빈 문자열 인자 유지 (git commit -m "" → ['git', 'commit', '-m', ''])
+ * - 단어 맨 앞의 ~ 는 홈 디렉토리로 펼침
+ * - &&, ||, ;, |, &, 리디렉션(>, 2>&1 등), ( ) 는 연산자 토큰으로 분리
+ * - parse()는 &&, ||, ; 연결과 | 파이프라인까지 허용하고, 나머지 연산자는 오류
+ * - 명령어 치환($(...), `...`)과 환경변수($NAME)는 펼치지 않고 오류
+ */
+class ShellParser {
+  constructor() {
+    // 긴 것부터 비교
+    this.operators = ['&>>', '&&', '||', '|&', '>>', '<<', '&>', '>&', '<&', '>|', '&', '|', ';', '<', '>', '(', ')'];
+    this.sequenceOperators = ['&&', '||', ';'];
+    this.pipeOperators = ['|', '|&'];
+    this.globPattern = /[*?[]/;
+    this.ansiEscapes = { a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+  }
+
+  /**
+   * 명령어를 토큰으로 분리
+   * @param {string} command - 명령어 문자열
+   * @returns {Array<Object>} { type: 'word', value, quoted, glob } 또는 { type: 'operator', value }
+   *          quoted: 따옴표나 \가 쓰였는지, glob: 따옴표 밖에 *, ?, [ 가 있는지
+   */
+  tokenize(command) {
+    const tokens = [];
+    let word = null;
+    let i = 0;
+
+    const startWord = () => {
+      if (!word) {
+        word = { type: 'word', value: '', quoted: false, glob: false };
+      }
+      return word;
+    };
+    const endWord = () => {
+      if (word) {
+        tokens.push(word);
+        word = null;
+      }
+    };
+
+    while (i < command.length) {
+      const char = command[i];
+      const next = command[i + 1];
+
+      if (char === ' ' || char === '\t') {
+        endWord();
+        i++;
+      } else if (char === '\n' || char === '\r') {
+        // 줄바꿈은 ; 와 같음
+        endWord();
+        tokens.push({ type: 'operator', value: ';' });
+        i += char === '\r' && next === '\n' ? 2 : 1;
+      } else if (char === '#' && !word) {
+        // 주석: 줄 끝까지 무시
+        while (i < command.length && command[i] !== '\n') i++;
+      } else if (char === '\\') {
+        if (next === undefined) {
+          throw new Error(t('명령어가 \\ 로 끝납니다.'));
+        }
+        if (next !== '\n') {
+          const current = startWord();
+          current.value += next;
+          current.quoted = true;
+        }
+        i += 2;
+      } else if (char === "'") {
+        const end = command.indexOf("'", i + 1);
+        if (end === -1) {
+          throw new Error(t('작은따옴표(\')가 닫히지 않았습니다.'));
+        }
+        const current = startWord();
+        current.value += command.slice(i + 1, end);
+        current.quoted = true;
+        i = end + 1;
+      } else if (char === '$' && next === "'") {
+        i = this.readAnsiQuoted(command, i + 2, startWord());
+      } else if (char === '"') {
+        i = this.readDoubleQuoted(command, i + 1, startWord());
+      } else if (char === '`' || char === '$') {
+        this.checkExpansion(command, i);
+        startWord().value += char;
+        i++;
+      } else if (this.operators.some(operator => command.startsWith(operator, i))) {
+        const operator = this.operators.find(candidate => command.startsWith(candidate, i));
+        // 2>, 1>> 처럼 숫자로 시작하는 리디렉션
+        let prefix = '';
+        if (word && !word.quoted && /^\d+$/.test(word.value) && /^[<>]/.test(operator)) {
+          prefix = word.value;
+          word = null;
+        }
+        endWord();
+        tokens.push({ type: 'operator', value: prefix + operator });
+        i += operator.length;
+      } else {
+        if (char === '~' && !word && (next === undefined || next === '/' || /[\s;&|<>()]/.test(next))) {
+          startWord().value += os.homedir();
+        } else {
+          const current = startWord();
+          current.value += char;
+          if (this.globPattern.test(char)) {
+            current.glob = true;
+          }
+        }
+        i++;
+      }
+    }
+
+    endWord();
+    return tokens;
+  }
+
+  /**
+   * 큰따옴표 안 읽기 (\ 는 $ ` " \ 줄바꿈 앞에서만 이스케이프)
+   * @returns {number} 닫는 따옴표 다음 위치
+   */
+  readDoubleQuoted(command, start, word) {
+    let i = start;
+    word.quoted = true;
+
+    while (i < command.length) {
+      const char = command[i];
+      const next = command[i + 1];
+
+      if (char === '"') {
+        return i + 1;
+      }
+      if (char === '\\' && next !== undefined && '$`"\\\n'.includes(next)) {
+        if (next !== '\n') {
+          word.value += next;
+        }
+        i += 2;
+      } else {
+        if (char === '`' || char === '$') {
+          this.checkExpansion(command, i);
+        }
+        word.value += char;
+        i++;
+      }
+    }
+
+    throw new Error(t('큰따옴표(")가 닫히지 않았습니다.'));
+  }
+
+  /**
+   * $'...' 읽기 (\n, \t, \xHH, \0NNN 등 C 스타일 이스케이프)
+   * @returns {number} 닫는 따옴표 다음 위치
+   */
+  readAnsiQuoted(command, start, word) {
+    let i = start;
+    word.quoted = true;
+
+    while (i < command.length) {
+      const char = command[i];
+
+      if (char === "'") {
+        return i + 1;
+      }
+      if (char !== '\\') {
+        word.value += char;
+        i++;
+        continue;
+      }
+
+      const next = command[i + 1];
+      const hex = /^x([0-9a-fA-F]{1,2})/.exec(command.slice(i + 1));
+      const octal = /^[0-7]{1,3}/.exec(command.slice(i + 1));
+      if (hex) {
+        word.value += String.fromCharCode(parseInt(hex[1], 16));
+        i += 1 + hex[0].length;
+      } else if (octal) {
+        word.value += String.fromCharCode(parseInt(octal[0], 8));
+        i += 1 + octal[0].length;
+      } else if (next !== undefined && next in this.ansiEscapes) {
+        word.value += this.ansiEscapes[next];
+        i += 2;
+      } else {
+        // 알 수 없는 이스케이프는 그대로 둠
+        word.value += char;
+        i++;
+      }
+    }
+
+    throw new Error(t('$\'...\' 따옴표가 닫히지 않았습니다.'));
+  }
+
+  /**
+   * 명령어 치환과 환경변수는 실행 전에 알 수 없으므로 거부 ($ 뒤가 이름이 아니면 일반 문자)
+   */
+  checkExpansion(command, index) {
+    const next = command[index + 1];
+    if (command[index] === '`' || next === '(') {
+      throw new Error(t('명령어 치환($(...), `...`)은 지원하지 않습니다. 결과 값을 직접 적어주세요.'));
+    }
+    if (next !== undefined && /[A-Za-z_{0-9@*#?$!-]/.test(next)) {
+      throw new Error(t('환경변수($NAME)는 펼치지 않습니다. 값을 직접 적어주세요.'));
+    }
+  }
+
+  /**
+   * 연산자별 오류 메시지
+   */
+  describeOperator(operator) {
+    if (this.sequenceOperators.includes(operator)) {
+      return t('명령어 연결 "{operator}"는 지원하지 않습니다. 명령어를 한 줄에 하나씩 나눠주세요.', { operator });
+    }
+    if (this.pipeOperators.includes(operator)) {
+      return t('파이프 "{operator}"는 지원하지 않습니다.', { operator });
+    }
+    if (operator === '&') {
+      return t('백그라운드 실행 "&"는 지원하지 않습니다.');
+    }
+    if (operator === '(' || operator === ')') {
+      return t('서브셸 "( )"은 지원하지 않습니다.');
+    }
+    return t('리디렉션 "{operator}"는 지원하지 않습니다. 출력은 터미널에 표시됩니다.', { operator });
+  }
+
+  /**
+   * 단어 토큰을 인자 배열로 변환
+   * git/gh 명령어의 와일드카드는 펼치지 않고 전달 (pathspec으로 git이 직접 해석)
+   */
+  toArgv(words) {
+    const program = words[0].value;
+    if (program !== 'git' && program !== 'gh') {
+      const glob = words.find(token => token.glob);
+      if (glob) {
+        throw new Error(t('"{value}"의 와일드카드는 펼쳐지지 않습니다. 파일 이름을 직접 적어주세요.', { value: glob.value }));
+      }
+    }
+    return words.map(token => token.value);
+  }
+
+  /**
+   * 명령어 하나를 인자 배열로 분리 (execa에 그대로 전달)
+   * @param {string} command - 명령어 문자열
+   * @returns {Array<string>} 인자 배열
+   * @throws 셸 문법 오류, 연산자, 다른 명령어의 와일드카드
+   */
+  split(command) {
+    const tokens = this.tokenize(command);
+
+    const operator = tokens.find(token => token.type === 'operator');
+    if (operator) {
+      throw new Error(this.describeOperator(operator.value));
+    }
+    if (tokens.length === 0) {
+      throw new Error(t('빈 명령어입니다.'));
+    }
+
+    return this.toArgv(tokens);
+  }
+
+  /**
+   * &&, ||, ; 로 이어진 명령어와 | 파이프라인 분리
+   * @param {string} command - 명령어 문자열
+   * @returns {Array<{operator: string|null, pipeline: Array<Array<string>>}>}
+   *          operator: 앞 명령어와 연결하는 연산자 (첫 항목은 null), pipeline: | 로 이어진 명령어들의 인자 배열
+   * @throws 셸 문법 오류, 리디렉션/백그라운드/서브셸, 앞뒤가 비어 있는 연산자
+   */
+  parse(command) {
+    const sequence = [];
+    let operator = null;
+    let pipeline = [];
+    let words = [];
+
+    const missing = (value) => new Error(t('"{value}" 앞이나 뒤에 명령어가 없습니다.', { value }));
+
+    this.tokenize(command).forEach(token => {
+      if (token.type === 'word') {
+        words.push(token);
+        return;
+      }
+
+      const isSequence = this.sequenceOperators.includes(token.value);
+      if (!isSequence && token.value !== '|') {
+        throw new Error(this.describeOperator(token.value));
+      }
+      if (words.length === 0) {
+        // 끝에 붙은 ; 나 빈 줄은 무시
+        if (token.value === ';' && pipeline.length === 0) {
+          return;
+        }
+        throw missing(token.value);
+      }
+
+      pipeline.push(this.toArgv(words));
+      words = [];
+      if (isSequence) {
+        sequence.push({ operator, pipeline });
+        operator = token.value;
+        pipeline = [];
+      }
+    });
+
+    if (words.length > 0) {
+      pipeline.push(this.toArgv(words));
+      sequence.push({ operator, pipeline });
+    } else if (pipeline.length > 0 || (operator && operator !== ';')) {
+      throw missing(pipeline.length > 0 ? '|' : operator);
+    }
+
+    if (sequence.length === 0) {
+      throw new Error(t('빈 명령어입니다.'));
+    }
+    return sequence;
+  }
+
+  /**
+   * xargs가 실행할 명령어 (옵션 다음부터, 없으면 xargs 기본값인 echo)
+   * @param {Array<string>} argv - xargs 명령어의 인자 배열
+   * @returns {Array<string>|null} xargs가 아니면 null
+   */
+  xargsTarget(argv) {
+    if (argv[0] !== 'xargs') {
+      return null;
+    }
+
+    // 값을 다음 인자로 받는 옵션
+    const withValue = ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s'];
+    let i = 1;
+    while (i < argv.length && argv[i].startsWith('-')) {
+      if (argv[i] === '--') {
+        i++;
+        break;
+      }
+      i += withValue.includes(argv[i]) ? 2 : 1;
+    }
+
+    const target = argv.slice(i);
+    return target.length > 0 ? target : ['echo'];
+  }
+
+  /**
+   * 실제로 실행될 모든 명령어 (파이프라인의 각 명령어와 xargs가 실행할 명령어)
+   * @param {Array<Object>} sequence - parse() 결과
+   * @returns {Array<Array<string>>} 인자 배열 목록
+   */
+  listCommands(sequence) {
+    const commands = [];
+    sequence.forEach(({ pipeline }) => {
+      pipeline.forEach(argv => {
+        commands.push(argv);
+        const target = this.xargsTarget(argv);
+        if (target) {
+          commands.push(target);
+        }
+      });
+    });
+    return commands;
+  }
+
+  /**
+   * 명령어의 index 위치가 어떤 따옴표 안에 있는지
+   * @returns {string|null} "'", '"' 또는 따옴표 밖이면 null ($'...'는 "'"로 취급)
+   */
+  quoteAt(command, index) {
+    let quote = null;
+    for (let i = 0; i < index; i++) {
+      const char = command[i];
+      if (quote === "'") {
+        if (char === "'") quote = null;
+      } else if (char === '\\') {
+        i++;
+      } else if (quote === '"') {
+        if (char === '"') quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      }
+    }
+    return quote;
+  }
+
+  /**
+   * 값을 명령어의 index 위치에 넣을 수 있도록 이스케이프 (따옴표 안이면 그 따옴표 규칙에 맞춤)
+   * @param {string} command - 값을 넣을 명령어
+   * @param {number} index - 넣을 위치
+   * @param {string} value - 넣을 값
+   */
+  escapeAt(command, index, value) {
+    const quote = this.quoteAt(command, index);
+    if (quote === "'") {
+      return value.replace(/'/g, `'\\''`);
+    }
+    if (quote === '"') {
+      return value.replace(/["\\$`]/g, '\\$&');
+    }
+    return this.quote(value);
+  }
+
+  /**
+   * 인자 하나를 셸에 그대로 붙여 넣을 수 있는 형태로
+   * (맨 앞의 ~는 홈 디렉토리로 펼쳐지므로 따옴표로 감쌈)
+   */
+  quote(arg) {
+    if (/^[\w@%+=:,./^~{}-]+$/.test(arg) && !arg.startsWith('~')) {
+      return arg;
+    }
+    return `'${arg.replace(/'/g, `'\\''`)}'`;
+  }
+
+  /**
+   * 인자 배열 또는 파이프라인을 명령어 문자열로 (표시와 위험 검사용)
+   * @param {Array<string>|Array<Array<string>>} argvOrPipeline
+   */
+  format(argvOrPipeline) {
+    if (Array.isArray(argvOrPipeline[0])) {
+      return argvOrPipeline.map(argv => this.format(argv)).join(' | ');
+    }
+    return argvOrPipeline.map(arg => this.quote(arg)).join(' ');
+  }
+}
+
+module.exports = new ShellParser();
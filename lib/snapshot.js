@@ -0,0 +1,287 @@
+const execa = require('execa');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { t } = require('./i18n');
+
+/**
+ * 명령어 실행 전 저장소 상태 스냅샷 (rltgjqm undo로 복원)
+ *
+ * refs/rltgjqm/<ID>/ 아래에 저장
+ * - snapshot: stash처럼 작업 트리(추적하지 않는 파일 포함)를 트리로, HEAD와 인덱스 커밋을 부모로 가진 커밋
+ *             커밋 메시지 본문에 { createdAt, commands, head, headRef, index, worktree } JSON
+ * - HEAD: 실행 전 HEAD 커밋
+ * - heads/<브랜치>, tags/<태그>: 실행 전 모든 브랜치와 태그 위치
+ */
+class Snapshot {
+  constructor() {
+    this.namespace = 'refs/rltgjqm';
+    this.maxSnapshots = 20;  // 이보다 오래된 스냅샷은 자동 삭제
+    // 스냅샷 커밋은 내부용이므로 사용자 Git 설정(user.name 등)과 관계없이 만들 수 있도록 고정
+    this.commitEnv = {
+      GIT_AUTHOR_NAME: 'rltgjqm',
+      GIT_AUTHOR_EMAIL: 'rltgjqm@localhost',
+      GIT_COMMITTER_NAME: 'rltgjqm',
+      GIT_COMMITTER_EMAIL: 'rltgjqm@localhost'
+    };
+  }
+
+  async git(args, options = {}) {
+    const result = await execa('git', args, { cwd: process.cwd(), stdio: 'pipe', ...options });
+    return result.stdout.trim();
+  }
+
+  async gitDir() {
+    return this.git(['rev-parse', '--absolute-git-dir']);
+  }
+
+  /**
+   * 현재 HEAD, 브랜치, 태그 위치
+   * @returns {Promise<{head: string|null, headRef: string, branches: Object, tags: Object}>}
+   *          head: 커밋이 없으면 null, headRef: 브랜치에 있으면 refs/heads/<이름> (detached HEAD면 빈 값)
+   */
+  async readRefs() {
+    const state = { head: null, headRef: '', branches: {}, tags: {} };
+
+    const output = await this.git(['for-each-ref', '--format=%(objectname) %(refname)', 'refs/heads', 'refs/tags']);
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [sha, ref] = line.split(' ');
+      if (ref.startsWith('refs/heads/')) {
+        state.branches[ref.slice('refs/heads/'.length)] = sha;
+      } else {
+        state.tags[ref.slice('refs/tags/'.length)] = sha;
+      }
+    });
+
+    try {
+      state.head = await this.git(['rev-parse', '--verify', '-q', 'HEAD']);
+    } catch (error) {
+      // 아직 커밋이 없는 저장소
+    }
+    try {
+      state.headRef = await this.git(['symbolic-ref', '-q', 'HEAD']);
+    } catch (error) {
+      // detached HEAD
+    }
+
+    return state;
+  }
+
+  /**
+   * 인덱스와 작업 트리(.gitignore에 없는 추적하지 않는 파일 포함)를 트리 객체로 저장
+   * 작업 트리는 인덱스 복사본에 git add -A 해서 만들므로 실제 인덱스는 바뀌지 않음
+   * @returns {Promise<{index: string, worktree: string}>} 트리 해시
+   */
+  async writeTrees(gitDir) {
+    const index = await this.git(['write-tree']);
+
+    const tempIndex = path.join(os.tmpdir(), `rltgjqm-index-${process.pid}-${Date.now()}`);
+    try {
+      const indexFile = path.join(gitDir, 'index');
+      if (fs.existsSync(indexFile)) {
+        fs.copyFileSync(indexFile, tempIndex);
+      }
+      const env = { GIT_INDEX_FILE: tempIndex };
+      await this.git(['add', '-A'], { env });
+      const worktree = await this.git(['write-tree'], { env });
+      return { index, worktree };
+    } finally {
+      fs.rmSync(tempIndex, { force: true });
+    }
+  }
+
+  /**
+   * 새 스냅샷 ID (저장 시각, 같은 초에 이미 있으면 뒤에 번호)
+   */
+  createId(existing) {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    const base = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+
+    let id = base;
+    for (let count = 2; existing.includes(id); count++) {
+      id = `${base}-${count}`;
+    }
+    return id;
+  }
+
+  /**
+   * 현재 상태를 스냅샷으로 저장
+   * @param {Array<string>} commands - 이 스냅샷 다음에 실행할 명령어 (목록에 표시)
+   * @returns {Promise<string|null>} 스냅샷 ID (Git 저장소가 아니거나 커밋이 없으면 null)
+   */
+  async save(commands = []) {
+    let gitDir;
+    try {
+      gitDir = await this.gitDir();
+    } catch (error) {
+      return null;
+    }
+
+    const state = await this.readRefs();
+    if (!state.head) {
+      return null;
+    }
+
+    const trees = await this.writeTrees(gitDir);
+    const indexCommit = await this.git(['commit-tree', trees.index, '-p', state.head, '-m', 'rltgjqm index'], { env: this.commitEnv });
+    const meta = {
+      createdAt: new Date().toISOString(),
+      commands,
+      head: state.head,
+      headRef: state.headRef,
+      index: trees.index,
+      worktree: trees.worktree
+    };
+    const snapshotCommit = await this.git(
+      ['commit-tree', trees.worktree, '-p', state.head, '-p', indexCommit, '-m', 'rltgjqm snapshot', '-m', JSON.stringify(meta)],
+      { env: this.commitEnv }
+    );
+
+    const ids = (await this.list()).map(item => item.id);
+    const id = this.createId(ids);
+    const prefix = `${this.namespace}/${id}`;
+    const updates = [
+      `create ${prefix}/snapshot ${snapshotCommit}`,
+      `create ${prefix}/HEAD ${state.head}`,
+      ...Object.entries(state.branches).map(([name, sha]) => `create ${prefix}/heads/${name} ${sha}`),
+      ...Object.entries(state.tags).map(([name, sha]) => `create ${prefix}/tags/${name} ${sha}`)
+    ];
+    await this.git(['update-ref', '--stdin'], { input: updates.join('\n') + '\n' });
+
+    await this.prune([id, ...ids]);
+    return id;
+  }
+
+  /**
+   * 최근 maxSnapshots개만 남기고 삭제
+   * @param {Array<string>} ids - 최신순 스냅샷 ID
+   */
+  async prune(ids) {
+    const old = ids.slice(this.maxSnapshots);
+    if (old.length === 0) {
+      return;
+    }
+
+    const refs = await this.git(['for-each-ref', '--format=%(refname)', ...old.map(id => `${this.namespace}/${id}/`)]);
+    const deletes = refs.split('\n').filter(Boolean).map(ref => `delete ${ref}`);
+    if (deletes.length > 0) {
+      await this.git(['update-ref', '--stdin'], { input: deletes.join('\n') + '\n' });
+    }
+  }
+
+  /**
+   * 저장된 스냅샷 목록 (최신순)
+   * @returns {Promise<Array<Object>>} { id, createdAt, commands, head, headRef, index, worktree, branches, tags }
+   */
+  async list() {
+    const output = await this.git(['for-each-ref', '--format=%(objectname) %(refname)', `${this.namespace}/`]);
+    const snapshots = {};
+
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [sha, ref] = line.split(' ');
+      const [id, kind, ...rest] = ref.slice(this.namespace.length + 1).split('/');
+      const item = snapshots[id] || (snapshots[id] = { id, branches: {}, tags: {}, commit: null });
+      if (kind === 'snapshot') {
+        item.commit = sha;
+      } else if (kind === 'heads') {
+        item.branches[rest.join('/')] = sha;
+      } else if (kind === 'tags') {
+        item.tags[rest.join('/')] = sha;
+      }
+    });
+
+    const result = [];
+    for (const item of Object.values(snapshots)) {
+      if (!item.commit) {
+        continue;
+      }
+      try {
+        const meta = JSON.parse(await this.git(['log', '-1', '--format=%b', item.commit]));
+        result.push({ ...meta, ...item });
+      } catch (error) {
+        // 형식이 다른 ref는 무시
+      }
+    }
+
+    return result.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * 스냅샷과 현재 상태의 차이 (브랜치, 태그, HEAD)
+   * @returns {Promise<Array<{type: string, name: string, from: string|null, to: string|null}>>}
+   *          type: 'head' | 'branch' | 'tag', from: 현재 값, to: 복원할 값 (null이면 없음)
+   */
+  async compare(snapshot) {
+    const current = await this.readRefs();
+    const changes = [];
+
+    const currentHead = current.headRef || current.head;
+    const snapshotHead = snapshot.headRef || snapshot.head;
+    if (currentHead !== snapshotHead) {
+      changes.push({ type: 'head', name: 'HEAD', from: currentHead, to: snapshotHead });
+    }
+
+    [['branch', current.branches, snapshot.branches], ['tag', current.tags, snapshot.tags]].forEach(([type, now, saved]) => {
+      const names = [...new Set([...Object.keys(saved), ...Object.keys(now)])].sort();
+      names.forEach(name => {
+        if (now[name] !== saved[name]) {
+          changes.push({ type, name, from: now[name] || null, to: saved[name] || null });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * 스냅샷 시점으로 복원 (복원 전 상태는 새 스냅샷으로 저장)
+   * 브랜치/태그 위치, HEAD, 인덱스, 작업 트리를 되돌리고 스냅샷 이후에 생긴 브랜치/태그는 삭제
+   * 스냅샷 이후에 생긴 추적하지 않는 파일은 그대로 둠
+   * @param {Object} snapshot - list()의 항목
+   * @returns {Promise<string>} 복원 전 상태의 스냅샷 ID
+   */
+  async restore(snapshot) {
+    const backup = await this.save([`rltgjqm undo ${snapshot.id}`]);
+
+    const changes = await this.compare(snapshot);
+    const updates = [];
+    changes.forEach(change => {
+      if (change.type === 'head') {
+        return;
+      }
+      const ref = `${change.type === 'branch' ? 'refs/heads' : 'refs/tags'}/${change.name}`;
+      updates.push(change.to ? `update ${ref} ${change.to}` : `delete ${ref}`);
+    });
+    if (updates.length > 0) {
+      await this.git(['update-ref', '--stdin'], { input: updates.join('\n') + '\n' });
+    }
+
+    if (snapshot.headRef) {
+      await this.git(['symbolic-ref', 'HEAD', snapshot.headRef]);
+    } else {
+      await this.git(['update-ref', '--no-deref', 'HEAD', snapshot.head]);
+    }
+
+    // 작업 트리를 먼저 맞춘 뒤 인덱스만 스냅샷 시점으로 (스테이징하지 않았던 변경은 작업 트리에만 남음)
+    await this.git(['read-tree', '--reset', '-u', snapshot.worktree]);
+    await this.git(['read-tree', snapshot.index]);
+
+    return backup;
+  }
+
+  /**
+   * 스냅샷 한 줄 요약
+   */
+  describe(snapshot) {
+    const time = new Date(snapshot.createdAt).toLocaleString();
+    const commands = snapshot.commands || [];
+    const summary = commands.length > 0
+      ? commands[0] + (commands.length > 1 ? t(' 외 {count}개', { count: commands.length - 1 }) : '')
+      : '';
+    return `${chalk.cyan(snapshot.id)} ${chalk.gray(time)} ${summary}`;
+  }
+}
+
+module.exports = new Snapshot();
@@ -0,0 +1,101 @@
+const chalk = require('chalk');
+
+/**
+ * 터미널 스피너 (외부 의존성 없음)
+ * TTY가 아닌 환경에서는 아무것도 출력하지 않음
+ */
+class Spinner {
+  constructor() {
+    this.frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+    this.interval = 80;
+    this.timer = null;
+    this.frameIndex = 0;
+    this.text = '';
+    this.stream = process.stdout;
+  }
+
+  /**
+   * 스피너 표시 여부 (TTY에서만)
+   */
+  isEnabled() {
+    return !!this.stream.isTTY;
+  }
+
+  /**
+   * 스피너 시작
+   * @param {string} text - 스피너 옆에 표시할 문구
+   */
+  start(text = '') {
+    this.text = text;
+    if (!this.isEnabled() || this.timer) {
+      return this;
+    }
+
+    // 커서 숨김
+    this.stream.write('\x1B[?25l');
+    this.render();
+    this.timer = setInterval(() => this.render(), this.interval);
+    return this;
+  }
+
+  /**
+   * 표시 문구 변경
+   */
+  update(text) {
+    this.text = text;
+    return this;
+  }
+
+  /**
+   * 현재 줄 다시 그리기
+   */
+  render() {
+    const frame = this.frames[this.frameIndex = (this.frameIndex + 1) % this.frames.length];
+    this.stream.write(`\r\x1B[2K${chalk.cyan(frame)} ${chalk.white(this.text)}`);
+  }
+
+  /**
+   * 스피너 줄 지우기 (스피너 위에 다른 내용을 출력할 때 사용)
+   */
+  clear() {
+    if (this.timer) {
+      this.stream.write('\r\x1B[2K');
+    }
+    return this;
+  }
+
+  /**
+   * 스피너 위에 한 줄 출력 후 스피너 다시 그리기
+   */
+  log(line) {
+    if (!this.timer) {
+      console.log(line);
+      return this;
+    }
+    this.clear();
+    console.log(line);
+    this.render();
+    return this;
+  }
+
+  /**
+   * 스피너 중지 (줄 지우고 커서 복원)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.stream.write('\r\x1B[2K\x1B[?25h');
+    }
+    return this;
+  }
+
+  /**
+   * 실행 중인지 확인
+   */
+  isSpinning() {
+    return !!this.timer;
+  }
+}
+
+module.exports = new Spinner();
@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const chalk = require('chalk');
+const providers = require('./providers');
+const { t } = require('./i18n');
 
 /**
  * API 사용량 추적 및 관리 클래스
@@ -11,24 +13,6 @@ class UsageTracker {
     this.configDir = path.join(os.homedir(), '.rltgjqm');
     this.usageFile = path.join(this.configDir, 'usage.json');
     
-    // 일일 한도 설정
-    this.limits = {
-      'chatgpt': {
-        name: 'ChatGPT (OpenAI)',
-        tier1: 2500000,  // 2.5M 토큰/일
-        tier2: 2500000,  // 2.5M 토큰/일
-        tier3: 10000000, // 10M 토큰/일
-        tier4: 10000000, // 10M 토큰/일
-        tier5: 10000000, // 10M 토큰/일
-        default: 2500000 // 기본값은 Tier 1-2
-      },
-      'gemini': {
-        name: 'Gemini (Google)',
-        estimated: 1000000, // 추정 1M 토큰/일 (실제 한도 불명)
-        default: 1000000
-      }
-    };
-    
     this.ensureUsageFile();
   }
 
@@ -57,8 +41,20 @@ class UsageTracker {
    */
   readUsageData() {
     try {
-      const data = fs.readFileSync(this.usageFile, 'utf-8');
-      return JSON.parse(data);
+      const data = JSON.parse(fs.readFileSync(this.usageFile, 'utf-8'));
+      
+      // 이전 버전에서 생성된 파일에는 새로 추가된 프로바이더 항목이 없음
+      const defaults = this.getDefaultUsageData();
+      providers.ids().forEach(id => {
+        if (!data[id]) {
+          data[id] = defaults[id];
+        }
+      });
+      if (!data.cache) {
+        data.cache = defaults.cache;
+      }
+      
+      return data;
     } catch (error) {
       return this.getDefaultUsageData();
     }
@@ -68,22 +64,32 @@ class UsageTracker {
    * 기본 사용량 데이터
    */
   getDefaultUsageData() {
-    return {
-      date: this.getCurrentDate(),
-      chatgpt: {
-        totalTokens: 0,
-        promptTokens: 0,
-        completionTokens: 0,
-        requests: 0
-      },
-      gemini: {
-        totalTokens: 0,           // 정확한 총 토큰 수 (API 응답에서)
-        promptTokens: 0,          // 정확한 입력 토큰 수
-        completionTokens: 0,      // 정확한 출력 토큰 수
-        estimatedTokens: 0,       // 추정 토큰 수 (하위 호환성)
+    const data = {
+      date: this.getCurrentDate()
+    };
+
+    providers.ids().forEach(id => {
+      data[id] = {
+        totalTokens: 0,           // API 응답의 총 토큰 수
+        promptTokens: 0,          // 입력 토큰 수
+        completionTokens: 0,      // 출력 토큰 수
         requests: 0
-      }
+      };
+    });
+
+    // Gemini 추정 토큰 수 (하위 호환성)
+    if (data.gemini) {
+      data.gemini.estimatedTokens = 0;
+    }
+
+    // 응답 캐시 적중/실패 횟수, 캐시 덕분에 쓰지 않은 토큰 수
+    data.cache = {
+      hits: 0,
+      misses: 0,
+      savedTokens: 0
     };
+
+    return data;
   }
 
   /**
@@ -93,7 +99,7 @@ class UsageTracker {
     try {
       fs.writeFileSync(this.usageFile, JSON.stringify(data, null, 2), 'utf-8');
     } catch (error) {
-      console.error(chalk.red(`사용량 데이터 저장 실패: ${error.message}`));
+      console.error(chalk.red(t('사용량 데이터 저장 실패: {message}', { message: error.message })));
     }
   }
 
@@ -107,9 +113,11 @@ class UsageTracker {
   }
 
   /**
-   * ChatGPT 사용량 기록
+   * 프로바이더 사용량 기록 (usage는 prompt_tokens/completion_tokens/total_tokens 형식)
+   * @param {string} provider - 프로바이더 ID
+   * @param {Object|null} usageInfo - 사용량 (제공하지 않는 서버는 요청 수만 기록)
    */
-  recordChatGPTUsage(usageInfo) {
+  recordUsage(provider, usageInfo) {
     let data = this.readUsageData();
     
     // 날짜가 바뀌면 초기화
@@ -117,16 +125,48 @@ class UsageTracker {
       data = this.resetDailyUsage();
     }
 
+    if (!data[provider]) {
+      data[provider] = { totalTokens: 0, promptTokens: 0, completionTokens: 0, requests: 0 };
+    }
+    const entry = data[provider];
+
     if (usageInfo) {
-      data.chatgpt.totalTokens += usageInfo.total_tokens || 0;
-      data.chatgpt.promptTokens += usageInfo.prompt_tokens || 0;
-      data.chatgpt.completionTokens += usageInfo.completion_tokens || 0;
+      entry.totalTokens = (entry.totalTokens || 0) + (usageInfo.total_tokens || 0);
+      entry.promptTokens = (entry.promptTokens || 0) + (usageInfo.prompt_tokens || 0);
+      entry.completionTokens = (entry.completionTokens || 0) + (usageInfo.completion_tokens || 0);
     }
     
-    data.chatgpt.requests += 1;
+    entry.requests += 1;
+
+    // 기존 추정값도 업데이트 (하위 호환성)
+    if (entry.estimatedTokens !== undefined) {
+      entry.estimatedTokens = entry.totalTokens;
+    }
+
     this.saveUsageData(data);
     
-    return data.chatgpt;
+    return entry;
+  }
+
+  /**
+   * ChatGPT 사용량 기록
+   */
+  recordChatGPTUsage(usageInfo) {
+    return this.recordUsage('chatgpt', usageInfo);
+  }
+
+  /**
+   * Claude 사용량 기록 (input_tokens/output_tokens를 변환한 값)
+   */
+  recordClaudeUsage(usageInfo) {
+    return this.recordUsage('claude', usageInfo);
+  }
+
+  /**
+   * 로컬 서버 사용량 기록
+   */
+  recordLocalUsage(usageInfo) {
+    return this.recordUsage('local', usageInfo);
   }
 
   /**
@@ -160,34 +200,61 @@ class UsageTracker {
    * Gemini 사용량 기록 (정확한 API 데이터 사용)
    */
   recordGeminiUsageWithActualData(actualUsage) {
-    let data = this.readUsageData();
+    const entry = this.recordUsage('gemini', actualUsage);
     
+    return {
+      actualTokens: actualUsage.total_tokens,
+      totalActualTokens: entry.totalTokens,
+      promptTokens: actualUsage.prompt_tokens,
+      completionTokens: actualUsage.completion_tokens
+    };
+  }
+
+  /**
+   * 응답 캐시 적중 기록
+   * @param {Object|null} usageInfo - 캐시된 응답을 처음 받을 때 사용한 토큰
+   */
+  recordCacheHit(usageInfo) {
+    let data = this.readUsageData();
+
     // 날짜가 바뀌면 초기화
     if (data.date !== this.getCurrentDate()) {
       data = this.resetDailyUsage();
     }
 
-    // ChatGPT와 동일한 형식으로 정확한 토큰 수 저장
-    if (!data.gemini.totalTokens) data.gemini.totalTokens = 0;
-    if (!data.gemini.promptTokens) data.gemini.promptTokens = 0;
-    if (!data.gemini.completionTokens) data.gemini.completionTokens = 0;
+    data.cache.hits += 1;
+    data.cache.savedTokens += (usageInfo && usageInfo.total_tokens) || 0;
+    this.saveUsageData(data);
+    return data.cache;
+  }
 
-    data.gemini.totalTokens += actualUsage.total_tokens || 0;
-    data.gemini.promptTokens += actualUsage.prompt_tokens || 0;
-    data.gemini.completionTokens += actualUsage.completion_tokens || 0;
-    data.gemini.requests += 1;
-    
-    // 기존 추정값도 업데이트 (하위 호환성)
-    data.gemini.estimatedTokens = data.gemini.totalTokens;
-    
+  /**
+   * 응답 캐시 실패 기록 (캐시가 켜져 있는데 API를 호출한 경우)
+   */
+  recordCacheMiss() {
+    let data = this.readUsageData();
+
+    // 날짜가 바뀌면 초기화
+    if (data.date !== this.getCurrentDate()) {
+      data = this.resetDailyUsage();
+    }
+
+    data.cache.misses += 1;
     this.saveUsageData(data);
-    
-    return {
-      actualTokens: actualUsage.total_tokens,
-      totalActualTokens: data.gemini.totalTokens,
-      promptTokens: actualUsage.prompt_tokens,
-      completionTokens: actualUsage.completion_tokens
-    };
+    return data.cache;
+  }
+
+  /**
+   * 응답 캐시 통계 표시
+   */
+  displayCacheStats() {
+    const cache = this.getCurrentUsage().cache || { hits: 0, misses: 0, savedTokens: 0 };
+    const lookups = cache.hits + cache.misses;
+    const hitRate = lookups > 0 ? ((cache.hits / lookups) * 100).toFixed(1) : '0.0';
+
+    console.log(chalk.cyan(t('\n💾 응답 캐시:')));
+    console.log(chalk.white(t('   적중: {hits}회 / 실패: {misses}회 (적중률 {hitRate}%)', { hits: cache.hits, misses: cache.misses, hitRate })));
+    console.log(chalk.white(t('   절약한 토큰: {savedTokens}', { savedTokens: cache.savedTokens.toLocaleString() })));
   }
 
   /**
@@ -227,59 +294,59 @@ class UsageTracker {
     return gauge;
   }
 
+  /**
+   * 프로바이더의 일일 사용 토큰 수 (정확한 값이 없으면 추정값)
+   */
+  getUsedTokens(entry) {
+    if (!entry) return 0;
+    return entry.totalTokens || entry.estimatedTokens || 0;
+  }
+
   /**
    * 사용량 표시 (상세)
    */
   displayUsageInfo(provider) {
-    const usage = this.getCurrentUsage();
-    const limits = this.limits[provider];
+    const info = providers.get(provider);
     
-    if (!limits) return;
+    if (!info) return;
+
+    const usage = this.getCurrentUsage();
+    const entry = usage[provider] || { totalTokens: 0, promptTokens: 0, completionTokens: 0, requests: 0 };
+    const limit = info.usageLimit.daily;
+    const used = this.getUsedTokens(entry);
+
+    console.log(chalk.cyan(t('\n📊 {name} 일일 사용량:', { name: t(info.name) })));
+
+    // 일일 한도가 없는 프로바이더 (로컬 서버 등)
+    if (!limit) {
+      console.log(chalk.white(t('   사용됨: {used} 토큰', { used: used.toLocaleString() })));
+      console.log(chalk.white(t('   요청수: {requests}회', { requests: entry.requests })));
+      console.log(chalk.green(t('   ✅ 일일 한도가 없습니다')));
+      return;
+    }
 
-    console.log(chalk.cyan(`\n📊 ${limits.name} 일일 사용량:`));
+    const remaining = Math.max(0, limit - used);
+    const percentage = ((used / limit) * 100).toFixed(1);
+    const estimated = info.usageLimit.estimated;
     
-    if (provider === 'chatgpt') {
-      const used = usage.chatgpt.totalTokens;
-      const limit = limits.default;
-      const remaining = Math.max(0, limit - used);
-      const percentage = ((used / limit) * 100).toFixed(1);
-      
-      console.log(chalk.white(`   사용됨: ${used.toLocaleString()} 토큰`));
-      console.log(chalk.white(`   남은량: ${remaining.toLocaleString()} 토큰`));
-      console.log(chalk.white(`   요청수: ${usage.chatgpt.requests}회`));
-      console.log(chalk.white(`   사용률: ${percentage}%`));
-      console.log(`   게이지: ${this.createUsageGauge(used, limit)} ${percentage}%`);
-      
-      if (percentage >= 90) {
-        console.log(chalk.red('   ⚠️  일일 한도에 거의 도달했습니다!'));
-      } else if (percentage >= 70) {
-        console.log(chalk.yellow('   ⚠️  일일 한도의 70%를 사용했습니다.'));
-      }
-      
-    } else if (provider === 'gemini') {
-      // 정확한 토큰 수가 있으면 사용, 없으면 추정값 사용
-      const hasActualTokens = usage.gemini.totalTokens !== undefined && usage.gemini.totalTokens > 0;
-      const used = hasActualTokens ? usage.gemini.totalTokens : usage.gemini.estimatedTokens;
-      const limit = limits.default;
-      const remaining = Math.max(0, limit - used);
-      const percentage = ((used / limit) * 100).toFixed(1);
-      
-      if (hasActualTokens) {
-        console.log(chalk.white(`   실제 사용: ${used.toLocaleString()} 토큰`));
-        console.log(chalk.white(`   입력: ${usage.gemini.promptTokens?.toLocaleString() || 0} / 출력: ${usage.gemini.completionTokens?.toLocaleString() || 0}`));
-        console.log(chalk.white(`   남은량: ${remaining.toLocaleString()} 토큰`));
-        console.log(chalk.white(`   요청수: ${usage.gemini.requests}회`));
-        console.log(chalk.white(`   사용률: ${percentage}%`));
-        console.log(`   게이지: ${this.createUsageGauge(used, limit)} ${percentage}%`);
-        console.log(chalk.green('   ✅ 정확한 사용량 데이터'));
-      } else {
-        console.log(chalk.white(`   추정 사용: ${used.toLocaleString()} 토큰`));
-        console.log(chalk.white(`   추정 남은량: ${remaining.toLocaleString()} 토큰`));
-        console.log(chalk.white(`   요청수: ${usage.gemini.requests}회`));
-        console.log(chalk.white(`   추정 사용률: ${percentage}%`));
-        console.log(`   게이지: ${this.createUsageGauge(used, limit)} ${percentage}%`);
-        console.log(chalk.yellow('   💡 추정값입니다 (정확한 사용량은 Google AI Studio에서 확인)'));
-      }
+    console.log(chalk.white(t('   사용됨: {used} 토큰', { used: used.toLocaleString() })));
+    if (entry.totalTokens > 0) {
+      console.log(chalk.white(t('   입력: {promptTokens} / 출력: {completionTokens}', { promptTokens: (entry.promptTokens || 0).toLocaleString(), completionTokens: (entry.completionTokens || 0).toLocaleString() })));
+    }
+    console.log(chalk.white(t('   {label}: {remaining} 토큰', { label: estimated ? t('추정 남은량') : t('남은량'), remaining: remaining.toLocaleString() })));
+    console.log(chalk.white(t('   요청수: {requests}회', { requests: entry.requests })));
+    console.log(chalk.white(`   ${estimated ? t('추정 사용률') : t('사용률')}: ${percentage}%`));
+    console.log(t('   게이지: {gauge} {percentage}%', { gauge: this.createUsageGauge(used, limit), percentage }));
+    
+    if (percentage >= 90) {
+      console.log(chalk.red(t('   ⚠️  일일 한도에 거의 도달했습니다!')));
+    } else if (percentage >= 70) {
+      console.log(chalk.yellow(t('   ⚠️  일일 한도의 70%를 사용했습니다.')));
+    }
+
+    if (estimated) {
+      const note = info.usageLimit.note ? ` (${t(info.usageLimit.note)})` : '';
+      console.log(chalk.yellow(t('   💡 한도는 추정값입니다{note}', { note })));
     }
   }
 
@@ -287,32 +354,24 @@ class UsageTracker {
    * 간단한 사용량 표시 (한 줄)
    */
   displayUsageBrief(provider) {
-    const usage = this.getCurrentUsage();
-    const limits = this.limits[provider];
+    const info = providers.get(provider);
     
-    if (!limits) return '';
+    if (!info) return '';
 
-    if (provider === 'chatgpt') {
-      const used = usage.chatgpt.totalTokens;
-      const limit = limits.default;
-      const percentage = ((used / limit) * 100).toFixed(1);
-      const gauge = this.createUsageGauge(used, limit, 8);
-      
-      return `📊 ${gauge} ${percentage}% (${usage.chatgpt.requests}회)`;
-      
-    } else if (provider === 'gemini') {
-      // 정확한 토큰 수가 있으면 사용, 없으면 추정값 사용
-      const hasActualTokens = usage.gemini.totalTokens !== undefined && usage.gemini.totalTokens > 0;
-      const used = hasActualTokens ? usage.gemini.totalTokens : usage.gemini.estimatedTokens;
-      const limit = limits.default;
-      const percentage = ((used / limit) * 100).toFixed(1);
-      const gauge = this.createUsageGauge(used, limit, 8);
-      
-      const accuracy = hasActualTokens ? '정확' : '추정';
-      return `📊 ${gauge} ${percentage}% (${usage.gemini.requests}회, ${accuracy})`;
+    const usage = this.getCurrentUsage();
+    const entry = usage[provider] || { totalTokens: 0, requests: 0 };
+    const limit = info.usageLimit.daily;
+    const used = this.getUsedTokens(entry);
+
+    if (!limit) {
+      return t('📊 {used} 토큰 ({requests}회, 한도 없음)', { used: used.toLocaleString(), requests: entry.requests });
     }
+
+    const percentage = ((used / limit) * 100).toFixed(1);
+    const gauge = this.createUsageGauge(used, limit, 8);
+    const suffix = info.usageLimit.estimated ? t(', 추정 한도') : '';
     
-    return '';
+    return t('📊 {gauge} {percentage}% ({requests}회{suffix})', { gauge, percentage, requests: entry.requests, suffix });
   }
 
   /**
@@ -320,15 +379,17 @@ class UsageTracker {
    */
   displayPostCommandUsage(provider, usageInfo) {
     console.log(chalk.white('\n─────────────────────────────────────────────'));
-    console.log(chalk.white('📊 API 사용량 정보'));
+    console.log(chalk.white(t('📊 API 사용량 정보')));
     console.log(chalk.white('─────────────────────────────────────────────'));
     
-    if (provider === 'chatgpt' && usageInfo) {
-      console.log(chalk.green(`✅ 이번 요청: ${(usageInfo.total_tokens || 0).toLocaleString()} 토큰`));
-      console.log(chalk.white(`   프롬프트: ${(usageInfo.prompt_tokens || 0).toLocaleString()} 토큰`));
-      console.log(chalk.white(`   응답: ${(usageInfo.completion_tokens || 0).toLocaleString()} 토큰`));
-    } else if (provider === 'gemini' && usageInfo) {
-      console.log(chalk.green(`✅ 이번 요청: 약 ${usageInfo.estimatedTokens.toLocaleString()} 토큰 (추정)`));
+    if (usageInfo && usageInfo.total_tokens !== undefined) {
+      console.log(chalk.green(t('✅ 이번 요청: {total_tokens} 토큰', { total_tokens: (usageInfo.total_tokens || 0).toLocaleString() })));
+      if (usageInfo.prompt_tokens !== undefined) {
+        console.log(chalk.white(t('   프롬프트: {prompt_tokens} 토큰', { prompt_tokens: (usageInfo.prompt_tokens || 0).toLocaleString() })));
+        console.log(chalk.white(t('   응답: {completion_tokens} 토큰', { completion_tokens: (usageInfo.completion_tokens || 0).toLocaleString() })));
+      }
+    } else if (usageInfo && usageInfo.estimatedTokens !== undefined) {
+      console.log(chalk.green(t('✅ 이번 요청: 약 {estimatedTokens} 토큰 (추정)', { estimatedTokens: usageInfo.estimatedTokens.toLocaleString() })));
     }
     
     this.displayUsageInfo(provider);
@@ -339,7 +400,7 @@ class UsageTracker {
    */
   resetUsage() {
     this.resetDailyUsage();
-    console.log(chalk.green('✅ 사용량이 초기화되었습니다.'));
+    console.log(chalk.green(t('✅ 사용량이 초기화되었습니다.')));
   }
 
   /**
@@ -347,22 +408,22 @@ class UsageTracker {
    */
   getUsageStats() {
     const usage = this.getCurrentUsage();
-    
-    return {
-      date: usage.date,
-      chatgpt: {
-        totalTokens: usage.chatgpt.totalTokens,
-        requests: usage.chatgpt.requests,
-        averageTokensPerRequest: usage.chatgpt.requests > 0 ? 
-          Math.round(usage.chatgpt.totalTokens / usage.chatgpt.requests) : 0
-      },
-      gemini: {
-        estimatedTokens: usage.gemini.estimatedTokens,
-        requests: usage.gemini.requests,
-        averageTokensPerRequest: usage.gemini.requests > 0 ? 
-          Math.round(usage.gemini.estimatedTokens / usage.gemini.requests) : 0
-      }
+    const stats = {
+      date: usage.date
     };
+
+    providers.ids().forEach(id => {
+      const entry = usage[id] || { requests: 0 };
+      const used = this.getUsedTokens(entry);
+      stats[id] = {
+        totalTokens: used,
+        requests: entry.requests,
+        averageTokensPerRequest: entry.requests > 0 ?
+          Math.round(used / entry.requests) : 0
+      };
+    });
+
+    return stats;
   }
 }
 
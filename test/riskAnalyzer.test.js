@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('assert');
+const i18n = require('../lib/i18n');
+const riskAnalyzer = require('../lib/riskAnalyzer');
+
+// 분류 이유를 사용자 설정과 관계없이 한국어로 고정
+i18n.setLanguage('ko');
+
+/**
+ * 명령어 하나의 분류와 확인 여부 검사
+ */
+function assertLevel(command, level, confirm) {
+  const result = riskAnalyzer.analyze(command);
+  assert.strictEqual(result.level, level, command);
+  assert.strictEqual(result.confirm, confirm, command);
+}
+
+test('강제 푸시는 히스토리 변경 (확인 필요)', () => {
+  assertLevel('git push -f origin main', 'rewrites-history', true);
+  assertLevel('git push --force origin main', 'rewrites-history', true);
+  assertLevel('git push --force-with-lease', 'rewrites-history', true);
+  assertLevel('git push origin +main', 'rewrites-history', true);
+  assertLevel('git push origin main', 'affects-remote', false);
+});
+
+test('작업 트리를 되돌리는 명령어는 변경사항 삭제 (확인 필요)', () => {
+  assertLevel('git checkout -- .', 'destroys-uncommitted-work', true);
+  assertLevel('git restore .', 'destroys-uncommitted-work', true);
+  assertLevel('git checkout main', 'writes-local', false);
+  assertLevel('git restore --staged .', 'writes-local', false);
+});
+
+test('stash clear/drop은 변경사항 삭제 (확인 필요)', () => {
+  assertLevel('git stash clear', 'destroys-uncommitted-work', true);
+  assertLevel('git stash drop', 'destroys-uncommitted-work', true);
+  assertLevel('git stash', 'writes-local', false);
+});
+
+test('update-ref -d는 히스토리 변경 (확인 필요)', () => {
+  assertLevel('git update-ref -d refs/heads/feature', 'rewrites-history', true);
+});
+
+test('gc --prune=now는 변경사항 삭제 (확인 필요)', () => {
+  assertLevel('git gc --prune=now', 'destroys-uncommitted-work', true);
+  assertLevel('git gc', 'writes-local', false);
+});
+
+test('branch -M/-D는 히스토리 변경 (확인 필요)', () => {
+  assertLevel('git branch -M main', 'rewrites-history', true);
+  assertLevel('git branch -D feature', 'rewrites-history', true);
+  assertLevel('git branch -m old new', 'writes-local', false);
+});
+
+test('rebase는 시작할 때만 히스토리 변경으로 확인', () => {
+  assertLevel('git rebase main', 'rewrites-history', true);
+  assertLevel('git rebase --continue', 'writes-local', false);
+  assertLevel('git rebase --skip', 'writes-local', false);
+  assertLevel('git rebase --edit-todo', 'writes-local', false);
+  assertLevel('git rebase --abort', 'writes-local', false);
+  assertLevel('git rebase --quit', 'writes-local', false);
+  assertLevel('git rebase --show-current-patch', 'safe', false);
+});
+
+test('연결된 명령어는 가장 위험한 것으로 분류', () => {
+  assertLevel('git status && git push -f', 'rewrites-history', true);
+  assertLevel('git add . && git commit -m "fix"', 'writes-local', false);
+});
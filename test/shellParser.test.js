@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const i18n = require('../lib/i18n');
+const shellParser = require('../lib/shellParser');
+
+// 오류 메시지를 사용자 설정과 관계없이 한국어로 고정
+i18n.setLanguage('ko');
+
+test('공백, 탭, 줄 끝 \\ 로 인자를 나눔', () => {
+  assert.deepStrictEqual(shellParser.split('git  status\t-s'), ['git', 'status', '-s']);
+  assert.deepStrictEqual(shellParser.split('git commit \\\n -m x'), ['git', 'commit', '-m', 'x']);
+});
+
+test('빈 문자열 인자를 유지', () => {
+  assert.deepStrictEqual(shellParser.split('git commit -m ""'), ['git', 'commit', '-m', '']);
+  assert.deepStrictEqual(shellParser.split("git commit -m ''"), ['git', 'commit', '-m', '']);
+});
+
+test('따옴표 밖의 \\ 이스케이프', () => {
+  assert.deepStrictEqual(shellParser.split('git add my\\ file.txt'), ['git', 'add', 'my file.txt']);
+  assert.deepStrictEqual(shellParser.split('git commit -m \\"hi\\"'), ['git', 'commit', '-m', '"hi"']);
+  assert.deepStrictEqual(shellParser.split('git commit -m a\\\tb'), ['git', 'commit', '-m', 'a\tb']);
+  assert.throws(() => shellParser.split('git status \\'), /\\ 로 끝납니다/);
+});
+
+test('작은따옴표 안은 그대로', () => {
+  assert.deepStrictEqual(shellParser.split("git commit -m 'a \\n \"b\" $HOME'"), ['git', 'commit', '-m', 'a \\n "b" $HOME']);
+  assert.throws(() => shellParser.split("git commit -m 'oops"), /작은따옴표/);
+});
+
+test('큰따옴표 안의 이스케이프와 탭', () => {
+  assert.deepStrictEqual(shellParser.split('git commit -m "say \\"hi\\""'), ['git', 'commit', '-m', 'say "hi"']);
+  assert.deepStrictEqual(shellParser.split('git commit -m "a\\\\b \\$5"'), ['git', 'commit', '-m', 'a\\b $5']);
+  assert.deepStrictEqual(shellParser.split('git commit -m "keep \\n and\ttab"'), ['git', 'commit', '-m', 'keep \\n and\ttab']);
+  assert.deepStrictEqual(shellParser.split('git commit -m "a"\'b\'c'), ['git', 'commit', '-m', 'abc']);
+  assert.throws(() => shellParser.split('git commit -m "oops'), /큰따옴표/);
+});
+
+test("$'...' C 스타일 이스케이프", () => {
+  assert.deepStrictEqual(shellParser.split("git commit -m $'line1\\nline2\\ttab'"), ['git', 'commit', '-m', 'line1\nline2\ttab']);
+  assert.deepStrictEqual(shellParser.split("git commit -m $'it\\'s \\x41\\101'"), ['git', 'commit', '-m', "it's AA"]);
+  assert.throws(() => shellParser.split("git commit -m $'oops"), /닫히지 않았습니다/);
+});
+
+test('맨 앞의 ~ 만 홈 디렉토리로 펼침', () => {
+  assert.deepStrictEqual(shellParser.split('git -C ~/repo status'), ['git', '-C', `${os.homedir()}/repo`, 'status']);
+  assert.deepStrictEqual(shellParser.split('git show HEAD~1 "~/x"'), ['git', 'show', 'HEAD~1', '~/x']);
+});
+
+test('주석은 무시', () => {
+  assert.deepStrictEqual(shellParser.split('git status # 상태 확인'), ['git', 'status']);
+  assert.deepStrictEqual(shellParser.split('git commit -m "#1"'), ['git', 'commit', '-m', '#1']);
+});
+
+test('&&, ||, ; 연결', () => {
+  assert.deepStrictEqual(shellParser.parse('git add . && git commit -m "a && b"'), [
+    { operator: null, pipeline: [['git', 'add', '.']] },
+    { operator: '&&', pipeline: [['git', 'commit', '-m', 'a && b']] }
+  ]);
+  assert.deepStrictEqual(shellParser.parse('git pull || git fetch'), [
+    { operator: null, pipeline: [['git', 'pull']] },
+    { operator: '||', pipeline: [['git', 'fetch']] }
+  ]);
+  assert.deepStrictEqual(shellParser.parse('git status; git log\ngit diff;'), [
+    { operator: null, pipeline: [['git', 'status']] },
+    { operator: ';', pipeline: [['git', 'log']] },
+    { operator: ';', pipeline: [['git', 'diff']] }
+  ]);
+});
+
+test('| 파이프라인', () => {
+  assert.deepStrictEqual(shellParser.parse('git branch --merged | grep -v main | xargs git branch -d'), [
+    { operator: null, pipeline: [['git', 'branch', '--merged'], ['grep', '-v', 'main'], ['xargs', 'git', 'branch', '-d']] }
+  ]);
+  assert.deepStrictEqual(shellParser.listCommands(shellParser.parse('git branch | xargs git branch -d')), [
+    ['git', 'branch'], ['xargs', 'git', 'branch', '-d'], ['git', 'branch', '-d']
+  ]);
+});
+
+test('앞뒤가 비어 있는 연산자는 오류', () => {
+  assert.throws(() => shellParser.parse('&& git status'), /앞이나 뒤에 명령어가 없습니다/);
+  assert.throws(() => shellParser.parse('git status ||'), /앞이나 뒤에 명령어가 없습니다/);
+  assert.throws(() => shellParser.parse('git status |'), /앞이나 뒤에 명령어가 없습니다/);
+  assert.throws(() => shellParser.parse(''), /빈 명령어/);
+});
+
+test('split()은 연결과 파이프를 거부', () => {
+  assert.throws(() => shellParser.split('git add . && git commit'), /명령어 연결 "&&"/);
+  assert.throws(() => shellParser.split('git log | head'), /파이프 "\|"/);
+});
+
+test('리디렉션, 백그라운드, 서브셸 거부', () => {
+  assert.throws(() => shellParser.parse('git log > out.txt'), /리디렉션 ">"/);
+  assert.throws(() => shellParser.parse('git log >> out.txt'), /리디렉션 ">>"/);
+  assert.throws(() => shellParser.parse('git log 2>&1'), /리디렉션 "2>&"/);
+  assert.throws(() => shellParser.parse('git apply < a.patch'), /리디렉션 "<"/);
+  assert.throws(() => shellParser.parse('git fetch &'), /백그라운드/);
+  assert.throws(() => shellParser.parse('(git status)'), /서브셸/);
+  assert.deepStrictEqual(shellParser.split('git commit -m "a > b"'), ['git', 'commit', '-m', 'a > b']);
+});
+
+test('명령어 치환과 환경변수 거부', () => {
+  assert.throws(() => shellParser.parse('git checkout $(git rev-parse HEAD)'), /명령어 치환/);
+  assert.throws(() => shellParser.parse('git checkout `git rev-parse HEAD`'), /명령어 치환/);
+  assert.throws(() => shellParser.parse('git commit -m "$(date)"'), /명령어 치환/);
+  assert.throws(() => shellParser.parse('git push origin $BRANCH'), /환경변수/);
+  assert.throws(() => shellParser.parse('git commit -m "by ${USER}"'), /환경변수/);
+  assert.deepStrictEqual(shellParser.split("git commit -m '$(date) $HOME'"), ['git', 'commit', '-m', '$(date) $HOME']);
+  assert.deepStrictEqual(shellParser.split('git commit -m "cost: 5$"'), ['git', 'commit', '-m', 'cost: 5$']);
+});
+
+test('git/gh 명령어의 와일드카드는 그대로 전달', () => {
+  assert.deepStrictEqual(shellParser.split('git add *.js'), ['git', 'add', '*.js']);
+  assert.deepStrictEqual(shellParser.split('git rm src/?.txt'), ['git', 'rm', 'src/?.txt']);
+  assert.deepStrictEqual(shellParser.split('gh release upload v1 dist/*'), ['gh', 'release', 'upload', 'v1', 'dist/*']);
+});
+
+test('다른 명령어의 와일드카드는 거부 (따옴표 안은 허용)', () => {
+  assert.throws(() => shellParser.split('rm *.log'), /와일드카드/);
+  assert.throws(() => shellParser.parse('git branch | grep feature*'), /와일드카드/);
+  assert.deepStrictEqual(shellParser.split('grep "feature*"'), ['grep', 'feature*']);
+});
+
+test('format()은 다시 파싱하면 같은 인자 배열', () => {
+  const argv = ['git', 'commit', '-m', "it's a \"test\" $x", ''];
+  assert.deepStrictEqual(shellParser.split(shellParser.format(argv)), argv);
+  assert.deepStrictEqual(shellParser.split(shellParser.format(['git', 'checkout', '~'])), ['git', 'checkout', '~']);
+  assert.deepStrictEqual(shellParser.split(shellParser.format(['git', 'add', '~/x', 'HEAD~1'])), ['git', 'add', '~/x', 'HEAD~1']);
+});